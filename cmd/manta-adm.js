@@ -43,13 +43,16 @@ var assertplus = require('assert-plus');
 var bunyan = require('bunyan');
 var cmdln = require('cmdln');
 var cmdutil = require('cmdutil');
+var fs = require('fs');
 var jsprim = require('jsprim');
 var path = require('path');
 var restifyClients = require('restify-clients');
 var util = require('util');
 var vasync = require('vasync');
 var VError = require('verror').VError;
+var alarms = require('../lib/alarms');
 var common = require('../lib/common');
+var health = require('../lib/health');
 var madm = require('../lib/adm');
 
 var maArg0 = path.basename(process.argv[1]);
@@ -62,11 +65,45 @@ var maDefaultAlarmConcurrency = 10;
  */
 var maMaintWindowLong = 4 * 60 * 60 * 1000;
 
+/*
+ * Maximum number of windows that "manta-adm alarm maint create --schedule"
+ * will create for one recurring series.
+ */
+var maMaintSeriesMax = 100;
+
+/*
+ * Default file in which "manta-adm update" records the progress of the plan
+ * it's executing so that the update can be resumed with --resume.
+ */
+var maUpdateStateFile = '/var/tmp/manta-adm-update.json';
+
+/*
+ * Written before each refresh of "manta-adm show --watch" on a terminal to
+ * move the cursor to the top left and clear the screen.
+ */
+var maClearScreen = '\u001b[H\u001b[2J';
+
 /*
  * These node-cmdln options are used by multiple subcommands.  They're defined
  * in one place to ensure consistency in names, aliases, and help message.
  */
 var maCommonOptions = {
+    batchSize: {
+        names: ['batch-size'],
+        type: 'arrayOfString',
+        helpArg: '[SERVICE=]N',
+        help:
+            'With --rolling, the maximum number of actions in each batch, ' +
+            'either for all services or for SERVICE (default: 1)'
+    },
+    channel: {
+        names: ['channel', 'C'],
+        type: 'string',
+        help:
+            'When provisioning an image, verify that the image ' +
+            'comes from this update channel. The default is to use the ' +
+            'update channel set for this datacenter.'
+    },
     columns: {
         names: ['columns', 'o'],
         type: 'arrayOfString',
@@ -89,11 +126,34 @@ var maCommonOptions = {
         type: 'bool',
         help: 'Bypass all confirmations (be careful!)'
     },
+    diff: {
+        names: ['diff'],
+        type: 'bool',
+        help:
+            'With -n, summarize the plan by service and compute node, ' +
+            'showing current and desired instance counts for each image'
+    },
     dryrun: {
         names: ['dryrun', 'n'],
         type: 'bool',
         help: 'Print what would be done without actually doing it.'
     },
+    healthCheck: {
+        names: ['health-check'],
+        type: 'string',
+        helpArg: 'smf|http:PORT[/PATH]',
+        help:
+            'With --rolling, how to check that updated instances are healthy ' +
+            '(default: smf)'
+    },
+    healthTimeout: {
+        names: ['health-timeout'],
+        type: 'positiveInteger',
+        helpArg: 'SECONDS',
+        help:
+            'With --rolling, how long to wait for each updated instance to ' +
+            'become healthy (default: 300)'
+    },
     logFile: {
         names: ['log_file', 'log-file', 'l'],
         type: 'string',
@@ -105,11 +165,46 @@ var maCommonOptions = {
         type: 'string',
         help: 'Dump logs to this file (or "stdout")'
     },
+    minInstances: {
+        names: ['min-instances'],
+        type: 'positiveInteger',
+        helpArg: 'N',
+        help:
+            'With --analyze, report services that would drop below N ' +
+            'instances (default: 1)'
+    },
     omitHeader: {
         names: ['omit-header', 'H'],
         type: 'bool',
         help: 'Omit the header row for columnar output.'
     },
+    planJson: {
+        names: ['json', 'j'],
+        type: 'bool',
+        help: 'With -n, print the plan in JSON form'
+    },
+    rolling: {
+        names: ['rolling'],
+        type: 'bool',
+        help:
+            'Update each service in batches, waiting for updated instances ' +
+            'to pass a health check before starting the next batch'
+    },
+    skipVerifyChannel: {
+        names: ['skip-verify-channel'],
+        type: 'bool',
+        help:
+            'When provisioning an image, avoid verifying that this image ' +
+            'comes from the default update channel for this datacenter',
+        default: false
+    },
+    stateFile: {
+        names: ['state-file'],
+        type: 'string',
+        helpArg: 'FILE',
+        help: 'Record update progress in FILE',
+        default: maUpdateStateFile
+    },
     unconfigure: {
         names: ['unconfigure'],
         type: 'bool',
@@ -204,11 +299,117 @@ MantaAdm.prototype.initAdm = function(opts, callback) {
 };
 
 MantaAdm.prototype.finiAdm = function() {
+    var self = this;
+
+    if (this.madm_region) {
+        jsprim.forEachKey(this.madm_region, function(_dc, adm) {
+            if (adm !== self.madm_adm) {
+                adm.close();
+            }
+        });
+    }
+
     this.madm_adm.close();
 };
 
+/*
+ * Initialize a MantaAdm for each of the datacenters "dcnames" in this region,
+ * each using the SDC services of its own datacenter.  initAdm() must have
+ * already been called, and its MantaAdm is used for the local datacenter.  On
+ * success, "this.madm_region" maps each datacenter name to its MantaAdm.
+ */
+MantaAdm.prototype.initRegionAdms = function(dcnames, callback) {
+    var self = this;
+    var localdc = this.madm_adm.ma_sdc.config.datacenter_name;
+
+    this.madm_region = {};
+    vasync.forEachPipeline(
+        {
+            inputs: dcnames,
+            func: function initDcAdm(dc, subcb) {
+                var adm;
+
+                if (dc === localdc) {
+                    self.madm_region[dc] = self.madm_adm;
+                    subcb();
+                    return;
+                }
+
+                adm = new madm.MantaAdm(self.madm_log);
+                adm.setDatacenter(dc);
+                adm.loadSdcConfig(function(err) {
+                    if (err) {
+                        subcb(new VError(err, 'datacenter "%s"', dc));
+                        return;
+                    }
+
+                    self.madm_region[dc] = adm;
+                    subcb();
+                });
+            }
+        },
+        function(err) {
+            callback(err);
+        }
+    );
+};
+
 MantaAdm.prototype.do_alarm = MantaAdmAlarm;
 
+MantaAdm.prototype.do_capacity = function(_subcmd, opts, args, callback) {
+    var self = this;
+
+    if (args.length > 0) {
+        callback(new Error('unexpected arguments'));
+        return;
+    }
+
+    this.initAdm(opts, function() {
+        var adm = self.madm_adm;
+        adm.fetchDeployed(function(err) {
+            if (err) {
+                fatal(err.message);
+            }
+
+            err = adm.dumpCapacity(process.stdout, {
+                svcname: opts.service,
+                json: opts.json === true
+            });
+            if (err) {
+                fatal(err.message);
+            }
+
+            self.finiAdm();
+        });
+    });
+};
+
+MantaAdm.prototype.do_capacity.help =
+    'Report memory and disk allocated to Manta zones and free in this DC.\n\n' +
+    'Usage:\n\n' +
+    '    manta-adm capacity OPTIONS\n\n' +
+    'Examples:\n\n' +
+    '    # summarize capacity by server, rack, service, and datacenter\n' +
+    '    manta-adm capacity\n\n' +
+    '    # also predict how many more "webapi" instances would fit\n' +
+    '    manta-adm capacity --service webapi\n\n' +
+    '{{options}}';
+
+MantaAdm.prototype.do_capacity.options = [
+    maCommonOptions.logFileDefaultNone,
+    {
+        names: ['service'],
+        type: 'string',
+        helpArg: 'SERVICE',
+        help: 'Predict how many more instances of SERVICE would fit.'
+    },
+    {
+        names: ['json', 'j'],
+        type: 'bool',
+        help: 'Print the report in JSON form.'
+    }
+];
+
 MantaAdm.prototype.do_cn = function(_subcmd, opts, args, callback) {
     var self = this;
     var options = {};
@@ -224,6 +425,18 @@ MantaAdm.prototype.do_cn = function(_subcmd, opts, args, callback) {
         options.columns = selected;
     }
 
+    if (opts.sort_by) {
+        options.sort = madm.cnParseSort(
+            opts.sort_by.reduce(function(fields, field) {
+                return fields.concat(field.split(','));
+            }, [])
+        );
+        if (options.sort instanceof Error) {
+            callback(options.sort);
+            return;
+        }
+    }
+
     if (opts.storage_only) {
         options.onlystorage = true;
     }
@@ -232,6 +445,14 @@ MantaAdm.prototype.do_cn = function(_subcmd, opts, args, callback) {
         options.oneachnode = true;
     }
 
+    if (opts.json) {
+        if (opts.oneachnode || opts.omit_header) {
+            callback(new Error('-j cannot be used with -n or -H'));
+            return;
+        }
+        options.json = true;
+    }
+
     if (opts.omit_header) {
         options.omitHeader = true;
     }
@@ -273,6 +494,10 @@ MantaAdm.prototype.do_cn.help =
     '    manta-adm cn -H -o host\n\n' +
     '    # list hostnames in form suitable for "sdc-oneachnode -n"\n' +
     '    manta-adm cn -n\n\n' +
+    '    # list storage nodes with the fullest zpools first\n' +
+    '    manta-adm cn -s -o host,zpool_used,zpool_pct -S -zpool_pct\n\n' +
+    '    # report all columns in JSON form\n' +
+    '    manta-adm cn -j\n\n' +
     "FILTER may be any substring of the compute node's server uuid, \n" +
     'admin IP, hostname, compute id, or storage ids.\n\n' +
     '{{options}}\n' +
@@ -292,6 +517,21 @@ MantaAdm.prototype.do_cn.options = [
         names: ['storage-only', 's'],
         type: 'bool',
         help: 'Show only nodes used as storage nodes.'
+    },
+    {
+        names: ['sort-by', 'S'],
+        type: 'arrayOfString',
+        helpArg: 'FIELD',
+        help:
+            'Sort by the given columns (see below).  Prefix a column ' +
+            'with "-" to sort in descending order.'
+    },
+    {
+        names: ['json', 'j'],
+        type: 'bool',
+        help:
+            'Print an array of objects, one for each CN, with the selected ' +
+            'columns (or all columns, by default).'
     }
 ];
 
@@ -308,38 +548,54 @@ MantaAdm.prototype.do_gc = MantaAdmGc;
 
 MantaAdmGc.prototype.do_show = function do_show(_subcmd, opts, args, callback) {
     var self = this;
+    var selected;
 
     if (args.length > 1) {
         callback(new Error('unexpected arguments'));
         return;
     }
 
-    self.magc_parent.initAdm(opts, function() {
-        var adm, func;
-        adm = self.magc_parent.madm_adm;
+    if (opts.json && (opts.columns || opts.omit_header)) {
+        callback(new Error('-j cannot be used with -o or -H'));
+        return;
+    }
 
-        if (opts.json) {
-            func = adm.dumpDeployedInstanceMetadataJson;
-        } else {
-            callback(
-                new Error(
-                    'human-readable format ' +
-                        'not yet supported, use -j to print json'
-                )
-            );
+    if (opts.columns) {
+        selected = checkColumns(madm.gcShardColumnNames(), opts.columns);
+        if (selected instanceof Error) {
+            callback(selected);
             return;
         }
+    }
+
+    self.magc_parent.initAdm(opts, function() {
+        var adm = self.magc_parent.madm_adm;
 
         adm.fetchDeployed(function(err) {
             if (err) {
                 fatal(err.message);
             }
 
-            func.call(adm, process.stdout, process.stderr, {
-                doall: opts.all,
-                svcname: 'garbage-collector',
-                fields: common.GC_METADATA_FIELDS
-            });
+            if (opts.json) {
+                adm.dumpDeployedInstanceMetadataJson(
+                    process.stdout,
+                    process.stderr,
+                    {
+                        doall: opts.all,
+                        svcname: 'garbage-collector',
+                        fields: common.GC_METADATA_FIELDS
+                    }
+                );
+            } else {
+                adm.dumpGcShards({
+                    stream: process.stdout,
+                    warnStream: process.stderr,
+                    doall: opts.all,
+                    columns: selected,
+                    omitHeader: opts.omit_header
+                });
+            }
+
             self.magc_parent.finiAdm();
             callback();
         });
@@ -347,11 +603,15 @@ MantaAdmGc.prototype.do_show = function do_show(_subcmd, opts, args, callback) {
 };
 
 MantaAdmGc.prototype.do_show.help =
-    'Output a JSON object mapping of metadata shards to ' +
-    'garbage-collectors.\n\n' +
+    'Show the mapping of metadata shards to garbage-collectors.\n\n' +
     'Usage:\n\n' +
-    '    manta-adm gc show\n\n' +
-    '{{options}}';
+    '    manta-adm gc show [-a] [-H] [-o COLUMN...]\n' +
+    '    manta-adm gc show [-a] -j\n\n' +
+    'Warnings are printed for index shards that are not assigned to any\n' +
+    'garbage-collector or are assigned to more than one.\n\n' +
+    '{{options}}\n' +
+    'Available columns for -o:\n    ' +
+    madm.gcShardColumnNames().join(', ');
 
 MantaAdmGc.prototype.do_show.options = [
     {
@@ -361,6 +621,8 @@ MantaAdmGc.prototype.do_show.options = [
             'Show results from all datacenters, rather than just ' +
             'the local one'
     },
+    maCommonOptions.omitHeader,
+    maCommonOptions.columns,
     {
         names: ['json', 'j'],
         type: 'bool',
@@ -409,7 +671,16 @@ MantaAdmGc.prototype.do_update = function do_update(
                 function readConfig(_, stepcb) {
                     adm.readInstanceMetadataConfigFromFile(filename, stepcb);
                 },
+                function checkConfig(_, stepcb) {
+                    stepcb(adm.gcCheckUpdates());
+                },
                 function execUpdate(_, stepcb) {
+                    if (opts.dryrun) {
+                        adm.dumpGcUpdates(process.stdout);
+                        stepcb();
+                        return;
+                    }
+
                     adm.updateDeployedInstanceMetadata(
                         {
                             svcname: 'garbage-collector'
@@ -433,9 +704,67 @@ MantaAdmGc.prototype.do_update.help =
     'Update the mapping of index shards to garbage-collectors.\n\n' +
     'Usage:\n\n' +
     '    manta-adm gc update [OPTIONS] CONFIG-FILE\n\n' +
+    'The resulting mapping must assign each index shard to exactly one\n' +
+    'garbage-collector in this datacenter.\n\n' +
+    '{{options}}';
+
+MantaAdmGc.prototype.do_update.options = [
+    {
+        names: ['dryrun', 'n'],
+        type: 'bool',
+        help: 'Print what would be changed without changing anything.'
+    }
+];
+
+MantaAdmGc.prototype.do_rebalance = function do_rebalance(
+    _subcmd,
+    opts,
+    args,
+    callback
+) {
+    var self = this;
+
+    if (args.length > 0) {
+        callback(new Error('unexpected arguments'));
+        return;
+    }
+
+    self.magc_parent.initAdm(opts, function() {
+        var adm = self.magc_parent.madm_adm;
+
+        adm.fetchDeployed(function(err) {
+            var result;
+
+            if (err) {
+                fatal(err.message);
+            }
+
+            result = adm.gcRebalance();
+            if (result instanceof Error) {
+                fatal(result.message);
+            }
+
+            console.log(JSON.stringify(result.mapping, null, '    '));
+            console.error(
+                'shards moved: %d (apply with "manta-adm gc update")',
+                result.nmoved
+            );
+            self.magc_parent.finiAdm();
+            callback();
+        });
+    });
+};
+
+MantaAdmGc.prototype.do_rebalance.help =
+    'Generate an even assignment of index shards to garbage-collectors\n' +
+    'that moves as few shards as possible from their current\n' +
+    'garbage-collector.\n\n' +
+    'Usage:\n\n' +
+    '    manta-adm gc rebalance > CONFIG-FILE\n' +
+    '    manta-adm gc update CONFIG-FILE\n\n' +
     '{{options}}';
 
-MantaAdmGc.prototype.do_update.options = [];
+MantaAdmGc.prototype.do_rebalance.options = [];
 
 MantaAdmGc.prototype.do_gen_shard_assignment = function do_gen_shard_assignment(
     _subcmd,
@@ -487,7 +816,22 @@ MantaAdmGc.prototype.do_genconfig = function do_genconfig(
     var imageuuid;
     var self;
 
-    if (args.length !== 2) {
+    if (opts.shards_per_collector !== undefined) {
+        if (args.length !== 1) {
+            callback(
+                new Error(
+                    'expected IMAGE_UUID only when ' +
+                        '--shards-per-collector is specified'
+                )
+            );
+            return;
+        }
+
+        if (!(opts.shards_per_collector > 0)) {
+            callback(new Error('--shards-per-collector must be positive'));
+            return;
+        }
+    } else if (args.length !== 2) {
         callback(new Error('missing arguments: IMAGE_UUID NCOLLECTORS'));
         return;
     }
@@ -495,15 +839,17 @@ MantaAdmGc.prototype.do_genconfig = function do_genconfig(
     self = this;
     imageuuid = args[0];
 
-    num_collectors = jsprim.parseInteger(args[1], {base: 10});
-    if (num_collectors instanceof Error) {
-        callback(
-            new VError(
-                num_collectors,
-                'unable to generate garbage-collector deployment config'
-            )
-        );
-        return;
+    if (args.length > 1) {
+        num_collectors = jsprim.parseInteger(args[1], {base: 10});
+        if (num_collectors instanceof Error) {
+            callback(
+                new VError(
+                    num_collectors,
+                    'unable to generate garbage-collector deployment config'
+                )
+            );
+            return;
+        }
     }
 
     max_cns = opts.max_cns;
@@ -516,11 +862,26 @@ MantaAdmGc.prototype.do_genconfig = function do_genconfig(
         var func = adm.layerServiceOnDeployedConfig;
 
         adm.fetchDeployed(function(err) {
+            var placement, needed;
+
             if (err) {
                 fatal(err.message);
             }
 
-            func.call(adm, {
+            if (num_collectors === undefined) {
+                needed = adm.gcCollectorsForRatio(opts.shards_per_collector);
+                num_collectors = needed.nneeded;
+                console.error(
+                    '%d shards at %s shards per collector need %d ' +
+                        'garbage-collectors (%d deployed)',
+                    needed.nshards,
+                    opts.shards_per_collector,
+                    Math.ceil(needed.nshards / opts.shards_per_collector),
+                    needed.nexisting
+                );
+            }
+
+            placement = func.call(adm, {
                 avoid_svcs: avoid_svcs,
                 image_uuid: imageuuid,
                 max_cns: max_cns,
@@ -530,6 +891,15 @@ MantaAdmGc.prototype.do_genconfig = function do_genconfig(
                 svcname: 'garbage-collector'
             });
 
+            if (placement !== null) {
+                adm.dumpGcPlacement({
+                    stream: process.stderr,
+                    placement: placement,
+                    avoid_svcs: avoid_svcs,
+                    max_cns: max_cns
+                });
+            }
+
             self.magc_parent.finiAdm();
             callback();
         });
@@ -539,7 +909,10 @@ MantaAdmGc.prototype.do_genconfig = function do_genconfig(
 MantaAdmGc.prototype.do_genconfig.help =
     'Layer a number of garbage-collector instances on top of an existing ' +
     'Manta deployment.\n\n' +
-    '    manta-adm gc genconfig [OPTIONS] IMAGE_UUID NCOLLECTORS\n\n' +
+    '    manta-adm gc genconfig [OPTIONS] IMAGE_UUID NCOLLECTORS\n' +
+    '    manta-adm gc genconfig [OPTIONS] -r RATIO IMAGE_UUID\n\n' +
+    'The layout is printed to stdout and a summary of how the new\n' +
+    'instances were placed is printed to stderr.\n\n' +
     '{{options}}';
 
 MantaAdmGc.prototype.do_genconfig.options = [
@@ -568,6 +941,15 @@ MantaAdmGc.prototype.do_genconfig.options = [
         help:
             'Ignore service co-location constraints, which may not be ' +
             'satisfiable in all deployments.'
+    },
+    {
+        names: ['shards-per-collector', 'r'],
+        type: 'number',
+        helpArg: 'RATIO',
+        help:
+            'Instead of a fixed NCOLLECTORS, add as many collectors as ' +
+            'needed so that each is assigned at most RATIO index and ' +
+            'buckets shards.'
     }
 ];
 
@@ -590,6 +972,18 @@ MantaAdm.prototype.do_genconfig = function(subcmd, opts, args, callback) {
     } else if (opts.directory) {
         callback(new Error('--directory can only be used with --from-file'));
         return;
+    } else if (opts.incremental || opts.analyze) {
+        callback(
+            new Error(
+                '--incremental and --analyze can only be used with --from-file'
+            )
+        );
+        return;
+    }
+
+    if (opts.min_instances !== undefined && !opts.analyze) {
+        callback(new Error('--min-instances can only be used with --analyze'));
+        return;
     }
 
     this.initAdm(opts, function() {
@@ -623,6 +1017,9 @@ MantaAdm.prototype.do_genconfig = function(subcmd, opts, args, callback) {
                 genOpts['outstream'] = process.stdout;
             }
             genOpts['errstream'] = process.stderr;
+            genOpts['incremental'] = opts.incremental === true;
+            genOpts['analyze'] = opts.analyze === true;
+            genOpts['minInstances'] = opts.min_instances;
         }
 
         adm.fetchDeployed(function(err) {
@@ -655,6 +1052,10 @@ MantaAdm.prototype.do_genconfig.help = [
     '    manta-adm genconfig coal           # single-server minimal Manta',
     '    manta-adm genconfig [OPTIONS] lab  # few-server small Manta',
     '    manta-adm genconfig [-d DIR] --from-file=FILE  # larger Manta',
+    '    manta-adm genconfig [-d DIR] --incremental --from-file=FILE',
+    '                       # add servers to a deployed Manta',
+    '    manta-adm genconfig --analyze [--min-instances N] --from-file=FILE',
+    '                       # also report the impact of failures',
     '',
     '{{options}}'
 ].join('\n');
@@ -713,17 +1114,178 @@ MantaAdm.prototype.do_genconfig.options = [
         type: 'string',
         helpArg: 'DIR',
         help: 'Output directory for generated configs'
-    }
+    },
+    {
+        names: ['incremental'],
+        type: 'bool',
+        help:
+            'Keep deployed instances where they are and place new ' +
+            'instances only on servers that have none'
+    },
+    {
+        names: ['analyze'],
+        type: 'bool',
+        help:
+            'Report what would be lost if each datacenter, rack, or ' +
+            'server failed'
+    },
+    maCommonOptions.minInstances
 ];
 
 /*
- * manta-adm show: shows information about deployed services
+ * manta-adm rollback: undoes the completed steps of the most recent update
  */
-MantaAdm.prototype.do_show = function(_subcmd, opts, args, callback) {
-    var self = this;
-    var selected, filter;
+MantaAdm.prototype.do_rollback = function(_subcmd, opts, args, callback) {
+    var err;
 
-    if ((opts.bycn || opts.all) && opts.summary) {
+    if (args.length > 0) {
+        callback(new Error('unexpected arguments'));
+        return;
+    }
+
+    err = checkUpdateOptions(opts);
+    if (err !== null) {
+        callback(err);
+        return;
+    }
+
+    this.runPlan(
+        opts,
+        {
+            service: undefined,
+            checkpoint: true,
+            prepare: function(_adm, stepcb) {
+                stepcb();
+            },
+            generate: function(adm, stepcb) {
+                adm.generateRollbackPlan({filename: opts.state_file}, function(
+                    gerr,
+                    info
+                ) {
+                    if (gerr) {
+                        stepcb(gerr);
+                        return;
+                    }
+
+                    /* Keep stdout parseable with -j. */
+                    (opts.json ? console.error : console.log)(
+                        'rolling back plan from "%s" (started %s%s): ' +
+                            'undoing %d completed %s',
+                        opts.state_file,
+                        info.created,
+                        info.service ? ', service "' + info.service + '"' : '',
+                        info.ndone,
+                        info.ndone === 1 ? 'action' : 'actions'
+                    );
+                    stepcb();
+                });
+            }
+        },
+        callback
+    );
+};
+
+MantaAdm.prototype.do_rollback.help =
+    'Undo the most recent update.\n\n' +
+    'Usage:\n\n' +
+    '    manta-adm rollback [OPTIONS]\n\n' +
+    'Generates and executes a plan that reverses each completed step of the\n' +
+    'update recorded in the state file: reprovisioned instances are\n' +
+    'reprovisioned back to their previous images, new instances are removed,\n' +
+    'and removed instances are replaced.  The rollback itself is recorded in\n' +
+    'the state file, so it can be resumed with "manta-adm update --resume",\n' +
+    'but it cannot itself be rolled back.\n\n' +
+    '{{options}}';
+
+MantaAdm.prototype.do_rollback.options = [
+    maCommonOptions.logFile,
+    maCommonOptions.dryrun,
+    maCommonOptions.diff,
+    maCommonOptions.planJson,
+    maCommonOptions.confirm,
+    maCommonOptions.channel,
+    maCommonOptions.skipVerifyChannel,
+    maCommonOptions.stateFile,
+    maCommonOptions.rolling,
+    maCommonOptions.batchSize,
+    maCommonOptions.healthCheck,
+    maCommonOptions.healthTimeout
+];
+
+/*
+ * manta-adm show: shows information about deployed services
+ */
+MantaAdm.prototype.do_show = function(_subcmd, opts, args, callback) {
+    var self = this;
+    var selected, filter, region;
+
+    if (opts.drift) {
+        if (
+            opts.all ||
+            opts.bycn ||
+            opts.summary ||
+            opts.analyze ||
+            opts.columns ||
+            opts.omit_header ||
+            opts.min_instances !== undefined ||
+            opts.watch !== undefined ||
+            args.length > 0
+        ) {
+            callback(
+                new Error(
+                    '--drift cannot be used with options other than -j ' +
+                        'or with SERVICE'
+                )
+            );
+            return;
+        }
+
+        this.initAdm(opts, function() {
+            var adm = self.madm_adm;
+
+            adm.fetchDeployed(function(err) {
+                var ndrift;
+
+                if (err) {
+                    fatal(err.message);
+                }
+
+                ndrift = adm.dumpDrift(process.stdout, {
+                    json: opts.json === true
+                });
+                if (ndrift > 0) {
+                    process.exit(1);
+                }
+                self.finiAdm();
+                callback();
+            });
+        });
+        return;
+    }
+
+    if (opts.watch !== undefined) {
+        if (opts.json || opts.analyze || opts.min_instances !== undefined) {
+            callback(
+                new Error(
+                    '--watch cannot be used with -j, --analyze, or ' +
+                        '--min-instances'
+                )
+            );
+            return;
+        }
+
+        if ((opts.bycn || opts.all) && opts.summary) {
+            callback(new Error('-c and -a cannot be used with -s'));
+            return;
+        }
+    }
+
+    /*
+     * "-a -s -j" emits the configuration of all datacenters in the region, in
+     * the form accepted by "manta-adm update --region".
+     */
+    region = opts.all && opts.summary && opts.json && !opts.bycn;
+    if (!region && (opts.bycn || opts.all) && opts.summary) {
         callback(new Error('-c and -a cannot be used with -s'));
         return;
     }
@@ -750,27 +1312,79 @@ MantaAdm.prototype.do_show = function(_subcmd, opts, args, callback) {
         filter = args[0];
     }
 
+    if (opts.min_instances !== undefined && !opts.analyze) {
+        callback(new Error('--min-instances can only be used with --analyze'));
+        return;
+    }
+
+    if (opts.analyze) {
+        if (
+            opts.summary ||
+            opts.bycn ||
+            opts.json ||
+            opts.columns ||
+            opts.omit_header ||
+            filter !== undefined
+        ) {
+            callback(
+                new Error(
+                    '--analyze cannot be used with other options or SERVICE'
+                )
+            );
+            return;
+        }
+
+        this.initAdm(opts, function() {
+            var adm = self.madm_adm;
+
+            adm.fetchDeployed(function(err) {
+                if (err) {
+                    fatal(err.message);
+                }
+
+                adm.dumpFaultAnalysis(process.stdout, {
+                    min_instances:
+                        opts.min_instances !== undefined
+                            ? opts.min_instances
+                            : 1
+                });
+                self.finiAdm();
+                callback();
+            });
+        });
+        return;
+    }
+
+    if (region) {
+        if (filter !== undefined) {
+            callback(new Error('SERVICE cannot be used with -a -s -j'));
+            return;
+        }
+
+        this.showRegion(opts, callback);
+        return;
+    }
+
+    if (opts.watch !== undefined) {
+        this.showWatch(opts, {
+            doall: opts.all,
+            omitHeader: opts.omit_header,
+            filter: filter,
+            columns: opts.columns ? selected : null
+        });
+        return;
+    }
+
     this.initAdm(opts, function() {
-        var adm, func;
+        var adm;
         adm = self.madm_adm;
-        if (!opts.summary) {
-            if (opts.bycn) {
-                func = adm.dumpDeployedZonesByCn;
-            } else {
-                func = adm.dumpDeployedZonesByService;
-            }
-        } else if (opts.json) {
-            func = adm.dumpDeployedConfigByServiceJson;
-        } else {
-            func = adm.dumpDeployedConfigByService;
-        }
 
         adm.fetchDeployed(function(err) {
             if (err) {
                 fatal(err.message);
             }
 
-            func.call(adm, process.stdout, {
+            showFunc(adm, opts).call(adm, process.stdout, {
                 doall: opts.all,
                 omitHeader: opts.omit_header,
                 filter: filter,
@@ -781,6 +1395,187 @@ MantaAdm.prototype.do_show = function(_subcmd, opts, args, callback) {
     });
 };
 
+/*
+ * Returns the MantaAdm method that implements "manta-adm show" with options
+ * "opts" (other than --analyze, --drift, and the region-wide "-a -s -j").
+ */
+function showFunc(adm, opts) {
+    if (!opts.summary) {
+        return opts.bycn
+            ? adm.dumpDeployedZonesByCn
+            : adm.dumpDeployedZonesByService;
+    }
+
+    return opts.json
+        ? adm.dumpDeployedConfigByServiceJson
+        : adm.dumpDeployedConfigByService;
+}
+
+/*
+ * Implementation of "manta-adm show --watch": refetches the deployed state
+ * every "opts.watch" seconds until interrupted.  On a terminal, this redraws
+ * the usual output of "manta-adm show" with options "conf", followed by the
+ * zones added, removed, or changed image since the previous refresh.
+ * Otherwise, it prints only those changes, each as a timestamped line.  Errors
+ * fetching the deployed state are reported, and the next refresh tries again.
+ */
+MantaAdm.prototype.showWatch = function(opts, conf) {
+    var self = this;
+    var tty = process.stdout.isTTY === true;
+    var prev = null;
+
+    /*
+     * initAdm() sets up logging and the SDC clients used for the first
+     * refresh.  Each later refresh uses a new MantaAdm, since it can only load
+     * the deployed state once.
+     */
+    this.initAdm(opts, function() {
+        refresh(self.madm_adm);
+    });
+
+    function refresh(adm) {
+        adm.fetchDeployed(function(err) {
+            var now, snapshot, changes, first, nzones;
+
+            now = new Date().toISOString();
+            if (err) {
+                if (tty) {
+                    process.stdout.write(maClearScreen);
+                    console.log(
+                        'Every %ds: manta-adm show    %s\n',
+                        opts.watch,
+                        now
+                    );
+                }
+                console.error('%s error: %s', now, err.message);
+                next(adm);
+                return;
+            }
+
+            snapshot = adm.deployedSnapshot(conf);
+            first = prev === null;
+            changes = first ? [] : madm.diffDeployedSnapshots(prev, snapshot);
+            prev = snapshot;
+
+            if (tty) {
+                process.stdout.write(maClearScreen);
+                console.log(
+                    'Every %ds: manta-adm show    %s\n',
+                    opts.watch,
+                    now
+                );
+                showFunc(adm, opts).call(adm, process.stdout, conf);
+                console.log('\nCHANGES SINCE PREVIOUS REFRESH');
+                if (changes.length === 0) {
+                    console.log('none');
+                }
+                madm.printDeployedChanges(process.stdout, {
+                    changes: changes,
+                    color: true
+                });
+            } else if (first) {
+                nzones = Object.keys(snapshot).length;
+                console.log(
+                    '%s watching %d zone%s',
+                    now,
+                    nzones,
+                    nzones === 1 ? '' : 's'
+                );
+            } else {
+                madm.printDeployedChanges(process.stdout, {
+                    changes: changes,
+                    timestamp: now
+                });
+            }
+
+            next(adm);
+        });
+    }
+
+    function next(adm) {
+        setTimeout(function() {
+            var nextAdm = new madm.MantaAdm(self.madm_log);
+
+            adm.close();
+            nextAdm.loadSdcConfig(function(err) {
+                if (err) {
+                    fatal(err.message);
+                }
+
+                self.madm_adm = nextAdm;
+                refresh(nextAdm);
+            });
+        }, opts.watch * 1000);
+    }
+};
+
+/*
+ * Implementation of "manta-adm show -a -s -j": fetches the deployed state of
+ * each datacenter in the region and prints the configuration of each one,
+ * keyed by datacenter name.
+ */
+MantaAdm.prototype.showRegion = function(opts, callback) {
+    var self = this;
+
+    this.initAdm(opts, function() {
+        var adm = self.madm_adm;
+
+        adm.fetchDeployed(function(err) {
+            var dcnames;
+
+            if (err) {
+                fatal(err.message);
+            }
+
+            dcnames = adm.datacenterNames();
+            self.initRegionAdms(dcnames, function(ierr) {
+                if (ierr) {
+                    fatal(ierr.message);
+                }
+
+                vasync.forEachPipeline(
+                    {
+                        inputs: dcnames,
+                        func: function fetchDc(dc, subcb) {
+                            if (self.madm_region[dc] === adm) {
+                                subcb();
+                                return;
+                            }
+
+                            self.madm_region[dc].fetchDeployed(function(ferr) {
+                                if (ferr) {
+                                    ferr = new VError(
+                                        ferr,
+                                        'datacenter "%s"',
+                                        dc
+                                    );
+                                }
+                                subcb(ferr);
+                            });
+                        }
+                    },
+                    function(ferr) {
+                        var config = {};
+
+                        if (ferr) {
+                            fatal(ferr.message);
+                        }
+
+                        dcnames.forEach(function(dc) {
+                            config[dc] = self.madm_region[
+                                dc
+                            ].getDeployedConfigByServiceJson();
+                        });
+                        console.log(JSON.stringify(config, null, '    '));
+                        self.finiAdm();
+                        callback();
+                    }
+                );
+            });
+        });
+    });
+};
+
 MantaAdm.prototype.do_show.help =
     'Show information about deployed services.\n\n' +
     'Usage:\n\n' +
@@ -794,8 +1589,16 @@ MantaAdm.prototype.do_show.help =
     '    manta-adm show -s\n\n' +
     '    # list all Manta zones in all datacenters (no IP info available)\n' +
     '    manta-adm show -a\n\n' +
+    '    # summarize all datacenters for "manta-adm update --region"\n' +
+    '    manta-adm show -a -s -j\n\n' +
     '    # show only postgres zones in the current datacenter\n' +
     '    manta-adm show postgres\n\n' +
+    '    # report the impact of each datacenter, rack, or server failing\n' +
+    '    manta-adm show --analyze\n\n' +
+    '    # report inconsistencies between SAPI, VMAPI, and CNAPI\n' +
+    '    manta-adm show --drift\n\n' +
+    '    # watch zones come and go, refreshing every 10 seconds\n' +
+    '    manta-adm show --watch 10\n\n' +
     '{{options}}\n' +
     'Available columns for -o:\n    ' +
     madm.columnNames().join(', ');
@@ -824,6 +1627,30 @@ MantaAdm.prototype.do_show.options = [
         names: ['summary', 's'],
         type: 'bool',
         help: 'Show summary of deployed zones rather than each zone separately.'
+    },
+    {
+        names: ['analyze'],
+        type: 'bool',
+        help:
+            'Report what would be lost if each datacenter, rack, or ' +
+            'server failed'
+    },
+    maCommonOptions.minInstances,
+    {
+        names: ['watch'],
+        type: 'positiveInteger',
+        helpArg: 'SECONDS',
+        help:
+            'Refetch and redisplay every SECONDS seconds, highlighting ' +
+            'zones added, removed, or changed image since the previous ' +
+            'refresh'
+    },
+    {
+        names: ['drift'],
+        type: 'bool',
+        help:
+            'Report instances whose SAPI, VMAPI, and CNAPI state is ' +
+            'inconsistent, with suggested remediations'
     }
 ];
 
@@ -832,10 +1659,57 @@ MantaAdm.prototype.do_show.options = [
  * deployment specification
  */
 MantaAdm.prototype.do_update = function(_subcmd, opts, args, callback) {
-    var filename, service, nchanges, adm;
-    var self = this;
+    var filename, service, planargs;
+    var err;
 
-    if (args.length === 0) {
+    if (opts.resume && (opts.save_plan || opts.apply_plan)) {
+        callback(
+            new Error(
+                '--resume cannot be used with --save-plan or --apply-plan'
+            )
+        );
+        return;
+    }
+
+    if (
+        opts.region &&
+        (opts.resume || opts.save_plan || opts.apply_plan || opts.rolling)
+    ) {
+        callback(
+            new Error(
+                '--region cannot be used with --resume, --save-plan, ' +
+                    '--apply-plan, or --rolling'
+            )
+        );
+        return;
+    }
+
+    if (opts.apply_plan) {
+        if (opts.save_plan || opts.no_reprovision || opts.experimental) {
+            callback(
+                new Error(
+                    '--apply-plan cannot be used with --save-plan, ' +
+                        '--no-reprovision, or -X'
+                )
+            );
+            return;
+        }
+    }
+
+    /*
+     * Saving a plan is a dry run: the plan is executed later with
+     * --apply-plan.
+     */
+    if (opts.save_plan) {
+        opts.dryrun = true;
+    }
+
+    if (opts.resume || opts.apply_plan) {
+        if (args.length > 0) {
+            callback(new Error('unexpected arguments'));
+            return;
+        }
+    } else if (args.length === 0) {
         callback(new Error('expected filename for desired configuration'));
         return;
     }
@@ -845,13 +1719,10 @@ MantaAdm.prototype.do_update = function(_subcmd, opts, args, callback) {
         return;
     }
 
-    if (opts.channel && opts.skip_verify_channel) {
-        callback(
-            new Error(
-                '-C and --skip-verify-channel cannot be used ' +
-                    'at the same time'
-            )
-        );
+    err = checkUpdateOptions(opts);
+    if (err !== null) {
+        callback(err);
+        return;
     }
 
     filename = args[0];
@@ -859,6 +1730,169 @@ MantaAdm.prototype.do_update = function(_subcmd, opts, args, callback) {
         service = args[1];
     }
 
+    if (opts.region) {
+        this.runRegionPlan(opts, filename, service, callback);
+        return;
+    }
+
+    planargs = {
+        service: service,
+        checkpoint: !opts.resume,
+        prepare: function(adm, stepcb) {
+            if (opts.resume || opts.apply_plan) {
+                stepcb();
+                return;
+            }
+
+            adm.readConfigFromFile(filename, stepcb);
+        },
+        generate: function(adm, stepcb) {
+            if (opts.apply_plan) {
+                adm.planLoadSaved({filename: opts.apply_plan}, function(
+                    lerr,
+                    info
+                ) {
+                    if (lerr) {
+                        stepcb(lerr);
+                        return;
+                    }
+
+                    /* Checkpoint the plan as limited to the saved service. */
+                    planargs.service = info.service || undefined;
+
+                    /* Keep stdout parseable with -j. */
+                    (opts.json ? console.error : console.log)(
+                        'applying plan from "%s" (saved %s%s): %d %s',
+                        opts.apply_plan,
+                        info.created,
+                        info.service ? ', service "' + info.service + '"' : '',
+                        info.ntotal,
+                        info.ntotal === 1 ? 'action' : 'actions'
+                    );
+                    stepcb();
+                });
+                return;
+            }
+
+            if (opts.resume) {
+                adm.planStateLoad({filename: opts.state_file}, function(
+                    lerr,
+                    info
+                ) {
+                    if (lerr) {
+                        stepcb(lerr);
+                        return;
+                    }
+
+                    /* Keep stdout parseable with -j. */
+                    (opts.json ? console.error : console.log)(
+                        'resuming plan from "%s" (started %s%s): ' +
+                            '%d of %d actions already completed',
+                        opts.state_file,
+                        info.created,
+                        info.service ? ', service "' + info.service + '"' : '',
+                        info.ndone,
+                        info.ntotal
+                    );
+                    stepcb();
+                });
+                return;
+            }
+
+            adm.generatePlan(
+                {
+                    service: service,
+                    noreprovision: opts.no_reprovision,
+                    experimental: opts.experimental
+                },
+                stepcb
+            );
+        }
+    };
+
+    this.runPlan(opts, planargs, callback);
+};
+
+/*
+ * Determine the update channel against which images to be deployed by "adm"
+ * are verified, based on the -C and --skip-verify-channel options.
+ */
+function updateChannel(opts, adm, callback) {
+    if (opts.skip_verify_channel) {
+        setImmediate(callback);
+        return;
+    } else if (opts.channel) {
+        adm.ma_channel = opts.channel;
+        setImmediate(callback);
+        return;
+    }
+
+    adm.determineSdcChannel(callback);
+}
+
+/*
+ * Validates options common to "manta-adm update" and "manta-adm rollback".
+ * Returns an Error or null.  On success, "opts.batches" is filled in with the
+ * parsed --batch-size values.
+ */
+function checkUpdateOptions(opts) {
+    if (opts.channel && opts.skip_verify_channel) {
+        return new Error(
+            '-C and --skip-verify-channel cannot be used at the same time'
+        );
+    }
+
+    if ((opts.diff || opts.json) && !opts.dryrun) {
+        return new Error('--diff and -j require -n (--dry-run)');
+    }
+
+    if (opts.diff && opts.json) {
+        return new Error('--diff and -j cannot be used at the same time');
+    }
+
+    if (opts.rolling) {
+        opts.batches = parseBatchSizes(opts.batch_size || []);
+        if (opts.batches instanceof Error) {
+            return opts.batches;
+        }
+    } else if (
+        opts.batch_size ||
+        opts.health_check ||
+        opts.health_timeout !== undefined
+    ) {
+        return new Error(
+            '--batch-size, --health-check, and --health-timeout ' +
+                'require --rolling'
+        );
+    }
+
+    return null;
+}
+
+/*
+ * Common implementation of commands that generate and execute a plan to change
+ * the deployment ("manta-adm update" and "manta-adm rollback").  "args" has
+ * properties:
+ *
+ *     service		if the plan is limited to one service, the name of that
+ *			service
+ *
+ *     checkpoint	if true, record the plan's progress in the state file
+ *			as it executes, replacing whatever was there before
+ *
+ *     prepare		function invoked as prepare(adm, callback) before the
+ *			deployed state is fetched
+ *
+ *     generate		function invoked as generate(adm, callback) to generate
+ *			the plan after the deployed state has been fetched
+ *
+ * After the plan is generated, it's verified and printed, and then (unless
+ * this is a dry run or there's nothing to do) executed once the user confirms.
+ */
+MantaAdm.prototype.runPlan = function(opts, args, callback) {
+    var nchanges, adm, executing;
+    var self = this;
+
     vasync.pipeline(
         {
             funcs: [
@@ -868,32 +1902,42 @@ MantaAdm.prototype.do_update = function(_subcmd, opts, args, callback) {
                         stepcb();
                     });
                 },
-                function readConfig(_, stepcb) {
-                    adm.readConfigFromFile(filename, stepcb);
+                function configureRolling(_, stepcb) {
+                    var check, err;
+
+                    if (!opts.rolling) {
+                        stepcb();
+                        return;
+                    }
+
+                    check = health.parseHealthCheck(
+                        opts.health_check || 'smf',
+                        self.madm_log
+                    );
+                    if (check instanceof Error) {
+                        stepcb(check);
+                        return;
+                    }
+
+                    err = adm.setRollingUpdate({
+                        batchSize: opts.batches.batchSize,
+                        batchSizes: opts.batches.batchSizes,
+                        healthCheck: check,
+                        healthTimeout: (opts.health_timeout || 300) * 1000
+                    });
+                    stepcb(err);
+                },
+                function prepare(_, stepcb) {
+                    args.prepare(adm, stepcb);
                 },
                 function fetchDeployed(_, stepcb) {
                     adm.fetchDeployed(stepcb);
                 },
                 function determineDefaultChannel(_, stepcb) {
-                    if (opts.skip_verify_channel) {
-                        stepcb();
-                        return;
-                    } else if (opts.channel) {
-                        adm.ma_channel = opts.channel;
-                        stepcb();
-                        return;
-                    }
-                    adm.determineSdcChannel(stepcb);
+                    updateChannel(opts, adm, stepcb);
                 },
                 function generatePlan(_, stepcb) {
-                    adm.generatePlan(
-                        {
-                            service: service,
-                            noreprovision: opts.no_reprovision,
-                            experimental: opts.experimental
-                        },
-                        stepcb
-                    );
+                    args.generate(adm, stepcb);
                 },
                 function verifyPlan(_, stepcb) {
                     adm.verifyPlan(
@@ -904,6 +1948,18 @@ MantaAdm.prototype.do_update = function(_subcmd, opts, args, callback) {
                     );
                 },
                 function dumpPlan(_, stepcb) {
+                    if (opts.json) {
+                        nchanges = adm.dumpPlanJson(process.stdout);
+                        stepcb();
+                        return;
+                    }
+
+                    if (opts.diff) {
+                        nchanges = adm.dumpPlanDiff(process.stdout);
+                        stepcb();
+                        return;
+                    }
+
                     adm.execPlan(process.stdout, process.stderr, true, function(
                         err,
                         count
@@ -914,15 +1970,47 @@ MantaAdm.prototype.do_update = function(_subcmd, opts, args, callback) {
                         }
 
                         nchanges = count;
-                        if (count > 0 && opts.dryrun) {
+                        stepcb();
+                    });
+                },
+                function finishDryRun(_, stepcb) {
+                    if (!opts.dryrun) {
+                        stepcb();
+                        return;
+                    }
+
+                    if (!opts.save_plan) {
+                        if (nchanges > 0 && !opts.json) {
                             console.log(
                                 'To apply these changes, ' +
                                     'leave off -n (--dry-run).'
                             );
                         }
-
                         stepcb();
-                    });
+                        return;
+                    }
+
+                    adm.planSave(
+                        {
+                            filename: opts.save_plan,
+                            service: args.service
+                        },
+                        function(err) {
+                            if (err) {
+                                stepcb(err);
+                                return;
+                            }
+
+                            /* Keep stdout parseable with -j. */
+                            (opts.json ? console.error : console.log)(
+                                'Plan saved to "%s".  To apply it, run ' +
+                                    '"manta-adm update --apply-plan %s".',
+                                opts.save_plan,
+                                opts.save_plan
+                            );
+                            stepcb();
+                        }
+                    );
                 },
                 function uconfirm(_, stepcb) {
                     if (opts.dryrun || nchanges === 0 || opts.confirm) {
@@ -942,18 +2030,235 @@ MantaAdm.prototype.do_update = function(_subcmd, opts, args, callback) {
                         }
                     );
                 },
+                function checkpointPlan(_, stepcb) {
+                    if (opts.dryrun || nchanges === 0 || !args.checkpoint) {
+                        stepcb();
+                        return;
+                    }
+
+                    adm.planStateInit(
+                        {
+                            filename: opts.state_file,
+                            service: args.service
+                        },
+                        stepcb
+                    );
+                },
                 function execPlan(_, stepcb) {
                     if (opts.dryrun || nchanges === 0) {
                         stepcb();
                         return;
                     }
 
+                    executing = true;
                     adm.execPlan(process.stdout, process.stderr, false, stepcb);
                 }
             ]
         },
         function(err) {
             if (err) {
+                if (executing) {
+                    updateResumeHint(opts);
+                }
+                fatal(err.message);
+            }
+            self.finiAdm();
+            callback();
+        }
+    );
+};
+
+/*
+ * Implementation of "manta-adm update --region": generates a plan for each
+ * datacenter in the region-level configuration stored in "filename" (see
+ * madm.parseRegionConfig()), prints the combined plan, and then (unless this is
+ * a dry run or there's nothing to do) executes each datacenter's plan in turn
+ * once the user confirms.  If the plan for one datacenter fails, the plans for
+ * subsequent datacenters are not executed.  See madm.generateRegionPlans(),
+ * madm.dumpRegionPlans(), and madm.execRegionPlans().
+ */
+MantaAdm.prototype.runRegionPlan = function(opts, filename, service, callback) {
+    var self = this;
+    var config, dcnames, nchanges, counts, done;
+
+    counts = {};
+    done = [];
+    vasync.pipeline(
+        {
+            funcs: [
+                function readConfig(_, stepcb) {
+                    fs.readFile(filename, function(err, contents) {
+                        if (err) {
+                            stepcb(new VError(err, 'reading "%s"', filename));
+                            return;
+                        }
+
+                        config = madm.parseRegionConfig(
+                            contents.toString('utf8')
+                        );
+                        if (config instanceof Error) {
+                            stepcb(
+                                new VError(config, 'processing "%s"', filename)
+                            );
+                            return;
+                        }
+
+                        dcnames = Object.keys(config).sort();
+                        stepcb();
+                    });
+                },
+                function initAdm(_, stepcb) {
+                    self.initAdm(opts, function() {
+                        stepcb();
+                    });
+                },
+                function initRegionAdms(_, stepcb) {
+                    self.initRegionAdms(dcnames, stepcb);
+                },
+                function fetchDeployed(_, stepcb) {
+                    vasync.forEachPipeline(
+                        {
+                            inputs: dcnames,
+                            func: function fetchDc(dc, subcb) {
+                                fetchRegionDc(
+                                    opts,
+                                    self.madm_region[dc],
+                                    function(err) {
+                                        if (err) {
+                                            err = new VError(
+                                                err,
+                                                'datacenter "%s"',
+                                                dc
+                                            );
+                                        }
+                                        subcb(err);
+                                    }
+                                );
+                            }
+                        },
+                        function(err) {
+                            stepcb(err);
+                        }
+                    );
+                },
+                function generatePlans(_, stepcb) {
+                    madm.generateRegionPlans(
+                        {
+                            adms: self.madm_region,
+                            config: config,
+                            service: service,
+                            noreprovision: opts.no_reprovision,
+                            experimental: opts.experimental
+                        },
+                        stepcb
+                    );
+                },
+                function verifyPlans(_, stepcb) {
+                    vasync.forEachPipeline(
+                        {
+                            inputs: dcnames,
+                            func: function verifyDcPlan(dc, subcb) {
+                                self.madm_region[dc].verifyPlan(
+                                    {
+                                        skip_verify_channel:
+                                            opts.skip_verify_channel
+                                    },
+                                    function(err) {
+                                        if (err) {
+                                            err = new VError(
+                                                err,
+                                                'datacenter "%s"',
+                                                dc
+                                            );
+                                        }
+                                        subcb(err);
+                                    }
+                                );
+                            }
+                        },
+                        function(err) {
+                            stepcb(err);
+                        }
+                    );
+                },
+                function dumpPlans(_, stepcb) {
+                    madm.dumpRegionPlans(
+                        {
+                            adms: self.madm_region,
+                            stream: process.stdout,
+                            errstream: process.stderr,
+                            diff: opts.diff,
+                            json: opts.json
+                        },
+                        function(err, dccounts) {
+                            counts = dccounts;
+                            nchanges = 0;
+                            jsprim.forEachKey(counts, function(_dc, count) {
+                                nchanges += count;
+                            });
+
+                            if (
+                                !err &&
+                                !opts.json &&
+                                nchanges > 0 &&
+                                opts.dryrun
+                            ) {
+                                console.log(
+                                    'To apply these changes, ' +
+                                        'leave off -n (--dry-run).'
+                                );
+                            }
+                            stepcb(err);
+                        }
+                    );
+                },
+                function uconfirm(_, stepcb) {
+                    if (opts.dryrun || nchanges === 0 || opts.confirm) {
+                        stepcb();
+                        return;
+                    }
+
+                    common.confirm(
+                        'Are you sure you want to proceed? (y/N): ',
+                        function(proceed) {
+                            process.stdout.write('\n');
+                            if (!proceed) {
+                                stepcb(new Error('aborted by user'));
+                            } else {
+                                stepcb();
+                            }
+                        }
+                    );
+                },
+                function execPlans(_, stepcb) {
+                    if (opts.dryrun || nchanges === 0) {
+                        stepcb();
+                        return;
+                    }
+
+                    madm.execRegionPlans(
+                        {
+                            adms: self.madm_region,
+                            counts: counts,
+                            stream: process.stdout,
+                            errstream: process.stderr
+                        },
+                        function(err, dcsdone) {
+                            done = dcsdone;
+                            stepcb(err);
+                        }
+                    );
+                }
+            ]
+        },
+        function(err) {
+            if (err) {
+                if (done.length > 0) {
+                    console.error(
+                        'datacenters updated successfully: %s',
+                        done.join(', ')
+                    );
+                }
                 fatal(err.message);
             }
             self.finiAdm();
@@ -962,24 +2267,44 @@ MantaAdm.prototype.do_update = function(_subcmd, opts, args, callback) {
     );
 };
 
+/*
+ * Fetch the deployed state of one datacenter of a region-wide update and
+ * determine the image channel to verify its plan against.  "adm" is the
+ * MantaAdm for that datacenter.
+ */
+function fetchRegionDc(opts, adm, callback) {
+    adm.fetchDeployed(function(err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        updateChannel(opts, adm, callback);
+    });
+}
+
 MantaAdm.prototype.do_update.help =
     'Update deployment to match a JSON configuration.\n\n' +
     'Usage:\n\n' +
-    '    manta-adm update [OPTIONS] CONFIG-FILE [SERVICE]\n\n' +
+    '    manta-adm update [OPTIONS] CONFIG-FILE [SERVICE]\n' +
+    '    manta-adm update [OPTIONS] --region REGION-CONFIG-FILE [SERVICE]\n' +
+    '    manta-adm update [OPTIONS] --save-plan PLAN CONFIG-FILE [SERVICE]\n' +
+    '    manta-adm update [OPTIONS] --apply-plan PLAN\n' +
+    '    manta-adm update [OPTIONS] --resume\n\n' +
+    'Progress is recorded in a state file as the update executes.  If the\n' +
+    'update fails or is interrupted, use --resume to continue it without\n' +
+    'repeating actions that have already completed.\n\n' +
+    'To review a plan before executing it, save it with --save-plan and\n' +
+    'execute it later with --apply-plan.\n\n' +
     '{{options}}';
 
 MantaAdm.prototype.do_update.options = [
     maCommonOptions.logFile,
     maCommonOptions.dryrun,
+    maCommonOptions.diff,
+    maCommonOptions.planJson,
     maCommonOptions.confirm,
-    {
-        names: ['channel', 'C'],
-        type: 'string',
-        help:
-            'When provisioning an image, verify that the image ' +
-            'comes from this update channel. The default is to use the ' +
-            'update channel set for this datacenter.'
-    },
+    maCommonOptions.channel,
     {
         names: ['no-reprovision'],
         type: 'bool',
@@ -992,16 +2317,129 @@ MantaAdm.prototype.do_update.options = [
         type: 'bool',
         help: 'Allow deployment of experimental services'
     },
+    maCommonOptions.skipVerifyChannel,
     {
-        names: ['skip-verify-channel'],
+        names: ['resume'],
         type: 'bool',
         help:
-            'When provisioning an image, avoid verifying that this image ' +
-            'comes from the default update channel for this datacenter',
-        default: false
-    }
+            'Resume executing the plan recorded in the state file by a ' +
+            'previous update'
+    },
+    {
+        names: ['region'],
+        type: 'bool',
+        help:
+            'CONFIG-FILE describes every datacenter in the region: update ' +
+            'each datacenter in turn'
+    },
+    {
+        names: ['save-plan'],
+        type: 'string',
+        helpArg: 'FILE',
+        help: 'Save the plan to FILE for review instead of executing it'
+    },
+    {
+        names: ['apply-plan'],
+        type: 'string',
+        helpArg: 'FILE',
+        help:
+            'Execute the plan saved in FILE by --save-plan, provided the ' +
+            'deployment has not changed since'
+    },
+    maCommonOptions.stateFile,
+    maCommonOptions.rolling,
+    maCommonOptions.batchSize,
+    maCommonOptions.healthCheck,
+    maCommonOptions.healthTimeout
 ];
 
+/*
+ * Parses the values of --batch-size options, each of which is either "N"
+ * (setting the default batch size) or "SERVICE=N" (setting the batch size for
+ * one service).  Returns an Error or an object with "batchSize" and
+ * "batchSizes" properties suitable for MantaAdm.setRollingUpdate().
+ */
+function parseBatchSizes(specs) {
+    var rv = {batchSize: 1, batchSizes: {}};
+    var i, parts, n;
+
+    for (i = 0; i < specs.length; i++) {
+        parts = specs[i].split('=');
+        if (parts.length > 2) {
+            return new VError('invalid batch size: "%s"', specs[i]);
+        }
+
+        n = jsprim.parseInteger(parts[parts.length - 1], {allowSign: false});
+        if (n instanceof Error || n === 0) {
+            return new VError('invalid batch size: "%s"', specs[i]);
+        }
+
+        if (parts.length === 1) {
+            rv.batchSize = n;
+        } else {
+            rv.batchSizes[parts[0]] = n;
+        }
+    }
+
+    return rv;
+}
+
+/*
+ * Parses the "-p [RING_TYPE=]PORT" options of "manta-adm create-topology".
+ * Returns either an Error or an object mapping each ring type to its port.
+ */
+function parseRingPorts(specs) {
+    var rv = {};
+    var ringTypes = ['directory', 'buckets'];
+    var port = null;
+    var i, parts, n;
+
+    for (i = 0; i < specs.length; i++) {
+        parts = specs[i].split('=');
+        n = jsprim.parseInteger(parts[parts.length - 1], {allowSign: false});
+        if (
+            parts.length > 2 ||
+            (parts.length === 2 && ringTypes.indexOf(parts[0]) === -1) ||
+            n instanceof Error ||
+            n === 0 ||
+            n > 65535
+        ) {
+            return new VError('invalid port: "%s"', specs[i]);
+        }
+
+        if (parts.length === 1) {
+            port = n;
+        } else {
+            rv[parts[0]] = n;
+        }
+    }
+
+    if (port !== null) {
+        ringTypes.forEach(function(ringType) {
+            if (!rv.hasOwnProperty(ringType)) {
+                rv[ringType] = port;
+            }
+        });
+    }
+
+    return rv;
+}
+
+/*
+ * Called when executing an update plan fails to tell the operator how to pick
+ * up where it left off.
+ */
+function updateResumeHint(opts) {
+    console.error(
+        'Progress was recorded in "%s".  After addressing the problem, ' +
+            'use "manta-adm update --resume%s" to continue the update.',
+        opts.state_file,
+        opts.state_file === maUpdateStateFile
+            ? ''
+            : ' --state-file=' + opts.state_file
+    );
+}
+
 MantaAdm.prototype.do_zk = MantaAdmZk;
 
 function MantaAdmZk(parent) {
@@ -1032,6 +2470,16 @@ MantaAdmZk.prototype.do_list = function(_subcmd, opts, args, callback) {
         }
 
         options.columns = selected;
+
+        if (!opts.health && selected.some(madm.zkColumnNeedsHealth)) {
+            callback(
+                new Error(
+                    'columns "mode", "zxid", "outstanding", ' +
+                        '"latency", and "health" require --health'
+                )
+            );
+            return;
+        }
     }
 
     if (opts.omit_header) {
@@ -1041,11 +2489,26 @@ MantaAdmZk.prototype.do_list = function(_subcmd, opts, args, callback) {
     this.mn_parent.initAdm(opts, function() {
         var adm = self.mn_parent.madm_adm;
         adm.fetchDeployed(function(err) {
-            var problems;
-
             if (err) {
                 fatal(err.message);
             }
+
+            if (!opts.health) {
+                dumpAndExit();
+                return;
+            }
+
+            adm.fetchZkHealth({timeout: opts.timeout * 1000}, function(
+                zkhealth
+            ) {
+                options.health = zkhealth;
+                dumpAndExit();
+            });
+        });
+
+        function dumpAndExit() {
+            var problems;
+
             problems = adm.dumpZkServers(process.stdout, options);
             problems.critical.forEach(function(warn) {
                 console.error('error: %s', warn.message);
@@ -1053,12 +2516,20 @@ MantaAdmZk.prototype.do_list = function(_subcmd, opts, args, callback) {
             problems.fixable.forEach(function(warn) {
                 console.error('warning: %s', warn.message);
             });
+            problems.unhealthy.forEach(function(warn) {
+                console.error('warning: %s', warn.message);
+            });
 
-            if (problems.critical.length + problems.fixable.length > 0) {
+            if (
+                problems.critical.length +
+                    problems.fixable.length +
+                    problems.unhealthy.length >
+                0
+            ) {
                 process.exit(1);
             }
             self.mn_parent.finiAdm();
-        });
+        }
     });
 };
 
@@ -1071,9 +2542,14 @@ MantaAdmZk.prototype.do_list.help =
     '    manta-adm zk list\n\n' +
     '    # list only IPs of ZK servers\n' +
     '    manta-adm zk list --omit-header -o ip\n\n' +
+    '    # also contact each server to report its mode, zxid, and latency\n' +
+    '    manta-adm zk list --health\n\n' +
     '{{options}}\n' +
     'Available columns for -o:\n    ' +
-    madm.zkColumnNames().join(', ');
+    madm.zkColumnNames().join(', ') +
+    '\n\n' +
+    'The "mode", "zxid", "outstanding", "latency", and "health" columns ' +
+    'require\n--health.';
 
 /*
  * Note that the "manta-adm" commands that may modify the system use
@@ -1084,7 +2560,21 @@ MantaAdmZk.prototype.do_list.help =
 MantaAdmZk.prototype.do_list.options = [
     maCommonOptions.omitHeader,
     maCommonOptions.logFileDefaultNone,
-    maCommonOptions.columns
+    maCommonOptions.columns,
+    {
+        names: ['health'],
+        type: 'bool',
+        help:
+            'Contact each server to report its current state, and exit ' +
+            'non-zero if any server is down or lagging'
+    },
+    {
+        names: ['timeout'],
+        type: 'positiveInteger',
+        helpArg: 'SECONDS',
+        default: 5,
+        help: 'With --health, seconds to wait for each server (default: 5)'
+    }
 ];
 
 MantaAdmZk.prototype.do_fixup = function(_subcmd, opts, args, callback) {
@@ -1220,6 +2710,185 @@ MantaAdmZk.prototype.do_fixup.options = [
     maCommonOptions.logFile
 ];
 
+MantaAdmZk.prototype.do_add = function(_subcmd, opts, args, callback) {
+    if (args.length > 0) {
+        callback(new Error('unexpected arguments'));
+        return;
+    }
+
+    if (!opts.server) {
+        callback(new VError('argument is required: --server'));
+        return;
+    }
+
+    zkChange(this, opts, {action: 'add'}, callback);
+};
+
+MantaAdmZk.prototype.do_add.help = [
+    'Add a ZooKeeper server to the ensemble.',
+    '',
+    'This command provisions a new nameservice zone on the given server,',
+    'adds it to the ZK_SERVERS SAPI metadata (with the next unused ZK_ID),',
+    'and then restarts the existing ZooKeeper servers one at a time so that',
+    'they pick up the new configuration, checking after each step that the',
+    'ensemble has quorum.  The ensemble must not have any issues reported',
+    'by "manta-adm zk list", and all of its servers must be in this',
+    'datacenter.',
+    '',
+    'Usage:',
+    '',
+    '    manta-adm zk add [-n] [-y] [-i IMAGE] --server SERVER_UUID',
+    '',
+    '{{options}}'
+].join('\n');
+
+MantaAdmZk.prototype.do_replace = function(_subcmd, opts, args, callback) {
+    if (args.length !== 1) {
+        callback(new Error('expected one zonename'));
+        return;
+    }
+
+    zkChange(this, opts, {action: 'replace', oldZone: args[0]}, callback);
+};
+
+MantaAdmZk.prototype.do_replace.help = [
+    'Replace a ZooKeeper server.',
+    '',
+    'This command provisions a new nameservice zone (on the same server as',
+    'OLD_ZONE, unless --server is given) and adds it to the ensemble as',
+    '"manta-adm zk add" does.  It then removes OLD_ZONE, removes it from the',
+    'ZK_SERVERS SAPI metadata, and restarts the remaining ZooKeeper servers',
+    'one at a time, checking after each step that the ensemble has quorum.',
+    'OLD_ZONE may be the zonename or its first 8 characters, as shown by',
+    '"manta-adm zk list".  It need not be running, as long as the rest of',
+    'the ensemble has quorum.',
+    '',
+    'Usage:',
+    '',
+    '    manta-adm zk replace [-n] [-y] [-i IMAGE] [--server SERVER_UUID] ' +
+        'OLD_ZONE',
+    '',
+    '{{options}}'
+].join('\n');
+
+MantaAdmZk.prototype.do_add.options = MantaAdmZk.prototype.do_replace.options = [
+    maCommonOptions.confirm,
+    maCommonOptions.dryrun,
+    maCommonOptions.logFile,
+    {
+        names: ['server', 's'],
+        type: 'string',
+        helpArg: 'UUID',
+        help: 'Server on which to provision the new nameservice zone'
+    },
+    {
+        names: ['image', 'i'],
+        type: 'string',
+        helpArg: 'UUID',
+        help:
+            'Image for the new nameservice zone (default: the image used by ' +
+            'the existing ones)'
+    },
+    {
+        names: ['health-timeout'],
+        type: 'positiveInteger',
+        helpArg: 'SECONDS',
+        help:
+            'How long to wait for each ZooKeeper server to rejoin the ' +
+            'ensemble (default: 300)'
+    }
+];
+
+/*
+ * Implements "manta-adm zk add" and "manta-adm zk replace".  "change" contains
+ * the "action" and (for "replace") "oldZone" arguments to zkPlanChange().
+ */
+function zkChange(zkcmd, opts, change, callback) {
+    var adm, plan;
+
+    vasync.pipeline(
+        {
+            funcs: [
+                function initAdm(_, stepcb) {
+                    zkcmd.mn_parent.initAdm(opts, function() {
+                        adm = zkcmd.mn_parent.madm_adm;
+                        stepcb();
+                    });
+                },
+                function fetchDeployed(_, stepcb) {
+                    adm.fetchDeployed(stepcb);
+                },
+                function makePlan(_, stepcb) {
+                    plan = adm.zkPlanChange({
+                        action: change.action,
+                        oldZone: change.oldZone,
+                        serverUuid: opts.server,
+                        imageUuid: opts.image
+                    });
+                    if (plan instanceof Error) {
+                        stepcb(plan);
+                        return;
+                    }
+
+                    console.error('PLAN');
+                    adm.zkPrintPlan(process.stderr, plan);
+                    plan.warnings.forEach(function(w) {
+                        console.error('warning: %s', w.message);
+                    });
+
+                    if (opts.dryrun) {
+                        console.error('To proceed, leave off -n (--dry-run)');
+                    }
+                    stepcb();
+                },
+                function uconfirm(_, stepcb) {
+                    if (opts.dryrun || opts.confirm) {
+                        stepcb();
+                        return;
+                    }
+
+                    common.confirm(
+                        'Do you want to make these changes now? (y/N): ',
+                        function(proceed) {
+                            process.stdout.write('\n');
+                            if (!proceed) {
+                                stepcb(new Error('aborted by user'));
+                            } else {
+                                stepcb();
+                            }
+                        }
+                    );
+                },
+                function execute(_, stepcb) {
+                    if (opts.dryrun) {
+                        stepcb();
+                        return;
+                    }
+
+                    adm.zkExecChange(
+                        {
+                            plan: plan,
+                            stream: process.stderr,
+                            healthTimeout: (opts.health_timeout || 300) * 1000
+                        },
+                        stepcb
+                    );
+                }
+            ]
+        },
+        function(err) {
+            if (err) {
+                fatal(err.message);
+            }
+            if (!opts.dryrun) {
+                console.error('done');
+            }
+            zkcmd.mn_parent.finiAdm();
+            callback();
+        }
+    );
+}
+
 function MantaAdmAlarm(parent) {
     this.maa_parent = parent;
     cmdln.Cmdln.call(this, {
@@ -1369,12 +3038,176 @@ MantaAdmAlarm.prototype.do_details.help = [
     '',
     'Usage:',
     '',
-    '    manta-adm alarm details ALARMID...',
+    '    manta-adm alarm details ALARMID...',
+    '',
+    '{{options}}'
+].join('\n');
+
+MantaAdmAlarm.prototype.do_details.options = [maCommonOptions.configFile];
+
+MantaAdmAlarm.prototype.do_export = function(_subcmd, opts, args, callback) {
+    var parent;
+
+    if (args.length > 0) {
+        callback(new Error('unexpected arguments'));
+        return;
+    }
+
+    if (!opts.format) {
+        callback(new Error('argument is required: --format'));
+        return;
+    }
+
+    if (alarms.alarmExportFormats().indexOf(opts.format) === -1) {
+        callback(new VError('unsupported format: %s', opts.format));
+        return;
+    }
+
+    switch (opts.state) {
+        case 'all':
+        case 'closed':
+        case 'open':
+        case 'recent':
+            break;
+
+        default:
+            callback(new VError('unsupported state: %s', opts.state));
+            return;
+    }
+
+    if (opts.routing_key && opts.format !== 'pagerduty-events') {
+        callback(new Error('--routing-key requires --format=pagerduty-events'));
+        return;
+    }
+
+    /*
+     * The PagerDuty Events API rejects events that have no routing key, so
+     * don't bother sending them.
+     */
+    if (
+        opts.webhook &&
+        opts.format === 'pagerduty-events' &&
+        !opts.routing_key
+    ) {
+        callback(
+            new Error(
+                '--routing-key is required to send pagerduty-events ' +
+                    'to a webhook'
+            )
+        );
+        return;
+    }
+
+    parent = this.maa_parent;
+    this.initAdmAndFetchAlarms(
+        {
+            clioptions: opts,
+            sources: {
+                configBasic: true,
+                alarms: {
+                    state: opts.state
+                }
+            }
+        },
+        function() {
+            var payloads;
+
+            payloads = parent.madm_adm.alarmsExport({
+                format: opts.format,
+                routingKey: opts.routing_key
+            });
+
+            if (!opts.webhook) {
+                alarms.alarmExportPrint({
+                    stream: process.stdout,
+                    format: opts.format,
+                    payloads: payloads
+                });
+                parent.finiAdm();
+                callback();
+                return;
+            }
+
+            alarms.alarmExportPost(
+                {
+                    url: opts.webhook,
+                    format: opts.format,
+                    payloads: payloads,
+                    timeout: opts.timeout * 1000,
+                    log: parent.madm_log
+                },
+                function(err, nsent) {
+                    if (err) {
+                        console.error('error: %s', err.message);
+                        process.exit(1);
+                    }
+
+                    console.error(
+                        'exported %d alarm%s in %d request%s',
+                        payloads.length,
+                        payloads.length === 1 ? '' : 's',
+                        nsent,
+                        nsent === 1 ? '' : 's'
+                    );
+                    parent.finiAdm();
+                    callback();
+                }
+            );
+        }
+    );
+};
+
+MantaAdmAlarm.prototype.do_export.help = [
+    'Export alarms to an external incident management tool.',
+    '',
+    'Usage:',
+    '',
+    '    manta-adm alarm export --format=FORMAT OPTIONS',
+    '',
+    '{{options}}',
+    '',
+    'Supported formats:\n    ' + alarms.alarmExportFormats().join(', '),
     '',
-    '{{options}}'
+    'Without --webhook, the payloads are written to stdout exactly as they',
+    'would be sent.'
 ].join('\n');
 
-MantaAdmAlarm.prototype.do_details.options = [maCommonOptions.configFile];
+MantaAdmAlarm.prototype.do_export.options = [
+    maCommonOptions.configFile,
+    {
+        names: ['format'],
+        type: 'string',
+        helpArg: 'FORMAT',
+        help: 'Payload format (required)'
+    },
+    {
+        names: ['state'],
+        type: 'string',
+        help: 'Export only alarms in specified state',
+        default: 'open'
+    },
+    {
+        names: ['webhook'],
+        type: 'string',
+        helpArg: 'URL',
+        help: 'POST the payloads to this http or https URL'
+    },
+    {
+        names: ['routing-key'],
+        type: 'string',
+        helpArg: 'KEY',
+        help:
+            'PagerDuty integration key to include in each event ' +
+            '(required with --webhook)'
+    },
+    {
+        names: ['timeout'],
+        type: 'positiveInteger',
+        helpArg: 'SECONDS',
+        help: 'Seconds to wait for each webhook request',
+        default: 30
+    }
+];
 
 MantaAdmAlarm.prototype.do_faults = function(_subcmd, opts, args, callback) {
     this.doAlarmPrintSubcommand(opts, undefined, args, callback);
@@ -1482,6 +3315,7 @@ MantaAdmAlarm.prototype.do_list = function(_subcmd, opts, args, callback) {
         }
     };
 
+    options.correlate = opts.correlate === true;
     options.stream = process.stdout;
     this.initAdmAndFetchAlarms(
         {
@@ -1517,6 +3351,13 @@ MantaAdmAlarm.prototype.do_list.options = [
         type: 'string',
         help: 'List only alarms in specified state',
         default: 'open'
+    },
+    {
+        names: ['correlate'],
+        type: 'bool',
+        help:
+            'Collapse alarms that affect the same compute node or shard ' +
+            'into one row'
     }
 ];
 
@@ -1638,6 +3479,99 @@ MantaAdmAlarm.prototype.do_show.help = [
 
 MantaAdmAlarm.prototype.do_show.options = [maCommonOptions.configFile];
 
+MantaAdmAlarm.prototype.do_stats = function(_subcmd, opts, args, callback) {
+    var parent, since;
+
+    if (args.length > 0) {
+        callback(new Error('unexpected arguments'));
+        return;
+    }
+
+    since = common.parseDuration(opts.since);
+    if (since instanceof Error) {
+        callback(new VError(since, '--since'));
+        return;
+    }
+
+    since = new Date(Date.now() - since);
+    parent = this.maa_parent;
+    this.initAdmAndFetchAlarms(
+        {
+            clioptions: opts,
+            sources: {
+                configBasic: true,
+                alarms: {
+                    state: 'all'
+                }
+            }
+        },
+        function() {
+            var stats;
+
+            stats = parent.madm_adm.alarmsStats({
+                since: since,
+                flapThreshold: opts.flap_threshold
+            });
+
+            if (opts.json) {
+                console.log(JSON.stringify(stats, null, '    '));
+            } else {
+                alarms.alarmStatsPrint({
+                    stream: process.stdout,
+                    stats: stats,
+                    top: opts.top
+                });
+            }
+
+            parent.finiAdm();
+            callback();
+        }
+    );
+};
+
+MantaAdmAlarm.prototype.do_stats.help = [
+    'Summarize alarms opened recently.',
+    '',
+    'Usage:',
+    '',
+    '    manta-adm alarm stats OPTIONS',
+    '',
+    '{{options}}',
+    '',
+    'Durations are given as a number of days, hours, minutes, or seconds',
+    '(e.g., "30d" or "12h").'
+].join('\n');
+
+MantaAdmAlarm.prototype.do_stats.options = [
+    maCommonOptions.configFile,
+    {
+        names: ['since'],
+        type: 'string',
+        helpArg: 'DURATION',
+        help: 'Summarize alarms opened within this long ago',
+        default: '30d'
+    },
+    {
+        names: ['flap-threshold'],
+        type: 'positiveInteger',
+        helpArg: 'N',
+        help: 'Report probe groups that opened at least N alarms as flapping',
+        default: 3
+    },
+    {
+        names: ['top'],
+        type: 'positiveInteger',
+        helpArg: 'N',
+        help: 'Number of noisiest components to report',
+        default: 10
+    },
+    {
+        names: ['json', 'j'],
+        type: 'bool',
+        help: 'Print the statistics in JSON form'
+    }
+];
+
 function MantaAdmAlarmConfig(parent) {
     this.maac_parent = parent;
     this.maac_root = parent.maa_parent;
@@ -1937,6 +3871,26 @@ MantaAdmAlarmMaint.prototype.do_create = function(
         return;
     }
 
+    /*
+     * The --service, --shard, and --rack options describe a scope in terms
+     * of Manta components.  We resolve these into a list of machines after
+     * fetching the deployed components below.
+     */
+    if (opts.service || opts.shard || opts.rack) {
+        if (nscopes > 0) {
+            callback(
+                new VError(
+                    '--service, --shard, and --rack cannot be used with ' +
+                        '--probe, --probegroup, or --machine'
+                )
+            );
+            return;
+        }
+
+        nscopes++;
+        scopeProp = 'machines';
+    }
+
     /*
      * We cannot easily validate these identifiers against the set of
      * deployed probes, probe groups, or machines, but we can detect some
@@ -1964,17 +3918,54 @@ MantaAdmAlarmMaint.prototype.do_create = function(
     tnow = Date.now();
 
     /*
-     * The "--start" and "--end" options are required.
+     * With "--schedule", we create a recurring series of windows.  Each
+     * window's length is given by "--duration" rather than "--end", and the
+     * series is bounded by either "--count" or "--until".
+     */
+    if (opts.schedule) {
+        if (opts.end) {
+            callback(
+                new VError(
+                    '--end cannot be used with --schedule (use --duration)'
+                )
+            );
+            return;
+        }
+        if (!opts.duration) {
+            callback(new VError('argument is required: --duration'));
+            return;
+        }
+        if ((opts.count === undefined) === (opts.until === undefined)) {
+            callback(
+                new VError('exactly one of --count or --until is required')
+            );
+            return;
+        }
+    } else if (
+        opts.duration ||
+        opts.count !== undefined ||
+        opts.until !== undefined
+    ) {
+        callback(
+            new VError('--duration, --count, and --until require --schedule')
+        );
+        return;
+    }
+
+    /*
+     * The "--start" and "--end" options are required for a single window.
+     * For a series, "--start" is the earliest time that a window may start
+     * and defaults to now.
      *
      * "--start" may have the special value "now", in which case we'll
      * generate a start timestamp based on the current time.  That means we
      * have to parse it here and not rely on dashdash's "date" type.
      */
-    if (!opts.start) {
+    if (!opts.start && !opts.schedule) {
         callback(new VError('argument is required: --start'));
         return;
     }
-    if (opts.start === 'now') {
+    if (!opts.start || opts.start === 'now') {
         params['start'] = new Date(tnow);
     } else {
         var d = Date.parse(opts.start);
@@ -1988,11 +3979,10 @@ MantaAdmAlarmMaint.prototype.do_create = function(
         params['start'] = new Date(d);
     }
 
-    if (!opts.end) {
+    if (!opts.end && !opts.schedule) {
         callback(new VError('argument is required: --end'));
         return;
     }
-    params['end'] = opts.end;
 
     /*
      * --notes is required unless the user specifies the undocumented
@@ -2009,6 +3999,13 @@ MantaAdmAlarmMaint.prototype.do_create = function(
         params['notes'] = opts.notes;
     }
 
+    if (opts.schedule) {
+        this.createSeries(opts, params, callback);
+        return;
+    }
+
+    params['end'] = opts.end;
+
     /*
      * Validate the semantics of the time window.
      */
@@ -2057,6 +4054,7 @@ MantaAdmAlarmMaint.prototype.do_create = function(
         },
         function() {
             var adm = root.madm_adm;
+            maintResolveScope(adm, opts, params);
             adm.alarmsMaintWindowCreate(
                 {
                     windef: params
@@ -2075,15 +4073,180 @@ MantaAdmAlarmMaint.prototype.do_create = function(
     );
 };
 
+/*
+ * If the user scoped a new maintenance window using --service, --shard, or
+ * --rack, resolve that scope into the list of machines covered, store it into
+ * the window definition "windef", and report it.  If the scope is invalid or
+ * doesn't match any machines, this reports why and exits.
+ */
+function maintResolveScope(adm, opts, windef) {
+    var machines;
+
+    if (!opts.service && !opts.shard && !opts.rack) {
+        return;
+    }
+
+    machines = adm.alarmsMaintResolveScope({
+        services: opts.service,
+        shards: opts.shard,
+        racks: opts.rack
+    });
+    if (machines instanceof Error) {
+        VError.errorForEach(machines, function(e) {
+            console.error('error: %s', e.message);
+        });
+
+        process.exit(1);
+    }
+
+    windef['machines'] = machines;
+    console.log(
+        'window%s will affect %d machine%s:',
+        opts.schedule ? 's' : '',
+        machines.length,
+        machines.length === 1 ? '' : 's'
+    );
+    machines.forEach(function(m) {
+        console.log('    %s (%s)', m, adm.describeMachine(m));
+    });
+}
+
+/*
+ * Implements "manta-adm alarm maint create --schedule": expands the schedule
+ * into a series of windows and creates each of them.  "params" has the
+ * properties common to all of the windows (as validated by do_create()),
+ * including "start", the earliest time that any window may start.
+ */
+MantaAdmAlarmMaint.prototype.createSeries = function(opts, params, callback) {
+    var schedule, duration, windows, seriesId, windef, parent, root;
+
+    schedule = alarms.maintSeriesParseSchedule(opts.schedule);
+    if (schedule instanceof Error) {
+        callback(schedule);
+        return;
+    }
+
+    duration = common.parseDuration(opts.duration);
+    if (duration instanceof Error) {
+        callback(new VError(duration, '--duration'));
+        return;
+    }
+
+    windows = alarms.maintSeriesExpand({
+        schedule: schedule,
+        start: params['start'],
+        duration: duration,
+        count: opts.count,
+        until: opts.until,
+        max: maMaintSeriesMax
+    });
+    if (windows instanceof Error) {
+        callback(windows);
+        return;
+    }
+
+    if (windows[0].end.getTime() < Date.now()) {
+        callback(new VError('cannot create windows in the past'));
+        return;
+    }
+
+    seriesId = alarms.maintSeriesCreateId();
+    windef = jsprim.deepCopy(params);
+    delete windef['start'];
+    windef['notes'] = alarms.maintSeriesNotes(
+        seriesId,
+        schedule.schedule,
+        params['notes'] || null
+    );
+
+    console.log(
+        'creating series %s of %d maintenance window%s of duration %s:',
+        seriesId,
+        windows.length,
+        windows.length === 1 ? '' : 's',
+        common.fmtDuration(duration)
+    );
+    windows.forEach(function(w) {
+        console.log(
+            '    from %s to %s',
+            w.start.toISOString(),
+            w.end.toISOString()
+        );
+    });
+
+    if (duration > maMaintWindowLong) {
+        console.error(
+            'note: maintenance window exceeds expected maximum (%s)',
+            common.fmtDuration(maMaintWindowLong)
+        );
+    }
+
+    root = this.mam_root;
+    parent = this.mam_parent;
+    parent.initAdmAndFetchAlarms(
+        {
+            clioptions: opts,
+            sources: {}
+        },
+        function() {
+            var adm = root.madm_adm;
+            maintResolveScope(adm, opts, windef);
+            adm.alarmsMaintSeriesCreate(
+                {
+                    windef: windef,
+                    windows: windows
+                },
+                function(err, created) {
+                    created.forEach(function(maintwin) {
+                        console.log('window created: %d', maintwin.win_id);
+                    });
+
+                    if (err) {
+                        fatal(
+                            util.format(
+                                '%s (%d of %d windows created; remove ' +
+                                    'them with "delete --series %s")',
+                                err.message,
+                                created.length,
+                                windows.length,
+                                seriesId
+                            )
+                        );
+                    }
+
+                    console.log('series created: %s', seriesId);
+                    root.finiAdm();
+                    callback();
+                }
+            );
+        }
+    );
+};
+
 MantaAdmAlarmMaint.prototype.do_create.help = [
     'Create (schedule) a future maintenance window.',
     '',
     'Usage:',
     '',
     '    manta-adm alarm maint create OPTIONS',
+    '    manta-adm alarm maint create --schedule SCHEDULE OPTIONS',
+    '',
+    'The --start, --end, and --notes options are required.  With --schedule,',
+    'create a recurring series of windows instead: --end is replaced by',
+    '--duration, and either --count or --until is required.  SCHEDULE uses',
+    'the five fields of crontab(5), interpreted in UTC.  See the manual page',
+    'for details.',
+    '',
+    'The scope of the window may be given as specific probes, probe groups,',
+    'or machines, or in terms of Manta components using any combination of',
+    '--service, --shard, and --rack.  The latter are resolved to the list of',
+    'matching machines in this datacenter when the window is created.',
+    '',
+    'Example: create windows from 22:00 to 02:00 UTC on each of the next',
+    'eight Tuesdays:',
     '',
-    'The --start, --end, and --notes options are required.  See the manual',
-    'page for details.',
+    '    manta-adm alarm maint create --schedule "0 22 * * tue" \\',
+    '        --duration 4h --count 8 --notes "storage patching"',
     '',
     '{{options}}'
 ].join('\n');
@@ -2128,6 +4291,50 @@ MantaAdmAlarmMaint.prototype.do_create.options = [
         type: 'arrayOfString',
         helpArg: 'MACHINEID...',
         help: 'List of machines affected by window (default: all)'
+    },
+    {
+        names: ['service'],
+        type: 'arrayOfString',
+        helpArg: 'SERVICE...',
+        help: 'Limit scope to zones of these Manta services'
+    },
+    {
+        names: ['shard'],
+        type: 'arrayOfString',
+        helpArg: 'SHARD...',
+        help: 'Limit scope to zones in these shards'
+    },
+    {
+        names: ['rack'],
+        type: 'arrayOfString',
+        helpArg: 'RACK...',
+        help: 'Limit scope to compute nodes in these racks and their zones'
+    },
+    {
+        group: 'Recurring windows'
+    },
+    {
+        names: ['schedule'],
+        type: 'string',
+        helpArg: 'SCHEDULE',
+        help: 'Create a series of windows starting on this cron-like schedule'
+    },
+    {
+        names: ['duration'],
+        type: 'string',
+        helpArg: 'DURATION',
+        help: 'Length of each window in the series (e.g., "4h" or "90m")'
+    },
+    {
+        names: ['count'],
+        type: 'positiveInteger',
+        helpArg: 'N',
+        help: 'Number of windows in the series'
+    },
+    {
+        names: ['until'],
+        type: 'date',
+        help: 'Create windows in the series that start before this time'
     }
 ];
 
@@ -2140,7 +4347,9 @@ MantaAdmAlarmMaint.prototype.do_delete = function(
     var parent, root;
 
     if (args.length < 1) {
-        callback(new Error('expected WINID'));
+        callback(
+            new Error(opts.series ? 'expected SERIESID' : 'expected WINID')
+        );
         return;
     }
 
@@ -2149,13 +4358,26 @@ MantaAdmAlarmMaint.prototype.do_delete = function(
     parent.initAdmAndFetchAlarms(
         {
             clioptions: opts,
-            sources: {}
+            sources: opts.series ? {windows: true} : {}
         },
         function() {
             var adm = root.madm_adm;
+            var winIds = args;
+
+            if (opts.series) {
+                winIds = adm.alarmsMaintSeriesWindowIds(args);
+                if (winIds instanceof Error) {
+                    VError.errorForEach(winIds, function(e) {
+                        console.error('error: %s', e.message);
+                    });
+
+                    process.exit(1);
+                }
+            }
+
             adm.alarmsMaintWindowsDelete(
                 {
-                    winIds: args,
+                    winIds: winIds,
                     concurrency: opts.concurrency
                 },
                 function(err) {
@@ -2181,13 +4403,21 @@ MantaAdmAlarmMaint.prototype.do_delete.help = [
     'Usage:',
     '',
     '    manta-adm alarm maint delete WINID...',
+    '    manta-adm alarm maint delete --series SERIESID...',
+    '',
+    'With --series, delete all windows in each of the given series.',
     '',
     '{{options}}'
 ].join('\n');
 
 MantaAdmAlarmMaint.prototype.do_delete.options = [
     maCommonOptions.concurrency,
-    maCommonOptions.configFile
+    maCommonOptions.configFile,
+    {
+        names: ['series'],
+        type: 'bool',
+        help: 'Arguments identify series of windows rather than windows'
+    }
 ];
 
 MantaAdmAlarmMaint.prototype.do_list = function cmdMaintList(
@@ -2491,16 +4721,13 @@ MantaAdm.prototype.do_create_topology = function(
     callback
 ) {
     var self = this;
+    var ringType, ports;
 
     if (args.length > 0) {
         callback(new Error('unexpected arguments'));
         return;
     }
-    if (!opts.t) {
-        callback(new VError('argument is required: -t'));
-        return;
-    }
-    if (opts.t !== 'directory' && opts.t !== 'buckets') {
+    if (opts.t && opts.t !== 'directory' && opts.t !== 'buckets') {
         callback(
             new VError(
                 'unsupported value for -t: %s. Valid ' +
@@ -2518,15 +4745,45 @@ MantaAdm.prototype.do_create_topology = function(
         callback(new VError('argument is required: -p'));
         return;
     }
+    ports = parseRingPorts(opts.p);
+    if (ports instanceof Error) {
+        callback(ports);
+        return;
+    }
     var force = opts.f === true;
 
+    if (opts.from_file) {
+        self.initAdm(opts, function initCb() {
+            self.madm_adm.createTopologiesFromFile(
+                {
+                    filename: opts.from_file,
+                    ringTypes: opts.t ? [opts.t] : undefined,
+                    ports: ports,
+                    vnodes: opts.v,
+                    force: force
+                },
+                function createdTopologies(err) {
+                    self.finiAdm();
+                    callback(err);
+                }
+            );
+        });
+        return;
+    }
+
+    ringType = opts.t || 'directory';
+    if (!ports.hasOwnProperty(ringType)) {
+        callback(new VError('no port specified for the "%s" ring', ringType));
+        return;
+    }
+
     self.initAdm(opts, function initCb() {
         var adm = self.madm_adm;
         adm.createTopology(
             {
-                buckets: opts.t === 'buckets',
+                buckets: ringType === 'buckets',
                 vnodes: opts.v,
-                port: opts.p,
+                port: ports[ringType],
                 force: force
             },
             function createdTopology(err) {
@@ -2546,12 +4803,19 @@ MantaAdm.prototype.do_create_topology.help = [
     '',
     'Usage:',
     '  manta-adm create-topology -t RING_TYPE -v VNODES -p PORT',
+    '  manta-adm create-topology --from-file FILE [-t RING_TYPE] -v VNODES',
+    '      -p [RING_TYPE=]PORT...',
     '',
     '{{options}}',
     'The ring is created and uploaded to imgapi. The resulting image UUID',
     'is persisted in SAPI on the Manta application as',
     'metadata.HASH_RING_IMAGE',
     '',
+    'With --from-file, a ring is created for each style of API declared in',
+    'the server configuration file used by "manta-adm genconfig --from-file"',
+    '(or only for RING_TYPE, if given), and the shards listed in SAPI',
+    'metadata must match the number of shards declared for that API.',
+    '',
     'WARNING: Run this command with care. Improper use such as generating ',
     'a bad ring or a different ring in production will result in the ',
     'corruption of Manta metadata.'
@@ -2562,10 +4826,16 @@ MantaAdm.prototype.do_create_topology.options = [
     {
         names: ['t'],
         type: 'string',
-        default: 'directory',
         helpArg: 'RING_TYPE',
         help:
-            'Type of ring to create. Valid values are "directory" and "buckets"'
+            'Type of ring to create. Valid values are "directory" (the ' +
+            'default) and "buckets"'
+    },
+    {
+        names: ['from-file'],
+        type: 'string',
+        helpArg: 'FILE',
+        help: 'Create the rings for the APIs declared in this server file'
     },
     {
         names: ['v'],
@@ -2575,9 +4845,11 @@ MantaAdm.prototype.do_create_topology.options = [
     },
     {
         names: ['p'],
-        type: 'integer',
-        helpArg: 'PORT',
-        help: 'Port of moray instances that electric-moray will connect to'
+        type: 'arrayOfString',
+        helpArg: '[RING_TYPE=]PORT',
+        help:
+            'Port of moray instances that electric-moray will connect to ' +
+            '(optionally only for rings of type RING_TYPE)'
     },
     {
         names: ['f'],
@@ -39,29 +39,56 @@ var fprintf = extsprintf.fprintf;
 var sprintf = extsprintf.sprintf;
 
 var alarms = require('./alarms');
+var capacity = require('./capacity');
 var common = require('../lib/common');
 var deploy = require('../lib/deploy');
+var faults = require('./faults');
 var layout = require('./layout');
 var svcs = require('./services');
+var health = require('./health');
 var instance_info = require('./instance_info');
+var zk = require('./zk');
 
 /* Public interface (used only inside this module) */
 exports.columnNames = columnNames;
 exports.alarmColumnNames = alarmColumnNames;
 exports.cnColumnNames = cnColumnNames;
+exports.cnParseSort = cnParseSort;
+exports.diffDeployedSnapshots = diffDeployedSnapshots;
+exports.printDeployedChanges = printDeployedChanges;
 exports.probeGroupColumnNames = probeGroupColumnNames;
 exports.maintWindowColumnNames = maintWindowColumnNames;
 exports.zkColumnNames = zkColumnNames;
+exports.zkColumnNeedsHealth = zkColumnNeedsHealth;
 exports.gcColumnNames = gcColumnNames;
+exports.gcShardColumnNames = gcShardColumnNames;
 exports.MantaAdm = maAdm;
+exports.parseRegionConfig = parseRegionConfig;
+exports.generateRegionPlans = generateRegionPlans;
+exports.dumpRegionPlans = dumpRegionPlans;
+exports.execRegionPlans = execRegionPlans;
 
 var maMaxConcurrency = 50; /* concurrent requests to SDC services */
 
+/*
+ * Version of the format used to checkpoint plan state.  See planStateInit().
+ */
+var maPlanStateVersion = 1;
+
 /*
  * ZooKeeper configuration property.  This can be overridden for testing.
  */
 var maZkConfigProp = process.env['ZK_SERVERS_PROPNAME'] || 'ZK_SERVERS';
 
+/*
+ * Command run inside a nameservice zone to pick up a new ZK_SERVERS value.
+ * Cycling config-agent regenerates the ZooKeeper configuration, and ZooKeeper
+ * only reads its configuration when it starts.
+ */
+var maZkRestartCommand =
+    'svcadm disable -s config-agent && svcadm enable -s config-agent && ' +
+    'svcadm restart zookeeper';
+
 /*
  * Path to default alarm metadata.
  */
@@ -192,6 +219,11 @@ var maAlarmColumns = {
     }
 };
 
+/*
+ * Knowledge article severities, from most to least severe.
+ */
+var maAlarmSeverities = ['critical', 'major', 'minor'];
+
 function alarmColumnNames() {
     return Object.keys(maAlarmColumns);
 }
@@ -248,6 +280,10 @@ var maMaintWindowColumns = {
         label: 'SCOPE',
         width: 11
     },
+    series: {
+        label: 'SERIES',
+        width: 8
+    },
     notes: {
         label: 'NOTES'
     }
@@ -290,6 +326,39 @@ var maCnColumns = {
     kind: {
         label: 'KIND',
         width: 7
+    },
+    ninstances: {
+        label: 'NINST',
+        align: 'right',
+        width: 5
+    },
+    instances: {
+        label: 'INSTANCES',
+        width: 40
+    },
+    free_ram: {
+        label: 'FREE RAM',
+        align: 'right',
+        width: 8
+    },
+    zpool_size: {
+        label: 'ZPOOL SIZE',
+        align: 'right',
+        width: 10
+    },
+    zpool_used: {
+        label: 'ZPOOL USED',
+        align: 'right',
+        width: 10
+    },
+    zpool_pct: {
+        label: 'ZPOOL%',
+        align: 'right',
+        width: 6
+    },
+    reboot_required: {
+        label: 'REBOOT',
+        width: 6
     }
 };
 
@@ -297,6 +366,34 @@ function cnColumnNames() {
     return Object.keys(maCnColumns);
 }
 
+/*
+ * Parses a "manta-adm cn" sort specification, which is a list of column names,
+ * each optionally prefixed with "-" to sort in descending order.  Returns an
+ * array of objects with "column" and "descending", or an Error.
+ */
+function cnParseSort(fields) {
+    var rv, i, field, descending;
+
+    assertplus.arrayOfString(fields, 'fields');
+
+    rv = [];
+    for (i = 0; i < fields.length; i++) {
+        field = fields[i].toLowerCase();
+        descending = field.charAt(0) === '-';
+        if (descending) {
+            field = field.substr(1);
+        }
+
+        if (!maCnColumns.hasOwnProperty(field)) {
+            return new VError('unknown sort column: "%s"', field);
+        }
+
+        rv.push({column: field, descending: descending});
+    }
+
+    return rv;
+}
+
 var maZkColumns = {
     ord: {
         label: '#',
@@ -322,9 +419,41 @@ var maZkColumns = {
         label: 'PORT',
         align: 'right',
         width: 5
+    },
+    mode: {
+        label: 'MODE',
+        width: 10,
+        health: true
+    },
+    zxid: {
+        label: 'ZXID',
+        width: 13,
+        health: true
+    },
+    outstanding: {
+        label: 'OUTSTANDING',
+        align: 'right',
+        width: 11,
+        health: true
+    },
+    latency: {
+        label: 'LATENCY',
+        width: 9,
+        health: true
+    },
+    health: {
+        label: 'HEALTH',
+        width: 11,
+        health: true
     }
 };
 
+/*
+ * Number of transactions a ZooKeeper follower may be behind the leader before
+ * "manta-adm zk list --health" reports it as lagging.
+ */
+var maZkMaxLag = 1000;
+
 function zkColumnNames() {
     return Object.keys(maZkColumns);
 }
@@ -344,6 +473,89 @@ function gcColumnNames() {
     return Object.keys(maGcColumns);
 }
 
+/*
+ * Columns for "manta-adm gc show".  See gcShardAssignments().
+ */
+var maGcShardColumns = {
+    zonename: {
+        label: 'ZONENAME',
+        width: 36
+    },
+    zoneabbr: {
+        label: 'ZONEABBR',
+        width: 8
+    },
+    datacenter: {
+        label: 'DATACENTER',
+        width: 10
+    },
+    gz_host: {
+        label: 'GZ HOST',
+        width: 16
+    },
+    server_uuid: {
+        label: 'SERVER_UUID',
+        width: 36
+    },
+    nindex: {
+        label: 'NINDEX',
+        align: 'right',
+        width: 6
+    },
+    index_shards: {
+        label: 'INDEX SHARDS',
+        width: 24
+    },
+    nbuckets: {
+        label: 'NBUCKETS',
+        align: 'right',
+        width: 8
+    },
+    buckets_shards: {
+        label: 'BUCKETS SHARDS',
+        width: 24
+    }
+};
+
+function gcShardColumnNames() {
+    return Object.keys(maGcShardColumns);
+}
+
+/*
+ * Columns for the placement summary printed by "manta-adm gc genconfig".  See
+ * dumpGcPlacement().
+ */
+var maGcPlacementColumns = {
+    gz_host: {
+        label: 'GZ HOST',
+        width: 16
+    },
+    server_uuid: {
+        label: 'SERVER_UUID',
+        width: 36
+    },
+    ninstances: {
+        label: 'NZONES',
+        align: 'right',
+        width: 6
+    },
+    avail_ram: {
+        label: 'AVAIL RAM',
+        align: 'right',
+        width: 9
+    },
+    ngc: {
+        label: 'NGC',
+        align: 'right',
+        width: 3
+    },
+    nnew: {
+        label: 'NEW',
+        align: 'right',
+        width: 3
+    }
+};
+
 /*
  * Library interface for manta-adm functionality.  This object provides methods
  * for discovering deployed Manta zones and updating the deployment to match a
@@ -393,6 +605,19 @@ function maAdm(log) {
     /* Configuration */
     this.ma_appname = 'manta';
 
+    /*
+     * Datacenter whose SDC services are used, or null for the local one.  See
+     * setDatacenter().
+     */
+    this.ma_datacenter = null;
+
+    /*
+     * Name of the datacenter whose SDC services are used, from the SDC
+     * configuration.  Unlike ma_datacenter, this is set (by loadSdcConfig())
+     * even when using the local datacenter.
+     */
+    this.ma_datacenter_name = null;
+
     /* Helper objects */
     this.ma_log = log; /* bunyan logger */
     this.ma_sdc = null; /* handles for SDC clients (e.g., CNAPI) */
@@ -533,6 +758,28 @@ function maAdm(log) {
     this.ma_instances_wanted = null;
     this.ma_deployer = null;
 
+    /*
+     * Checkpointed state of the plan being executed, the file where it's
+     * stored, and a queue used to serialize writes to that file.  See
+     * planStateInit().
+     */
+    this.ma_plan_state = null;
+    this.ma_plan_state_file = null;
+    this.ma_plan_state_queue = null;
+
+    /*
+     * If the current plan was generated by generateRollbackPlan(), the time
+     * when the plan being rolled back was created.  This is recorded in the
+     * plan state so that the rollback itself is never rolled back.
+     */
+    this.ma_plan_rollback_of = null;
+
+    /*
+     * Rolling update configuration, if the plan is to be executed as a
+     * rolling update.  See setRollingUpdate().
+     */
+    this.ma_rolling = null;
+
     /*
      * The summarized configuration is fundamentally a count of the number
      * of services deployed for each "configuration" of that service.  For
@@ -606,6 +853,17 @@ maAdm.prototype.doneOp = function(id) {
     }
 };
 
+/*
+ * Use the SDC services (SAPI, VMAPI, CNAPI, and so on) of datacenter "dcname"
+ * in the same region rather than those of the local datacenter.  This must be
+ * called before loadSdcConfig().  See common.sdcConfigForDatacenter().
+ */
+maAdm.prototype.setDatacenter = function(dcname) {
+    assertplus.string(dcname, 'dcname');
+    assert.ok(this.ma_sdc === null);
+    this.ma_datacenter = dcname;
+};
+
 /*
  * Initialize the SDC clients.
  */
@@ -615,7 +873,7 @@ maAdm.prototype.loadSdcConfig = function(callback) {
 
     assert.ok(this.ma_sdc === null);
     id = this.startOp('load sdc config');
-    sdc = {log: this.ma_log};
+    sdc = {log: this.ma_log, datacenter: this.ma_datacenter};
     this.ma_log.debug('initializing SDC clients');
     common.initSdcClients.call(sdc, function(err) {
         assert.ok(self.ma_sdc === null);
@@ -628,6 +886,7 @@ maAdm.prototype.loadSdcConfig = function(callback) {
 
         self.ma_log.debug('initialized SDC clients');
         self.ma_sdc = sdc;
+        self.ma_datacenter_name = sdc.config.datacenter_name;
         callback();
     });
 };
@@ -1381,10 +1640,14 @@ maAdm.prototype.alarmsShow = function(args) {
 /*
  * List open alarms.  This is a tabular summary of alarms, one alarm per line,
  * with selectable columns.  This may be used by people or by programs.
+ *
+ * If "correlate" is true, then alarms that appear to share a root cause (see
+ * alarmsCorrelate()) are collapsed into a single row describing the compute
+ * node or shard involved, followed by one row for each affected instance.
  */
 maAdm.prototype.alarmsList = function(args) {
     var self = this;
-    var rows;
+    var rows, alarmList, groupsByAlarm;
     var nnoprobegroup = 0;
     var nbadprobegroup = 0;
 
@@ -1392,6 +1655,7 @@ maAdm.prototype.alarmsList = function(args) {
     assertplus.object(args.stream, 'args.stream');
     assertplus.optionalArrayOfString(args.columns, 'args.columns');
     assertplus.bool(args.omitHeader, 'args.omitHeader');
+    assertplus.optionalBool(args.correlate, 'args.correlate');
 
     assertplus.notStrictEqual(
         this.ma_amon_deployed,
@@ -1403,6 +1667,23 @@ maAdm.prototype.alarmsList = function(args) {
         null,
         'must call alarmsInit() with "alarms" source first'
     );
+    groupsByAlarm = {};
+    if (args.correlate) {
+        alarmList = [];
+        this.ma_alarms.eachAlarm(function(_id, alarm) {
+            alarmList.push(alarm);
+        });
+        this.alarmsCorrelate(alarmList).forEach(function(group) {
+            group.alarms.forEach(function(id) {
+                groupsByAlarm[id] = group;
+            });
+        });
+    }
+
+    /*
+     * Each group of correlated alarms is listed where its lowest-numbered
+     * alarm would otherwise have been listed.
+     */
     rows = [];
     this.ma_alarms.eachAlarm(function(id, alarm) {
         var details;
@@ -1415,20 +1696,11 @@ maAdm.prototype.alarmsList = function(args) {
             nbadprobegroup++;
         }
 
-        rows.push({
-            ALARM: id,
-            DATE_OPENED: fmtDateOnly(alarm.a_time_opened),
-            TIME_OPENED: fmtListDateTime(alarm.a_time_opened),
-            DATE_CLOSED: fmtDateOnly(alarm.a_time_closed),
-            TIME_CLOSED: fmtListDateTime(alarm.a_time_closed),
-            DATE_LAST: fmtDateOnly(alarm.a_time_last),
-            TIME_LAST: fmtListDateTime(alarm.a_time_last),
-            NFLTS: alarm.a_faults.length,
-            NEVENTS: alarm.a_nevents,
-            NFY: alarm.a_suppressed ? 'no' : 'yes',
-            SEVERITY: details.ka ? details.ka.ka_severity : '-',
-            SUMMARY: details.summary
-        });
+        if (!groupsByAlarm.hasOwnProperty(id)) {
+            rows.push(alarmListRow(alarm, details));
+        } else if (groupsByAlarm[id].alarms[0] === id) {
+            rows = rows.concat(self.alarmCorrelatedRows(groupsByAlarm[id]));
+        }
     });
 
     this.doList({
@@ -1461,116 +1733,544 @@ maAdm.prototype.alarmsList = function(args) {
 };
 
 /*
- * Prints a tabular summary of configured probe groups.
+ * Returns the row for a single alarm in "manta-adm alarm list" output.
  */
-maAdm.prototype.alarmsProbeGroupsList = function(args) {
-    var self = this;
-    var nalarmsByGroup, rows;
-
-    assertplus.object(args, 'args');
-    assertplus.object(args.stream, 'args.stream');
-    assertplus.optionalArrayOfString(args.columns, 'args.columns');
-    assertplus.bool(args.omitHeader, 'args.omitHeader');
-    assertplus.notStrictEqual(
-        this.ma_amon_deployed,
-        null,
-        'must call alarmsInit() with "configBasic" source first'
-    );
-    assertplus.notStrictEqual(
-        this.ma_alarms,
-        null,
-        'must call alarmsInit() with "alarms" source first'
-    );
+function alarmListRow(alarm, details) {
+    return {
+        ALARM: alarm.a_id,
+        DATE_OPENED: fmtDateOnly(alarm.a_time_opened),
+        TIME_OPENED: fmtListDateTime(alarm.a_time_opened),
+        DATE_CLOSED: fmtDateOnly(alarm.a_time_closed),
+        TIME_CLOSED: fmtListDateTime(alarm.a_time_closed),
+        DATE_LAST: fmtDateOnly(alarm.a_time_last),
+        TIME_LAST: fmtListDateTime(alarm.a_time_last),
+        NFLTS: alarm.a_faults.length,
+        NEVENTS: alarm.a_nevents,
+        NFY: alarm.a_suppressed ? 'no' : 'yes',
+        SEVERITY: details.ka ? details.ka.ka_severity : '-',
+        SUMMARY: details.summary
+    };
+}
 
-    /*
-     * First, count the alarms for each probe group.
-     */
-    nalarmsByGroup = {};
-    this.ma_alarms.eachAlarm(function(_id, aa) {
-        if (aa.a_groupid === null) {
-            return;
+/*
+ * Returns the rows in "manta-adm alarm list --correlate" output for a group of
+ * correlated alarms returned by alarmsCorrelate().  The first row summarizes
+ * the group as a whole: it was opened when the first of its alarms was opened,
+ * it was last updated when the last of them was updated, its severity is the
+ * highest severity of any of them, and so on.  That's followed by one row for
+ * each affected instance, which only has a summary.
+ */
+maAdm.prototype.alarmCorrelatedRows = function(group) {
+    var self = this;
+    var first, last, nfaults, nevents, notify, severity, row, rows;
+
+    assertplus.object(group, 'group');
+    assertplus.arrayOfNumber(group.alarms, 'group.alarms');
+
+    first = null;
+    last = null;
+    nfaults = 0;
+    nevents = 0;
+    notify = false;
+    severity = null;
+    group.alarms.forEach(function(id) {
+        var alarm, details;
+
+        alarm = self.ma_alarms.alarmForId(id);
+        assertplus.ok(alarm !== null);
+        details = self.alarmDetails(alarm);
+        if (first === null || alarm.a_time_opened < first) {
+            first = alarm.a_time_opened;
         }
-
-        assertplus.string(aa.a_groupid);
-        if (!nalarmsByGroup.hasOwnProperty(aa.a_groupid)) {
-            nalarmsByGroup[aa.a_groupid] = 0;
+        if (last === null || alarm.a_time_last > last) {
+            last = alarm.a_time_last;
+        }
+        nfaults += alarm.a_faults.length;
+        nevents += alarm.a_nevents;
+        notify = notify || !alarm.a_suppressed;
+        if (
+            details.ka !== null &&
+            (severity === null ||
+                maAlarmSeverities.indexOf(details.ka.ka_severity) <
+                    maAlarmSeverities.indexOf(severity))
+        ) {
+            severity = details.ka.ka_severity;
         }
-
-        nalarmsByGroup[aa.a_groupid]++;
     });
 
-    /*
-     * Construct an output row for each probe group.
-     */
-    rows = [];
-    this.ma_amon_deployed.eachProbeGroup(function(pg) {
-        var row, nprobes, nalarms;
+    row = {
+        ALARM: '-',
+        DATE_OPENED: fmtDateOnly(first),
+        TIME_OPENED: fmtListDateTime(first),
+        DATE_CLOSED: '-',
+        TIME_CLOSED: '-',
+        DATE_LAST: fmtDateOnly(last),
+        TIME_LAST: fmtListDateTime(last),
+        NFLTS: nfaults,
+        NEVENTS: nevents,
+        NFY: notify ? 'yes' : 'no',
+        SEVERITY: severity !== null ? severity : '-',
+        SUMMARY: sprintf(
+            '%s: %d alarms (%s)',
+            group.description,
+            group.alarms.length,
+            group.alarms.join(', ')
+        )
+    };
 
-        nprobes = 0;
-        self.ma_amon_deployed.eachProbeGroupProbe(pg.pg_name, function() {
-            nprobes++;
+    rows = [row];
+    group.machines.forEach(function(m) {
+        var instrow = {};
+        Object.keys(row).forEach(function(k) {
+            instrow[k] = '';
         });
-
-        nalarms = nalarmsByGroup.hasOwnProperty(pg.pg_uuid)
-            ? nalarmsByGroup[pg.pg_uuid]
-            : 0;
-
-        row = {
-            NAME: pg.pg_name,
-            UUID: pg.pg_uuid,
-            CONTACTS: pg.pg_contacts.join(','),
-            NPROBES: nprobes,
-            NALARMS: nalarms,
-            ENAB: pg.pg_enabled ? 'yes' : 'no'
-        };
-
-        rows.push(row);
+        instrow.SUMMARY = sprintf(
+            '    %s%s (alarm%s %s)',
+            m.machine,
+            m.description !== null ? ': ' + m.description : '',
+            m.alarms.length === 1 ? '' : 's',
+            m.alarms.join(', ')
+        );
+        rows.push(instrow);
     });
 
-    this.doList({
-        stream: args.stream,
-        columnsSelected: args.columns,
-        columnsDefault: ['uuid', 'name'],
-        columnMetadata: maProbeGroupColumns,
-        rows: rows,
-        omitHeader: args.omitHeader
-    });
+    return rows;
 };
 
 /*
- * Close a list of alarms, each identified by id.  Invalid alarm ids are
- * operational errors here (resulting in warnings).
+ * Given a list of alarms, identifies groups of them that appear to share a root
+ * cause because all of their faults are on machines on the same compute node or
+ * in the same shard.  When a compute node fails, for example, Amon opens a
+ * separate alarm for each kind of failure reported by each zone on it.
+ *
+ * An alarm is only correlated with others if every one of its faults is on a
+ * machine that maps to the same compute node (i.e., the compute node itself or
+ * a zone on it) or the same shard (i.e., an instance of a sharded service).
+ * Since an alarm may map to both a compute node and a shard, we consider larger
+ * groups first, and compute nodes before shards when groups are the same size.
+ * Each alarm appears in at most one group, and each group has at least two
+ * alarms.  This can only be done after the deployed state has been loaded.
+ *
+ * Returns a list of groups, largest first, each with properties:
+ *
+ *     kind		"cn" or "shard"
+ *
+ *     api		for shards, the style of API that the shard belongs
+ *     			to ("directory" or "buckets"), since each style
+ *     			numbers its shards independently; null otherwise
+ *
+ *     name		compute node uuid or shard name
+ *
+ *     description	human-readable description of the compute node or
+ *     			shard
+ *
+ *     alarms		sorted list of alarm ids in the group
+ *
+ *     machines		list of the machines affected by alarms in the
+ *     			group, each with "machine" (uuid), "description"
+ *     			(see describeMachine()), and "alarms" (ids of the
+ *     			alarms in the group that have faults on it)
  */
-maAdm.prototype.alarmsClose = function(args, callback) {
-    assertplus.object(args, 'args');
-    assertplus.arrayOfString(args.alarmIds, 'args.alarmIds');
-    assertplus.number(args.concurrency, 'args.concurrency');
+maAdm.prototype.alarmsCorrelate = function(alarmList) {
+    var self = this;
+    var candidates, assigned, groups;
 
-    alarms.amonCloseAlarms(
-        {
-            amon: this.ma_sdc.AMON,
-            account: this.ma_app.owner_uuid,
-            alarmIds: args.alarmIds,
-            concurrency: args.concurrency
-        },
-        callback
-    );
-};
+    assertplus.arrayOfObject(alarmList, 'alarmList');
 
-/*
- * Enable or disable notifications for a list of alarms, each identified by id.
- * Invalid alarm ids are operational errors here (resulting in warnings).
- */
-maAdm.prototype.alarmsUpdateNotification = function(args, callback) {
-    assertplus.object(args, 'args');
-    assertplus.arrayOfString(args.alarmIds, 'args.alarmIds');
-    assertplus.number(args.concurrency, 'args.concurrency');
-    assertplus.bool(args.suppressed, 'args.suppressed');
+    candidates = {};
+    alarmList.forEach(function(alarm) {
+        var keys;
 
-    alarms.amonUpdateAlarmsNotification(
-        {
-            amonRaw: this.ma_sdc.AMON_RAW,
-            account: this.ma_app.owner_uuid,
+        if (alarm.a_faults.length === 0) {
+            return;
+        }
+
+        /*
+         * Find the compute node and shard keys shared by all of this
+         * alarm's faults.
+         */
+        keys = null;
+        alarm.a_faults.forEach(function(f) {
+            var fkeys = self.machineCorrelationKeys(f.aflt_machine);
+            keys =
+                keys === null
+                    ? fkeys
+                    : keys.filter(function(k) {
+                          return fkeys.indexOf(k) !== -1;
+                      });
+        });
+
+        keys.forEach(function(k) {
+            var cand;
+
+            if (!candidates.hasOwnProperty(k)) {
+                candidates[k] = {
+                    key: k,
+                    alarms: [],
+                    machines: {}
+                };
+            }
+
+            cand = candidates[k];
+            cand.alarms.push(alarm.a_id);
+            alarm.a_faults.forEach(function(f) {
+                var m = f.aflt_machine;
+                if (!cand.machines.hasOwnProperty(m)) {
+                    cand.machines[m] = [];
+                }
+                if (cand.machines[m].indexOf(alarm.a_id) === -1) {
+                    cand.machines[m].push(alarm.a_id);
+                }
+            });
+        });
+    });
+
+    assigned = {};
+    groups = [];
+    Object.keys(candidates)
+        .map(function(k) {
+            return candidates[k];
+        })
+        .sort(function(c1, c2) {
+            if (c1.alarms.length !== c2.alarms.length) {
+                return c2.alarms.length - c1.alarms.length;
+            }
+            return c1.key.localeCompare(c2.key);
+        })
+        .forEach(function(cand) {
+            var ids, kind, api, name, machines;
+
+            ids = cand.alarms.filter(function(id) {
+                return !assigned.hasOwnProperty(id);
+            });
+            if (ids.length < 2) {
+                return;
+            }
+
+            ids.forEach(function(id) {
+                assigned[id] = true;
+            });
+
+            machines = [];
+            Object.keys(cand.machines)
+                .sort()
+                .forEach(function(m) {
+                    var mids = cand.machines[m].filter(function(id) {
+                        return ids.indexOf(id) !== -1;
+                    });
+                    if (mids.length > 0) {
+                        machines.push({
+                            machine: m,
+                            description: self.describeMachine(m),
+                            alarms: mids.sort(function(a, b) {
+                                return a - b;
+                            })
+                        });
+                    }
+                });
+
+            kind = cand.key.substr(0, cand.key.indexOf(':'));
+            name = cand.key.substr(kind.length + 1);
+            api = null;
+            if (kind === 'shard') {
+                api = name.substr(0, name.indexOf(':'));
+                name = name.substr(api.length + 1);
+            }
+
+            groups.push({
+                kind: kind,
+                api: api,
+                name: name,
+                description:
+                    kind === 'cn'
+                        ? self.describeMachine(name)
+                        : api + ' shard ' + name,
+                alarms: ids.sort(function(a, b) {
+                    return a - b;
+                }),
+                machines: machines
+            });
+        });
+
+    return groups;
+};
+
+/*
+ * Returns the keys used by alarmsCorrelate() for the machine with the given
+ * uuid: "cn:UUID" for the compute node that it is (or is on) and
+ * "shard:API:NAME" for the shard that it's part of, where API is the style of
+ * API ("directory" or "buckets") whose shards are numbered by NAME.  Either may
+ * be absent.
+ */
+maAdm.prototype.machineCorrelationKeys = function(uuid) {
+    var instance, api, keys;
+
+    assertplus.string(uuid, 'uuid');
+
+    keys = [];
+    if (this.ma_instance_info === null) {
+        return keys;
+    }
+
+    if (this.ma_instance_info.hasOwnProperty(uuid)) {
+        instance = this.ma_instance_info[uuid];
+        if (
+            instance.inst_local &&
+            this.ma_gzinfo.hasOwnProperty(instance.inst_server_uuid)
+        ) {
+            keys.push('cn:' + instance.inst_server_uuid);
+        }
+        api = layout.layoutServiceApi(instance.inst_svcname);
+        if (
+            api !== null &&
+            svcs.serviceIsSharded(instance.inst_svcname) &&
+            instance.inst_metadata['SHARD']
+        ) {
+            keys.push('shard:' + api + ':' + instance.inst_metadata['SHARD']);
+        }
+    } else if (this.ma_gzinfo.hasOwnProperty(uuid)) {
+        keys.push('cn:' + uuid);
+    }
+
+    return keys;
+};
+
+/*
+ * Returns the payloads for exporting the fetched alarms to an external incident
+ * management tool.  Named arguments:
+ *
+ *     format (string)		one of the formats supported by
+ *     				alarms.alarmExportPayloads()
+ *
+ *     routingKey (string)	see alarms.alarmExportPayloads()
+ */
+maAdm.prototype.alarmsExport = function(args) {
+    assertplus.object(args, 'args');
+    assertplus.string(args.format, 'args.format');
+    assertplus.optionalString(args.routingKey, 'args.routingKey');
+
+    return alarms.alarmExportPayloads({
+        format: args.format,
+        records: this.alarmsRecords(),
+        routingKey: args.routingKey
+    });
+};
+
+/*
+ * Returns statistics about the fetched alarms that were opened at or after
+ * "since" (a Date).  See alarms.alarmStatsCompute() for details.
+ */
+maAdm.prototype.alarmsStats = function(args) {
+    assertplus.object(args, 'args');
+    assertplus.object(args.since, 'args.since');
+    assertplus.ok(args.since instanceof Date);
+    assertplus.optionalNumber(args.flapThreshold, 'args.flapThreshold');
+
+    return alarms.alarmStatsCompute({
+        records: this.alarmsRecords(),
+        since: args.since,
+        until: new Date(),
+        flapThreshold: args.flapThreshold
+    });
+};
+
+/*
+ * Assembles a record for each fetched alarm (see lib/alarms/export.js) from
+ * the alarm, its faults, and the knowledge article for its probe group.
+ */
+maAdm.prototype.alarmsRecords = function() {
+    var self = this;
+    var records;
+
+    assertplus.notStrictEqual(
+        this.ma_amon_deployed,
+        null,
+        'must call alarmsInit() with "configBasic" source first'
+    );
+    assertplus.notStrictEqual(
+        this.ma_alarms,
+        null,
+        'must call alarmsInit() with "alarms" source first'
+    );
+
+    records = [];
+    this.ma_alarms.eachAlarm(function(_id, alarm) {
+        var details, pgname, eventName, ka;
+
+        details = self.alarmDetails(alarm);
+        eventName = null;
+        if (alarm.a_groupid !== null) {
+            pgname = self.ma_amon_deployed.probeGroupNameForUuid(
+                alarm.a_groupid
+            );
+            if (pgname !== null) {
+                eventName = self.ma_alarm_metadata.probeGroupEventName(pgname);
+            }
+        }
+
+        ka = details.ka;
+        records.push({
+            alarm: alarm.a_id,
+            datacenter: self.ma_datacenter_name,
+            state: alarm.a_closed ? 'closed' : 'open',
+            severity: ka !== null ? ka.ka_severity : null,
+            summary: details.summary,
+            event: eventName,
+            probeGroup: alarm.a_groupid,
+            notifications: !alarm.a_suppressed,
+            maintenance: details.maintOnly,
+            timeOpened: alarm.a_time_opened.toISOString(),
+            timeLastEvent: alarm.a_time_last.toISOString(),
+            timeClosed:
+                alarm.a_time_closed !== null
+                    ? alarm.a_time_closed.toISOString()
+                    : null,
+            numEvents: alarm.a_nevents,
+            services: details.affects,
+            ka:
+                ka === null
+                    ? null
+                    : {
+                          title: ka.ka_title,
+                          description: ka.ka_description,
+                          severity: ka.ka_severity,
+                          response: ka.ka_response,
+                          impact: ka.ka_impact,
+                          action: ka.ka_action
+                      },
+            faults: alarm.a_faults.map(function(f) {
+                return {
+                    time: f.aflt_time.toISOString(),
+                    machine: f.aflt_machine,
+                    service: self.ma_instance_svcname.hasOwnProperty(
+                        f.aflt_agent
+                    )
+                        ? self.ma_instance_svcname[f.aflt_agent]
+                        : null,
+                    cn: self.machineHostname(f.aflt_machine),
+                    probe: f.aflt_probeid,
+                    agentAlias: f.aflt_agent_alias,
+                    maintenance: f.aflt_ismaint,
+                    message: f.aflt_summary
+                };
+            })
+        });
+    });
+
+    return records;
+};
+
+/*
+ * Prints a tabular summary of configured probe groups.
+ */
+maAdm.prototype.alarmsProbeGroupsList = function(args) {
+    var self = this;
+    var nalarmsByGroup, rows;
+
+    assertplus.object(args, 'args');
+    assertplus.object(args.stream, 'args.stream');
+    assertplus.optionalArrayOfString(args.columns, 'args.columns');
+    assertplus.bool(args.omitHeader, 'args.omitHeader');
+    assertplus.notStrictEqual(
+        this.ma_amon_deployed,
+        null,
+        'must call alarmsInit() with "configBasic" source first'
+    );
+    assertplus.notStrictEqual(
+        this.ma_alarms,
+        null,
+        'must call alarmsInit() with "alarms" source first'
+    );
+
+    /*
+     * First, count the alarms for each probe group.
+     */
+    nalarmsByGroup = {};
+    this.ma_alarms.eachAlarm(function(_id, aa) {
+        if (aa.a_groupid === null) {
+            return;
+        }
+
+        assertplus.string(aa.a_groupid);
+        if (!nalarmsByGroup.hasOwnProperty(aa.a_groupid)) {
+            nalarmsByGroup[aa.a_groupid] = 0;
+        }
+
+        nalarmsByGroup[aa.a_groupid]++;
+    });
+
+    /*
+     * Construct an output row for each probe group.
+     */
+    rows = [];
+    this.ma_amon_deployed.eachProbeGroup(function(pg) {
+        var row, nprobes, nalarms;
+
+        nprobes = 0;
+        self.ma_amon_deployed.eachProbeGroupProbe(pg.pg_name, function() {
+            nprobes++;
+        });
+
+        nalarms = nalarmsByGroup.hasOwnProperty(pg.pg_uuid)
+            ? nalarmsByGroup[pg.pg_uuid]
+            : 0;
+
+        row = {
+            NAME: pg.pg_name,
+            UUID: pg.pg_uuid,
+            CONTACTS: pg.pg_contacts.join(','),
+            NPROBES: nprobes,
+            NALARMS: nalarms,
+            ENAB: pg.pg_enabled ? 'yes' : 'no'
+        };
+
+        rows.push(row);
+    });
+
+    this.doList({
+        stream: args.stream,
+        columnsSelected: args.columns,
+        columnsDefault: ['uuid', 'name'],
+        columnMetadata: maProbeGroupColumns,
+        rows: rows,
+        omitHeader: args.omitHeader
+    });
+};
+
+/*
+ * Close a list of alarms, each identified by id.  Invalid alarm ids are
+ * operational errors here (resulting in warnings).
+ */
+maAdm.prototype.alarmsClose = function(args, callback) {
+    assertplus.object(args, 'args');
+    assertplus.arrayOfString(args.alarmIds, 'args.alarmIds');
+    assertplus.number(args.concurrency, 'args.concurrency');
+
+    alarms.amonCloseAlarms(
+        {
+            amon: this.ma_sdc.AMON,
+            account: this.ma_app.owner_uuid,
+            alarmIds: args.alarmIds,
+            concurrency: args.concurrency
+        },
+        callback
+    );
+};
+
+/*
+ * Enable or disable notifications for a list of alarms, each identified by id.
+ * Invalid alarm ids are operational errors here (resulting in warnings).
+ */
+maAdm.prototype.alarmsUpdateNotification = function(args, callback) {
+    assertplus.object(args, 'args');
+    assertplus.arrayOfString(args.alarmIds, 'args.alarmIds');
+    assertplus.number(args.concurrency, 'args.concurrency');
+    assertplus.bool(args.suppressed, 'args.suppressed');
+
+    alarms.amonUpdateAlarmsNotification(
+        {
+            amonRaw: this.ma_sdc.AMON_RAW,
+            account: this.ma_app.owner_uuid,
             alarmIds: args.alarmIds,
             concurrency: args.concurrency,
             suppressed: args.suppressed
@@ -2052,14 +2752,17 @@ maAdm.prototype.alarmsMaintWindowsList = function(args) {
 
     rows = [];
     this.ma_maint_windows.forEach(function(maintwin) {
-        var row;
+        var row, series, notes;
 
+        series = alarms.maintSeriesParseNotes(maintwin.win_notes);
+        notes = series !== null ? series.notes : maintwin.win_notes;
         row = {
             WIN: maintwin.win_id,
             START: fmtDateToSecond(maintwin.win_tstart.toISOString()),
             END: fmtDateToSecond(maintwin.win_tend.toISOString()),
             SCOPE: maintwin.scopeName(),
-            NOTES: maintwin.win_notes !== null ? maintwin.win_notes : '-'
+            SERIES: series !== null ? series.id : '-',
+            NOTES: notes !== null ? notes : '-'
         };
 
         rows.push(row);
@@ -2068,7 +2771,7 @@ maAdm.prototype.alarmsMaintWindowsList = function(args) {
     this.doList({
         stream: args.stream,
         columnsSelected: args.columns,
-        columnsDefault: ['win', 'start', 'end', 'scope', 'notes'],
+        columnsDefault: ['win', 'start', 'end', 'scope', 'series', 'notes'],
         columnMetadata: maMaintWindowColumns,
         rows: rows,
         omitHeader: args.omitHeader
@@ -2081,6 +2784,7 @@ maAdm.prototype.alarmsMaintWindowsList = function(args) {
  * written.
  */
 maAdm.prototype.alarmsMaintWindowsShow = function(args) {
+    var self = this;
     var stream;
 
     assertplus.object(args, 'args');
@@ -2093,9 +2797,13 @@ maAdm.prototype.alarmsMaintWindowsShow = function(args) {
 
     stream = args.stream;
     this.ma_maint_windows.forEach(function(maintwin) {
+        var series, notes;
         var duration = common.fmtDuration(
             maintwin.win_tend.getTime() - maintwin.win_tstart.getTime()
         );
+
+        series = alarms.maintSeriesParseNotes(maintwin.win_notes);
+        notes = series !== null ? series.notes : maintwin.win_notes;
         fprintf(
             stream,
             'MAINTENANCE WINDOW %4d: %s for %s\n',
@@ -2110,12 +2818,18 @@ maAdm.prototype.alarmsMaintWindowsShow = function(args) {
         );
         fprintf(stream, '    end:      %s\n', maintwin.win_tend.toISOString());
         fprintf(stream, '    duration: %s\n', duration);
+        if (series !== null) {
+            fprintf(
+                stream,
+                '    series:   %s (schedule "%s")\n',
+                series.id,
+                series.schedule
+            );
+        }
         fprintf(
             stream,
             '    notes:    %s\n',
-            maintwin.win_notes === null
-                ? 'NO NOTES SPECIFIED'
-                : maintwin.win_notes
+            notes === null ? 'NO NOTES SPECIFIED' : notes
         );
         fprintf(stream, '    affects:  ');
 
@@ -2146,7 +2860,17 @@ maAdm.prototype.alarmsMaintWindowsShow = function(args) {
                     '\n%s',
                     maintwin.win_targets
                         .map(function(t) {
-                            return '        ' + t + '\n';
+                            var desc = null;
+                            if (
+                                maintwin.win_scope ===
+                                alarms.AmonMaintWindow.WIN_SCOPE_MACHINES
+                            ) {
+                                desc = self.describeMachine(t);
+                            }
+
+                            return desc === null
+                                ? '        ' + t + '\n'
+                                : '        ' + t + ' (' + desc + ')\n';
                         })
                         .join('')
                 );
@@ -2177,38 +2901,315 @@ maAdm.prototype.alarmsMaintWindowCreate = function(args, callback) {
 };
 
 /*
- * Delete a list of maintenance windows, each identified by id.  Invalid window
- * ids are operational errors here (resulting in warnings).
+ * Returns a human-readable description of the machine with the given uuid,
+ * which may be either a Manta zone or a compute node in this datacenter, or
+ * null if the machine is not known.  This is only possible after the deployed
+ * state has been loaded.
  */
-maAdm.prototype.alarmsMaintWindowsDelete = function(args, callback) {
-    assertplus.object(args, 'args');
-    assertplus.arrayOfString(args.winIds, 'args.winIds');
-    assertplus.number(args.concurrency, 'args.concurrency');
+maAdm.prototype.describeMachine = function(uuid) {
+    var instance, gz, cn, desc;
 
-    alarms.amonDeleteMaintWindows(
-        {
-            amonRaw: this.ma_sdc.AMON_RAW,
-            account: this.ma_app.owner_uuid,
-            winIds: args.winIds,
-            concurrency: args.concurrency
-        },
-        callback
-    );
+    assertplus.string(uuid, 'uuid');
+
+    if (this.ma_instance_info === null) {
+        return null;
+    }
+
+    if (this.ma_instance_info.hasOwnProperty(uuid)) {
+        instance = this.ma_instance_info[uuid];
+        desc = sprintf('service "%s"', instance.inst_svcname);
+        if (
+            svcs.serviceIsSharded(instance.inst_svcname) &&
+            instance.inst_metadata['SHARD']
+        ) {
+            desc += ' shard ' + instance.inst_metadata['SHARD'];
+        }
+        desc += ' zone';
+        if (instance.inst_local) {
+            gz = this.ma_gzinfo[instance.inst_server_uuid];
+            desc += ' on ' + (gz ? gz['hostname'] : instance.inst_server_uuid);
+        }
+        return desc;
+    }
+
+    if (this.ma_gzinfo.hasOwnProperty(uuid)) {
+        cn = this.ma_cns[uuid];
+        desc = 'compute node ' + this.ma_gzinfo[uuid]['hostname'];
+        if (cn && cn['rack_identifier']) {
+            desc += ' in rack ' + cn['rack_identifier'];
+        }
+        return desc;
+    }
+
+    return null;
 };
 
 /*
- * General-purpose function for printing tabular output.
+ * Returns the hostname of the compute node hosting the machine with the given
+ * uuid (which may be a Manta zone in this datacenter or a compute node itself),
+ * or null if that's not known.
  */
-maAdm.prototype.doList = function doList(args) {
-    var colnames, columns, taboptions, tabstream;
+maAdm.prototype.machineHostname = function(uuid) {
+    var instance;
 
-    assertplus.object(args, 'args');
-    assertplus.object(args.stream, 'args.stream');
-    assertplus.optionalArrayOfString(
-        args.columnsSelected,
-        'args.columnsSelected'
-    );
-    assertplus.arrayOfString(args.columnsDefault, 'args.columnsDefault');
+    assertplus.string(uuid, 'uuid');
+
+    if (this.ma_instance_info === null) {
+        return null;
+    }
+
+    if (this.ma_instance_info.hasOwnProperty(uuid)) {
+        instance = this.ma_instance_info[uuid];
+        if (
+            !instance.inst_local ||
+            !this.ma_gzinfo.hasOwnProperty(instance.inst_server_uuid)
+        ) {
+            return null;
+        }
+
+        return this.ma_gzinfo[instance.inst_server_uuid]['hostname'];
+    }
+
+    if (this.ma_gzinfo.hasOwnProperty(uuid)) {
+        return this.ma_gzinfo[uuid]['hostname'];
+    }
+
+    return null;
+};
+
+/*
+ * Resolves a maintenance window scope described in terms of Manta services,
+ * shards, and racks into the list of machines in this datacenter that it
+ * covers.  Named arguments (at least one of which must be non-empty) include:
+ *
+ *     services (array)	Manta service names
+ *
+ *     shards (array)	shard identifiers (strings)
+ *
+ *     racks (array)	rack identifiers, as reported by CNAPI
+ *
+ * A zone is covered if it matches every kind of constraint specified: its
+ * service is one of "services", its shard is one of "shards", and its compute
+ * node is in one of "racks".  If only "racks" is specified, the compute nodes
+ * in those racks are covered as well.  Returns an array of machine uuids, or
+ * an Error if any of the constraints doesn't match anything.
+ */
+maAdm.prototype.alarmsMaintResolveScope = function(args) {
+    var self = this;
+    var services, shards, racks, cnids, machines, errors;
+
+    assertplus.object(args, 'args');
+    assertplus.optionalArrayOfString(args.services, 'args.services');
+    assertplus.optionalArrayOfString(args.shards, 'args.shards');
+    assertplus.optionalArrayOfString(args.racks, 'args.racks');
+    assert.ok(this.ma_instance_info !== null, 'must load first');
+
+    services = args.services || [];
+    shards = args.shards || [];
+    racks = args.racks || [];
+    assertplus.ok(
+        services.length > 0 || shards.length > 0 || racks.length > 0,
+        'at least one of services, shards, or racks is required'
+    );
+
+    errors = [];
+    services.forEach(function(svcname) {
+        if (!svcs.serviceNameIsValid(svcname)) {
+            errors.push(new VError('unknown service: "%s"', svcname));
+        }
+    });
+
+    /*
+     * Find the compute nodes in the requested racks.
+     */
+    cnids = null;
+    if (racks.length > 0) {
+        cnids = {};
+        racks.forEach(function(rack) {
+            var found = false;
+            jsprim.forEachKey(self.ma_gzinfo, function(cnid) {
+                var cn = self.ma_cns[cnid];
+                if (cn && cn['rack_identifier'] === rack) {
+                    cnids[cnid] = true;
+                    found = true;
+                }
+            });
+
+            if (!found) {
+                errors.push(
+                    new VError('rack "%s": no compute nodes found', rack)
+                );
+            }
+        });
+    }
+
+    if (errors.length > 0) {
+        return VError.errorFromList(errors);
+    }
+
+    machines = [];
+    if (services.length === 0 && shards.length === 0) {
+        machines = Object.keys(cnids).sort();
+    }
+
+    Object.keys(this.ma_instance_info)
+        .sort()
+        .forEach(function(uuid) {
+            var instance = self.ma_instance_info[uuid];
+            var shard = instance.inst_metadata['SHARD'];
+
+            if (
+                instance.inst_local &&
+                (services.length === 0 ||
+                    services.indexOf(instance.inst_svcname) !== -1) &&
+                (shards.length === 0 ||
+                    (shard !== undefined &&
+                        shards.indexOf(shard.toString()) !== -1)) &&
+                (cnids === null ||
+                    cnids.hasOwnProperty(instance.inst_server_uuid))
+            ) {
+                machines.push(uuid);
+            }
+        });
+
+    if (machines.length === 0) {
+        return new VError('no machines in this datacenter match the scope');
+    }
+
+    return machines;
+};
+
+/*
+ * Create the maintenance windows of a recurring series, one at a time.  Named
+ * arguments include:
+ *
+ *     windef (object)	properties common to all of the windows, as for
+ *     			amonCreateMaintWindow(), but without "start" and
+ *     			"end"
+ *
+ *     windows (array)	list of objects with "start" and "end" Dates, as
+ *     			returned by maintSeriesExpand()
+ *
+ * The callback is invoked as callback(err, created), where "created" is the
+ * list of AmonMaintWindow objects for the windows that were created.  If "err"
+ * is present, then creation stopped at the first window that failed, and
+ * "created" describes the windows created before that.
+ */
+maAdm.prototype.alarmsMaintSeriesCreate = function(args, callback) {
+    var self = this;
+    var created = [];
+
+    assertplus.object(args, 'args');
+    assertplus.object(args.windef, 'args.windef');
+    assertplus.arrayOfObject(args.windows, 'args.windows');
+
+    vasync.forEachPipeline(
+        {
+            inputs: args.windows,
+            func: function createSeriesWindow(win, stepcb) {
+                var windef = jsprim.deepCopy(args.windef);
+                windef.start = win.start;
+                windef.end = win.end;
+                self.alarmsMaintWindowCreate(
+                    {
+                        windef: windef
+                    },
+                    function(err, maintwin) {
+                        if (!err) {
+                            created.push(maintwin);
+                        }
+
+                        stepcb(err);
+                    }
+                );
+            }
+        },
+        function(err) {
+            callback(err, created);
+        }
+    );
+};
+
+/*
+ * Given a list of series identifiers, returns the ids (as strings) of all
+ * maintenance windows in those series, or an Error if any of the series has
+ * no windows.
+ */
+maAdm.prototype.alarmsMaintSeriesWindowIds = function(seriesIds) {
+    var bySeries, errors, rv;
+
+    assertplus.arrayOfString(seriesIds, 'seriesIds');
+    assertplus.notStrictEqual(
+        this.ma_maint_windows,
+        null,
+        'must call alarmsInit() with "windows" source first'
+    );
+
+    bySeries = {};
+    this.ma_maint_windows.forEach(function(maintwin) {
+        var series = alarms.maintSeriesParseNotes(maintwin.win_notes);
+        if (series === null) {
+            return;
+        }
+
+        if (!bySeries.hasOwnProperty(series.id)) {
+            bySeries[series.id] = [];
+        }
+
+        bySeries[series.id].push(maintwin.win_id.toString());
+    });
+
+    errors = [];
+    rv = [];
+    seriesIds.forEach(function(seriesId) {
+        if (!bySeries.hasOwnProperty(seriesId)) {
+            errors.push(
+                new VError(
+                    'series "%s": no maintenance windows found',
+                    seriesId
+                )
+            );
+        } else {
+            rv = rv.concat(bySeries[seriesId]);
+        }
+    });
+
+    return errors.length > 0 ? VError.errorFromList(errors) : rv;
+};
+
+/*
+ * Delete a list of maintenance windows, each identified by id.  Invalid window
+ * ids are operational errors here (resulting in warnings).
+ */
+maAdm.prototype.alarmsMaintWindowsDelete = function(args, callback) {
+    assertplus.object(args, 'args');
+    assertplus.arrayOfString(args.winIds, 'args.winIds');
+    assertplus.number(args.concurrency, 'args.concurrency');
+
+    alarms.amonDeleteMaintWindows(
+        {
+            amonRaw: this.ma_sdc.AMON_RAW,
+            account: this.ma_app.owner_uuid,
+            winIds: args.winIds,
+            concurrency: args.concurrency
+        },
+        callback
+    );
+};
+
+/*
+ * General-purpose function for printing tabular output.
+ */
+maAdm.prototype.doList = function doList(args) {
+    var colnames, columns, taboptions, tabstream;
+
+    assertplus.object(args, 'args');
+    assertplus.object(args.stream, 'args.stream');
+    assertplus.optionalArrayOfString(
+        args.columnsSelected,
+        'args.columnsSelected'
+    );
+    assertplus.arrayOfString(args.columnsDefault, 'args.columnsDefault');
     assertplus.object(args.columnMetadata, 'args.columnMetadata');
     assertplus.arrayOfObject(args.rows, 'args.rows');
     assertplus.optionalBool(args.omitHeader, 'args.omitHeader');
@@ -2780,17 +3781,26 @@ maAdm.prototype.dumpConfigCommonFini = function(conf, sout, serverUuid) {
  * "errstream".
  *
  * Either "outstream" (a stream) or "outDirectory" (a string) should be
- * specified to indicate where the generated output should go.
+ * specified to indicate where the generated output should go.  If "incremental"
+ * is true, the layout starts from the instances currently deployed (which must
+ * have been loaded with fetchDeployed()), and new instances are only placed on
+ * servers that don't have any yet.  If "analyze" is true, a fault-domain
+ * analysis of the layout is also printed to "errstream", reporting services
+ * that would drop below "minInstances" (default: 1) instances.
  */
 maAdm.prototype.genconfigFromFile = function(args, callback) {
     var images, filename, outdir, outstream, errstream;
-    var svclayout;
+    var svclayout, minInstances;
+    var self = this;
 
     assertplus.object(args, 'args');
     assertplus.string(args.filename, 'args.filename');
     assertplus.optionalString(args.outDirectory, 'args.outDirectory');
     assertplus.optionalObject(args.outstream, 'args.outstream');
     assertplus.object(args.errstream, 'args.errstream');
+    assertplus.optionalBool(args.incremental, 'args.incremental');
+    assertplus.optionalBool(args.analyze, 'args.analyze');
+    assertplus.optionalNumber(args.minInstances, 'args.minInstances');
 
     assertplus.ok(
         typeof args.outDirectory === 'string' ||
@@ -2803,6 +3813,7 @@ maAdm.prototype.genconfigFromFile = function(args, callback) {
     outdir = args.outDirectory;
     outstream = args.outstream;
     errstream = args.errstream;
+    minInstances = args.minInstances !== undefined ? args.minInstances : 1;
 
     return vasync.waterfall(
         [
@@ -2821,7 +3832,10 @@ maAdm.prototype.genconfigFromFile = function(args, callback) {
 
                 svclayout = layout.generateLayout({
                     dcconfig: dcconfig,
-                    images: images
+                    images: images,
+                    deployed: args.incremental
+                        ? self.getDeployedConfigByServiceJson()
+                        : undefined
                 });
 
                 /*
@@ -2924,10 +3938,21 @@ maAdm.prototype.genconfigFromFile = function(args, callback) {
         function(err) {
             if (err) {
                 callback(err);
-            } else {
-                svclayout.printIssues(errstream);
-                callback(null, svclayout.nerrors());
+                return;
+            }
+
+            if (args.analyze && svclayout.nerrors() === 0) {
+                fprintf(errstream, 'Fault-domain analysis:\n\n');
+                faults.printFaultAnalysis({
+                    stream: errstream,
+                    analysis: svclayout.analyzeFaults(minInstances),
+                    min_instances: minInstances
+                });
+                fprintf(errstream, '\n');
             }
+
+            svclayout.printIssues(errstream);
+            callback(null, svclayout.nerrors());
         }
     );
 };
@@ -3122,85 +4147,633 @@ maAdm.prototype.dumpSnaplinkDisabledAccounts = function(args, callback) {
 };
 
 /*
- * [public] Distribute index shards to garbage-collector instances as evenly as
- * possible.
+ * Kinds of index shards that are assigned to garbage-collectors.  For each
+ * kind, "appfield" is the SAPI application metadata property listing all
+ * shards of that kind, and "gcfield" is the garbage-collector instance
+ * metadata property listing the shards assigned to that instance (see
+ * common.GC_METADATA_FIELDS).  Each shard is identified by its "host".
  */
-maAdm.prototype.genGcMetadataConfig = function(args, callback) {
-    var self = this;
-
-    var assignedBucketsShards;
-    var assignedShards;
-    var buckets_shards;
-    var index_shards;
-    var opts;
-    var outstream;
+var maGcShardKinds = [
+    {
+        label: 'index',
+        appfield: 'INDEX_MORAY_SHARDS',
+        gcfield: 'GC_ASSIGNED_SHARDS',
+        column: 'INDEX SHARDS',
+        ncolumn: 'NINDEX'
+    },
+    {
+        label: 'buckets',
+        appfield: 'BUCKETS_MORAY_SHARDS',
+        gcfield: 'GC_ASSIGNED_BUCKETS_SHARDS',
+        column: 'BUCKETS SHARDS',
+        ncolumn: 'NBUCKETS'
+    }
+];
 
-    assignedBucketsShards = 'GC_ASSIGNED_BUCKETS_SHARDS';
-    assignedShards = 'GC_ASSIGNED_SHARDS';
+/*
+ * Given the SAPI application metadata "appmd" and a mapping "mapping" of
+ * garbage-collector instance uuids to their shard assignments (in the form
+ * emitted by "manta-adm gc show -j"), return an array of strings describing
+ * each shard that is not assigned to any garbage-collector, is assigned to more
+ * than one, or is not a known index shard at all.
+ */
+function gcShardProblems(appmd, mapping) {
+    var problems = [];
+
+    maGcShardKinds.forEach(function(kind) {
+        var known, assigned;
+
+        known = gcShardHosts(appmd[kind.appfield]);
+        assigned = {};
+        Object.keys(mapping)
+            .sort()
+            .forEach(function(instuuid) {
+                gcShardHosts(mapping[instuuid][kind.gcfield]).forEach(function(
+                    host
+                ) {
+                    if (!assigned.hasOwnProperty(host)) {
+                        assigned[host] = [];
+                    }
+                    assigned[host].push(instuuid);
+                });
+            });
 
-    assertplus.object(args.outstream, 'args.outstream');
+        known.forEach(function(host) {
+            if (!assigned.hasOwnProperty(host)) {
+                problems.push(
+                    sprintf(
+                        '%s shard "%s" is not assigned to any ' +
+                            'garbage-collector',
+                        kind.label,
+                        host
+                    )
+                );
+            } else if (assigned[host].length > 1) {
+                problems.push(
+                    sprintf(
+                        '%s shard "%s" is assigned to multiple ' +
+                            'garbage-collectors: %s',
+                        kind.label,
+                        host,
+                        assigned[host].join(', ')
+                    )
+                );
+            }
+        });
 
-    buckets_shards = self.ma_app.metadata['BUCKETS_MORAY_SHARDS'] || [];
-    index_shards = self.ma_app.metadata['INDEX_MORAY_SHARDS'] || [];
-    opts = {
-        svcname: 'garbage-collector',
-        fields: common.GC_METADATA_FIELDS
-    };
-    outstream = args.outstream;
+        Object.keys(assigned)
+            .sort()
+            .forEach(function(host) {
+                if (known.indexOf(host) === -1) {
+                    problems.push(
+                        sprintf(
+                            '%s shard "%s" is assigned to %s but is not ' +
+                                'listed in %s',
+                            kind.label,
+                            host,
+                            assigned[host].join(', '),
+                            kind.appfield
+                        )
+                    );
+                }
+            });
+    });
 
-    self.getDeployedInstanceMetadataJson(opts, function(err, gc_md) {
-        if (err) {
-            callback(err);
-            return;
-        }
+    return problems;
+}
 
-        var buckets_gc_shards;
-        var copy;
-        var i;
-        var gc_shards;
-        var gc_instuuid;
+/*
+ * Given a list of shards (as stored in SAPI metadata), return their hosts.
+ */
+function gcShardHosts(shards) {
+    return (shards || []).map(function(s) {
+        return s.host;
+    });
+}
 
-        var buckets_gc_idx = 0;
-        var gc_instuuids = Object.keys(gc_md);
-        var gc_idx = 0;
+/*
+ * Given the list of all shards of some kind (as stored in SAPI application
+ * metadata) and the hosts of some of them, return a list of those shards
+ * suitable for storing in garbage-collector instance metadata, including the
+ * "last" property required by the mustache templates that consume them.
+ */
+function gcShardList(shards, hosts) {
+    return hosts.map(function(host, i) {
+        var rv = {host: host};
+
+        shards.forEach(function(s) {
+            if (s.host === host) {
+                rv = jsprim.deepCopy(s);
+                delete rv.last;
+            }
+        });
 
-        if (gc_instuuids.length === 0) {
-            callback(new Error('no garbage-collectors found.'));
-            return;
+        if (i === hosts.length - 1) {
+            rv.last = true;
         }
+        return rv;
+    });
+}
 
-        /*
-         * Clear the previous mapping.
-         */
-        for (i = 0; i < gc_instuuids.length; i++) {
-            gc_instuuid = gc_instuuids[i];
-            gc_md[gc_instuuid][assignedBucketsShards] = [];
-            gc_md[gc_instuuid][assignedShards] = [];
-        }
+/*
+ * [internal] Returns the uuids of garbage-collector instances, in sorted
+ * order.  If "doall" is true, instances in all datacenters are included;
+ * otherwise, only local instances are.
+ */
+maAdm.prototype.gcInstances = function(doall) {
+    var self = this;
 
-        /*
-         * Distribute index (Dir-style) shards evenly across all
-         * garbage-collectors in the DC.
-         */
-        for (i = 0; i < index_shards.length; i++) {
-            copy = jsprim.deepCopy(index_shards[i]);
-            delete copy.last;
+    return Object.keys(this.ma_instance_info)
+        .filter(function(uuid) {
+            var instance = self.ma_instance_info[uuid];
+            return (
+                instance.inst_svcname === 'garbage-collector' &&
+                (doall || instance.inst_local)
+            );
+        })
+        .sort();
+};
 
-            gc_md[gc_instuuids[gc_idx]][assignedShards].push(copy);
-            gc_idx = (gc_idx + 1) % gc_instuuids.length;
-        }
+/*
+ * [internal] Returns the current assignment of shards to the garbage-collector
+ * instances "instuuids", in the form emitted by "manta-adm gc show -j".  If
+ * "updates" is specified, it's a mapping in the same form whose assignments
+ * replace the current ones.
+ */
+maAdm.prototype.gcMapping = function(instuuids, updates) {
+    var self = this;
+    var rv = {};
 
-        /*
-         * Distribute buckets shards evenly across all garbage-collectors
-         * in the DC.
-         */
-        for (i = 0; i < buckets_shards.length; i++) {
-            copy = jsprim.deepCopy(buckets_shards[i]);
-            delete copy.last;
+    instuuids.forEach(function(instuuid) {
+        var md = self.ma_instance_info[instuuid].inst_metadata;
 
-            gc_md[gc_instuuids[buckets_gc_idx]][assignedBucketsShards].push(
-                copy
-            );
+        rv[instuuid] = {};
+        common.GC_METADATA_FIELDS.forEach(function(field) {
+            if (
+                updates &&
+                updates.hasOwnProperty(instuuid) &&
+                updates[instuuid].hasOwnProperty(field)
+            ) {
+                rv[instuuid][field] = updates[instuuid][field];
+            } else if (md.hasOwnProperty(field)) {
+                rv[instuuid][field] = md[field];
+            }
+        });
+    });
+
+    return rv;
+};
+
+/*
+ * [public] Summarize the assignment of index shards to garbage-collector
+ * instances.  Named arguments:
+ *
+ *     doall		if true, include garbage-collectors in all datacenters
+ *			rather than just the local one
+ *
+ * Returns an object with properties:
+ *
+ *     rows		array of objects describing each garbage-collector,
+ *			suitable for use with maGcShardColumns
+ *
+ *     warnings		array of strings describing problems with the
+ *			assignment (see gcShardProblems())
+ *
+ * Each datacenter's garbage-collectors are responsible for all of the shards
+ * (see gcCheckUpdates()), so with "doall", the assignment is checked separately
+ * for each datacenter that has garbage-collectors, and each warning identifies
+ * the datacenter that it applies to.
+ */
+maAdm.prototype.gcShardAssignments = function(args) {
+    var self = this;
+    var instuuids, mapping, rows, bydc, warnings;
+
+    assertplus.object(args, 'args');
+    assertplus.optionalBool(args.doall, 'args.doall');
+    assert.ok(this.ma_instances_flattened !== null, 'must load first');
+
+    instuuids = this.gcInstances(args.doall);
+    mapping = this.gcMapping(instuuids);
+
+    rows = this.ma_instances_flattened
+        .filter(function(row) {
+            return mapping.hasOwnProperty(row['ZONENAME']);
+        })
+        .map(function(row) {
+            var rv = jsprim.deepCopy(row);
+
+            maGcShardKinds.forEach(function(kind) {
+                var hosts = gcShardHosts(
+                    mapping[row['ZONENAME']][kind.gcfield]
+                );
+                rv[kind.column] = hosts.length > 0 ? hosts.join(',') : '-';
+                rv[kind.ncolumn] = hosts.length;
+            });
+
+            return rv;
+        });
+    rows = common.sortObjectsByProps(rows, ['GZ HOST', 'ZONENAME']);
+
+    if (!args.doall || instuuids.length === 0) {
+        return {
+            rows: rows,
+            warnings: gcShardProblems(self.ma_app.metadata, mapping)
+        };
+    }
+
+    bydc = {};
+    instuuids.forEach(function(instuuid) {
+        var dc = self.ma_instance_info[instuuid].inst_metadata['DATACENTER'];
+
+        if (!bydc.hasOwnProperty(dc)) {
+            bydc[dc] = {};
+        }
+        bydc[dc][instuuid] = mapping[instuuid];
+    });
+
+    warnings = [];
+    Object.keys(bydc)
+        .sort()
+        .forEach(function(dc) {
+            gcShardProblems(self.ma_app.metadata, bydc[dc]).forEach(function(
+                w
+            ) {
+                warnings.push(sprintf('datacenter "%s": %s', dc, w));
+            });
+        });
+
+    return {
+        rows: rows,
+        warnings: warnings
+    };
+};
+
+/*
+ * [public] Print a table describing the index shards assigned to each
+ * garbage-collector instance, followed by warnings about any problems with the
+ * assignment (see gcShardAssignments()).  Named arguments:
+ *
+ *     stream		output stream for the table
+ *
+ *     warnStream	output stream for warnings
+ *
+ *     doall		see gcShardAssignments()
+ *
+ *     columns		(optional) columns to print (see maGcShardColumns)
+ *
+ *     omitHeader	(optional) if true, omit the table's header row
+ *
+ * Returns the number of warnings printed.
+ */
+maAdm.prototype.dumpGcShards = function(args) {
+    var summary;
+
+    assertplus.object(args, 'args');
+    assertplus.object(args.stream, 'args.stream');
+    assertplus.object(args.warnStream, 'args.warnStream');
+    assertplus.optionalBool(args.doall, 'args.doall');
+    assertplus.optionalArrayOfString(args.columns, 'args.columns');
+    assertplus.optionalBool(args.omitHeader, 'args.omitHeader');
+
+    summary = this.gcShardAssignments({doall: args.doall});
+    this.doList({
+        stream: args.stream,
+        columnsSelected: args.columns,
+        columnsDefault: args.doall
+            ? ['zonename', 'datacenter', 'index_shards', 'buckets_shards']
+            : ['zonename', 'gz_host', 'index_shards', 'buckets_shards'],
+        columnMetadata: maGcShardColumns,
+        omitHeader: args.omitHeader,
+        rows: summary.rows
+    });
+
+    summary.warnings.forEach(function(w) {
+        fprintf(args.warnStream, 'warning: %s\n', w);
+    });
+
+    return summary.warnings.length;
+};
+
+/*
+ * [public] Check the garbage-collector shard assignments that were loaded with
+ * readInstanceMetadataConfigFromFile() or readInstanceMetadataConfigRaw().
+ * Assignments in the file replace the current assignments of the instances
+ * that it names, and the result must assign every known index shard to
+ * exactly one garbage-collector in this datacenter.  Returns an error
+ * describing every problem found, or null if there are none.
+ */
+maAdm.prototype.gcCheckUpdates = function() {
+    var self = this;
+    var updates, instuuids, problems;
+
+    assert.ok(this.ma_instance_info !== null, 'must load first');
+    assert.ok(
+        this.ma_instance_metadata_updates !== null,
+        'must read updates first'
+    );
+
+    updates = this.ma_instance_metadata_updates;
+    instuuids = this.gcInstances(false);
+    problems = [];
+
+    Object.keys(updates)
+        .sort()
+        .forEach(function(instuuid) {
+            if (
+                self.ma_instance_info[instuuid].inst_svcname !==
+                'garbage-collector'
+            ) {
+                problems.push(
+                    sprintf(
+                        'instance "%s" is not a garbage-collector',
+                        instuuid
+                    )
+                );
+            } else if (instuuids.indexOf(instuuid) === -1) {
+                problems.push(
+                    sprintf(
+                        'garbage-collector "%s" is not in this datacenter',
+                        instuuid
+                    )
+                );
+            }
+        });
+
+    if (problems.length === 0) {
+        problems = gcShardProblems(
+            this.ma_app.metadata,
+            this.gcMapping(instuuids, updates)
+        );
+    }
+
+    if (problems.length === 0) {
+        return null;
+    }
+
+    return new VError(
+        'invalid garbage-collector shard assignment:\n    %s',
+        problems.join('\n    ')
+    );
+};
+
+/*
+ * [public] Print to "sout" the changes that applying the garbage-collector
+ * shard assignments loaded with readInstanceMetadataConfigFromFile() would
+ * make to each instance.  Returns the number of instances that would change.
+ */
+maAdm.prototype.dumpGcUpdates = function(sout) {
+    var self = this;
+    var updates, current, nchanged;
+
+    assert.ok(
+        this.ma_instance_metadata_updates !== null,
+        'must read updates first'
+    );
+
+    updates = this.ma_instance_metadata_updates;
+    current = this.gcMapping(Object.keys(updates));
+    nchanged = 0;
+
+    Object.keys(updates)
+        .sort()
+        .forEach(function(instuuid) {
+            var lines = [];
+            var gzhost = '-';
+
+            maGcShardKinds.forEach(function(kind) {
+                var before, after;
+
+                if (!updates[instuuid].hasOwnProperty(kind.gcfield)) {
+                    return;
+                }
+
+                before = gcShardHosts(current[instuuid][kind.gcfield]);
+                after = gcShardHosts(updates[instuuid][kind.gcfield]);
+                after.forEach(function(host) {
+                    if (before.indexOf(host) === -1) {
+                        lines.push(
+                            sprintf('  + %s shard %s', kind.label, host)
+                        );
+                    }
+                });
+                before.forEach(function(host) {
+                    if (after.indexOf(host) === -1) {
+                        lines.push(
+                            sprintf('  - %s shard %s', kind.label, host)
+                        );
+                    }
+                });
+            });
+
+            if (lines.length === 0) {
+                return;
+            }
+
+            self.ma_instances_flattened.forEach(function(row) {
+                if (row['ZONENAME'] === instuuid) {
+                    gzhost = row['GZ HOST'];
+                }
+            });
+
+            nchanged++;
+            fprintf(sout, '%s (%s):\n%s\n', instuuid, gzhost, lines.join('\n'));
+        });
+
+    if (nchanged === 0) {
+        fprintf(sout, 'no changes\n');
+    }
+
+    return nchanged;
+};
+
+/*
+ * [public] Compute a new assignment of index shards to the garbage-collectors
+ * in this datacenter that assigns every known shard to exactly one
+ * garbage-collector, balances the number of shards of each kind assigned to
+ * each garbage-collector to within one, and otherwise moves as few shards as
+ * possible from their current garbage-collector.  This is useful after
+ * garbage-collectors or shards have been added or removed.  Unlike
+ * genGcMetadataConfig(), which starts from scratch, existing assignments are
+ * preserved wherever possible.
+ *
+ * Returns an object with properties:
+ *
+ *     mapping		new assignment, in the form accepted by "manta-adm gc
+ *			update"
+ *
+ *     nmoved		number of shards assigned to a different
+ *			garbage-collector than before (including shards that
+ *			were not previously assigned at all)
+ */
+maAdm.prototype.gcRebalance = function() {
+    var instuuids, current, mapping, nmoved;
+    var appmd = this.ma_app.metadata;
+
+    assert.ok(this.ma_instance_info !== null, 'must load first');
+
+    instuuids = this.gcInstances(false);
+    if (instuuids.length === 0) {
+        return new VError('no garbage-collectors found');
+    }
+
+    current = this.gcMapping(instuuids);
+    mapping = {};
+    nmoved = 0;
+    instuuids.forEach(function(instuuid) {
+        mapping[instuuid] = {};
+    });
+
+    maGcShardKinds.forEach(function(kind) {
+        var known, seen, kept, pool, order;
+        var base, nextra;
+
+        known = gcShardHosts(appmd[kind.appfield]);
+
+        /*
+         * Start from the current assignment, dropping shards that are no
+         * longer known and all but the first assignment of shards that are
+         * assigned more than once.
+         */
+        seen = {};
+        kept = {};
+        instuuids.forEach(function(instuuid) {
+            kept[instuuid] = gcShardHosts(
+                current[instuuid][kind.gcfield]
+            ).filter(function(host) {
+                if (known.indexOf(host) === -1 || seen.hasOwnProperty(host)) {
+                    return false;
+                }
+                seen[host] = true;
+                return true;
+            });
+        });
+
+        /*
+         * Each garbage-collector gets either "base" or "base + 1" shards.
+         * The extra shards go to the garbage-collectors that already have
+         * the most, since that requires the fewest moves.
+         */
+        base = Math.floor(known.length / instuuids.length);
+        nextra = known.length % instuuids.length;
+        order = instuuids.slice(0).sort(function(a, b) {
+            return kept[b].length - kept[a].length;
+        });
+
+        pool = known.filter(function(host) {
+            return !seen.hasOwnProperty(host);
+        });
+        order.forEach(function(instuuid, i) {
+            var cap = i < nextra ? base + 1 : base;
+            if (kept[instuuid].length > cap) {
+                pool = pool.concat(kept[instuuid].slice(cap));
+                kept[instuuid] = kept[instuuid].slice(0, cap);
+            }
+        });
+
+        pool.sort();
+        nmoved += pool.length;
+        order.forEach(function(instuuid, i) {
+            var cap = i < nextra ? base + 1 : base;
+            while (kept[instuuid].length < cap) {
+                kept[instuuid].push(pool.shift());
+            }
+        });
+        assert.equal(pool.length, 0);
+
+        instuuids.forEach(function(instuuid) {
+            mapping[instuuid][kind.gcfield] = gcShardList(
+                appmd[kind.appfield],
+                kept[instuuid]
+            );
+        });
+    });
+
+    return {
+        mapping: mapping,
+        nmoved: nmoved
+    };
+};
+
+/*
+ * [public] Distribute index shards to garbage-collector instances as evenly as
+ * possible.
+ */
+maAdm.prototype.genGcMetadataConfig = function(args, callback) {
+    var self = this;
+
+    var assignedBucketsShards;
+    var assignedShards;
+    var buckets_shards;
+    var index_shards;
+    var opts;
+    var outstream;
+
+    assignedBucketsShards = 'GC_ASSIGNED_BUCKETS_SHARDS';
+    assignedShards = 'GC_ASSIGNED_SHARDS';
+
+    assertplus.object(args.outstream, 'args.outstream');
+
+    buckets_shards = self.ma_app.metadata['BUCKETS_MORAY_SHARDS'] || [];
+    index_shards = self.ma_app.metadata['INDEX_MORAY_SHARDS'] || [];
+    opts = {
+        svcname: 'garbage-collector',
+        fields: common.GC_METADATA_FIELDS
+    };
+    outstream = args.outstream;
+
+    self.getDeployedInstanceMetadataJson(opts, function(err, gc_md) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var buckets_gc_shards;
+        var copy;
+        var i;
+        var gc_shards;
+        var gc_instuuid;
+
+        var buckets_gc_idx = 0;
+        var gc_instuuids = Object.keys(gc_md);
+        var gc_idx = 0;
+
+        if (gc_instuuids.length === 0) {
+            callback(new Error('no garbage-collectors found.'));
+            return;
+        }
+
+        /*
+         * Clear the previous mapping.
+         */
+        for (i = 0; i < gc_instuuids.length; i++) {
+            gc_instuuid = gc_instuuids[i];
+            gc_md[gc_instuuid][assignedBucketsShards] = [];
+            gc_md[gc_instuuid][assignedShards] = [];
+        }
+
+        /*
+         * Distribute index (Dir-style) shards evenly across all
+         * garbage-collectors in the DC.
+         */
+        for (i = 0; i < index_shards.length; i++) {
+            copy = jsprim.deepCopy(index_shards[i]);
+            delete copy.last;
+
+            gc_md[gc_instuuids[gc_idx]][assignedShards].push(copy);
+            gc_idx = (gc_idx + 1) % gc_instuuids.length;
+        }
+
+        /*
+         * Distribute buckets shards evenly across all garbage-collectors
+         * in the DC.
+         */
+        for (i = 0; i < buckets_shards.length; i++) {
+            copy = jsprim.deepCopy(buckets_shards[i]);
+            delete copy.last;
+
+            gc_md[gc_instuuids[buckets_gc_idx]][assignedBucketsShards].push(
+                copy
+            );
             buckets_gc_idx = (buckets_gc_idx + 1) % gc_instuuids.length;
         }
 
@@ -3237,10 +4810,13 @@ maAdm.prototype.genGcMetadataConfig = function(args, callback) {
  *
  * The motivation for (b) is that it may be preferable to avoid adding load to
  * CNs that run system-critical services like 'nameservice' or 'loadbalancer'.
+ *
+ * Returns an object describing the placement (see dumpGcPlacement()), or null
+ * if no layout could be generated.
  */
 maAdm.prototype.layerServiceOnDeployedConfig = function(args) {
     var self, instances_per_cn;
-    var selected_cns;
+    var selected_cns, added;
 
     assertplus.array(args.avoid_svcs, 'args.avoid_svcs');
     assertplus.string(args.image_uuid, 'args.image_uuid');
@@ -3253,6 +4829,7 @@ maAdm.prototype.layerServiceOnDeployedConfig = function(args) {
     self = this;
     instances_per_cn = {};
     selected_cns = [];
+    added = {};
 
     /*
      * Check if the service exists in SAPI. If it doesn't, `manta-init` may
@@ -3260,7 +4837,7 @@ maAdm.prototype.layerServiceOnDeployedConfig = function(args) {
      */
     if (!self.isServiceDeployed(args.svcname)) {
         args.errstream.write('missing service ' + args.svcname + '.\n');
-        return;
+        return null;
     }
 
     /*
@@ -3338,15 +4915,20 @@ maAdm.prototype.layerServiceOnDeployedConfig = function(args) {
 
     if (selected_cns.length === 0) {
         console.error('no CNs meet deployment criteria');
-        return;
+        return null;
     }
 
     if (args.max_cns) {
         selected_cns = selected_cns.slice(0, args.max_cns);
     }
 
+    selected_cns.forEach(function(cnuuid) {
+        added[cnuuid] = 0;
+    });
+
     for (var i = 0; i < args.num_instances; i++) {
         var next_cn = selected_cns[i % selected_cns.length];
+        added[next_cn]++;
 
         if (!cfg[next_cn].hasOwnProperty(args.svcname)) {
             cfg[next_cn][args.svcname] = {};
@@ -3359,6 +4941,149 @@ maAdm.prototype.layerServiceOnDeployedConfig = function(args) {
     }
 
     args.outstream.write(JSON.stringify(cfg, null, '    ') + '\n');
+
+    return {
+        ncns: Object.keys(instances_per_cn).length,
+        nviable: viable_cns.length,
+        selected_cns: selected_cns,
+        instances_per_cn: instances_per_cn,
+        added: added
+    };
+};
+
+/*
+ * [public] Returns the number of garbage-collector instances that must be
+ * added to this datacenter so that each one is assigned at most "ratio" index
+ * shards (counting both index and buckets shards).  Returns an object with
+ * properties:
+ *
+ *     nshards		total number of index and buckets shards
+ *
+ *     nexisting	number of garbage-collectors already deployed in this
+ *			datacenter
+ *
+ *     nneeded		number of garbage-collectors to add (possibly zero)
+ */
+maAdm.prototype.gcCollectorsForRatio = function(ratio) {
+    var appmd = this.ma_app.metadata || {};
+    var nshards, nexisting;
+
+    assertplus.number(ratio, 'ratio');
+    assertplus.ok(ratio > 0, 'ratio must be positive');
+
+    nshards = 0;
+    maGcShardKinds.forEach(function(kind) {
+        nshards += (appmd[kind.appfield] || []).length;
+    });
+    nexisting = this.gcInstances(false).length;
+
+    return {
+        nshards: nshards,
+        nexisting: nexisting,
+        nneeded: Math.max(0, Math.ceil(nshards / ratio) - nexisting)
+    };
+};
+
+/*
+ * [public] Print a summary explaining the placement of new garbage-collector
+ * instances chosen by layerServiceOnDeployedConfig().  Named arguments:
+ *
+ *     stream		output stream
+ *
+ *     placement	value returned by layerServiceOnDeployedConfig()
+ *
+ *     avoid_svcs	services whose CNs were avoided
+ *
+ *     max_cns		(optional) limit on the number of CNs used
+ */
+maAdm.prototype.dumpGcPlacement = function(args) {
+    var self = this;
+    var placement, appmd, nexisting, nnew, ngc, nindex, nbuckets;
+    var gcpercn, rows;
+
+    assertplus.object(args, 'args');
+    assertplus.object(args.stream, 'args.stream');
+    assertplus.object(args.placement, 'args.placement');
+    assertplus.arrayOfString(args.avoid_svcs, 'args.avoid_svcs');
+    assertplus.optionalNumber(args.max_cns, 'args.max_cns');
+
+    placement = args.placement;
+    appmd = this.ma_app.metadata || {};
+    nindex = (appmd['INDEX_MORAY_SHARDS'] || []).length;
+    nbuckets = (appmd['BUCKETS_MORAY_SHARDS'] || []).length;
+
+    gcpercn = {};
+    nexisting = 0;
+    this.ma_instances_flattened.forEach(function(row) {
+        if (
+            row['SERVICE'] !== 'garbage-collector' ||
+            !self.ma_instance_info[row['ZONENAME']].inst_local
+        ) {
+            return;
+        }
+        gcpercn[row['SERVER_UUID']] = (gcpercn[row['SERVER_UUID']] || 0) + 1;
+        nexisting++;
+    });
+
+    nnew = 0;
+    jsprim.forEachKey(placement.added, function(_, count) {
+        nnew += count;
+    });
+    ngc = nexisting + nnew;
+
+    fprintf(args.stream, 'shards: %d index, %d buckets\n', nindex, nbuckets);
+    fprintf(
+        args.stream,
+        'garbage-collectors: %d existing + %d new = %d',
+        nexisting,
+        nnew,
+        ngc
+    );
+    if (ngc > 0) {
+        fprintf(
+            args.stream,
+            ' (%s shards per collector)',
+            ((nindex + nbuckets) / ngc).toFixed(1)
+        );
+    }
+    fprintf(args.stream, '\n');
+    fprintf(
+        args.stream,
+        'candidate CNs: %d of %d (excluding CNs with: %s)\n',
+        placement.nviable,
+        placement.ncns,
+        args.avoid_svcs.length > 0 ? args.avoid_svcs.join(', ') : 'none'
+    );
+    fprintf(
+        args.stream,
+        'selected CNs: %d (fewest zones first%s)\n\n',
+        placement.selected_cns.length,
+        args.max_cns ? sprintf(', at most %d', args.max_cns) : ''
+    );
+
+    rows = placement.selected_cns.map(function(cnuuid) {
+        var cn = self.ma_cns[cnuuid];
+        var gzinfo = self.ma_gzinfo[cnuuid];
+
+        return {
+            'GZ HOST': gzinfo ? gzinfo['hostname'] : '-',
+            SERVER_UUID: cnuuid,
+            NZONES: placement.instances_per_cn[cnuuid],
+            'AVAIL RAM':
+                cn && typeof cn['memory_available_bytes'] === 'number'
+                    ? Math.floor(cn['memory_available_bytes'] / 1048576) + 'M'
+                    : '-',
+            NGC: gcpercn[cnuuid] || 0,
+            NEW: placement.added[cnuuid]
+        };
+    });
+
+    this.doList({
+        stream: args.stream,
+        columnsDefault: Object.keys(maGcPlacementColumns),
+        columnMetadata: maGcPlacementColumns,
+        rows: rows
+    });
 };
 
 /*
@@ -3566,6 +5291,164 @@ maAdm.prototype.dumpDeployedZonesByService = function(sout, conf) {
     });
 };
 
+/*
+ * Returns a snapshot of the deployed zones that "manta-adm show" would report
+ * with the same "doall" and "filter" options, for use with
+ * diffDeployedSnapshots().  The snapshot maps each zonename to an object with
+ * "service", "shard", "datacenter", "host", "image", and "version".
+ */
+maAdm.prototype.deployedSnapshot = function(conf) {
+    var rv = {};
+
+    assert.ok(this.ma_instances_flattened !== null, 'must load first');
+    assertplus.object(conf, 'conf');
+
+    this.ma_instances_flattened.forEach(function(r) {
+        if (
+            (!conf.filter || r['SERVICE'] === conf.filter) &&
+            (conf.doall || r['GZ HOST'] !== '-')
+        ) {
+            rv[r['ZONENAME']] = {
+                service: r['SERVICE'],
+                shard:
+                    svcs.serviceIsSharded(r['SERVICE']) && r['SH'] !== '-'
+                        ? r['SH']
+                        : null,
+                datacenter: r['DATACENTER'],
+                host: r['GZ HOST'],
+                image: r['IMAGE'],
+                version: r['VERSION']
+            };
+        }
+    });
+
+    return rv;
+};
+
+/*
+ * Given two results of deployedSnapshot(), returns an array describing the
+ * zones that were added, removed, or changed image between them, sorted by
+ * service and zonename.  Each change has the properties of the zone in the
+ * snapshot (from "prev" for removed zones and "cur" otherwise), plus:
+ *
+ *     type		"added", "removed", or "image"
+ *
+ *     zonename		the zone's uuid
+ *
+ *     old_image,	for "image" changes, the image the zone used in "prev"
+ *     old_version
+ */
+function diffDeployedSnapshots(prev, cur) {
+    var rv = [];
+
+    assertplus.object(prev, 'prev');
+    assertplus.object(cur, 'cur');
+
+    jsprim.forEachKey(cur, function(zonename, zone) {
+        var change;
+
+        if (!prev.hasOwnProperty(zonename)) {
+            change = jsprim.deepCopy(zone);
+            change.type = 'added';
+        } else if (prev[zonename].image !== zone.image) {
+            change = jsprim.deepCopy(zone);
+            change.type = 'image';
+            change.old_image = prev[zonename].image;
+            change.old_version = prev[zonename].version;
+        } else {
+            return;
+        }
+
+        change.zonename = zonename;
+        rv.push(change);
+    });
+
+    jsprim.forEachKey(prev, function(zonename, zone) {
+        var change;
+
+        if (!cur.hasOwnProperty(zonename)) {
+            change = jsprim.deepCopy(zone);
+            change.type = 'removed';
+            change.zonename = zonename;
+            rv.push(change);
+        }
+    });
+
+    return common.sortObjectsByProps(rv, ['service', 'zonename']);
+}
+
+/*
+ * ANSI escape sequences used to highlight each type of change when printing
+ * changes to a terminal.
+ */
+var maChangeColors = {
+    added: '\u001b[32m',
+    removed: '\u001b[31m',
+    image: '\u001b[33m'
+};
+var maChangeColorReset = '\u001b[0m';
+
+/*
+ * Prints the changes returned by diffDeployedSnapshots() to "stream", one per
+ * line.  Named arguments:
+ *
+ *     changes		result of diffDeployedSnapshots()
+ *
+ *     timestamp	(optional) string with which to prefix each line
+ *
+ *     color		(optional) if true, highlight each line according to
+ *     			the type of change
+ */
+function printDeployedChanges(stream, args) {
+    assertplus.object(stream, 'stream');
+    assertplus.object(args, 'args');
+    assertplus.arrayOfObject(args.changes, 'args.changes');
+    assertplus.optionalString(args.timestamp, 'args.timestamp');
+    assertplus.optionalBool(args.color, 'args.color');
+
+    args.changes.forEach(function(c) {
+        var what, line;
+
+        what = sprintf(
+            'service "%s"%s zone %s %s',
+            c.service,
+            c.shard === null ? '' : ' shard ' + c.shard,
+            c.zonename,
+            c.host === '-' ? 'in ' + c.datacenter : 'on ' + c.host
+        );
+
+        if (c.type === 'added') {
+            line = sprintf(
+                '+ %s: added with image %s (%s)',
+                what,
+                c.image,
+                c.version
+            );
+        } else if (c.type === 'removed') {
+            line = sprintf('- %s: removed', what);
+        } else {
+            line = sprintf(
+                '~ %s: image changed from %s (%s) to %s (%s)',
+                what,
+                c.old_image,
+                c.old_version,
+                c.image,
+                c.version
+            );
+        }
+
+        if (args.timestamp) {
+            line = args.timestamp + ' ' + line;
+        }
+
+        if (args.color) {
+            line = maChangeColors[c.type] + line + maChangeColorReset;
+        }
+
+        fprintf(stream, '%s\n', line);
+    });
+}
+
 maAdm.prototype.dumpDeployedZonesByCn = function(sout, conf) {
     assert.ok(this.ma_instances !== null, 'must load deployed first');
 
@@ -3993,1416 +5876,3373 @@ maAdm.prototype.updateDeployedInstanceMetadata = function(
     );
 };
 
-maAdm.prototype.isServiceDeployed = function(svcname) {
+/*
+ * Prints a fault-domain analysis of the deployed instances (see lib/faults.js)
+ * to "sout".  Instances in all datacenters are counted, but only servers in
+ * this datacenter (and their racks, using the CNAPI "rack_identifier") can be
+ * analyzed individually.  Named arguments:
+ *
+ *     min_instances	report services that would drop below this many
+ *     			instances
+ *
+ * Returns the number of fault domains whose failure would have an impact.
+ */
+maAdm.prototype.dumpFaultAnalysis = function(sout, args) {
+    var servers, instances, analysis;
     var self = this;
 
-    var svc_objs = Object.keys(self.ma_services).filter(function(svcuuid) {
-        return self.ma_services[svcuuid].name === svcname;
+    assertplus.object(args, 'args');
+    assertplus.number(args.min_instances, 'args.min_instances');
+
+    servers = {};
+    instances = [];
+    this.ma_instances_flattened.forEach(function(row) {
+        var cnid = row['SERVER_UUID'] === '-' ? null : row['SERVER_UUID'];
+        var cn;
+
+        if (cnid !== null && !servers.hasOwnProperty(cnid)) {
+            cn = self.ma_cns[cnid] || {};
+            servers[cnid] = {
+                name: row['GZ HOST'],
+                rack: cn['rack_identifier'] || null,
+                az: row['DATACENTER']
+            };
+        }
+
+        instances.push({
+            svcname: row['SERVICE'],
+            shard:
+                svcs.serviceIsSharded(row['SERVICE']) && row['SH'] !== '-'
+                    ? row['SH']
+                    : null,
+            az: row['DATACENTER'],
+            server: cnid
+        });
     });
-    return svc_objs.length !== 0;
-};
 
-maAdm.prototype.getDeployedConfigByServiceJson = function() {
-    var self = this;
-    var configFromCn;
-    var config;
-    var svcuuids;
+    analysis = faults.analyzeFaults({
+        servers: servers,
+        instances: instances,
+        min_instances: args.min_instances
+    });
 
-    svcuuids = Object.keys(this.ma_config_bycn).sort(function(s1, s2) {
-        return self.ma_services[s1]['name'].localeCompare(
-            self.ma_services[s2]['name']
-        );
+    return faults.printFaultAnalysis({
+        stream: sout,
+        analysis: analysis,
+        min_instances: args.min_instances
     });
+};
 
-    configFromCn = {};
-    svcuuids.forEach(function(svcid) {
-        var svcname, cnid, sc;
+/*
+ * Prints a capacity report (see lib/capacity.js) for the servers in this
+ * datacenter to "sout".  Named arguments:
+ *
+ *     svcname		(optional) also predict how many more instances of this
+ *     			service would fit.  The memory and disk used by each
+ *     			instance come from the service's SAPI parameters ("ram"
+ *     			and "quota"), or if those are not set, from the largest
+ *     			existing instance.
+ *
+ *     json		(optional) if true, print the report in JSON form
+ *
+ * Returns an Error if the report could not be generated.
+ */
+maAdm.prototype.dumpCapacity = function(sout, args) {
+    var servers, instances, fit, analysis;
+    var self = this;
 
-        svcname = self.ma_services[svcid]['name'];
-        for (cnid in self.ma_config_bycn[svcid]) {
-            sc = self.ma_config_bycn[svcid][cnid];
+    assertplus.object(args, 'args');
+    assertplus.optionalString(args.svcname, 'args.svcname');
+    assertplus.optionalBool(args.json, 'args.json');
+
+    servers = {};
+    jsprim.forEachKey(this.ma_gzinfo, function(cnid, gz) {
+        var cn = self.ma_cns[cnid];
+        var size, alloc;
+
+        size = cn['disk_pool_size_bytes'];
+        alloc = cn['disk_pool_alloc_bytes'];
+        servers[cnid] = {
+            name: gz['hostname'],
+            rack: cn['rack_identifier'] || null,
+            az: gz['dc'],
+            ram: typeof cn['ram'] === 'number' ? cn['ram'] : null,
+            ram_free:
+                typeof cn['unreserved_ram'] === 'number'
+                    ? cn['unreserved_ram']
+                    : null,
+            disk: typeof size === 'number' ? size / 1073741824 : null,
+            disk_free:
+                typeof size === 'number' && typeof alloc === 'number'
+                    ? (size - alloc) / 1073741824
+                    : null
+        };
+    });
 
-            if (!configFromCn.hasOwnProperty(cnid)) {
-                configFromCn[cnid] = {};
-            }
+    instances = [];
+    this.ma_instances_flattened.forEach(function(row) {
+        var vm;
 
-            assert.ok(!configFromCn[cnid].hasOwnProperty(svcname));
-            configFromCn[cnid][svcname] = sc.summary();
+        if (!self.ma_vms.hasOwnProperty(row['ZONENAME'])) {
+            return;
         }
-    });
 
-    // For comparison it useful to have a stable ordering. Sort the config by
-    // CN UUID. (Within each CN object, entries are already sorted by service
-    // name.)
-    config = {};
-    Object.keys(configFromCn)
-        .sort()
-        .forEach(function(cnid) {
-            config[cnid] = configFromCn[cnid];
+        vm = self.ma_vms[row['ZONENAME']];
+        instances.push({
+            svcname: row['SERVICE'],
+            server: vm['server_uuid'],
+            ram: typeof vm['ram'] === 'number' ? vm['ram'] : 0,
+            disk: typeof vm['quota'] === 'number' ? vm['quota'] : 0
         });
+    });
 
-    return config;
-};
+    fit = null;
+    if (args.svcname !== undefined) {
+        fit = this.capacityDemand(args.svcname, instances);
+        if (fit instanceof Error) {
+            return fit;
+        }
+    }
 
-maAdm.prototype.dumpDeployedConfigByServiceJson = function(sout, _conf) {
-    var rv = this.getDeployedConfigByServiceJson();
+    analysis = capacity.analyzeCapacity({
+        servers: servers,
+        instances: instances,
+        fit: fit
+    });
 
-    sout.write(JSON.stringify(rv, null, '    ') + '\n');
+    if (args.json) {
+        sout.write(JSON.stringify(analysis, null, '    ') + '\n');
+    } else {
+        capacity.printCapacity({stream: sout, analysis: analysis});
+    }
+
+    return null;
 };
 
-maAdm.prototype.dumpCns = function(sout, conf) {
-    var options = {};
-    var colnames, columns, stream, hosts;
+/*
+ * [internal] Returns the memory (in megabytes) and disk quota (in gigabytes)
+ * used by each instance of service "svcname" for "manta-adm capacity", or an
+ * Error if that can't be determined.  See dumpCapacity().
+ */
+maAdm.prototype.capacityDemand = function(svcname, instances) {
     var self = this;
+    var svcids, params, rv;
 
-    colnames = conf.columns || ['dc', 'host', 'admin_ip', 'kind'];
-    columns = colnames.map(function(colname) {
-        colname = colname.toLowerCase();
-        return maCnColumns[colname];
+    svcids = Object.keys(this.ma_services).filter(function(svcuuid) {
+        return self.ma_services[svcuuid].name === svcname;
     });
-
-    if (!conf.oneachnode) {
-        options = {
-            stream: sout,
-            omitHeader: conf.omitHeader,
-            columns: columns
-        };
-
-        stream = new tab.TableOutputStream(options);
-    } else {
-        hosts = [];
+    if (svcids.length === 0) {
+        return new VError('unknown service: "%s"', svcname);
     }
 
-    var filter = conf.filter ? new RegExp(conf.filter) : null;
-    jsprim.forEachKey(this.ma_cns, function(cnid, cn) {
-        var gz = self.ma_gzinfo[cnid];
-        var kind;
-
-        if (!gz) {
-            return;
-        }
+    params = this.ma_services[svcids[0]]['params'] || {};
+    rv = {
+        svcname: svcname,
+        ram: typeof params['ram'] === 'number' ? params['ram'] : null,
+        disk: typeof params['quota'] === 'number' ? params['quota'] : null
+    };
 
-        if (conf.onlystorage && gz && !gz['storage']) {
+    instances.forEach(function(instance) {
+        if (instance.svcname !== svcname) {
             return;
         }
 
-        kind = gz['storage'] ? 'storage' : 'other';
-        if (
-            filter &&
-            !filter.test(gz['server_uuid']) &&
-            !filter.test(gz['hostname']) &&
-            !filter.test(gz['admin_ip']) &&
-            !filter.test(gz['compute_id']) &&
-            !filter.test(kind) &&
-            !filter.test(gz['storage_ids'].join(','))
-        ) {
-            return;
+        if (!params.hasOwnProperty('ram')) {
+            rv.ram = Math.max(rv.ram || 0, instance.ram);
         }
-
-        if (conf.oneachnode) {
-            hosts.push(gz['hostname']);
-            return;
+        if (!params.hasOwnProperty('quota')) {
+            rv.disk = Math.max(rv.disk || 0, instance.disk);
         }
-
-        stream.writeRow({
-            'SERVER UUID': gz['server_uuid'],
-            HOST: gz['hostname'],
-            DC: gz['dc'],
-            RAM: cn['ram'],
-            'ADMIN IP': gz['admin_ip'],
-            'COMPUTE ID': gz['compute_id'] || '-',
-            'STORAGE IDS':
-                kind === 'storage' ? gz['storage_ids'].sort().join(',') : '-',
-            KIND: kind
-        });
     });
 
-    if (conf.oneachnode) {
-        sout.write(hosts.join(',') + '\n');
+    if (rv.ram === null || rv.ram === 0) {
+        return new VError(
+            'cannot determine how much memory an instance of "%s" uses',
+            svcname
+        );
     }
-};
-
-maAdm.prototype.dumpZkServers = function(sout, conf) {
-    var colnames, columns, options, stream;
-    var zkconfig, critical, fixable;
 
-    colnames = conf.columns || ['ord', 'datacenter', 'zonename', 'ip', 'port'];
+    if (rv.disk === null) {
+        rv.disk = 0;
+    }
 
-    columns = colnames.map(function(colname) {
-        colname = colname.toLowerCase();
-        return maZkColumns[colname];
-    });
+    return rv;
+};
 
-    options = {
-        stream: sout,
-        omitHeader: conf.omitHeader,
-        columns: columns
-    };
+/*
+ * Kinds of inconsistencies reported by auditDrift(), in the order in which
+ * they're reported.
+ */
+var maDriftKinds = [
+    'vm without instance',
+    'instance without vm',
+    'unknown server',
+    'server mismatch',
+    'image mismatch'
+];
 
-    stream = new tab.TableOutputStream(options);
-    zkconfig = this.auditZkServers();
-    critical = zkconfig.validationErrors.slice(0);
-    fixable = zkconfig.missingInstances.map(function(i) {
-        return new VError('ZK_SERVERS[%s] has no associated SAPI instance', i);
+/*
+ * Cross-checks the state of Manta instances in this datacenter as recorded by
+ * SAPI, VMAPI, and CNAPI.  Returns an array of inconsistencies, each an object
+ * with properties:
+ *
+ *     kind		one of:
+ *
+ *         "vm without instance"	an active VMAPI VM with a "manta_role" tag
+ *         				has no SAPI instance
+ *
+ *         "instance without vm"	a SAPI instance in this datacenter has no
+ *         				active VMAPI VM
+ *
+ *         "unknown server"	an instance's VM is on a server that CNAPI does
+ *         			not know about
+ *
+ *         "server mismatch"	the server recorded in an instance's SAPI
+ *         			parameters is not the one its VM is on
+ *
+ *         "image mismatch"	an instance's VM does not use the image that
+ *         			SAPI expects: the instance's "image_uuid"
+ *         			parameter, or if that's not set, the service's
+ *
+ *     svcname		name of the instance's service (or the VM's
+ *     			"manta_role" tag), or null if unknown
+ *
+ *     zonename		uuid of the instance or VM
+ *
+ *     message		description of the problem
+ *
+ *     remediation	suggested way to resolve the problem
+ *
+ * Instances in other datacenters are not checked, since VMAPI and CNAPI only
+ * describe this datacenter.  The local datacenter is identified by the SDC
+ * configuration (see loadSdcConfig()); if that hasn't been loaded, every
+ * instance is checked.
+ */
+maAdm.prototype.auditDrift = function() {
+    var self = this;
+    var rv, instances, localdc;
+
+    assert.ok(this.ma_instances_flattened !== null, 'must load first');
+
+    rv = [];
+    instances = {};
+    localdc = this.ma_datacenter_name;
+
+    jsprim.forEachKey(this.ma_instances, function(svcid, svcinstances) {
+        var svc = self.ma_services[svcid];
+
+        svcinstances.forEach(function(instance) {
+            var zonename, vm, dc, expected, server;
+
+            zonename = instance['uuid'];
+            instances[zonename] = true;
+
+            if (!self.ma_vms.hasOwnProperty(zonename)) {
+                dc = instance['metadata']['DATACENTER'];
+                if (localdc !== null && dc !== undefined && dc !== localdc) {
+                    return;
+                }
+
+                rv.push({
+                    kind: 'instance without vm',
+                    svcname: svc['name'],
+                    zonename: zonename,
+                    message: 'SAPI instance has no active VM in VMAPI',
+                    remediation: sprintf(
+                        'if the zone was destroyed, remove the instance ' +
+                            'with "sdc-sapi /instances/%s -X DELETE"',
+                        zonename
+                    )
+                });
+                return;
+            }
+
+            vm = self.ma_vms[zonename];
+            server = vm['server_uuid'];
+            if (!self.ma_gzinfo.hasOwnProperty(server)) {
+                rv.push({
+                    kind: 'unknown server',
+                    svcname: svc['name'],
+                    zonename: zonename,
+                    message: sprintf(
+                        'VM is on server "%s", which CNAPI does not know ' +
+                            'about',
+                        server
+                    ),
+                    remediation:
+                        'check whether the server was removed from CNAPI ' +
+                        'and restore it, or deploy a replacement instance ' +
+                        'elsewhere and remove this one'
+                });
+            }
+
+            if (
+                instance['params'] &&
+                typeof instance['params']['server_uuid'] === 'string' &&
+                instance['params']['server_uuid'] !== server
+            ) {
+                rv.push({
+                    kind: 'server mismatch',
+                    svcname: svc['name'],
+                    zonename: zonename,
+                    message: sprintf(
+                        'SAPI expects server "%s", but VM is on server "%s"',
+                        instance['params']['server_uuid'],
+                        server
+                    ),
+                    remediation: sprintf(
+                        'if the zone was migrated, update the instance ' +
+                            'with "sapiadm update %s params.server_uuid=%s"',
+                        zonename,
+                        server
+                    )
+                });
+            }
+
+            if (
+                instance['params'] &&
+                typeof instance['params']['image_uuid'] === 'string'
+            ) {
+                expected = instance['params']['image_uuid'];
+            } else if (
+                svc['params'] &&
+                typeof svc['params']['image_uuid'] === 'string'
+            ) {
+                expected = svc['params']['image_uuid'];
+            } else {
+                expected = null;
+            }
+
+            if (expected !== null && vm['image_uuid'] !== expected) {
+                rv.push({
+                    kind: 'image mismatch',
+                    svcname: svc['name'],
+                    zonename: zonename,
+                    message: sprintf(
+                        'SAPI expects image "%s", but VM uses image "%s"',
+                        expected,
+                        vm['image_uuid']
+                    ),
+                    remediation: sprintf(
+                        'reprovision the zone with "sapiadm reprovision %s ' +
+                            '%s", or use "manta-adm update" to choose its ' +
+                            'image',
+                        zonename,
+                        expected
+                    )
+                });
+            }
+        });
     });
 
-    zkconfig.configuredInstances.forEach(function(zkinstance) {
-        var instance;
+    jsprim.forEachKey(this.ma_vms, function(zonename, vm) {
+        if (instances.hasOwnProperty(zonename)) {
+            return;
+        }
 
-        instance = zkinstance.instance;
-        stream.writeRow({
-            '#': zkinstance.zkid,
-            IP: zkinstance.ip,
-            PORT: zkinstance.port,
-            ZONENAME: instance ? instance.uuid : '-',
-            ZONEABBR: instance ? instance.uuid.substr(0, 8) : '-',
-            DATACENTER: instance ? instance.metadata['DATACENTER'] : '-'
+        rv.push({
+            kind: 'vm without instance',
+            svcname:
+                vm['tags'] && typeof vm['tags']['manta_role'] === 'string'
+                    ? vm['tags']['manta_role']
+                    : null,
+            zonename: zonename,
+            message: 'VM has no SAPI instance',
+            remediation: sprintf(
+                'if the zone is no longer needed, destroy it with ' +
+                    '"sdc-vmapi /vms/%s -X DELETE"',
+                zonename
+            )
         });
     });
 
-    return {
-        critical: critical,
-        fixable: fixable
-    };
+    rv.sort(function(a, b) {
+        return (
+            maDriftKinds.indexOf(a.kind) - maDriftKinds.indexOf(b.kind) ||
+            (a.svcname || '').localeCompare(b.svcname || '') ||
+            a.zonename.localeCompare(b.zonename)
+        );
+    });
+
+    return rv;
 };
 
 /*
- * [internal] Given a VM uuid, return the primary IP if we know it, or null if
- * not.
+ * Prints the inconsistencies found by auditDrift() to "sout".  Named
+ * arguments:
+ *
+ *     json		(optional) if true, print the inconsistencies in JSON
+ *     			form
+ *
+ * Returns the number of inconsistencies.
  */
-maAdm.prototype.primaryIpForZone = function(uuid) {
-    var vm, ips;
+maAdm.prototype.dumpDrift = function(sout, args) {
+    var drift;
+    var wrapper = wordwrap(4, 80);
 
-    if (!this.ma_vms.hasOwnProperty(uuid)) {
-        return null;
+    assertplus.object(args, 'args');
+    assertplus.optionalBool(args.json, 'args.json');
+
+    drift = this.auditDrift();
+    if (args.json) {
+        sout.write(JSON.stringify(drift, null, '    ') + '\n');
+        return drift.length;
     }
 
-    vm = this.ma_vms[uuid];
-    ips = vm['nics'].filter(function(n) {
-        return n['primary'];
+    drift.forEach(function(d) {
+        fprintf(
+            sout,
+            '%s: zone %s (%s)\n%s\n%s\n',
+            d.kind,
+            d.zonename,
+            d.svcname === null ? 'unknown service' : d.svcname,
+            wrapper(d.message),
+            wrapper('suggestion: ' + d.remediation)
+        );
     });
-    if (ips.length === 0) {
-        return null;
-    }
 
-    return ips[0]['ip'];
+    fprintf(
+        sout,
+        '%d inconsistenc%s found\n',
+        drift.length,
+        drift.length === 1 ? 'y' : 'ies'
+    );
+    return drift.length;
 };
 
-/*
- * [internal] Returns the set of fields that together define a unique
- * "configuration" of a service.  This is used to figure out what instances can
- * be bucketed together as redundant instances of the same thing.  For most
- * services, the key is just the image uuid.  For postgres and moray, the shard
- * is part of the key as well.
- */
-maAdm.prototype.keyForService = function(svcname) {
-    return svcs.serviceConfigProperties(svcname);
-};
+maAdm.prototype.isServiceDeployed = function(svcname) {
+    var self = this;
 
-/*
- * [internal] Invoked after we've loaded data into this.ma_instances to populate
- * other data structures that we'll use when creating a plan.
- */
-maAdm.prototype.loadInstances = function() {
-    assert.ok(this.ma_instances !== null);
-    assert.ok(this.ma_instances_flattened === null);
-    assert.ok(this.ma_config_bycn === null);
-    assert.ok(this.ma_config_bycfg === null);
-    assert.ok(this.ma_images !== null);
+    var svc_objs = Object.keys(self.ma_services).filter(function(svcuuid) {
+        return self.ma_services[svcuuid].name === svcname;
+    });
+    return svc_objs.length !== 0;
+};
 
-    var services, rv, svcid, i, svcname, svckey;
-    var instance, metadata, server, gz, image, row, ip, version;
+maAdm.prototype.getDeployedConfigByServiceJson = function() {
+    var self = this;
+    var configFromCn;
+    var config;
+    var svcuuids;
 
-    services = this.ma_services;
-    rv = [];
-    this.ma_config_bycn = {};
-    this.ma_config_bycfg = {};
-    this.ma_instance_info = {};
-    this.ma_instances_local_bysvcname = {};
+    svcuuids = Object.keys(this.ma_config_bycn).sort(function(s1, s2) {
+        return self.ma_services[s1]['name'].localeCompare(
+            self.ma_services[s2]['name']
+        );
+    });
 
-    for (svcid in this.ma_instances) {
-        svcname = services[svcid]['name'];
-        svckey = svcs.serviceConfigProperties(svcname);
+    configFromCn = {};
+    svcuuids.forEach(function(svcid) {
+        var svcname, cnid, sc;
 
-        this.ma_config_bycfg[svcid] = new svcs.ServiceConfiguration(svckey);
-        this.ma_config_bycn[svcid] = {};
-        this.ma_instances_local_bysvcname[svcname] = [];
+        svcname = self.ma_services[svcid]['name'];
+        for (cnid in self.ma_config_bycn[svcid]) {
+            sc = self.ma_config_bycn[svcid][cnid];
 
-        for (i = 0; i < this.ma_instances[svcid].length; i++) {
-            instance = this.ma_instances[svcid][i];
-            metadata = instance['metadata'];
-            if (this.ma_vms.hasOwnProperty(instance['uuid'])) {
-                server = this.ma_vms[instance['uuid']]['server_uuid'];
-                gz = this.ma_gzinfo[server];
-                assertplus.ok(
-                    !this.ma_instance_svcname.hasOwnProperty(instance['uuid'])
-                );
-                this.ma_instance_svcname[instance['uuid']] = svcname;
-            } else {
-                server = '-';
-                gz = null;
+            if (!configFromCn.hasOwnProperty(cnid)) {
+                configFromCn[cnid] = {};
             }
-            image = this.ma_vms.hasOwnProperty(instance['uuid'])
-                ? this.ma_vms[instance['uuid']]['image_uuid']
-                : '-';
-            ip = this.primaryIpForZone(instance['uuid']) || '-';
-            version = this.ma_images.hasOwnProperty(image)
-                ? this.ma_images[image]['version']
-                : '-';
 
-            if (gz && svcname === 'storage') {
-                gz['storage'] = true;
-                gz['storage_ids'].push(metadata['MANTA_STORAGE_ID']);
-            }
+            assert.ok(!configFromCn[cnid].hasOwnProperty(svcname));
+            configFromCn[cnid][svcname] = sc.summary();
+        }
+    });
 
-            /*
-             * The only reason to convert the shard to a string here
-             * is that in theory it should be an opaque token
-             * anyway, and the user's input will likely come in as a
-             * string, so it's easier to compare this way.
-             */
-            row = {
-                SERVICE: svcname,
-                SH: instance['metadata']['SHARD']
-                    ? instance['metadata']['SHARD'].toString()
-                    : '-',
-                DATACENTER: metadata['DATACENTER'] || '-',
-                ZONENAME: instance['uuid'],
-                'GZ HOST': gz ? gz['hostname'] : '-',
-                'GZ ADMIN IP': gz ? gz['admin_ip'] : '-',
-                SERVER_UUID: server,
-                'PRIMARY IP': ip,
-                ZONEABBR: instance['uuid'].substr(0, 8),
-                IMAGE: image,
-                'STORAGE ID': metadata['MANTA_STORAGE_ID'] || '-',
-                VERSION: version
-            };
-            rv.push(row);
+    // For comparison it useful to have a stable ordering. Sort the config by
+    // CN UUID. (Within each CN object, entries are already sorted by service
+    // name.)
+    config = {};
+    Object.keys(configFromCn)
+        .sort()
+        .forEach(function(cnid) {
+            config[cnid] = configFromCn[cnid];
+        });
 
-            this.ma_instance_info[
-                instance['uuid']
-            ] = new instance_info.InstanceInfo({
-                uuid: instance['uuid'],
-                svcname: svcname,
-                metadata: instance['metadata'],
-                local: gz !== null,
-                server_uuid: gz !== null ? server : null
-            });
+    return config;
+};
 
-            if (gz !== null) {
-                this.ma_instances_local_bysvcname[svcname].push(
-                    instance['uuid']
-                );
-            }
+/*
+ * Returns the names of all datacenters in which instances of the application
+ * are deployed, in sorted order.  This relies on the DATACENTER metadata of
+ * each instance, since SAPI describes instances in all datacenters of the
+ * region.
+ */
+maAdm.prototype.datacenterNames = function() {
+    var dcs = {};
 
-            if (image === '-') {
-                continue;
-            }
+    assert.ok(this.ma_instances_flattened !== null, 'must load first');
 
-            this.ma_config_bycfg[svcid].incr(row);
-            if (
-                server !== '-' &&
-                !this.ma_config_bycn[svcid].hasOwnProperty(server)
-            ) {
-                this.ma_config_bycn[svcid][
-                    server
-                ] = new svcs.ServiceConfiguration(svckey);
-            }
-            this.ma_config_bycn[svcid][server].incr(row);
+    this.ma_instances_flattened.forEach(function(row) {
+        if (row['DATACENTER'] !== '-') {
+            dcs[row['DATACENTER']] = true;
         }
-    }
+    });
 
-    this.ma_instances_flattened = rv;
+    return Object.keys(dcs).sort();
 };
 
-/*
- * [internal] Invoked after we've loaded data into ma_cns to populate
- * compute node data structures that we'll use in dumping zones and
- * configurations.
- */
-maAdm.prototype.loadCns = function() {
-    assert.ok(this.ma_cns !== null);
-    assert.ok(this.ma_gzinfo === null);
-
-    var gzinfo, cnid, cn;
-    var ifaces, ifacename, iface;
-    var cids;
-    var admin_tag;
-
-    gzinfo = {};
-    for (cnid in this.ma_cns) {
-        admin_tag = 'admin';
-        cn = this.ma_cns[cnid];
-        if (cn === null) {
-            continue;
-        }
-        gzinfo[cnid] = {
-            dc: cn['datacenter'],
-            hostname: cn['hostname'],
-            server_uuid: cn['uuid'],
-            admin_ip: 'unknown',
-            storage: false,
-            compute_id: null,
-            storage_ids: []
-        };
+maAdm.prototype.dumpDeployedConfigByServiceJson = function(sout, _conf) {
+    var rv = this.getDeployedConfigByServiceJson();
 
-        ifaces = cn['sysinfo']['Network Interfaces'];
-        if (cn['sysinfo']['Admin NIC Tag']) {
-            admin_tag = cn['sysinfo']['Admin NIC Tag'];
-        }
-        for (ifacename in ifaces) {
-            iface = ifaces[ifacename];
-            if (iface['NIC Names'].indexOf(admin_tag) === -1) {
-                continue;
-            }
+    sout.write(JSON.stringify(rv, null, '    ') + '\n');
+};
 
-            gzinfo[cnid]['admin_ip'] = iface['ip4addr'];
-        }
+/*
+ * Prints information about the compute nodes used in this datacenter.  Named
+ * arguments:
+ *
+ *     columns		(optional) names of columns to print
+ *
+ *     omitHeader	(optional) if true, don't print the header row
+ *
+ *     filter		(optional) regular expression matched against each
+ *     			CN's server uuid, hostname, admin IP, compute id, kind,
+ *     			and storage ids
+ *
+ *     onlystorage	(optional) if true, only print CNs with storage zones
+ *
+ *     sort		(optional) result of cnParseSort()
+ *
+ *     oneachnode	(optional) if true, print a comma-separated list of
+ *     			hostnames instead of a table
+ *
+ *     json		(optional) if true, print an array of objects (one for
+ *     			each CN) instead of a table.  By default, these include
+ *     			all columns.
+ */
+maAdm.prototype.dumpCns = function(sout, conf) {
+    var colnames, columns, stream, rows;
+    var self = this;
 
-        assertplus.ok(!this.ma_instance_svcname.hasOwnProperty(cnid));
-        this.ma_instance_svcname[cnid] = 'global zone';
+    if (conf.columns) {
+        colnames = conf.columns.map(function(colname) {
+            return colname.toLowerCase();
+        });
+    } else if (conf.json) {
+        colnames = cnColumnNames();
+    } else {
+        colnames = ['dc', 'host', 'admin_ip', 'kind'];
     }
 
-    if (this.ma_app['metadata']) {
-        cids = this.ma_app['metadata']['SERVER_COMPUTE_ID_MAPPING'];
-        for (cnid in cids) {
-            if (!gzinfo.hasOwnProperty(cnid)) {
-                continue;
-            }
+    var filter = conf.filter ? new RegExp(conf.filter) : null;
+    rows = [];
+    jsprim.forEachKey(this.ma_cns, function(cnid, cn) {
+        var gz = self.ma_gzinfo[cnid];
+        var kind;
 
-            gzinfo[cnid]['compute_id'] = cids[cnid];
+        if (!gz) {
+            return;
         }
-    }
-
-    this.ma_gzinfo = gzinfo;
-};
 
-/*
- * Read a user-specified configuration describing the desired set of deployed
- * services.  We'll later construct a plan to provision, deprovision, and
- * reprovision instances to make reality match this configuration.
- */
-maAdm.prototype.readConfigFromFile = function(filename, callback) {
-    var self = this;
-    assert.ok(this.ma_instances_wanted === null);
-    fs.readFile(filename, function(err, contents) {
-        if (err) {
-            callback(new VError(err, 'reading "%s":', filename));
+        if (conf.onlystorage && gz && !gz['storage']) {
             return;
         }
 
-        err = self.readConfigRaw(contents.toString('utf8'));
-        if (err) {
-            err = new VError(err, 'processing "%s"', filename);
+        kind = gz['storage'] ? 'storage' : 'other';
+        if (
+            filter &&
+            !filter.test(gz['server_uuid']) &&
+            !filter.test(gz['hostname']) &&
+            !filter.test(gz['admin_ip']) &&
+            !filter.test(gz['compute_id']) &&
+            !filter.test(kind) &&
+            !filter.test(gz['storage_ids'].join(','))
+        ) {
+            return;
         }
-        callback(err);
-    });
-};
 
-maAdm.prototype.readConfigRaw = function(contents) {
-    var json, cnid, svcname, svckey, cfgs, sc;
+        rows.push(self.cnRow(cnid, cn, gz, kind));
+    });
 
-    try {
-        json = JSON.parse(contents);
-    } catch (ex) {
-        return ex;
-    }
+    if (conf.sort) {
+        rows.sort(function(a, b) {
+            var i, c;
 
-    this.ma_instances_wanted = {};
-    for (cnid in json) {
-        this.ma_instances_wanted[cnid] = {};
-        for (svcname in json[cnid]) {
-            svckey = this.keyForService(svcname);
-            this.ma_instances_wanted[cnid][
-                svcname
-            ] = sc = new svcs.ServiceConfiguration(svckey);
-            cfgs = jsprim.flattenObject(json[cnid][svcname], svckey.length);
-            for (let c of cfgs) {
-                var row = {};
-                for (let i = 0; i < svckey.length; i++) {
-                    row[svckey[i]] = c[i];
+            for (i = 0; i < conf.sort.length; i++) {
+                c = cnCompare(
+                    a[conf.sort[i].column],
+                    b[conf.sort[i].column],
+                    conf.sort[i].descending
+                );
+                if (c !== 0) {
+                    return c;
                 }
-                sc.incr(row, c[c.length - 1]);
             }
-        }
+
+            return 0;
+        });
     }
 
-    var cnids = Object.keys(json);
-    if (cnids.indexOf('<any>') !== -1 && cnids.length > 1) {
-        return new VError('cannot combine "<any>" with specific compute nodes');
+    if (conf.oneachnode) {
+        sout.write(
+            rows
+                .map(function(row) {
+                    return row['host'];
+                })
+                .join(',') + '\n'
+        );
+        return;
     }
 
-    return null;
+    if (conf.json) {
+        sout.write(
+            JSON.stringify(
+                rows.map(function(row) {
+                    var rv = {};
+                    colnames.forEach(function(colname) {
+                        rv[colname] = row[colname];
+                    });
+                    return rv;
+                }),
+                null,
+                '    '
+            ) + '\n'
+        );
+        return;
+    }
+
+    columns = colnames.map(function(colname) {
+        return maCnColumns[colname];
+    });
+    stream = new tab.TableOutputStream({
+        stream: sout,
+        omitHeader: conf.omitHeader,
+        columns: columns
+    });
+    rows.forEach(function(row) {
+        var out = {};
+
+        colnames.forEach(function(colname) {
+            out[maCnColumns[colname].label] = cnFormatValue(
+                colname,
+                row[colname]
+            );
+        });
+        stream.writeRow(out);
+    });
 };
 
 /*
- * Reads a configuration file mapping instance uuids of a common SAPI service to
- * json objects representing their corresponding SAPI metadata. This format is
- * used to support batch updating metadata that may vary across different
- * instances.
+ * [internal] Returns the values of all "manta-adm cn" columns for compute node
+ * "cnid", as they would appear in JSON output.  Values that are unknown are
+ * null.
  */
-maAdm.prototype.readInstanceMetadataConfigFromFile = function(
-    filename,
-    callback
-) {
-    var self = this;
-    fs.readFile(filename, function(err, contents) {
-        if (err) {
-            callback(new VError(err, 'reading "%s":', filename));
+maAdm.prototype.cnRow = function(cnid, cn, gz, kind) {
+    var instances, ninstances, size, alloc;
+
+    instances = {};
+    ninstances = 0;
+    this.ma_instances_flattened.forEach(function(row) {
+        if (row['SERVER_UUID'] !== cnid) {
             return;
         }
 
-        err = self.readInstanceMetadataConfigRaw(contents.toString('utf8'));
-        if (err) {
-            err = new VError(err, 'processing "%s"', filename);
+        if (!instances.hasOwnProperty(row['SERVICE'])) {
+            instances[row['SERVICE']] = 0;
         }
-        callback(err);
+        instances[row['SERVICE']]++;
+        ninstances++;
     });
-};
 
-maAdm.prototype.readInstanceMetadataConfigRaw = function(contents) {
-    var self, instuuid, prev_svcname, next_svcname, json;
+    size =
+        typeof cn['disk_pool_size_bytes'] === 'number'
+            ? cn['disk_pool_size_bytes']
+            : null;
+    alloc =
+        typeof cn['disk_pool_alloc_bytes'] === 'number'
+            ? cn['disk_pool_alloc_bytes']
+            : null;
 
-    self = this;
+    return {
+        server_uuid: gz['server_uuid'],
+        host: gz['hostname'],
+        dc: gz['dc'],
+        ram: typeof cn['ram'] === 'number' ? cn['ram'] : null,
+        admin_ip: gz['admin_ip'],
+        compute_id: gz['compute_id'] || null,
+        storage_ids:
+            kind === 'storage' ? gz['storage_ids'].slice(0).sort() : [],
+        kind: kind,
+        ninstances: ninstances,
+        instances: instances,
+        free_ram:
+            typeof cn['memory_available_bytes'] === 'number'
+                ? Math.floor(cn['memory_available_bytes'] / 1048576)
+                : null,
+        zpool_size: size === null ? null : Math.floor(size / 1073741824),
+        zpool_used: alloc === null ? null : Math.floor(alloc / 1073741824),
+        zpool_pct:
+            size === null || alloc === null || size === 0
+                ? null
+                : Math.round((100 * alloc) / size),
+        reboot_required:
+            typeof cn['boot_platform'] === 'string' &&
+            typeof cn['current_platform'] === 'string'
+                ? cn['boot_platform'] !== cn['current_platform']
+                : null
+    };
+};
 
-    try {
-        json = JSON.parse(contents);
-    } catch (ex) {
-        return ex;
+/*
+ * Formats the value of "manta-adm cn" column "colname" for tabular output.
+ */
+function cnFormatValue(colname, value) {
+    if (value === null) {
+        return '-';
     }
 
-    for (instuuid in json) {
-        prev_svcname = next_svcname;
-        if (!self.ma_instance_info.hasOwnProperty(instuuid)) {
-            return new VError('unknown instance "%s"', instuuid);
-        }
-        next_svcname = self.ma_instance_info[instuuid].inst_svcname;
+    switch (colname) {
+        case 'storage_ids':
+            return value.length === 0 ? '-' : value.join(',');
+        case 'instances':
+            return Object.keys(value).length === 0
+                ? '-'
+                : Object.keys(value)
+                      .sort()
+                      .map(function(svcname) {
+                          return svcname + '=' + value[svcname];
+                      })
+                      .join(',');
+        case 'zpool_size':
+        case 'zpool_used':
+            return value + 'G';
+        case 'zpool_pct':
+            return value + '%';
+        case 'reboot_required':
+            return value ? 'yes' : 'no';
+        default:
+            return value;
+    }
+}
 
-        if (prev_svcname !== undefined && prev_svcname !== next_svcname) {
-            return new VError(
-                'instances of mulitple distinct ' +
-                    'services cannot be updated at once'
-            );
-        }
+/*
+ * Compares two "manta-adm cn" column values for sorting.  Unknown values sort
+ * after known ones in either direction.
+ */
+function cnCompare(a, b, descending) {
+    var c;
+
+    if (a === null || b === null) {
+        return a === b ? 0 : a === null ? 1 : -1;
     }
 
-    self.ma_instance_metadata_updates = json;
+    if (typeof a === 'object') {
+        a = Array.isArray(a) ? a.join(',') : cnFormatValue('instances', a);
+        b = Array.isArray(b) ? b.join(',') : cnFormatValue('instances', b);
+    }
 
-    return null;
-};
+    c = a < b ? -1 : a > b ? 1 : 0;
+    return descending ? -c : c;
+}
 
-maAdm.prototype.determineSdcChannel = function(cb) {
-    var self = this;
-    var opts = {
-        sapi: self.ma_sdc.SAPI,
-        log: self.ma_log
-    };
-    common.getSdcChannel(opts, function(err, channel) {
-        if (err) {
-            self.ma_log.info('Unable to determine channel' + err);
-            cb(err);
-            return;
-        }
-        self.ma_channel = channel;
-        if (channel !== null) {
-            self.ma_log.info('SDC update channel is ' + self.ma_channel);
-        } else {
-            self.ma_log.info('SDC update channel has not been set');
+/*
+ * Contacts each configured ZooKeeper server to find out its current state.
+ * Named arguments:
+ *
+ *     timeout		milliseconds to wait for each server to respond
+ *
+ * "callback" is invoked as callback(health), where "health" maps each
+ * configured server's ZooKeeper id to the corresponding result of
+ * zk.zkAssessEnsemble().  This is suitable for the "health" argument of
+ * dumpZkServers().  Problems contacting individual servers are reported in
+ * their results rather than as an error.
+ */
+maAdm.prototype.fetchZkHealth = function(args, callback) {
+    var members;
+
+    assertplus.object(args, 'args');
+    assertplus.number(args.timeout, 'args.timeout');
+    assertplus.func(callback, 'callback');
+
+    members = this.auditZkServers().configuredInstances;
+    zk.zkEnsembleStatus(
+        {servers: zkServers(members), timeout: args.timeout, mntr: true},
+        function(status) {
+            var assessed, rv;
+
+            assessed = zk.zkAssessEnsemble(status, maZkMaxLag);
+            rv = {};
+            members.forEach(function(m, i) {
+                rv[m.zkid] = assessed[i];
+            });
+            callback(rv);
         }
-        cb();
-    });
+    );
 };
 
 /*
- * Assuming we've already loaded the current deployed configuration and the
- * user-specified configuration, generate a plan to make reality match what the
- * user wants. This function accepts an 'opts' object with three members:
+ * Prints the configured ZooKeeper servers.  Named arguments:
  *
- * - service: if specified, we'll only update the service with the given name
+ *     columns		(optional) names of columns to print
  *
- * - noreprovision: if true, we'll use provision and deprovision operations even
- *   when reprovisioning would work. False by default.
+ *     omitHeader	(optional) if true, don't print the header row
  *
- * - experimental: if true, we'll allow the provisioning of instances of
- *   experimental services, meaning those listed in the mSvcNamesExperimental
- *   array in lib/services.js. False by default.
+ *     health		(optional) result of fetchZkHealth().  This is required
+ *     			to print the "mode", "zxid", "outstanding", "latency",
+ *     			and "health" columns, and is used to report servers that
+ *     			are down or lagging.
+ *
+ * Returns an object with "critical" and "fixable" problems with the
+ * configuration, as well as "unhealthy" problems with servers' current state.
  */
-/* eslint-disable no-loop-func */
-maAdm.prototype.generatePlan = function(opts, callback) {
-    assert.ok(this.ma_instances_wanted !== null);
-    assert.ok(this.ma_plan === null);
-    assertplus.object(opts, 'opts');
-    assertplus.func(callback, 'callback');
-    assertplus.optionalString(opts.service, 'opts.service');
-    assertplus.optionalBool(opts.noreprovision, 'opts.noreprovision');
-    assertplus.optionalBool(opts.experimental, 'opts.experimental');
+maAdm.prototype.dumpZkServers = function(sout, conf) {
+    var colnames, columns, options, stream;
+    var zkconfig, critical, fixable, unhealthy, zkhealth;
 
-    var service = opts.service;
+    zkhealth = conf.health || null;
+    if (conf.columns) {
+        colnames = conf.columns;
+    } else {
+        colnames = ['ord', 'datacenter', 'zonename', 'ip', 'port'];
+        if (zkhealth !== null) {
+            colnames = colnames.concat([
+                'mode',
+                'zxid',
+                'outstanding',
+                'latency',
+                'health'
+            ]);
+        }
+    }
 
-    var noreprovision = !!opts.noreprovision;
-    var experimental = !!opts.experimental;
+    columns = colnames.map(function(colname) {
+        colname = colname.toLowerCase();
+        return maZkColumns[colname];
+    });
 
-    var cnid, dcnconf, svcconfig, svcid, svcname, actual;
-    var svcname2uuids = {};
-    var usedany = false;
-    var empty = new svcs.ServiceConfiguration(['unused']);
-    var self = this;
-    var log = this.ma_log;
+    options = {
+        stream: sout,
+        omitHeader: conf.omitHeader,
+        columns: columns
+    };
 
-    /*
-     * As we generate the plan, if we find that an operator is attempting to
-     * newly deploy an instance of an experimental service, we add it to
-     * this array. Then, if the 'experimental' option hasn't been specified
-     * and this array is not empty, we return an error.
-     */
-    var newExpServiceInsts = [];
+    stream = new tab.TableOutputStream(options);
+    zkconfig = this.auditZkServers();
+    critical = zkconfig.validationErrors.slice(0);
+    fixable = zkconfig.missingInstances.map(function(i) {
+        return new VError('ZK_SERVERS[%s] has no associated SAPI instance', i);
+    });
+    unhealthy = [];
 
-    if (service && !svcs.serviceNameIsValid(service)) {
-        callback(new VError('unrecognized service: "%s"', service));
-        return;
-    }
+    zkconfig.configuredInstances.forEach(function(zkinstance) {
+        var instance, row, h;
 
-    log.info('generating plan');
-    log.trace(
-        'generating plan',
-        this.ma_instances_wanted,
-        this.ma_config_bycfg
+        instance = zkinstance.instance;
+        row = {
+            '#': zkinstance.zkid,
+            IP: zkinstance.ip,
+            PORT: zkinstance.port,
+            ZONENAME: instance ? instance.uuid : '-',
+            ZONEABBR: instance ? instance.uuid.substr(0, 8) : '-',
+            DATACENTER: instance ? instance.metadata['DATACENTER'] : '-'
+        };
+
+        if (zkhealth !== null && zkhealth.hasOwnProperty(zkinstance.zkid)) {
+            h = zkhealth[zkinstance.zkid];
+            row['MODE'] = h.mode || '-';
+            row['ZXID'] = h.zxid || '-';
+            row['OUTSTANDING'] = h.outstanding === null ? '-' : h.outstanding;
+            row['LATENCY'] =
+                h.latencyAvg === null
+                    ? '-'
+                    : sprintf('%s/%s', h.latencyAvg, h.latencyMax);
+            row['HEALTH'] = h.problem === null ? 'ok' : h.problem;
+
+            if (h.problem !== null) {
+                unhealthy.push(
+                    new VError(
+                        'ZooKeeper server %d (%s:%d): %s',
+                        zkinstance.zkid,
+                        zkinstance.ip,
+                        zkinstance.port,
+                        h.problem
+                    )
+                );
+            }
+        }
+
+        stream.writeRow(row);
+    });
+
+    return {
+        critical: critical,
+        fixable: fixable,
+        unhealthy: unhealthy
+    };
+};
+
+/*
+ * Returns true if the named "zk list" column requires live health information.
+ */
+function zkColumnNeedsHealth(colname) {
+    colname = colname.toLowerCase();
+    return (
+        maZkColumns.hasOwnProperty(colname) &&
+        maZkColumns[colname].health === true
     );
-    this.ma_plan = {};
+}
 
-    for (svcid in this.ma_services) {
-        svcname2uuids[this.ma_services[svcid]['name']] = svcid;
+/*
+ * [internal] Given a VM uuid, return the primary IP if we know it, or null if
+ * not.
+ */
+maAdm.prototype.primaryIpForZone = function(uuid) {
+    var vm, ips;
+
+    if (!this.ma_vms.hasOwnProperty(uuid)) {
+        return null;
     }
 
-    for (cnid in this.ma_instances_wanted) {
-        if (cnid === '<any>') {
-            usedany = true;
-        }
+    vm = this.ma_vms[uuid];
+    ips = vm['nics'].filter(function(n) {
+        return n['primary'];
+    });
+    if (ips.length === 0) {
+        return null;
+    }
 
-        dcnconf = this.ma_instances_wanted[cnid];
-        log.debug({cnid: cnid}, 'user config: processing CN');
-        for (svcname in dcnconf) {
-            if (service && svcname !== service) {
-                continue;
-            }
+    return ips[0]['ip'];
+};
 
-            svcid = svcname2uuids[svcname];
-            if (cnid === '<any>') {
-                actual = this.ma_config_bycfg[svcid] || empty;
+/*
+ * [internal] Returns the set of fields that together define a unique
+ * "configuration" of a service.  This is used to figure out what instances can
+ * be bucketed together as redundant instances of the same thing.  For most
+ * services, the key is just the image uuid.  For postgres and moray, the shard
+ * is part of the key as well.
+ */
+maAdm.prototype.keyForService = function(svcname) {
+    return svcs.serviceConfigProperties(svcname);
+};
+
+/*
+ * [internal] Invoked after we've loaded data into this.ma_instances to populate
+ * other data structures that we'll use when creating a plan.
+ */
+maAdm.prototype.loadInstances = function() {
+    assert.ok(this.ma_instances !== null);
+    assert.ok(this.ma_instances_flattened === null);
+    assert.ok(this.ma_config_bycn === null);
+    assert.ok(this.ma_config_bycfg === null);
+    assert.ok(this.ma_images !== null);
+
+    var services, rv, svcid, i, svcname, svckey;
+    var instance, metadata, server, gz, image, row, ip, version;
+
+    services = this.ma_services;
+    rv = [];
+    this.ma_config_bycn = {};
+    this.ma_config_bycfg = {};
+    this.ma_instance_info = {};
+    this.ma_instances_local_bysvcname = {};
+
+    for (svcid in this.ma_instances) {
+        svcname = services[svcid]['name'];
+        svckey = svcs.serviceConfigProperties(svcname);
+
+        this.ma_config_bycfg[svcid] = new svcs.ServiceConfiguration(svckey);
+        this.ma_config_bycn[svcid] = {};
+        this.ma_instances_local_bysvcname[svcname] = [];
+
+        for (i = 0; i < this.ma_instances[svcid].length; i++) {
+            instance = this.ma_instances[svcid][i];
+            metadata = instance['metadata'];
+            if (this.ma_vms.hasOwnProperty(instance['uuid'])) {
+                server = this.ma_vms[instance['uuid']]['server_uuid'];
+                gz = this.ma_gzinfo[server];
+                assertplus.ok(
+                    !this.ma_instance_svcname.hasOwnProperty(instance['uuid'])
+                );
+                this.ma_instance_svcname[instance['uuid']] = svcname;
             } else {
-                actual =
-                    this.ma_config_bycn.hasOwnProperty(svcid) &&
-                    this.ma_config_bycn[svcid].hasOwnProperty(cnid)
-                        ? this.ma_config_bycn[svcid][cnid]
-                        : empty;
+                server = '-';
+                gz = null;
+            }
+            image = this.ma_vms.hasOwnProperty(instance['uuid'])
+                ? this.ma_vms[instance['uuid']]['image_uuid']
+                : '-';
+            ip = this.primaryIpForZone(instance['uuid']) || '-';
+            version = this.ma_images.hasOwnProperty(image)
+                ? this.ma_images[image]['version']
+                : '-';
+
+            if (gz && svcname === 'storage') {
+                gz['storage'] = true;
+                gz['storage_ids'].push(metadata['MANTA_STORAGE_ID']);
             }
 
             /*
-             * For configurations specified in the new file,
-             * compare the desired number to what we've already got.
+             * The only reason to convert the shard to a string here
+             * is that in theory it should be an opaque token
+             * anyway, and the user's input will likely come in as a
+             * string, so it's easier to compare this way.
              */
-            dcnconf[svcname].each(function(config, key) {
-                var desired_count = config['count'];
-                var actual_count = actual.get(config);
-                var count = desired_count - actual_count;
-                log.debug(
-                    {
-                        cnid: cnid,
-                        service: svcname,
-                        config: key,
-                        wanted: desired_count,
-                        have: actual_count,
-                        delta: count
-                    },
-                    'match count in new config'
-                );
+            row = {
+                SERVICE: svcname,
+                SH: instance['metadata']['SHARD']
+                    ? instance['metadata']['SHARD'].toString()
+                    : '-',
+                DATACENTER: metadata['DATACENTER'] || '-',
+                ZONENAME: instance['uuid'],
+                'GZ HOST': gz ? gz['hostname'] : '-',
+                'GZ ADMIN IP': gz ? gz['admin_ip'] : '-',
+                SERVER_UUID: server,
+                'PRIMARY IP': ip,
+                ZONEABBR: instance['uuid'].substr(0, 8),
+                IMAGE: image,
+                'STORAGE ID': metadata['MANTA_STORAGE_ID'] || '-',
+                VERSION: version
+            };
+            rv.push(row);
 
-                if (count > 0) {
-                    self.plan(
-                        cnid,
-                        svcname,
-                        key,
-                        'provision',
-                        count,
-                        'more wanted'
-                    );
-                    if (
-                        svcs.serviceIsExperimental(svcname) &&
-                        newExpServiceInsts.indexOf(svcname) === -1
-                    ) {
-                        newExpServiceInsts.push(svcname);
-                    }
-                } else if (count < 0) {
-                    self.plan(
-                        cnid,
-                        svcname,
-                        key,
-                        'deprovision',
-                        -count,
-                        'fewer wanted'
-                    );
-                }
+            this.ma_instance_info[
+                instance['uuid']
+            ] = new instance_info.InstanceInfo({
+                uuid: instance['uuid'],
+                svcname: svcname,
+                metadata: instance['metadata'],
+                local: gz !== null,
+                server_uuid: gz !== null ? server : null
             });
 
-            /*
-             * Deprovision any instances having images not specified
-             * at all in the new configuration.
-             */
-            actual.each(function(config, key) {
-                if (dcnconf[svcname].has(config)) {
+            if (gz !== null) {
+                this.ma_instances_local_bysvcname[svcname].push(
+                    instance['uuid']
+                );
+            }
+
+            if (image === '-') {
+                continue;
+            }
+
+            this.ma_config_bycfg[svcid].incr(row);
+            if (
+                server !== '-' &&
+                !this.ma_config_bycn[svcid].hasOwnProperty(server)
+            ) {
+                this.ma_config_bycn[svcid][
+                    server
+                ] = new svcs.ServiceConfiguration(svckey);
+            }
+            this.ma_config_bycn[svcid][server].incr(row);
+        }
+    }
+
+    this.ma_instances_flattened = rv;
+};
+
+/*
+ * [internal] Invoked after we've loaded data into ma_cns to populate
+ * compute node data structures that we'll use in dumping zones and
+ * configurations.
+ */
+maAdm.prototype.loadCns = function() {
+    assert.ok(this.ma_cns !== null);
+    assert.ok(this.ma_gzinfo === null);
+
+    var gzinfo, cnid, cn;
+    var ifaces, ifacename, iface;
+    var cids;
+    var admin_tag;
+
+    gzinfo = {};
+    for (cnid in this.ma_cns) {
+        admin_tag = 'admin';
+        cn = this.ma_cns[cnid];
+        if (cn === null) {
+            continue;
+        }
+        gzinfo[cnid] = {
+            dc: cn['datacenter'],
+            hostname: cn['hostname'],
+            server_uuid: cn['uuid'],
+            admin_ip: 'unknown',
+            storage: false,
+            compute_id: null,
+            storage_ids: []
+        };
+
+        ifaces = cn['sysinfo']['Network Interfaces'];
+        if (cn['sysinfo']['Admin NIC Tag']) {
+            admin_tag = cn['sysinfo']['Admin NIC Tag'];
+        }
+        for (ifacename in ifaces) {
+            iface = ifaces[ifacename];
+            if (iface['NIC Names'].indexOf(admin_tag) === -1) {
+                continue;
+            }
+
+            gzinfo[cnid]['admin_ip'] = iface['ip4addr'];
+        }
+
+        assertplus.ok(!this.ma_instance_svcname.hasOwnProperty(cnid));
+        this.ma_instance_svcname[cnid] = 'global zone';
+    }
+
+    if (this.ma_app['metadata']) {
+        cids = this.ma_app['metadata']['SERVER_COMPUTE_ID_MAPPING'];
+        for (cnid in cids) {
+            if (!gzinfo.hasOwnProperty(cnid)) {
+                continue;
+            }
+
+            gzinfo[cnid]['compute_id'] = cids[cnid];
+        }
+    }
+
+    this.ma_gzinfo = gzinfo;
+};
+
+/*
+ * Read a user-specified configuration describing the desired set of deployed
+ * services.  We'll later construct a plan to provision, deprovision, and
+ * reprovision instances to make reality match this configuration.
+ */
+maAdm.prototype.readConfigFromFile = function(filename, callback) {
+    var self = this;
+    assert.ok(this.ma_instances_wanted === null);
+    fs.readFile(filename, function(err, contents) {
+        if (err) {
+            callback(new VError(err, 'reading "%s":', filename));
+            return;
+        }
+
+        err = self.readConfigRaw(contents.toString('utf8'));
+        if (err) {
+            err = new VError(err, 'processing "%s"', filename);
+        }
+        callback(err);
+    });
+};
+
+maAdm.prototype.readConfigRaw = function(contents) {
+    var json, cnid, svcname, svckey, cfgs, sc;
+
+    try {
+        json = JSON.parse(contents);
+    } catch (ex) {
+        return ex;
+    }
+
+    this.ma_instances_wanted = {};
+    for (cnid in json) {
+        this.ma_instances_wanted[cnid] = {};
+        for (svcname in json[cnid]) {
+            svckey = this.keyForService(svcname);
+            this.ma_instances_wanted[cnid][
+                svcname
+            ] = sc = new svcs.ServiceConfiguration(svckey);
+            cfgs = jsprim.flattenObject(json[cnid][svcname], svckey.length);
+            for (let c of cfgs) {
+                var row = {};
+                for (let i = 0; i < svckey.length; i++) {
+                    row[svckey[i]] = c[i];
+                }
+                sc.incr(row, c[c.length - 1]);
+            }
+        }
+    }
+
+    var cnids = Object.keys(json);
+    if (cnids.indexOf('<any>') !== -1 && cnids.length > 1) {
+        return new VError('cannot combine "<any>" with specific compute nodes');
+    }
+
+    return null;
+};
+
+/*
+ * Parse a region-level configuration describing the desired set of deployed
+ * services in each datacenter of a region.  This is an object whose properties
+ * are datacenter names and whose values are configurations for each
+ * datacenter, in the same form accepted by readConfigRaw().  Returns either an
+ * Error or the parsed object.
+ */
+function parseRegionConfig(contents) {
+    var json, dcnames, i, dc;
+
+    try {
+        json = JSON.parse(contents);
+    } catch (ex) {
+        return ex;
+    }
+
+    if (typeof json !== 'object' || json === null || Array.isArray(json)) {
+        return new VError('expected an object');
+    }
+
+    dcnames = Object.keys(json);
+    if (dcnames.length === 0) {
+        return new VError('no datacenters specified');
+    }
+
+    for (i = 0; i < dcnames.length; i++) {
+        dc = dcnames[i];
+        if (dc === '<any>' || common.isUuid(dc)) {
+            return new VError(
+                'property "%s": expected datacenter name (this looks like ' +
+                    'a single-datacenter configuration)',
+                dc
+            );
+        }
+
+        if (
+            typeof json[dc] !== 'object' ||
+            json[dc] === null ||
+            Array.isArray(json[dc])
+        ) {
+            return new VError(
+                'datacenter "%s": expected an object describing its ' +
+                    'configuration',
+                dc
+            );
+        }
+    }
+
+    return json;
+}
+
+/*
+ * Generate the plan for each datacenter of a region-wide update ("manta-adm
+ * update --region").  Datacenters are processed in sorted order, and if the
+ * plan for one datacenter cannot be generated, no plans are generated for the
+ * datacenters after it.  Named arguments:
+ *
+ *     adms		object mapping each datacenter name to its MantaAdm,
+ *			whose deployed state must already have been fetched
+ *
+ *     config		region-level configuration (see parseRegionConfig()),
+ *			with the same datacenters as "adms"
+ *
+ *     service		(optional) service to which the plans are limited
+ *
+ *     noreprovision	(optional) see generatePlan()
+ *
+ *     experimental	(optional) see generatePlan()
+ */
+function generateRegionPlans(args, callback) {
+    assertplus.object(args, 'args');
+    assertplus.object(args.adms, 'args.adms');
+    assertplus.object(args.config, 'args.config');
+    assertplus.optionalString(args.service, 'args.service');
+    assertplus.optionalBool(args.noreprovision, 'args.noreprovision');
+    assertplus.optionalBool(args.experimental, 'args.experimental');
+    assertplus.func(callback, 'callback');
+    assertplus.deepEqual(
+        Object.keys(args.adms).sort(),
+        Object.keys(args.config).sort()
+    );
+
+    vasync.forEachPipeline(
+        {
+            inputs: Object.keys(args.config).sort(),
+            func: function generateDcPlan(dc, subcb) {
+                var adm = args.adms[dc];
+                var err;
+
+                err = adm.readConfigRaw(JSON.stringify(args.config[dc]));
+                if (err) {
+                    setImmediate(subcb, new VError(err, 'datacenter "%s"', dc));
                     return;
                 }
-                log.debug(
+
+                adm.generatePlan(
                     {
-                        cnid: cnid,
-                        service: svcname,
-                        config: key,
-                        delta: -config['count']
+                        service: args.service,
+                        noreprovision: args.noreprovision,
+                        experimental: args.experimental
                     },
-                    'image not present in new config'
-                );
-                self.plan(
-                    cnid,
-                    svcname,
-                    key,
-                    'deprovision',
-                    config['count'],
-                    'image no longer used'
+                    function(perr) {
+                        if (perr) {
+                            perr = new VError(perr, 'datacenter "%s"', dc);
+                        }
+                        subcb(perr);
+                    }
                 );
-            });
+            }
+        },
+        function(err) {
+            callback(err);
+        }
+    );
+}
+
+/*
+ * Print the plans generated by generateRegionPlans() without executing them.
+ * Named arguments:
+ *
+ *     adms		object mapping each datacenter name to its MantaAdm
+ *
+ *     stream		stream on which to print the plans
+ *
+ *     errstream	stream on which to print warnings
+ *
+ *     diff		(optional) if true, print each plan as a diff of the
+ *			deployed configuration (see dumpPlanDiff())
+ *
+ *     json		(optional) if true, print a single JSON object mapping
+ *			each datacenter name to its plan (see planJson())
+ *
+ * Otherwise, each plan is printed as "manta-adm update -n" would, preceded by
+ * the name of its datacenter.  "callback" is invoked as callback(err, counts),
+ * where "counts" maps each datacenter name to the number of changes in its
+ * plan.
+ */
+function dumpRegionPlans(args, callback) {
+    var dcnames, counts, plans;
+
+    assertplus.object(args, 'args');
+    assertplus.object(args.adms, 'args.adms');
+    assertplus.object(args.stream, 'args.stream');
+    assertplus.object(args.errstream, 'args.errstream');
+    assertplus.optionalBool(args.diff, 'args.diff');
+    assertplus.optionalBool(args.json, 'args.json');
+    assertplus.func(callback, 'callback');
+
+    dcnames = Object.keys(args.adms).sort();
+    counts = {};
+
+    if (args.json) {
+        plans = {};
+        dcnames.forEach(function(dc) {
+            plans[dc] = args.adms[dc].planJson();
+            counts[dc] = plans[dc].actions.length;
+        });
+        args.stream.write(JSON.stringify(plans, null, '    ') + '\n');
+        setImmediate(callback, null, counts);
+        return;
+    }
+
+    vasync.forEachPipeline(
+        {
+            inputs: dcnames,
+            func: function dumpDcPlan(dc, subcb) {
+                var adm = args.adms[dc];
+
+                fprintf(args.stream, 'datacenter "%s":\n', dc);
+                if (args.diff) {
+                    counts[dc] = adm.dumpPlanDiff(args.stream);
+                    setImmediate(subcb);
+                    return;
+                }
+
+                adm.execPlan(args.stream, args.errstream, true, function(
+                    err,
+                    count
+                ) {
+                    counts[dc] = count || 0;
+                    subcb(err);
+                });
+            }
+        },
+        function(err) {
+            callback(err, counts);
+        }
+    );
+}
+
+/*
+ * Execute the plans generated by generateRegionPlans(), one datacenter at a
+ * time in sorted order.  If the plan for one datacenter fails, the plans for
+ * the datacenters after it are not executed.  Named arguments:
+ *
+ *     adms		object mapping each datacenter name to its MantaAdm
+ *
+ *     counts		object mapping each datacenter name to the number of
+ *			changes in its plan (see dumpRegionPlans()).
+ *			Datacenters with no changes are skipped.
+ *
+ *     stream		stream on which to report progress
+ *
+ *     errstream	stream on which to report warnings
+ *
+ * "callback" is invoked as callback(err, done), where "done" lists the
+ * datacenters whose plans were executed successfully (or had nothing to do),
+ * even if a later one failed.
+ */
+function execRegionPlans(args, callback) {
+    var done = [];
+
+    assertplus.object(args, 'args');
+    assertplus.object(args.adms, 'args.adms');
+    assertplus.object(args.counts, 'args.counts');
+    assertplus.object(args.stream, 'args.stream');
+    assertplus.object(args.errstream, 'args.errstream');
+    assertplus.func(callback, 'callback');
+
+    vasync.forEachPipeline(
+        {
+            inputs: Object.keys(args.adms).sort(),
+            func: function execDcPlan(dc, subcb) {
+                if (args.counts[dc] === 0) {
+                    done.push(dc);
+                    setImmediate(subcb);
+                    return;
+                }
+
+                fprintf(args.stream, 'updating datacenter "%s"\n', dc);
+                args.adms[dc].execPlan(
+                    args.stream,
+                    args.errstream,
+                    false,
+                    function(err) {
+                        if (err) {
+                            subcb(new VError(err, 'datacenter "%s"', dc));
+                            return;
+                        }
+
+                        done.push(dc);
+                        subcb();
+                    }
+                );
+            }
+        },
+        function(err) {
+            callback(err, done);
+        }
+    );
+}
+
+/*
+ * Reads a configuration file mapping instance uuids of a common SAPI service to
+ * json objects representing their corresponding SAPI metadata. This format is
+ * used to support batch updating metadata that may vary across different
+ * instances.
+ */
+maAdm.prototype.readInstanceMetadataConfigFromFile = function(
+    filename,
+    callback
+) {
+    var self = this;
+    fs.readFile(filename, function(err, contents) {
+        if (err) {
+            callback(new VError(err, 'reading "%s":', filename));
+            return;
+        }
+
+        err = self.readInstanceMetadataConfigRaw(contents.toString('utf8'));
+        if (err) {
+            err = new VError(err, 'processing "%s"', filename);
+        }
+        callback(err);
+    });
+};
+
+maAdm.prototype.readInstanceMetadataConfigRaw = function(contents) {
+    var self, instuuid, prev_svcname, next_svcname, json;
+
+    self = this;
+
+    try {
+        json = JSON.parse(contents);
+    } catch (ex) {
+        return ex;
+    }
+
+    for (instuuid in json) {
+        prev_svcname = next_svcname;
+        if (!self.ma_instance_info.hasOwnProperty(instuuid)) {
+            return new VError('unknown instance "%s"', instuuid);
+        }
+        next_svcname = self.ma_instance_info[instuuid].inst_svcname;
+
+        if (prev_svcname !== undefined && prev_svcname !== next_svcname) {
+            return new VError(
+                'instances of mulitple distinct ' +
+                    'services cannot be updated at once'
+            );
+        }
+    }
+
+    self.ma_instance_metadata_updates = json;
+
+    return null;
+};
+
+maAdm.prototype.determineSdcChannel = function(cb) {
+    var self = this;
+    var opts = {
+        sapi: self.ma_sdc.SAPI,
+        log: self.ma_log
+    };
+    common.getSdcChannel(opts, function(err, channel) {
+        if (err) {
+            self.ma_log.info('Unable to determine channel' + err);
+            cb(err);
+            return;
+        }
+        self.ma_channel = channel;
+        if (channel !== null) {
+            self.ma_log.info('SDC update channel is ' + self.ma_channel);
+        } else {
+            self.ma_log.info('SDC update channel has not been set');
+        }
+        cb();
+    });
+};
+
+/*
+ * Assuming we've already loaded the current deployed configuration and the
+ * user-specified configuration, generate a plan to make reality match what the
+ * user wants. This function accepts an 'opts' object with three members:
+ *
+ * - service: if specified, we'll only update the service with the given name
+ *
+ * - noreprovision: if true, we'll use provision and deprovision operations even
+ *   when reprovisioning would work. False by default.
+ *
+ * - experimental: if true, we'll allow the provisioning of instances of
+ *   experimental services, meaning those listed in the mSvcNamesExperimental
+ *   array in lib/services.js. False by default.
+ */
+/* eslint-disable no-loop-func */
+maAdm.prototype.generatePlan = function(opts, callback) {
+    assert.ok(this.ma_instances_wanted !== null);
+    assert.ok(this.ma_plan === null);
+    assertplus.object(opts, 'opts');
+    assertplus.func(callback, 'callback');
+    assertplus.optionalString(opts.service, 'opts.service');
+    assertplus.optionalBool(opts.noreprovision, 'opts.noreprovision');
+    assertplus.optionalBool(opts.experimental, 'opts.experimental');
+
+    var service = opts.service;
+
+    var noreprovision = !!opts.noreprovision;
+    var experimental = !!opts.experimental;
+
+    var cnid, dcnconf, svcconfig, svcid, svcname, actual;
+    var svcname2uuids = {};
+    var usedany = false;
+    var empty = new svcs.ServiceConfiguration(['unused']);
+    var self = this;
+    var log = this.ma_log;
+
+    /*
+     * As we generate the plan, if we find that an operator is attempting to
+     * newly deploy an instance of an experimental service, we add it to
+     * this array. Then, if the 'experimental' option hasn't been specified
+     * and this array is not empty, we return an error.
+     */
+    var newExpServiceInsts = [];
+
+    if (service && !svcs.serviceNameIsValid(service)) {
+        callback(new VError('unrecognized service: "%s"', service));
+        return;
+    }
+
+    log.info('generating plan');
+    log.trace(
+        'generating plan',
+        this.ma_instances_wanted,
+        this.ma_config_bycfg
+    );
+    this.ma_plan = {};
+
+    for (svcid in this.ma_services) {
+        svcname2uuids[this.ma_services[svcid]['name']] = svcid;
+    }
+
+    for (cnid in this.ma_instances_wanted) {
+        if (cnid === '<any>') {
+            usedany = true;
+        }
+
+        dcnconf = this.ma_instances_wanted[cnid];
+        log.debug({cnid: cnid}, 'user config: processing CN');
+        for (svcname in dcnconf) {
+            if (service && svcname !== service) {
+                continue;
+            }
+
+            svcid = svcname2uuids[svcname];
+            if (cnid === '<any>') {
+                actual = this.ma_config_bycfg[svcid] || empty;
+            } else {
+                actual =
+                    this.ma_config_bycn.hasOwnProperty(svcid) &&
+                    this.ma_config_bycn[svcid].hasOwnProperty(cnid)
+                        ? this.ma_config_bycn[svcid][cnid]
+                        : empty;
+            }
+
+            /*
+             * For configurations specified in the new file,
+             * compare the desired number to what we've already got.
+             */
+            dcnconf[svcname].each(function(config, key) {
+                var desired_count = config['count'];
+                var actual_count = actual.get(config);
+                var count = desired_count - actual_count;
+                log.debug(
+                    {
+                        cnid: cnid,
+                        service: svcname,
+                        config: key,
+                        wanted: desired_count,
+                        have: actual_count,
+                        delta: count
+                    },
+                    'match count in new config'
+                );
+
+                if (count > 0) {
+                    self.plan(
+                        cnid,
+                        svcname,
+                        key,
+                        'provision',
+                        count,
+                        'more wanted'
+                    );
+                    if (
+                        svcs.serviceIsExperimental(svcname) &&
+                        newExpServiceInsts.indexOf(svcname) === -1
+                    ) {
+                        newExpServiceInsts.push(svcname);
+                    }
+                } else if (count < 0) {
+                    self.plan(
+                        cnid,
+                        svcname,
+                        key,
+                        'deprovision',
+                        -count,
+                        'fewer wanted'
+                    );
+                }
+            });
+
+            /*
+             * Deprovision any instances having images not specified
+             * at all in the new configuration.
+             */
+            actual.each(function(config, key) {
+                if (dcnconf[svcname].has(config)) {
+                    return;
+                }
+                log.debug(
+                    {
+                        cnid: cnid,
+                        service: svcname,
+                        config: key,
+                        delta: -config['count']
+                    },
+                    'image not present in new config'
+                );
+                self.plan(
+                    cnid,
+                    svcname,
+                    key,
+                    'deprovision',
+                    config['count'],
+                    'image no longer used'
+                );
+            });
+        }
+
+        /*
+         * Deprovision all instances of services not specified at all in
+         * the new configuration.
+         */
+        for (svcid in this.ma_config_bycn) {
+            svcname = this.ma_services[svcid]['name'];
+            if (service && svcname !== service) {
+                continue;
+            }
+
+            if (dcnconf.hasOwnProperty(svcname)) {
+                continue;
+            }
+
+            if (
+                !this.ma_config_bycn.hasOwnProperty(svcid) ||
+                !this.ma_config_bycn[svcid].hasOwnProperty(cnid)
+            ) {
+                continue;
+            }
+
+            this.ma_config_bycn[svcid][cnid].each(function(config, key) {
+                log.debug(
+                    {
+                        cnid: cnid,
+                        service: svcname,
+                        config: key,
+                        delta: -config['count']
+                    },
+                    'service not present in new config'
+                );
+
+                self.plan(
+                    cnid,
+                    svcname,
+                    key,
+                    'deprovision',
+                    config['count'],
+                    'service no longer used'
+                );
+            });
+        }
+    }
+
+    /*
+     * Check for an attempt to deploy experimental services, as described
+     * above.
+     */
+    if (!experimental && newExpServiceInsts.length !== 0) {
+        callback(
+            new VError(
+                'Experimental services cannot be ' +
+                    'deployed without the "--experimental" flag. The ' +
+                    'experimental services you are attempting to deploy are: ' +
+                    newExpServiceInsts.join(', ')
+            )
+        );
+        return;
+    }
+
+    /*
+     * Deprovision everything on CNs not specified at all in the new
+     * configuration.
+     */
+    if (!usedany) {
+        for (svcid in this.ma_config_bycn) {
+            svcname = this.ma_services[svcid]['name'];
+            if (service && svcname !== service) {
+                continue;
+            }
+
+            svcconfig = this.ma_config_bycn[svcid];
+            for (cnid in svcconfig) {
+                if (this.ma_instances_wanted.hasOwnProperty(cnid)) {
+                    continue;
+                }
+
+                svcconfig[cnid].each(function(config, key) {
+                    log.debug(
+                        {
+                            cnid: cnid,
+                            service: svcname,
+                            config: key,
+                            delta: -config['count']
+                        },
+                        'CN not present in new config'
+                    );
+
+                    self.plan(
+                        cnid,
+                        svcname,
+                        key,
+                        'deprovision',
+                        config['count'],
+                        'CN no longer used'
+                    );
+                });
+            }
+        }
+    }
+
+    /*
+     * Figure out in what order to execute the plan.  The plan is already
+     * divided by service (it would be nuts to update multiple services
+     * concurrently) and by compute node (because we can often safely update
+     * the same service on multiple CNs).
+     *
+     * Within those groupings, we generally want to alternate provisions and
+     * deprovisions, starting with provisions.  Otherwise, we'd end up
+     * doubling or eliminating our capacity, both of which are generally
+     * untenable.
+     *
+     * This approach also allows us to replace a "provision" + "deprovision"
+     * pair with a single "reprovision" operation, if that's allowed for
+     * this service.
+     */
+    for (svcname in this.ma_plan) {
+        for (cnid in this.ma_plan[svcname]) {
+            this.ma_plan[svcname][cnid] = this.planSort(
+                svcname2uuids[svcname],
+                cnid,
+                this.ma_plan[svcname][cnid],
+                !noreprovision
+            );
+        }
+    }
+
+    setTimeout(callback, 0);
+};
+
+/*
+ * Retrieves Image objects, specified by the uuid keys of the
+ * 'services_by_image' parameter, setting the results in opts.local_images.
+ */
+function fetchLocalImages(opts, cb) {
+    assertplus.object(opts, 'opts');
+    assertplus.object(opts.services_by_image, 'opts.services_by_image');
+    assertplus.object(opts.log, 'opts.log');
+    assertplus.object(opts.local_imgapi, 'opts.local_imgapi');
+    assertplus.func(cb, 'cb');
+
+    opts.local_images = {};
+
+    var imgapi_opts = {};
+    vasync.forEachParallel(
+        {
+            inputs: Object.keys(opts.services_by_image),
+            func: function getOneImageName(imageUuid, nextImage) {
+                opts.log.debug(
+                    'getting local image %s for service %s',
+                    imageUuid,
+                    opts.services_by_image[imageUuid]
+                );
+                opts.local_imgapi.getImage(
+                    imageUuid,
+                    imgapi_opts,
+                    function getImage(err, image) {
+                        if (err) {
+                            // At this point, missing images are not fatal
+                            // unless we're doing local-only lookup, but
+                            // deal with that elsewhere.
+                            var missing = sprintf(
+                                '%s (%s)',
+                                imageUuid,
+                                opts.services_by_image[imageUuid]
+                            );
+                            opts.log.debug('missing local image ' + missing);
+                            if (err.restCode === 'ResourceNotFound') {
+                                // 404s are fine, anything else is not.
+                                nextImage();
+                            } else {
+                                opts.log.error(
+                                    'error getting image %s: %s',
+                                    imageUuid,
+                                    err
+                                );
+                                nextImage(err);
+                            }
+                        } else {
+                            opts.local_images[imageUuid] = image;
+                            nextImage();
+                        }
+                    }
+                );
+            }
+        },
+        function finishFetchLocalImages(err) {
+            if (err) {
+                opts.log.debug('error getting local images %s', err);
+                cb(err);
+            } else {
+                cb();
+            }
+        }
+    );
+}
+
+/*
+ * Retrieves Image objects, specified by the uuid keys of the
+ * 'services_by_image' parameter, setting the results in opts.remote_images.
+ */
+function fetchRemoteImages(opts, cb) {
+    assertplus.object(opts, 'opts');
+    assertplus.object(opts.services_by_image, 'opts.services_by_image');
+    assertplus.object(opts.log, 'opts.log');
+    assertplus.object(opts.remote_imgapi, 'opts.remote_imgapi');
+    assertplus.object(opts.local_images, 'opts.local_images');
+    assertplus.ok(opts.channel !== undefined);
+    assertplus.func(cb, 'cb');
+
+    opts.remote_images = {};
+
+    /*
+     * The channel can be null when e.g. 'sdcadm channel unset' causes our
+     * SAPI entry to have that metadata removed. In that case, when
+     * searching for images, we look in the default channel as configured on
+     * the updates imgapi server itself.
+     */
+
+    var imgapi_opts = {};
+    if (opts.channel !== null) {
+        imgapi_opts.channel = opts.channel;
+    }
+
+    // By default, search for all images in the remote imgapi, since
+    // channel information is only stored there.
+    var uuids = Object.keys(opts.services_by_image);
+
+    // If we're skipping channel verification, then we only need remote
+    // images that don't already exist locally in order to do the
+    // image name check.
+    if (opts.skip_verify_channel) {
+        uuids = [];
+        var local_uuids = Object.keys(opts.local_images);
+        uuids = Object.keys(opts.services_by_image).filter(function(uuid) {
+            if (local_uuids.indexOf(uuid) === -1) {
+                return true;
+            } else {
+                opts.log.debug(
+                    'not searching remote imgapi ' +
+                        'for %s, it exists locally',
+                    uuid
+                );
+                return false;
+            }
+        });
+    }
+
+    vasync.forEachParallel(
+        {
+            inputs: uuids,
+            func: function fetchOneImage(imageUuid, nextImage) {
+                opts.log.debug(
+                    'getting remote image %s for service %s on channel %s',
+                    imageUuid,
+                    opts.services_by_image[imageUuid],
+                    opts.channel
+                );
+                opts.remote_imgapi.getImage(
+                    imageUuid,
+                    imgapi_opts,
+                    function getImage(err, image) {
+                        if (err) {
+                            var missing = sprintf(
+                                '%s (%s)',
+                                imageUuid,
+                                opts.services_by_image[imageUuid]
+                            );
+                            opts.log.debug('missing remote image ' + missing);
+                            if (err.restCode === 'ResourceNotFound') {
+                                // 404s are fine, anything else is not.
+                                nextImage();
+                            } else {
+                                opts.log.error(
+                                    'error getting image %s: %s',
+                                    imageUuid,
+                                    err
+                                );
+                                nextImage(err);
+                            }
+                        } else {
+                            opts.remote_images[imageUuid] = image;
+                            nextImage();
+                        }
+                    }
+                );
+            }
+        },
+        function finishFetchRemoteImages(err) {
+            if (err) {
+                opts.log.error('error getting remote images %d', err);
+                cb(err);
+            } else {
+                cb();
+            }
+        }
+    );
+}
+
+/*
+ * Retrieves Image objects, invoking fetchLocalImages and fetchRemoteImages.
+ * Missing images are not considered errors at this point.
+ */
+function fetchImages(opts, cb) {
+    assertplus.object(opts, 'opts');
+    assertplus.func(cb, 'cb');
+    assertplus.object(opts.services_by_image, 'opts.services_by_image');
+    assertplus.object(opts.remote_imgapi, 'opts.remote_imgapi');
+    assertplus.object(opts.local_imgapi, 'opts.local_imgapi');
+
+    vasync.pipeline(
+        {
+            arg: opts,
+            funcs: [
+                function stepFetchLocalImages(arg, stepcb) {
+                    fetchLocalImages(arg, stepcb);
+                },
+                // even if we've got local images, we'll still need the
+                // remote ones in order to verify the channel
+                function stepFetchRemoteImages(arg, stepcb) {
+                    fetchRemoteImages(arg, stepcb);
+                }
+            ]
+        },
+        function cbImagesLists(err) {
+            if (err) {
+                cb(err);
+                return;
+            } else {
+                cb(null, opts.local_images, opts.remote_images);
+            }
+        }
+    );
+}
+/* eslint-enable no-loop-func */
+
+/*
+ * Determine whether the plan that was generated adheres to any restrictions
+ * that are in place.
+ *
+ * We check the following restrictions:
+ *
+ * 1. All images for deployment are available on the specific imgapi channel
+ *    set by 'sdcadm channel set' on the 'remote_imgapi' set in etc/config.json
+ *    or the channel passed by the -C argument to manta-adm.
+ *
+ * 2. All images for deployment have image names that match the service they're
+ *    being deployed for. It would be bad if were to able to reprovision a
+ *    moray zone with anything other than a moray image.
+ *
+ * 3. All images for deployment exist in the local imgapi instance in this
+ *    datacenter.
+ *
+ *  Options:
+ * - skip_verify_channel: if true, we avoid verifying that each image to be
+ *   provisioned is present on the defined SDC updates.tritondatacenter.com
+ *   channel or channel passed by the -C argument.
+ *   This will still mean we do a remote lookup for any images that aren't
+ *   present on the local imgapi in order to test for item 2 above.
+ */
+maAdm.prototype.verifyPlan = function(opts, cb) {
+    assert.ok(this.ma_plan !== null);
+    assertplus.object(opts, 'opts');
+    assertplus.func(cb, 'cb');
+    assertplus.bool(opts.skip_verify_channel, 'opts.skip_verify_channel');
+
+    var self = this;
+
+    /*
+     * Go through our plan to find the set of new image uuids per-service
+     * across all compute nodes in the plan.
+     */
+    // We don't have a Set() object, so instead use unique Object keys
+    var services_by_image = {};
+    for (var svcname in this.ma_plan) {
+        for (var cnid in this.ma_plan[svcname]) {
+            for (var i = 0; i < this.ma_plan[svcname][cnid].length; i++) {
+                var plan_op = this.ma_plan[svcname][cnid][i];
+                var new_image = null;
+                if (plan_op.action === 'provision') {
+                    new_image = plan_op.IMAGE;
+                } else if (plan_op.action === 'reprovision') {
+                    new_image = plan_op.new_image;
+                }
+                if (new_image) {
+                    services_by_image[new_image] = svcname;
+                }
+            }
+        }
+    }
+
+    var fetch_images_opts = {
+        log: self.ma_log,
+        local_imgapi: self.ma_sdc.IMGAPI,
+        remote_imgapi: self.ma_sdc.REMOTE_IMGAPI,
+        services_by_image: services_by_image,
+        channel: self.ma_channel,
+        skip_verify_channel: opts.skip_verify_channel
+    };
+
+    // retrieve local and (optionally) remote Image objects in order to
+    // verify the plan.
+    fetchImages(fetch_images_opts, function verifyImages(
+        err,
+        local_images,
+        remote_images
+    ) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        // We don't have a Set() object, instead use unique Object keys
+        var imagesIncorrectNames = {};
+        var imagesNotInTheChannel = [];
+        var missingLocalImages = [];
+
+        var checkUuids = Object.keys(services_by_image);
+        checkUuids.forEach(function checkUuid(uuid) {
+            var svcName = services_by_image[uuid];
+            var imgNames = svcs.serviceNameToImageNames(svcName);
+            var imgDesc = sprintf('%s (%s)', uuid, services_by_image[uuid]);
+            var local_uuids = Object.keys(local_images);
+            var remote_uuids = Object.keys(remote_images);
+
+            if (remote_uuids.indexOf(uuid) === -1) {
+                if (!opts.skip_verify_channel) {
+                    imagesNotInTheChannel.push(imgDesc);
+                }
+            } else {
+                // There is some amount of duplication here, in
+                // that later, we check the local image as well.
+                // However if the image isn't present in the
+                // local imgapi, that code may not be invoked.
+                if (imgNames.indexOf(remote_images[uuid].name) === -1) {
+                    var rmsg = sprintf(
+                        '%s (%s, not one of %s)',
+                        uuid,
+                        remote_images[uuid].name,
+                        imgNames.join(', ')
+                    );
+                    imagesIncorrectNames[rmsg] = true;
+                }
+            }
+
+            if (local_uuids.indexOf(uuid) === -1) {
+                missingLocalImages.push(imgDesc);
+            } else {
+                if (imgNames.indexOf(local_images[uuid].name) === -1) {
+                    var lmsg = sprintf(
+                        '%s (%s, not one of %s)',
+                        uuid,
+                        local_images[uuid].name,
+                        imgNames.join(', ')
+                    );
+                    imagesIncorrectNames[lmsg] = true;
+                }
+            }
+        });
+
+        // Construct an error message
+        var msgs = [];
+        if (imagesNotInTheChannel.length > 0) {
+            if (!self.ma_channel) {
+                msgs.push(
+                    sprintf(
+                        'The following images were not found on ' +
+                            'the default updates channel and ' +
+                            'cannot be provisioned. ' +
+                            '(Use --skip-verify-channel to ' +
+                            'override, -C to specify a different ' +
+                            "channel or 'sdcdm channel set' to " +
+                            'change the default channel):\n    %s',
+                        imagesNotInTheChannel.join('\n    ')
+                    )
+                );
+            } else {
+                msgs.push(
+                    sprintf(
+                        'The following images were not found on ' +
+                            'the "%s" channel and cannot be ' +
+                            'provisioned. ' +
+                            '(Use --skip-verify-channel to ' +
+                            'override, -C to specify a different ' +
+                            "channel or 'sdcdm channel set' to " +
+                            'change the default channel):\n    %s',
+                        self.ma_channel,
+                        imagesNotInTheChannel.join('\n    ')
+                    )
+                );
+            }
+        }
+        if (Object.keys(imagesIncorrectNames).length > 0) {
+            msgs.push(
+                sprintf(
+                    'The following images do not deliver ' +
+                        'the service specified in the manta-adm ' +
+                        'update json file:\n    %s',
+                    Object.keys(imagesIncorrectNames).join('\n    ')
+                )
+            );
+        }
+        if (missingLocalImages.length > 0) {
+            msgs.push(
+                sprintf(
+                    'The following images are not available in the ' +
+                        'local imgapi instance:\n    %s',
+                    missingLocalImages.join('\n    ')
+                )
+            );
+        }
+        if (msgs.length !== 0) {
+            cb(new VError(msgs.join('\n')));
+        } else {
+            cb();
+        }
+    });
+};
+
+/*
+ * [internal] Add a deployment step to the current execution plan.
+ */
+maAdm.prototype.plan = function(
+    cnid,
+    service,
+    configkey,
+    action,
+    count,
+    reason
+) {
+    var svckey, elt;
+    assert.ok(count > 0);
+    if (!this.ma_plan.hasOwnProperty(service)) {
+        this.ma_plan[service] = {};
+    }
+    if (!this.ma_plan[service].hasOwnProperty(cnid)) {
+        this.ma_plan[service][cnid] = [];
+    }
+
+    svckey = this.keyForService(service);
+    for (var i = 0; i < count; i++) {
+        elt = {
+            cnid: cnid,
+            service: service,
+            config: configkey,
+            action: action,
+            reason: reason
+        };
+        for (var j = 0; j < svckey.length; j++) {
+            elt[svckey[j]] = configkey[j];
+        }
+        this.ma_plan[service][cnid].push(elt);
+    }
+};
+
+/*
+ * [internal] Sort the operations in the current execution plan in a way that
+ * will make most sense.  See planSortPartial() below for details.
+ */
+maAdm.prototype.planSort = function(svcid, cnid, plan, allowreprovision) {
+    /*
+     * Filter operations into buckets by the entire svckey, up to but
+     * excluding the image.
+     */
+    var planbyconfig = {};
+    var svcname = this.ma_services[svcid]['name'];
+    var svckey = this.keyForService(svcname);
+    var rv = [];
+    var key;
+
+    assert.equal(svckey[svckey.length - 1], 'IMAGE');
+    svckey = svckey.slice(0, svckey.length - 1);
+    plan.forEach(function(pe) {
+        var rawpartialkey = svckey.map(function(_, i) {
+            return pe['config'][i];
+        });
+        var partialkey = JSON.stringify(rawpartialkey);
+        if (!planbyconfig.hasOwnProperty(partialkey)) {
+            planbyconfig[partialkey] = [];
+        }
+        planbyconfig[partialkey].push(pe);
+    });
+
+    for (key in planbyconfig) {
+        rv = rv.concat(
+            this.planSortPartial(
+                svcid,
+                cnid,
+                planbyconfig[key],
+                allowreprovision
+            )
+        );
+    }
+    return rv;
+};
+
+maAdm.prototype.planSortPartial = function(
+    svcid,
+    cnid,
+    plan,
+    allowreprovision
+) {
+    var provisions, deprovisions, rv;
+    var dconfigs, p, d, configid, i, instance;
+    var svcname, svckey, instkey, entry;
+
+    /*
+     * Divide the operations into provisions and deprovisions so that we can
+     * stagger them (and replace each pair with reprovisions, if allowed).
+     */
+    provisions = plan.filter(function(pe) {
+        return pe['action'] === 'provision';
+    });
+    deprovisions = plan.filter(function(pe) {
+        return pe['action'] === 'deprovision';
+    });
+    assert.equal(provisions.length + deprovisions.length, plan.length);
+
+    /*
+     * Figure out how many zones we're deprovisioning for each image so that
+     * we can figure out which specific zones to deprovision.
+     */
+    dconfigs = {};
+    deprovisions.forEach(function(pe) {
+        var key = JSON.stringify(pe['config']);
+        if (!dconfigs.hasOwnProperty(key)) {
+            dconfigs[key] = [];
         }
+        dconfigs[key].push(pe);
+    });
 
-        /*
-         * Deprovision all instances of services not specified at all in
-         * the new configuration.
-         */
-        for (svcid in this.ma_config_bycn) {
-            svcname = this.ma_services[svcid]['name'];
-            if (service && svcname !== service) {
-                continue;
+    /*
+     * Now identify specific zones to deprovision.  This is ludicrously
+     * inefficient, but likely good enough for what we're doing.  We can
+     * preprocess the data structure to make this faster if necessary.
+     * However, it would be good to maintain the fact that this is
+     * deterministic for a given Manta configuration (because
+     * ma_instances_flattened has already been sorted) so that subsequent
+     * runs generate exactly the same plan.
+     */
+    svcname = this.ma_services[svcid]['name'];
+    svckey = this.keyForService(svcname);
+    for (configid in dconfigs) {
+        for (
+            i = 0;
+            dconfigs[configid].length > 0 &&
+            i < this.ma_instances_flattened.length;
+            i++
+        ) {
+            instance = this.ma_instances_flattened[i];
+            instkey = [];
+            for (let s of svckey) {
+                instkey.push(instance[s]);
             }
-
-            if (dcnconf.hasOwnProperty(svcname)) {
+            if (JSON.stringify(instkey) !== configid) {
                 continue;
             }
 
-            if (
-                !this.ma_config_bycn.hasOwnProperty(svcid) ||
-                !this.ma_config_bycn[svcid].hasOwnProperty(cnid)
-            ) {
+            if (cnid !== '<any>' && cnid !== instance['SERVER_UUID']) {
                 continue;
             }
 
-            this.ma_config_bycn[svcid][cnid].each(function(config, key) {
-                log.debug(
-                    {
-                        cnid: cnid,
-                        service: svcname,
-                        config: key,
-                        delta: -config['count']
-                    },
-                    'service not present in new config'
-                );
-
-                self.plan(
-                    cnid,
-                    svcname,
-                    key,
-                    'deprovision',
-                    config['count'],
-                    'service no longer used'
-                );
-            });
+            dconfigs[configid].shift()['zonename'] = instance['ZONENAME'];
         }
+
+        assert.ok(dconfigs[configid].length === 0);
     }
 
     /*
-     * Check for an attempt to deploy experimental services, as described
-     * above.
+     * If allowed, translate each provision + deprovision pair into a single
+     * reprovision operation.
      */
-    if (!experimental && newExpServiceInsts.length !== 0) {
-        callback(
-            new VError(
-                'Experimental services cannot be ' +
-                    'deployed without the "--experimental" flag. The ' +
-                    'experimental services you are attempting to deploy are: ' +
-                    newExpServiceInsts.join(', ')
-            )
-        );
-        return;
+    rv = [];
+    while (
+        allowreprovision &&
+        provisions.length > 0 &&
+        deprovisions.length > 0
+    ) {
+        p = provisions.shift();
+        d = deprovisions.shift();
+        assert.equal(p['cnid'], d['cnid']);
+        assert.equal(p['service'], d['service']);
+        assert.ok(d['zonename']);
+        assert.ok(p['SH'] === d['SH']);
+        entry = {
+            cnid: p['cnid'],
+            service: p['service'],
+            action: 'reprovision',
+            zonename: d['zonename'],
+            shard: p['SH'],
+            old_image: d['IMAGE'],
+            new_image: p['IMAGE'],
+            old_reason: d['reason'],
+            new_reason: p['reason']
+        };
+        rv.push(entry);
     }
 
     /*
-     * Deprovision everything on CNs not specified at all in the new
-     * configuration.
+     * Stagger all remaining provisions and deprovisions.
      */
-    if (!usedany) {
-        for (svcid in this.ma_config_bycn) {
-            svcname = this.ma_services[svcid]['name'];
-            if (service && svcname !== service) {
-                continue;
-            }
+    while (provisions.length > 0 && deprovisions.length > 0) {
+        p = provisions.shift();
+        d = deprovisions.shift();
+        assert.equal(p['cnid'], d['cnid']);
+        assert.equal(p['service'], d['service']);
+        assert.ok(d['zonename']);
+        rv.push(p);
+        rv.push(d);
+    }
 
-            svcconfig = this.ma_config_bycn[svcid];
-            for (cnid in svcconfig) {
-                if (this.ma_instances_wanted.hasOwnProperty(cnid)) {
-                    continue;
-                }
+    while (provisions.length > 0) {
+        rv.push(provisions.shift());
+    }
 
-                svcconfig[cnid].each(function(config, key) {
-                    log.debug(
-                        {
-                            cnid: cnid,
-                            service: svcname,
-                            config: key,
-                            delta: -config['count']
-                        },
-                        'CN not present in new config'
-                    );
+    while (deprovisions.length > 0) {
+        rv.push(deprovisions.shift());
+    }
 
-                    self.plan(
-                        cnid,
-                        svcname,
-                        key,
-                        'deprovision',
-                        config['count'],
-                        'CN no longer used'
-                    );
-                });
+    return rv;
+};
+
+/*
+ * Plan checkpointing
+ *
+ * Executing a "manta-adm update" plan can take a long time, and execution may
+ * stop partway through because an individual provision fails, a dependent
+ * service becomes unavailable, or the operator's session is interrupted.  To
+ * allow the operator to pick up where the plan left off (rather than
+ * regenerating a plan from a deployment that's now in an intermediate state),
+ * the plan can be checkpointed to a local file as it executes.  That file is a
+ * JSON object with properties:
+ *
+ *     version		version of this format (see maPlanStateVersion)
+ *
+ *     created		ISO 8601 timestamp when the plan was first executed
+ *
+ *     updated		ISO 8601 timestamp when the file was last written
+ *
+ *     service		if the plan was limited to one service, the name
+ *			of that service
+ *
+ *     deployed		the deployed configuration, as reported by
+ *			getDeployedConfigByServiceJson(), when the plan was
+ *			generated
+ *
+ *     zones		the list of all instances deployed when the plan was
+ *			generated
+ *
+ *     fingerprint	a digest of the deployed state from which the plan
+ *			was generated (see deployedFingerprint())
+ *
+ *     rollback_of	if the plan was generated by generateRollbackPlan(),
+ *			the "created" timestamp of the plan that it rolls back
+ *
+ *     plan		the plan itself (see generatePlan()), where each
+ *			action has an additional "state" property that is one
+ *			of "pending" (not yet started), "running" (started, but
+ *			not known to have completed), "failed" (attempted, but
+ *			returned an error), or "done" (completed successfully).
+ *			Provision actions that have completed also record the
+ *			"zonename" of the new instance.
+ *
+ * The file is rewritten each time an action changes state.  Since actions for
+ * different compute nodes may execute concurrently, writes are serialized
+ * through a queue, and each write goes to a temporary file that's renamed into
+ * place so that the file is never left partially written.
+ *
+ * When execution is resumed with planStateLoad(), completed actions are
+ * skipped.  Actions that were "running" or "failed" may or may not have taken
+ * effect, so these are reconciled against the currently deployed state (which
+ * must have already been fetched with fetchDeployed()):
+ *
+ *     o A provision is considered complete if there's an instance of the
+ *       same service, shard, and image on the same compute node that did not
+ *       exist when the plan was generated and is not accounted for by another
+ *       completed provision.
+ *
+ *     o A deprovision is considered complete if the instance no longer
+ *       exists.
+ *
+ *     o A reprovision is considered complete if the instance is now running
+ *       the new image, and still pending if it's running the old image.
+ *
+ * If the deployment has changed in ways the plan cannot account for (e.g., an
+ * instance that the plan would deprovision or reprovision has been removed),
+ * resuming fails.  The operator should generate a new plan instead.
+ *
+ * The same format is used to save a plan for review without executing it
+ * (see planSave()).  A saved plan can be executed later with planLoadSaved(),
+ * but only if the deployment has not changed at all since the plan was
+ * generated, as determined by comparing fingerprints.  That way, the plan
+ * that's executed is exactly the one that was reviewed.
+ */
+
+var schemaPlanState = {
+    type: 'object',
+    properties: {
+        version: {type: 'number', required: true},
+        created: {type: 'string', required: true},
+        updated: {type: 'string', required: true},
+        service: {type: ['string', 'null'], required: true},
+        deployed: {type: 'object', required: true},
+        zones: {
+            type: 'array',
+            required: true,
+            items: {type: 'string'}
+        },
+        fingerprint: {type: 'string'},
+        rollback_of: {type: 'string'},
+        plan: {
+            type: 'object',
+            required: true,
+            additionalProperties: {
+                type: 'object',
+                additionalProperties: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            action: {
+                                type: 'string',
+                                required: true,
+                                enum: [
+                                    'provision',
+                                    'deprovision',
+                                    'reprovision'
+                                ]
+                            },
+                            state: {
+                                type: 'string',
+                                required: true,
+                                enum: ['pending', 'running', 'failed', 'done']
+                            }
+                        }
+                    }
+                }
             }
         }
     }
+};
 
-    /*
-     * Figure out in what order to execute the plan.  The plan is already
-     * divided by service (it would be nuts to update multiple services
-     * concurrently) and by compute node (because we can often safely update
-     * the same service on multiple CNs).
-     *
-     * Within those groupings, we generally want to alternate provisions and
-     * deprovisions, starting with provisions.  Otherwise, we'd end up
-     * doubling or eliminating our capacity, both of which are generally
-     * untenable.
-     *
-     * This approach also allows us to replace a "provision" + "deprovision"
-     * pair with a single "reprovision" operation, if that's allowed for
-     * this service.
-     */
-    for (svcname in this.ma_plan) {
-        for (cnid in this.ma_plan[svcname]) {
-            this.ma_plan[svcname][cnid] = this.planSort(
-                svcname2uuids[svcname],
-                cnid,
-                this.ma_plan[svcname][cnid],
-                !noreprovision
-            );
+/*
+ * Iterate the actions in the current plan in the order in which they would be
+ * executed.  "func" is invoked as func(p, svcname, cnid) for each action.
+ */
+maAdm.prototype.planEachAction = function(func) {
+    var self = this;
+
+    assert.ok(this.ma_plan !== null);
+    svcs.mSvcNames.forEach(function(svcname) {
+        if (!self.ma_plan.hasOwnProperty(svcname)) {
+            return;
         }
+
+        Object.keys(self.ma_plan[svcname]).forEach(function(cnid) {
+            self.ma_plan[svcname][cnid].forEach(function(p) {
+                func(p, svcname, cnid);
+            });
+        });
+    });
+};
+
+/*
+ * Begin checkpointing execution of the plan generated by generatePlan().  All
+ * actions are marked "pending" and the initial state is written to
+ * "args.filename", replacing any state left there by a previous update.  See
+ * "Plan checkpointing" above.  Named arguments:
+ *
+ *     filename		local file in which to store plan state
+ *
+ *     service		(optional) service to which the plan was limited
+ */
+maAdm.prototype.planStateInit = function(args, callback) {
+    assertplus.object(args, 'args');
+    assertplus.string(args.filename, 'args.filename');
+    assertplus.optionalString(args.service, 'args.service');
+    assertplus.func(callback, 'callback');
+    assert.ok(this.ma_plan !== null, 'must generate plan first');
+    assert.ok(this.ma_plan_state === null);
+
+    this.ma_plan_state = this.planStateCreate(args.service);
+    this.ma_plan_state_file = args.filename;
+    this.planStateWrite(callback);
+};
+
+/*
+ * [internal] Returns a new plan state object (see "Plan checkpointing" above)
+ * for the current plan, marking all of its actions "pending".
+ */
+maAdm.prototype.planStateCreate = function(service) {
+    var now, state;
+
+    this.planEachAction(function(p) {
+        p['state'] = 'pending';
+    });
+
+    now = new Date().toISOString();
+    state = {
+        version: maPlanStateVersion,
+        created: now,
+        updated: now,
+        service: service || null,
+        deployed: this.getDeployedConfigByServiceJson(),
+        zones: Object.keys(this.ma_instance_info).sort(),
+        fingerprint: this.deployedFingerprint(),
+        plan: this.ma_plan
+    };
+
+    if (this.ma_plan_rollback_of !== null) {
+        state.rollback_of = this.ma_plan_rollback_of;
     }
 
-    setTimeout(callback, 0);
+    return state;
 };
 
 /*
- * Retrieves Image objects, specified by the uuid keys of the
- * 'services_by_image' parameter, setting the results in opts.local_images.
+ * Returns a string that identifies the currently deployed state: the set of
+ * instances and, for each one, its service, shard, compute node, and image.
+ * This is everything that generatePlan() uses from the deployed state, so if
+ * the fingerprint hasn't changed, then the plan generated from the same
+ * configuration won't have changed either.
  */
-function fetchLocalImages(opts, cb) {
-    assertplus.object(opts, 'opts');
-    assertplus.object(opts.services_by_image, 'opts.services_by_image');
-    assertplus.object(opts.log, 'opts.log');
-    assertplus.object(opts.local_imgapi, 'opts.local_imgapi');
-    assertplus.func(cb, 'cb');
+maAdm.prototype.deployedFingerprint = function() {
+    var hash, rows;
 
-    opts.local_images = {};
+    assert.ok(this.ma_instances_flattened !== null, 'must load first');
 
-    var imgapi_opts = {};
-    vasync.forEachParallel(
-        {
-            inputs: Object.keys(opts.services_by_image),
-            func: function getOneImageName(imageUuid, nextImage) {
-                opts.log.debug(
-                    'getting local image %s for service %s',
-                    imageUuid,
-                    opts.services_by_image[imageUuid]
-                );
-                opts.local_imgapi.getImage(
-                    imageUuid,
-                    imgapi_opts,
-                    function getImage(err, image) {
-                        if (err) {
-                            // At this point, missing images are not fatal
-                            // unless we're doing local-only lookup, but
-                            // deal with that elsewhere.
-                            var missing = sprintf(
-                                '%s (%s)',
-                                imageUuid,
-                                opts.services_by_image[imageUuid]
-                            );
-                            opts.log.debug('missing local image ' + missing);
-                            if (err.restCode === 'ResourceNotFound') {
-                                // 404s are fine, anything else is not.
-                                nextImage();
-                            } else {
-                                opts.log.error(
-                                    'error getting image %s: %s',
-                                    imageUuid,
-                                    err
-                                );
-                                nextImage(err);
-                            }
-                        } else {
-                            opts.local_images[imageUuid] = image;
-                            nextImage();
-                        }
-                    }
-                );
-            }
-        },
-        function finishFetchLocalImages(err) {
-            if (err) {
-                opts.log.debug('error getting local images %s', err);
-                cb(err);
-            } else {
-                cb();
-            }
+    rows = this.ma_instances_flattened.map(function(row) {
+        return [
+            row['ZONENAME'],
+            row['SERVICE'],
+            row['SH'],
+            row['SERVER_UUID'],
+            row['IMAGE']
+        ].join(' ');
+    });
+    rows.sort();
+
+    hash = crypto.createHash('sha256');
+    rows.forEach(function(r) {
+        hash.update(r + '\n');
+    });
+    return 'sha256:' + hash.digest('hex');
+};
+
+/*
+ * Save the plan generated by generatePlan() to "args.filename" without
+ * executing it, along with a fingerprint of the deployed state from which it
+ * was generated.  See "Plan checkpointing" above.  Named arguments:
+ *
+ *     filename		local file in which to save the plan
+ *
+ *     service		(optional) service to which the plan was limited
+ */
+maAdm.prototype.planSave = function(args, callback) {
+    var contents;
+
+    assertplus.object(args, 'args');
+    assertplus.string(args.filename, 'args.filename');
+    assertplus.optionalString(args.service, 'args.service');
+    assertplus.func(callback, 'callback');
+    assert.ok(this.ma_plan !== null, 'must generate plan first');
+
+    contents =
+        JSON.stringify(this.planStateCreate(args.service), null, '    ') + '\n';
+    fs.writeFile(args.filename, contents, function(err) {
+        if (err) {
+            err = new VError(err, 'save plan to "%s"', args.filename);
         }
-    );
-}
+        callback(err);
+    });
+};
 
 /*
- * Retrieves Image objects, specified by the uuid keys of the
- * 'services_by_image' parameter, setting the results in opts.remote_images.
+ * Load a plan saved by planSave() from "args.filename", making it the plan to
+ * be executed by execPlan().  fetchDeployed() must have already been called.
+ * This fails if the deployed state no longer matches the state from which the
+ * plan was generated, or if the plan has already been executed (in which case
+ * the operator should resume it instead).  Named arguments:
+ *
+ *     filename		local file from which to load the plan
+ *
+ * "callback" is invoked with an optional error and (if the error is null) an
+ * object describing the plan, with properties "service" (the service to which
+ * the plan was limited, if any), "created" (when the plan was saved), and
+ * "ntotal" (the total number of actions).
  */
-function fetchRemoteImages(opts, cb) {
-    assertplus.object(opts, 'opts');
-    assertplus.object(opts.services_by_image, 'opts.services_by_image');
-    assertplus.object(opts.log, 'opts.log');
-    assertplus.object(opts.remote_imgapi, 'opts.remote_imgapi');
-    assertplus.object(opts.local_images, 'opts.local_images');
-    assertplus.ok(opts.channel !== undefined);
-    assertplus.func(cb, 'cb');
+maAdm.prototype.planLoadSaved = function(args, callback) {
+    var self = this;
+    var filename;
 
-    opts.remote_images = {};
+    assertplus.object(args, 'args');
+    assertplus.string(args.filename, 'args.filename');
+    assertplus.func(callback, 'callback');
+    assert.ok(this.ma_instances_flattened !== null, 'must load first');
+    assert.ok(this.ma_plan === null);
+    assert.ok(this.ma_plan_state === null);
 
-    /*
-     * The channel can be null when e.g. 'sdcadm channel unset' causes our
-     * SAPI entry to have that metadata removed. In that case, when
-     * searching for images, we look in the default channel as configured on
-     * the updates imgapi server itself.
-     */
+    filename = args.filename;
+    planStateRead(filename, function onPlanRead(err, state) {
+        var current, ntotal, nstarted, zones, added, removed;
 
-    var imgapi_opts = {};
-    if (opts.channel !== null) {
-        imgapi_opts.channel = opts.channel;
-    }
+        if (err) {
+            callback(err);
+            return;
+        }
 
-    // By default, search for all images in the remote imgapi, since
-    // channel information is only stored there.
-    var uuids = Object.keys(opts.services_by_image);
+        if (!state.hasOwnProperty('fingerprint')) {
+            callback(
+                new VError(
+                    'plan "%s": no fingerprint of the deployed state ' +
+                        'was saved with this plan',
+                    filename
+                )
+            );
+            return;
+        }
 
-    // If we're skipping channel verification, then we only need remote
-    // images that don't already exist locally in order to do the
-    // image name check.
-    if (opts.skip_verify_channel) {
-        uuids = [];
-        var local_uuids = Object.keys(opts.local_images);
-        uuids = Object.keys(opts.services_by_image).filter(function(uuid) {
-            if (local_uuids.indexOf(uuid) === -1) {
-                return true;
-            } else {
-                opts.log.debug(
-                    'not searching remote imgapi ' +
-                        'for %s, it exists locally',
-                    uuid
-                );
-                return false;
+        ntotal = 0;
+        nstarted = 0;
+        self.ma_plan = state.plan;
+        self.planEachAction(function(p) {
+            ntotal++;
+            if (p['state'] !== 'pending') {
+                nstarted++;
             }
         });
-    }
+        self.ma_plan = null;
 
-    vasync.forEachParallel(
-        {
-            inputs: uuids,
-            func: function fetchOneImage(imageUuid, nextImage) {
-                opts.log.debug(
-                    'getting remote image %s for service %s on channel %s',
-                    imageUuid,
-                    opts.services_by_image[imageUuid],
-                    opts.channel
-                );
-                opts.remote_imgapi.getImage(
-                    imageUuid,
-                    imgapi_opts,
-                    function getImage(err, image) {
-                        if (err) {
-                            var missing = sprintf(
-                                '%s (%s)',
-                                imageUuid,
-                                opts.services_by_image[imageUuid]
-                            );
-                            opts.log.debug('missing remote image ' + missing);
-                            if (err.restCode === 'ResourceNotFound') {
-                                // 404s are fine, anything else is not.
-                                nextImage();
-                            } else {
-                                opts.log.error(
-                                    'error getting image %s: %s',
-                                    imageUuid,
-                                    err
-                                );
-                                nextImage(err);
-                            }
-                        } else {
-                            opts.remote_images[imageUuid] = image;
-                            nextImage();
+        if (nstarted > 0) {
+            callback(
+                new VError(
+                    'plan "%s": plan has already been executed ' +
+                        '(use --resume to continue it)',
+                    filename
+                )
+            );
+            return;
+        }
+
+        current = self.deployedFingerprint();
+        if (current !== state.fingerprint) {
+            zones = {};
+            state.zones.forEach(function(z) {
+                zones[z] = true;
+            });
+            removed = state.zones.filter(function(z) {
+                return !self.ma_instance_info.hasOwnProperty(z);
+            }).length;
+            added = Object.keys(self.ma_instance_info).filter(function(z) {
+                return !zones.hasOwnProperty(z);
+            }).length;
+            callback(
+                new VError(
+                    {
+                        info: {
+                            saved: state.fingerprint,
+                            current: current
                         }
-                    }
-                );
-            }
-        },
-        function finishFetchRemoteImages(err) {
-            if (err) {
-                opts.log.error('error getting remote images %d', err);
-                cb(err);
-            } else {
-                cb();
+                    },
+                    'plan "%s": deployed state has changed since the ' +
+                        'plan was saved (%d instances added, %d removed, ' +
+                        'others may have changed); generate a new plan',
+                    filename,
+                    added,
+                    removed
+                )
+            );
+            return;
+        }
+
+        self.ma_plan = state.plan;
+        callback(null, {
+            service: state.service,
+            created: state.created,
+            ntotal: ntotal
+        });
+    });
+};
+
+/*
+ * Load a checkpointed plan from "args.filename" (see "Plan checkpointing"
+ * above), reconcile it against the currently deployed state, and make it the
+ * plan to be executed by execPlan().  fetchDeployed() must have already been
+ * called.  Named arguments:
+ *
+ *     filename		local file from which to load plan state
+ *
+ * "callback" is invoked with an optional error and (if the error is null) an
+ * object describing the loaded plan, with properties "service" (the service to
+ * which the plan was limited, if any), "created" (when the plan was first
+ * executed), "ntotal" (the total number of actions), and "ndone" (the number
+ * of actions already completed).  If reconciliation changes the state of any
+ * actions, the updated state is written back to the file before "callback" is
+ * invoked.
+ */
+maAdm.prototype.planStateLoad = function(args, callback) {
+    var self = this;
+    var filename;
+
+    assertplus.object(args, 'args');
+    assertplus.string(args.filename, 'args.filename');
+    assertplus.func(callback, 'callback');
+    assert.ok(this.ma_instances_flattened !== null, 'must load first');
+    assert.ok(this.ma_plan === null);
+    assert.ok(this.ma_plan_state === null);
+
+    filename = args.filename;
+    planStateRead(filename, function onStateRead(err, state) {
+        var nchanged, rv;
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        self.ma_plan = state.plan;
+        self.ma_plan_state = state;
+        self.ma_plan_state_file = filename;
+
+        nchanged = self.planStateReconcile(true);
+        if (nchanged instanceof Error) {
+            callback(new VError(nchanged, 'resume plan "%s"', filename));
+            return;
+        }
+
+        rv = {
+            service: state.service,
+            created: state.created,
+            ntotal: 0,
+            ndone: 0
+        };
+        self.planEachAction(function(p) {
+            rv.ntotal++;
+            if (p['state'] === 'done') {
+                rv.ndone++;
             }
+        });
+
+        if (nchanged === 0) {
+            callback(null, rv);
+            return;
+        }
+
+        self.planStateWrite(function(werr) {
+            callback(werr, werr ? undefined : rv);
+        });
+    });
+};
+
+/*
+ * Read and validate the plan state stored in "filename".  See "Plan
+ * checkpointing" above.
+ */
+function planStateRead(filename, callback) {
+    fs.readFile(filename, function(err, contents) {
+        var state;
+
+        if (err) {
+            callback(new VError(err, 'read "%s"', filename));
+            return;
         }
-    );
-}
 
-/*
- * Retrieves Image objects, invoking fetchLocalImages and fetchRemoteImages.
- * Missing images are not considered errors at this point.
- */
-function fetchImages(opts, cb) {
-    assertplus.object(opts, 'opts');
-    assertplus.func(cb, 'cb');
-    assertplus.object(opts.services_by_image, 'opts.services_by_image');
-    assertplus.object(opts.remote_imgapi, 'opts.remote_imgapi');
-    assertplus.object(opts.local_imgapi, 'opts.local_imgapi');
+        try {
+            state = JSON.parse(contents.toString('utf8'));
+        } catch (ex) {
+            callback(new VError(ex, 'parse "%s"', filename));
+            return;
+        }
 
-    vasync.pipeline(
-        {
-            arg: opts,
-            funcs: [
-                function stepFetchLocalImages(arg, stepcb) {
-                    fetchLocalImages(arg, stepcb);
-                },
-                // even if we've got local images, we'll still need the
-                // remote ones in order to verify the channel
-                function stepFetchRemoteImages(arg, stepcb) {
-                    fetchRemoteImages(arg, stepcb);
-                }
-            ]
-        },
-        function cbImagesLists(err) {
-            if (err) {
-                cb(err);
-                return;
-            } else {
-                cb(null, opts.local_images, opts.remote_images);
-            }
+        err = jsprim.validateJsonObject(schemaPlanState, state);
+        if (err === null && state.version !== maPlanStateVersion) {
+            err = new VError('unsupported version: %s', state.version);
         }
-    );
+        if (err !== null) {
+            callback(new VError(err, 'plan state "%s"', filename));
+            return;
+        }
+
+        callback(null, state);
+    });
 }
-/* eslint-enable no-loop-func */
 
 /*
- * Determine whether the plan that was generated adheres to any restrictions
- * that are in place.
- *
- * We check the following restrictions:
- *
- * 1. All images for deployment are available on the specific imgapi channel
- *    set by 'sdcadm channel set' on the 'remote_imgapi' set in etc/config.json
- *    or the channel passed by the -C argument to manta-adm.
- *
- * 2. All images for deployment have image names that match the service they're
- *    being deployed for. It would be bad if were to able to reprovision a
- *    moray zone with anything other than a moray image.
- *
- * 3. All images for deployment exist in the local imgapi instance in this
- *    datacenter.
- *
- *  Options:
- * - skip_verify_channel: if true, we avoid verifying that each image to be
- *   provisioned is present on the defined SDC updates.tritondatacenter.com
- *   channel or channel passed by the -C argument.
- *   This will still mean we do a remote lookup for any images that aren't
- *   present on the local imgapi in order to test for item 2 above.
+ * Reconcile the states of actions in a loaded plan with the currently deployed
+ * state, as described under "Plan checkpointing" above.  Returns the number of
+ * actions whose state was changed, or an Error describing why the plan can no
+ * longer be executed.  If "strict" is false, pending actions that can no longer
+ * be executed are left alone rather than treated as an error.  That's used when
+ * rolling back a plan, which only cares about actions that have completed.
  */
-maAdm.prototype.verifyPlan = function(opts, cb) {
-    assert.ok(this.ma_plan !== null);
-    assertplus.object(opts, 'opts');
-    assertplus.func(cb, 'cb');
-    assertplus.bool(opts.skip_verify_channel, 'opts.skip_verify_channel');
-
+maAdm.prototype.planStateReconcile = function(strict) {
     var self = this;
+    var baseline = {};
+    var claimed = {};
+    var errors = [];
+    var nchanged = 0;
+
+    this.ma_plan_state.zones.forEach(function(zonename) {
+        baseline[zonename] = true;
+    });
 
     /*
-     * Go through our plan to find the set of new image uuids per-service
-     * across all compute nodes in the plan.
+     * Instances created by completed provisions cannot be used to account for
+     * interrupted ones, so identify those first.
      */
-    // We don't have a Set() object, so instead use unique Object keys
-    var services_by_image = {};
-    for (var svcname in this.ma_plan) {
-        for (var cnid in this.ma_plan[svcname]) {
-            for (var i = 0; i < this.ma_plan[svcname][cnid].length; i++) {
-                var plan_op = this.ma_plan[svcname][cnid][i];
-                var new_image = null;
-                if (plan_op.action === 'provision') {
-                    new_image = plan_op.IMAGE;
-                } else if (plan_op.action === 'reprovision') {
-                    new_image = plan_op.new_image;
-                }
-                if (new_image) {
-                    services_by_image[new_image] = svcname;
-                }
-            }
+    this.planEachAction(function(p) {
+        if (p['action'] === 'provision' && p['state'] === 'done') {
+            claimed[p['zonename']] = true;
         }
-    }
+    });
 
-    var fetch_images_opts = {
-        log: self.ma_log,
-        local_imgapi: self.ma_sdc.IMGAPI,
-        remote_imgapi: self.ma_sdc.REMOTE_IMGAPI,
-        services_by_image: services_by_image,
-        channel: self.ma_channel,
-        skip_verify_channel: opts.skip_verify_channel
-    };
+    this.planEachAction(function(p, svcname, cnid) {
+        var zonename = p['zonename'];
+        var newstate = p['state'];
+        var vm, shard, matches;
 
-    // retrieve local and (optionally) remote Image objects in order to
-    // verify the plan.
-    fetchImages(fetch_images_opts, function verifyImages(
-        err,
-        local_images,
-        remote_images
-    ) {
-        if (err) {
-            cb(err);
+        if (p['state'] === 'done') {
             return;
         }
 
-        // We don't have a Set() object, instead use unique Object keys
-        var imagesIncorrectNames = {};
-        var imagesNotInTheChannel = [];
-        var missingLocalImages = [];
+        if (p['action'] === 'provision') {
+            if (p['state'] === 'pending') {
+                return;
+            }
 
-        var checkUuids = Object.keys(services_by_image);
-        checkUuids.forEach(function checkUuid(uuid) {
-            var svcName = services_by_image[uuid];
-            var imgNames = svcs.serviceNameToImageNames(svcName);
-            var imgDesc = sprintf('%s (%s)', uuid, services_by_image[uuid]);
-            var local_uuids = Object.keys(local_images);
-            var remote_uuids = Object.keys(remote_images);
+            shard = svcs.serviceIsSharded(svcname) ? p['SH'].toString() : null;
+            matches = self.ma_instances_flattened.filter(function(row) {
+                return (
+                    row['SERVICE'] === svcname &&
+                    (shard === null || row['SH'] === shard) &&
+                    row['IMAGE'] === p['IMAGE'] &&
+                    (cnid === '<any>' || row['SERVER_UUID'] === cnid) &&
+                    !baseline.hasOwnProperty(row['ZONENAME']) &&
+                    !claimed.hasOwnProperty(row['ZONENAME'])
+                );
+            });
 
-            if (remote_uuids.indexOf(uuid) === -1) {
-                if (!opts.skip_verify_channel) {
-                    imagesNotInTheChannel.push(imgDesc);
-                }
+            if (matches.length > 0) {
+                p['zonename'] = matches[0]['ZONENAME'];
+                claimed[p['zonename']] = true;
+                newstate = 'done';
             } else {
-                // There is some amount of duplication here, in
-                // that later, we check the local image as well.
-                // However if the image isn't present in the
-                // local imgapi, that code may not be invoked.
-                if (imgNames.indexOf(remote_images[uuid].name) === -1) {
-                    var rmsg = sprintf(
-                        '%s (%s, not one of %s)',
-                        uuid,
-                        remote_images[uuid].name,
-                        imgNames.join(', ')
-                    );
-                    imagesIncorrectNames[rmsg] = true;
-                }
+                newstate = 'pending';
             }
+        } else if (p['action'] === 'deprovision') {
+            if (!self.ma_instance_info.hasOwnProperty(zonename)) {
+                if (p['state'] === 'pending') {
+                    if (!strict) {
+                        return;
+                    }
 
-            if (local_uuids.indexOf(uuid) === -1) {
-                missingLocalImages.push(imgDesc);
-            } else {
-                if (imgNames.indexOf(local_images[uuid].name) === -1) {
-                    var lmsg = sprintf(
-                        '%s (%s, not one of %s)',
-                        uuid,
-                        local_images[uuid].name,
-                        imgNames.join(', ')
+                    errors.push(
+                        new VError(
+                            'service "%s": instance "%s" was to be ' +
+                                'removed, but no longer exists',
+                            svcname,
+                            zonename
+                        )
                     );
-                    imagesIncorrectNames[lmsg] = true;
+                    return;
                 }
-            }
-        });
 
-        // Construct an error message
-        var msgs = [];
-        if (imagesNotInTheChannel.length > 0) {
-            if (!self.ma_channel) {
-                msgs.push(
-                    sprintf(
-                        'The following images were not found on ' +
-                            'the default updates channel and ' +
-                            'cannot be provisioned. ' +
-                            '(Use --skip-verify-channel to ' +
-                            'override, -C to specify a different ' +
-                            "channel or 'sdcdm channel set' to " +
-                            'change the default channel):\n    %s',
-                        imagesNotInTheChannel.join('\n    ')
-                    )
-                );
+                newstate = 'done';
             } else {
-                msgs.push(
-                    sprintf(
-                        'The following images were not found on ' +
-                            'the "%s" channel and cannot be ' +
-                            'provisioned. ' +
-                            '(Use --skip-verify-channel to ' +
-                            'override, -C to specify a different ' +
-                            "channel or 'sdcdm channel set' to " +
-                            'change the default channel):\n    %s',
-                        self.ma_channel,
-                        imagesNotInTheChannel.join('\n    ')
+                newstate = 'pending';
+            }
+        } else {
+            assert.equal(p['action'], 'reprovision');
+            vm = self.ma_vms.hasOwnProperty(zonename)
+                ? self.ma_vms[zonename]
+                : null;
+            if (vm !== null && vm['image_uuid'] === p['new_image']) {
+                newstate = 'done';
+            } else if (vm !== null && vm['image_uuid'] === p['old_image']) {
+                newstate = 'pending';
+            } else if (!strict && p['state'] === 'pending') {
+                return;
+            } else {
+                errors.push(
+                    new VError(
+                        'service "%s": instance "%s" was to be ' +
+                            'reprovisioned from image "%s" to "%s", but %s',
+                        svcname,
+                        zonename,
+                        p['old_image'],
+                        p['new_image'],
+                        vm === null
+                            ? 'no longer exists'
+                            : 'is now using image "' + vm['image_uuid'] + '"'
                     )
                 );
+                return;
             }
         }
-        if (Object.keys(imagesIncorrectNames).length > 0) {
-            msgs.push(
-                sprintf(
-                    'The following images do not deliver ' +
-                        'the service specified in the manta-adm ' +
-                        'update json file:\n    %s',
-                    Object.keys(imagesIncorrectNames).join('\n    ')
-                )
-            );
-        }
-        if (missingLocalImages.length > 0) {
-            msgs.push(
-                sprintf(
-                    'The following images are not available in the ' +
-                        'local imgapi instance:\n    %s',
-                    missingLocalImages.join('\n    ')
-                )
+
+        if (newstate !== p['state']) {
+            self.ma_log.info(
+                {
+                    service: svcname,
+                    cnid: cnid,
+                    action: p['action'],
+                    zonename: p['zonename'],
+                    oldstate: p['state'],
+                    newstate: newstate
+                },
+                'reconciled plan action'
             );
-        }
-        if (msgs.length !== 0) {
-            cb(new VError(msgs.join('\n')));
-        } else {
-            cb();
+            p['state'] = newstate;
+            nchanged++;
         }
     });
+
+    if (errors.length > 0) {
+        return new VError(
+            verror.errorFromList(errors),
+            'deployment has changed since the plan was generated'
+        );
+    }
+
+    return nchanged;
 };
 
 /*
- * [internal] Add a deployment step to the current execution plan.
+ * Record a new state for plan action "p".  If the plan is being checkpointed,
+ * "callback" is invoked after the new state has been written out.
  */
-maAdm.prototype.plan = function(
-    cnid,
-    service,
-    configkey,
-    action,
-    count,
-    reason
-) {
-    var svckey, elt;
-    assert.ok(count > 0);
-    if (!this.ma_plan.hasOwnProperty(service)) {
-        this.ma_plan[service] = {};
+maAdm.prototype.planStateUpdate = function(p, state, callback) {
+    if (this.ma_plan_state === null) {
+        setImmediate(callback);
+        return;
     }
-    if (!this.ma_plan[service].hasOwnProperty(cnid)) {
-        this.ma_plan[service][cnid] = [];
+
+    p['state'] = state;
+    this.planStateWrite(callback);
+};
+
+/*
+ * Write out the current plan state.  See "Plan checkpointing" above.
+ */
+maAdm.prototype.planStateWrite = function(callback) {
+    var self = this;
+
+    assert.ok(this.ma_plan_state !== null);
+    if (this.ma_plan_state_queue === null) {
+        this.ma_plan_state_queue = vasync.queue(function writeState(_, qcb) {
+            var filename = self.ma_plan_state_file;
+            var tmpfile = filename + '.tmp';
+            var contents;
+
+            self.ma_plan_state.updated = new Date().toISOString();
+            contents = JSON.stringify(self.ma_plan_state, null, '    ') + '\n';
+            fs.writeFile(tmpfile, contents, function(err) {
+                if (err) {
+                    qcb(new VError(err, 'write "%s"', tmpfile));
+                    return;
+                }
+
+                fs.rename(tmpfile, filename, function(rerr) {
+                    if (rerr) {
+                        rerr = new VError(
+                            rerr,
+                            'rename "%s" to "%s"',
+                            tmpfile,
+                            filename
+                        );
+                    }
+                    qcb(rerr);
+                });
+            });
+        }, 1);
     }
 
-    svckey = this.keyForService(service);
-    for (var i = 0; i < count; i++) {
-        elt = {
-            cnid: cnid,
-            service: service,
-            config: configkey,
-            action: action,
-            reason: reason
-        };
-        for (var j = 0; j < svckey.length; j++) {
-            elt[svckey[j]] = configkey[j];
+    this.ma_plan_state_queue.push({}, function(err) {
+        if (err) {
+            err = new VError(err, 'checkpoint plan state');
         }
-        this.ma_plan[service][cnid].push(elt);
-    }
+        callback(err);
+    });
 };
 
 /*
- * [internal] Sort the operations in the current execution plan in a way that
- * will make most sense.  See planSortPartial() below for details.
+ * Generate a plan that undoes the completed actions of the plan checkpointed in
+ * "args.filename" (see "Plan checkpointing" above), making it the plan to be
+ * executed by execPlan().  This is used to roll back an update that left the
+ * deployment in a bad state.  fetchDeployed() must have already been called.
+ * Named arguments:
+ *
+ *     filename		local file from which to load plan state
+ *
+ * The inverse of each completed action is:
+ *
+ *     o for a reprovision, a reprovision of the same instance back to the
+ *       image it was using before the update ("old_image")
+ *
+ *     o for a provision, a deprovision of the instance that was created
+ *
+ *     o for a deprovision, a provision of a new instance with the same
+ *       configuration (service, shard, and image) on the same compute node
+ *
+ * Actions on each compute node are undone in the reverse of the order in which
+ * they were originally executed.  Actions that were never executed are ignored,
+ * and actions that were interrupted are first reconciled against the deployed
+ * state as they would be for "manta-adm update --resume".  If any completed
+ * action can no longer be undone because the deployment has since changed
+ * (e.g., a reprovisioned instance has been reprovisioned again), an error is
+ * returned.
+ *
+ * A rollback is itself checkpointed (with "rollback_of" set in the plan state),
+ * usually into the same file as the plan it rolls back.  Rolling back that
+ * state would re-apply the original update, so that's not allowed, whether or
+ * not the rollback completed.  A rollback that failed part-way should be
+ * resumed instead.
+ *
+ * "callback" is invoked with an optional error and (if the error is null) an
+ * object describing the plan being rolled back, with properties "service",
+ * "created", and "ndone" (the number of completed actions being undone).
  */
-maAdm.prototype.planSort = function(svcid, cnid, plan, allowreprovision) {
-    /*
-     * Filter operations into buckets by the entire svckey, up to but
-     * excluding the image.
-     */
-    var planbyconfig = {};
-    var svcname = this.ma_services[svcid]['name'];
-    var svckey = this.keyForService(svcname);
-    var rv = [];
-    var key;
+maAdm.prototype.generateRollbackPlan = function(args, callback) {
+    var self = this;
+    var filename;
 
-    assert.equal(svckey[svckey.length - 1], 'IMAGE');
-    svckey = svckey.slice(0, svckey.length - 1);
-    plan.forEach(function(pe) {
-        var rawpartialkey = svckey.map(function(_, i) {
-            return pe['config'][i];
-        });
-        var partialkey = JSON.stringify(rawpartialkey);
-        if (!planbyconfig.hasOwnProperty(partialkey)) {
-            planbyconfig[partialkey] = [];
-        }
-        planbyconfig[partialkey].push(pe);
-    });
+    assertplus.object(args, 'args');
+    assertplus.string(args.filename, 'args.filename');
+    assertplus.func(callback, 'callback');
+    assert.ok(this.ma_instances_flattened !== null, 'must load first');
+    assert.ok(this.ma_plan === null);
+    assert.ok(this.ma_plan_state === null);
 
-    for (key in planbyconfig) {
-        rv = rv.concat(
-            this.planSortPartial(
-                svcid,
-                cnid,
-                planbyconfig[key],
-                allowreprovision
-            )
-        );
-    }
-    return rv;
-};
+    filename = args.filename;
+    planStateRead(filename, function(err, state) {
+        var reconciled, done, groups, errors;
 
-maAdm.prototype.planSortPartial = function(
-    svcid,
-    cnid,
-    plan,
-    allowreprovision
-) {
-    var provisions, deprovisions, rv;
-    var dconfigs, p, d, configid, i, instance;
-    var svcname, svckey, instkey, entry;
+        if (err) {
+            callback(err);
+            return;
+        }
 
-    /*
-     * Divide the operations into provisions and deprovisions so that we can
-     * stagger them (and replace each pair with reprovisions, if allowed).
-     */
-    provisions = plan.filter(function(pe) {
-        return pe['action'] === 'provision';
-    });
-    deprovisions = plan.filter(function(pe) {
-        return pe['action'] === 'deprovision';
-    });
-    assert.equal(provisions.length + deprovisions.length, plan.length);
+        if (state.hasOwnProperty('rollback_of')) {
+            callback(
+                new VError(
+                    {
+                        info: {
+                            created: state.created,
+                            rollback_of: state.rollback_of
+                        }
+                    },
+                    'cannot roll back plan "%s": it is a rollback of the ' +
+                        'plan started %s (use "manta-adm update --resume" ' +
+                        'to finish it)',
+                    filename,
+                    state.rollback_of
+                )
+            );
+            return;
+        }
 
-    /*
-     * Figure out how many zones we're deprovisioning for each image so that
-     * we can figure out which specific zones to deprovision.
-     */
-    dconfigs = {};
-    deprovisions.forEach(function(pe) {
-        var key = JSON.stringify(pe['config']);
-        if (!dconfigs.hasOwnProperty(key)) {
-            dconfigs[key] = [];
+        self.ma_plan = state.plan;
+        self.ma_plan_state = state;
+        reconciled = self.planStateReconcile(false);
+        self.ma_plan_state = null;
+        if (reconciled instanceof Error) {
+            self.ma_plan = null;
+            callback(new VError(reconciled, 'roll back plan "%s"', filename));
+            return;
         }
-        dconfigs[key].push(pe);
-    });
 
-    /*
-     * Now identify specific zones to deprovision.  This is ludicrously
-     * inefficient, but likely good enough for what we're doing.  We can
-     * preprocess the data structure to make this faster if necessary.
-     * However, it would be good to maintain the fact that this is
-     * deterministic for a given Manta configuration (because
-     * ma_instances_flattened has already been sorted) so that subsequent
-     * runs generate exactly the same plan.
-     */
-    svcname = this.ma_services[svcid]['name'];
-    svckey = this.keyForService(svcname);
-    for (configid in dconfigs) {
-        for (
-            i = 0;
-            dconfigs[configid].length > 0 &&
-            i < this.ma_instances_flattened.length;
-            i++
-        ) {
-            instance = this.ma_instances_flattened[i];
-            instkey = [];
-            for (let s of svckey) {
-                instkey.push(instance[s]);
+        /*
+         * Group the completed actions by service and compute node so that
+         * each group can be undone in reverse order.
+         */
+        done = [];
+        groups = {};
+        self.planEachAction(function(p, svcname, cnid) {
+            var key = svcname + '/' + cnid;
+
+            if (p['state'] !== 'done') {
+                return;
             }
-            if (JSON.stringify(instkey) !== configid) {
-                continue;
+
+            if (!groups.hasOwnProperty(key)) {
+                groups[key] = [];
             }
+            groups[key].unshift({p: p, svcname: svcname});
+        });
+        Object.keys(groups).forEach(function(key) {
+            done = done.concat(groups[key]);
+        });
 
-            if (cnid !== '<any>' && cnid !== instance['SERVER_UUID']) {
-                continue;
+        self.ma_log.info(
+            {filename: filename, ndone: done.length},
+            'generating rollback plan'
+        );
+        self.ma_plan = {};
+        errors = [];
+        done.forEach(function(a) {
+            var p = a.p;
+            var svcname = a.svcname;
+            var zonename = p['zonename'];
+            var vm, cnid, steps;
+
+            if (p['action'] === 'reprovision') {
+                vm = self.ma_vms.hasOwnProperty(zonename)
+                    ? self.ma_vms[zonename]
+                    : null;
+                if (vm === null || vm['image_uuid'] !== p['new_image']) {
+                    errors.push(
+                        new VError(
+                            'service "%s": instance "%s" was reprovisioned ' +
+                                'to image "%s", but %s',
+                            svcname,
+                            zonename,
+                            p['new_image'],
+                            vm === null
+                                ? 'no longer exists'
+                                : 'is now using image "' +
+                                  vm['image_uuid'] +
+                                  '"'
+                        )
+                    );
+                    return;
+                }
+
+                if (!self.ma_plan.hasOwnProperty(svcname)) {
+                    self.ma_plan[svcname] = {};
+                }
+                if (!self.ma_plan[svcname].hasOwnProperty(p['cnid'])) {
+                    self.ma_plan[svcname][p['cnid']] = [];
+                }
+                self.ma_plan[svcname][p['cnid']].push({
+                    cnid: p['cnid'],
+                    service: svcname,
+                    action: 'reprovision',
+                    zonename: zonename,
+                    shard: p['shard'],
+                    old_image: p['new_image'],
+                    new_image: p['old_image'],
+                    old_reason: 'rollback',
+                    new_reason: 'rollback'
+                });
+            } else if (p['action'] === 'provision') {
+                /*
+                 * If the instance has already been removed, there's
+                 * nothing to undo.
+                 */
+                if (!self.ma_vms.hasOwnProperty(zonename)) {
+                    self.ma_log.info(
+                        {service: svcname, zonename: zonename},
+                        'rollback: provisioned instance already removed'
+                    );
+                    return;
+                }
+
+                cnid = self.ma_vms[zonename]['server_uuid'];
+                self.plan(
+                    cnid,
+                    svcname,
+                    p['config'],
+                    'deprovision',
+                    1,
+                    'rollback'
+                );
+                steps = self.ma_plan[svcname][cnid];
+                steps[steps.length - 1]['zonename'] = zonename;
+            } else {
+                assert.equal(p['action'], 'deprovision');
+                self.plan(
+                    p['cnid'],
+                    svcname,
+                    p['config'],
+                    'provision',
+                    1,
+                    'rollback'
+                );
             }
+        });
 
-            dconfigs[configid].shift()['zonename'] = instance['ZONENAME'];
+        if (errors.length > 0) {
+            self.ma_plan = null;
+            callback(
+                new VError(
+                    verror.errorFromList(errors),
+                    'cannot roll back plan "%s": deployment has changed ' +
+                        'since the plan was executed',
+                    filename
+                )
+            );
+            return;
         }
 
-        assert.ok(dconfigs[configid].length === 0);
-    }
+        self.ma_plan_rollback_of = state.created;
+        callback(null, {
+            service: state.service,
+            created: state.created,
+            ndone: done.length
+        });
+    });
+};
 
-    /*
-     * If allowed, translate each provision + deprovision pair into a single
-     * reprovision operation.
-     */
-    rv = [];
-    while (
-        allowreprovision &&
-        provisions.length > 0 &&
-        deprovisions.length > 0
-    ) {
-        p = provisions.shift();
-        d = deprovisions.shift();
-        assert.equal(p['cnid'], d['cnid']);
-        assert.equal(p['service'], d['service']);
-        assert.ok(d['zonename']);
-        assert.ok(p['SH'] === d['SH']);
-        entry = {
-            cnid: p['cnid'],
-            service: p['service'],
-            action: 'reprovision',
-            zonename: d['zonename'],
-            shard: p['SH'],
-            old_image: d['IMAGE'],
-            new_image: p['IMAGE'],
-            old_reason: d['reason'],
-            new_reason: p['reason']
-        };
-        rv.push(entry);
-    }
+/*
+ * Returns true if any of the given plan actions have yet to be completed.
+ */
+function planHasPendingActions(actions) {
+    return actions.some(function(p) {
+        return p['state'] !== 'done';
+    });
+}
 
-    /*
-     * Stagger all remaining provisions and deprovisions.
-     */
-    while (provisions.length > 0 && deprovisions.length > 0) {
-        p = provisions.shift();
-        d = deprovisions.shift();
-        assert.equal(p['cnid'], d['cnid']);
-        assert.equal(p['service'], d['service']);
-        assert.ok(d['zonename']);
-        rv.push(p);
-        rv.push(d);
-    }
+/*
+ * Configure execPlan() to execute the plan as a rolling update.  Normally, all
+ * of the actions for a given service are started at once (though actions on
+ * the same compute node are executed in sequence).  In a rolling update, the
+ * actions for each service are instead divided into batches.  Once all actions
+ * in a batch have completed, every instance provisioned or reprovisioned in
+ * that batch must pass a health check before the next batch is started.  If
+ * any action fails or any instance fails to become healthy within the timeout,
+ * execution of the plan stops.  Named arguments:
+ *
+ *     batchSize	default maximum number of actions in each batch
+ *
+ *     batchSizes	object mapping service names to the maximum number of
+ *			actions in each batch for that service, overriding
+ *			"batchSize"
+ *
+ *     healthCheck	health check to apply to instances (see lib/health.js)
+ *
+ *     healthTimeout	milliseconds to wait for each instance to become healthy
+ *
+ *     healthInterval	(optional) milliseconds to wait between attempts to
+ *			check an instance's health
+ *
+ * Returns an Error if the configuration is invalid, or null otherwise.
+ */
+maAdm.prototype.setRollingUpdate = function(args) {
+    var svcname, n;
 
-    while (provisions.length > 0) {
-        rv.push(provisions.shift());
+    assertplus.object(args, 'args');
+    assertplus.number(args.batchSize, 'args.batchSize');
+    assertplus.object(args.batchSizes, 'args.batchSizes');
+    assertplus.object(args.healthCheck, 'args.healthCheck');
+    assertplus.string(args.healthCheck.name, 'args.healthCheck.name');
+    assertplus.func(args.healthCheck.check, 'args.healthCheck.check');
+    assertplus.number(args.healthTimeout, 'args.healthTimeout');
+    assertplus.optionalNumber(args.healthInterval, 'args.healthInterval');
+
+    if (!isPositiveInteger(args.batchSize)) {
+        return new VError('batch size must be a positive integer');
     }
 
-    while (deprovisions.length > 0) {
-        rv.push(deprovisions.shift());
+    for (svcname in args.batchSizes) {
+        if (!svcs.serviceNameIsValid(svcname)) {
+            return new VError('unrecognized service: "%s"', svcname);
+        }
+
+        n = args.batchSizes[svcname];
+        if (!isPositiveInteger(n)) {
+            return new VError(
+                'service "%s": batch size must be a positive integer',
+                svcname
+            );
+        }
     }
 
-    return rv;
+    this.ma_rolling = {
+        batchSize: args.batchSize,
+        batchSizes: jsprim.deepCopy(args.batchSizes),
+        healthCheck: args.healthCheck,
+        healthTimeout: args.healthTimeout,
+        healthInterval:
+            typeof args.healthInterval === 'number' ? args.healthInterval : 5000
+    };
+
+    return null;
+};
+
+/*
+ * Returns the maximum number of actions in each batch of a rolling update of
+ * service "svcname".
+ */
+maAdm.prototype.rollingBatchSize = function(svcname) {
+    assert.ok(this.ma_rolling !== null);
+    return this.ma_rolling.batchSizes.hasOwnProperty(svcname)
+        ? this.ma_rolling.batchSizes[svcname]
+        : this.ma_rolling.batchSize;
 };
 
+function isPositiveInteger(n) {
+    return typeof n === 'number' && n > 0 && n % 1 === 0;
+}
+
 /*
  * Execute the generated plan.  If "dryrun" is true, then just print what would
- * be done without doing it.
+ * be done without doing it.  A deployer is created to execute the plan unless
+ * one has already been set up (as the test suite does with a fake one).
  */
 maAdm.prototype.execPlan = function(sout, serr, dryrun, callback) {
     var self = this;
-    assert.ok(this.ma_deployer === null);
-    if (!dryrun) {
-        this.ma_deployer = deploy.createDeployer(this.ma_log);
+    if (!dryrun && this.ma_deployer === null) {
+        this.ma_deployer = deploy.createDeployer(
+            this.ma_log,
+            this.ma_datacenter
+        );
         this.ma_deployer.on('error', function(err) {
             callback(err);
         });
@@ -5446,6 +9286,303 @@ maAdm.prototype.dumpPlan = function() {
     return rv;
 };
 
+/*
+ * Returns the number of actions in the current plan that have yet to be
+ * executed.
+ */
+maAdm.prototype.planPendingCount = function() {
+    var count = 0;
+
+    this.planEachAction(function(p) {
+        if (p['state'] !== 'done') {
+            count++;
+        }
+    });
+
+    return count;
+};
+
+/*
+ * [internal] Returns an object describing image "uuid" with properties "uuid",
+ * "name", and "version".  The name and version are null if the image is not
+ * one of those loaded by fetchImagesInfo().
+ */
+maAdm.prototype.imageSummary = function(uuid) {
+    var img;
+
+    if (!this.ma_images.hasOwnProperty(uuid)) {
+        return {uuid: uuid, name: null, version: null};
+    }
+
+    img = this.ma_images[uuid];
+    return {
+        uuid: uuid,
+        name: img['name'] || null,
+        version: img['version'] || null
+    };
+};
+
+/*
+ * Summarize the changes that the current plan would make to the number of
+ * instances of each configuration (image and, for sharded services, shard) of
+ * each service on each compute node.  Returns an array with one element for
+ * each service and compute node affected by the plan, in the order in which
+ * the plan would be executed, each having properties:
+ *
+ *     service		SAPI service name
+ *
+ *     cnid		compute node server_uuid (or "<any>")
+ *
+ *     hostname		compute node hostname, if known
+ *
+ *     actions		count of pending actions by type ("provision",
+ *			"deprovision", and "reprovision")
+ *
+ *     configs		array of objects describing each configuration of the
+ *			service currently deployed on that compute node or
+ *			deployed there by the plan, with properties "shard"
+ *			(null for unsharded services), "image" (see
+ *			imageSummary()), "current" (the number of instances
+ *			currently deployed), and "desired" (the number of
+ *			instances once the plan has been executed).  For
+ *			"<any>", current counts are for all compute nodes.
+ *
+ * Actions already completed by a previous execution of a checkpointed plan
+ * are reflected in the current state, so they're ignored here.
+ */
+maAdm.prototype.planChanges = function() {
+    var self = this;
+    var groups = {};
+    var rv = [];
+
+    function adjust(group, shard, image, delta, field) {
+        var key = JSON.stringify([shard, image]);
+
+        if (!group.configs.hasOwnProperty(key)) {
+            group.configs[key] = {
+                shard: shard,
+                image: image,
+                current: 0,
+                desired: 0
+            };
+        }
+
+        group.configs[key][field] += delta;
+    }
+
+    this.planEachAction(function(p, svcname, cnid) {
+        var key = svcname + '/' + cnid;
+        var sharded = svcs.serviceIsSharded(svcname);
+        var group, shard;
+
+        if (p['state'] === 'done') {
+            return;
+        }
+
+        if (!groups.hasOwnProperty(key)) {
+            groups[key] = {
+                service: svcname,
+                cnid: cnid,
+                actions: {provision: 0, deprovision: 0, reprovision: 0},
+                configs: {}
+            };
+            rv.push(groups[key]);
+        }
+
+        group = groups[key];
+        group.actions[p['action']]++;
+        if (p['action'] === 'reprovision') {
+            shard = sharded ? String(p['shard']) : null;
+            adjust(group, shard, p['old_image'], -1, 'desired');
+            adjust(group, shard, p['new_image'], 1, 'desired');
+        } else {
+            shard = sharded ? String(p['SH']) : null;
+            adjust(
+                group,
+                shard,
+                p['IMAGE'],
+                p['action'] === 'provision' ? 1 : -1,
+                'desired'
+            );
+        }
+    });
+
+    return rv.map(function(group) {
+        var sharded = svcs.serviceIsSharded(group.service);
+        var configs;
+
+        self.ma_instances_flattened.forEach(function(row) {
+            if (
+                row['SERVICE'] !== group.service ||
+                (group.cnid !== '<any>' && row['SERVER_UUID'] !== group.cnid)
+            ) {
+                return;
+            }
+
+            adjust(
+                group,
+                sharded ? row['SH'] : null,
+                row['IMAGE'],
+                1,
+                'current'
+            );
+        });
+
+        configs = Object.keys(group.configs).map(function(key) {
+            var c = group.configs[key];
+            return {
+                shard: c.shard,
+                image: self.imageSummary(c.image),
+                current: c.current,
+                desired: c.current + c.desired
+            };
+        });
+        configs.sort(function(c1, c2) {
+            if (c1.shard !== c2.shard) {
+                return isNaN(c1.shard) || isNaN(c2.shard)
+                    ? c1.shard.localeCompare(c2.shard)
+                    : c1.shard - c2.shard;
+            }
+
+            return c1.image.uuid.localeCompare(c2.image.uuid);
+        });
+
+        return {
+            service: group.service,
+            cnid: group.cnid,
+            hostname: self.ma_gzinfo.hasOwnProperty(group.cnid)
+                ? self.ma_gzinfo[group.cnid]['hostname']
+                : null,
+            actions: group.actions,
+            configs: configs
+        };
+    });
+};
+
+/*
+ * Print a summary of the current plan grouped by service and compute node,
+ * showing the current and desired number of instances of each image (and
+ * shard).  See planChanges().  Returns the number of pending actions.
+ */
+maAdm.prototype.dumpPlanDiff = function(sout) {
+    var changes = this.planChanges();
+    var lastsvc = null;
+
+    changes.forEach(function(group) {
+        var counts = [];
+
+        if (group.service !== lastsvc) {
+            fprintf(sout, 'service "%s"\n', group.service);
+            lastsvc = group.service;
+        }
+
+        ['provision', 'deprovision', 'reprovision'].forEach(function(action) {
+            var n = group.actions[action];
+            if (n > 0) {
+                counts.push(n + ' ' + action + (n === 1 ? '' : 's'));
+            }
+        });
+
+        fprintf(
+            sout,
+            '  cn "%s"%s: %s\n',
+            group.cnid,
+            group.hostname === null ? '' : ' (' + group.hostname + ')',
+            counts.join(', ')
+        );
+        fprintf(
+            sout,
+            '    %5s  %7s  %7s  %6s  %s\n',
+            'SH',
+            'CURRENT',
+            'DESIRED',
+            'CHANGE',
+            'IMAGE'
+        );
+        group.configs.forEach(function(c) {
+            var img = c.image;
+            var desc = img.uuid;
+            var delta = c.desired - c.current;
+
+            if (img.version !== null) {
+                desc += sprintf(
+                    ' (%s%s)',
+                    img.name === null ? '' : img.name + ' ',
+                    img.version
+                );
+            }
+
+            fprintf(
+                sout,
+                '    %5s  %7d  %7d  %6s  %s\n',
+                c.shard === null ? '-' : c.shard,
+                c.current,
+                c.desired,
+                delta === 0 ? '-' : (delta > 0 ? '+' : '') + delta,
+                desc
+            );
+        });
+    });
+
+    if (changes.length === 0) {
+        fprintf(sout, 'nothing to do\n');
+    }
+
+    return this.planPendingCount();
+};
+
+/*
+ * Returns a machine-readable representation of the current plan.  This is an
+ * object with properties:
+ *
+ *     actions		array of pending actions, in the order in which they'd
+ *			be executed, each with properties "service", "cnid",
+ *			"action", "zonename" (null for provisions), "shard"
+ *			(null for unsharded services), "image" (the image being
+ *			deployed or removed, as described by imageSummary()),
+ *			and "old_image" (for reprovisions, the instance's
+ *			current image; otherwise null)
+ *
+ *     changes		summary of changes by service and compute node, as
+ *			returned by planChanges()
+ */
+maAdm.prototype.planJson = function() {
+    var self = this;
+    var actions = [];
+
+    this.planEachAction(function(p, svcname, cnid) {
+        var reprovision = p['action'] === 'reprovision';
+        var shard = reprovision ? p['shard'] : p['SH'];
+
+        if (p['state'] === 'done') {
+            return;
+        }
+
+        actions.push({
+            service: svcname,
+            cnid: cnid,
+            action: p['action'],
+            zonename: p['action'] === 'provision' ? null : p['zonename'],
+            shard: svcs.serviceIsSharded(svcname) ? String(shard) : null,
+            image: self.imageSummary(reprovision ? p['new_image'] : p['IMAGE']),
+            old_image: reprovision ? self.imageSummary(p['old_image']) : null
+        });
+    });
+
+    return {actions: actions, changes: this.planChanges()};
+};
+
+/*
+ * Print the JSON representation of the current plan (see planJson()).
+ * Returns the number of pending actions.
+ */
+maAdm.prototype.dumpPlanJson = function(sout) {
+    var plan = this.planJson();
+
+    sout.write(JSON.stringify(plan, null, '    ') + '\n');
+    return plan.actions.length;
+};
+
 /*
  * See the comment in generatePlan() for why we execute the plan the way we do.
  */
@@ -5465,40 +9602,235 @@ maAdm.prototype.doExecPlan = function(sout, serr, dryrun, callback) {
                     return;
                 }
 
+                /*
+                 * When resuming a checkpointed plan, skip compute nodes
+                 * (and whole services) whose actions have all completed.
+                 */
+                inputs = Object.keys(self.ma_plan[svcname]).filter(function(
+                    cnid
+                ) {
+                    return planHasPendingActions(self.ma_plan[svcname][cnid]);
+                });
+                if (inputs.length === 0) {
+                    setTimeout(subcb, 0);
+                    return;
+                }
+
                 count++;
                 if (dryrun) {
                     fprintf(sout, 'service "%s"\n', svcname);
                 }
 
-                inputs = Object.keys(self.ma_plan[svcname]);
-                if (dryrun) {
-                    concurrency = 1;
-                } else if (svcname === 'nameservice') {
-                    // The update of <mantaSapiApp>.metadata.ZK_SERVERS in
-                    // Deployer.deploy for nameservice instances is racy if
-                    // multiple instances are done concurrently. One solution
-                    // is to do nameservice deployments in series, which is
-                    // what we do here.
-                    concurrency = 1;
-                    log.debug(
-                        {planInputs: inputs},
-                        'force nameservice deployment to be in series'
-                    );
-                } else {
-                    concurrency = inputs.length;
-                }
-                errors = [];
+                if (self.ma_rolling !== null) {
+                    if (!dryrun) {
+                        self.execPlanSvcRolling(serr, svcname, inputs, subcb);
+                        return;
+                    }
+
+                    fprintf(
+                        sout,
+                        '  rolling update: batches of up to %d, ' +
+                            'health check "%s"\n',
+                        self.rollingBatchSize(svcname),
+                        self.ma_rolling.healthCheck.name
+                    );
+                }
+
+                if (dryrun) {
+                    concurrency = 1;
+                } else if (svcname === 'nameservice') {
+                    // The update of <mantaSapiApp>.metadata.ZK_SERVERS in
+                    // Deployer.deploy for nameservice instances is racy if
+                    // multiple instances are done concurrently. One solution
+                    // is to do nameservice deployments in series, which is
+                    // what we do here.
+                    concurrency = 1;
+                    log.debug(
+                        {planInputs: inputs},
+                        'force nameservice deployment to be in series'
+                    );
+                } else {
+                    concurrency = inputs.length;
+                }
+                errors = [];
+
+                queue = vasync.queue(function execPlanSvcCn(cnid, queuecb) {
+                    if (dryrun) {
+                        fprintf(sout, '  cn "%s":\n', cnid);
+                    }
+                    self.execPlanSvcCn(
+                        sout,
+                        serr,
+                        cnid,
+                        svcname,
+                        dryrun,
+                        function(err) {
+                            if (err) {
+                                errors.push(err);
+                            }
+                            queuecb();
+                        }
+                    );
+                }, concurrency);
+                queue.push(inputs);
+                queue.on('end', function() {
+                    var err = errors.length > 0 ? new MultiError(errors) : null;
+                    subcb(err);
+                });
+                queue.close();
+            }
+        },
+        function(err) {
+            if (count === 0) {
+                fprintf(sout, 'nothing to do\n');
+            }
+            callback(err, count);
+        }
+    );
+};
+
+/*
+ * Execute the plan deployment-related operations for the given compute node and
+ * service.
+ */
+maAdm.prototype.execPlanSvcCn = function(
+    sout,
+    serr,
+    cnid,
+    svcname,
+    dryrun,
+    callback
+) {
+    var self = this;
+
+    vasync.forEachPipeline(
+        {
+            inputs: self.ma_plan[svcname][cnid],
+            func: function execPlanEntry(p, subcb) {
+                self.execPlanEntry(sout, serr, cnid, svcname, dryrun, p, subcb);
+            }
+        },
+        callback
+    );
+};
+
+/*
+ * Execute (or, if "dryrun" is true, print) plan action "p" for the given
+ * compute node and service, recording its progress if the plan is being
+ * checkpointed.
+ */
+maAdm.prototype.execPlanEntry = function(
+    sout,
+    serr,
+    cnid,
+    svcname,
+    dryrun,
+    p,
+    callback
+) {
+    var self = this;
+
+    /*
+     * Actions completed by a previous execution of a checkpointed plan are
+     * skipped entirely.
+     */
+    if (p['state'] === 'done') {
+        setTimeout(callback, 0);
+        return;
+    }
+
+    if (dryrun) {
+        self.execPrintAction(sout, p);
+        setTimeout(callback, 0);
+        return;
+    }
+
+    self.planStateUpdate(p, 'running', function(err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        self.execPlanAction(serr, cnid, svcname, p, function(execerr) {
+            var state = execerr ? 'failed' : 'done';
+            self.planStateUpdate(p, state, function(staterr) {
+                callback(execerr || staterr);
+            });
+        });
+    });
+};
+
+/*
+ * Execute the remaining plan actions for service "svcname" on compute nodes
+ * "cnids" as a rolling update.  See setRollingUpdate().  Within each batch,
+ * actions on the same compute node are still executed in the order in which
+ * they appear in the plan.
+ */
+maAdm.prototype.execPlanSvcRolling = function(serr, svcname, cnids, callback) {
+    var self = this;
+    var batchsize, actions, batches, i;
+
+    batchsize = this.rollingBatchSize(svcname);
+    actions = [];
+    cnids.forEach(function(cnid) {
+        self.ma_plan[svcname][cnid].forEach(function(p) {
+            if (p['state'] !== 'done') {
+                actions.push({cnid: cnid, p: p});
+            }
+        });
+    });
+
+    batches = [];
+    for (i = 0; i < actions.length; i += batchsize) {
+        batches.push(actions.slice(i, i + batchsize));
+    }
+
+    i = 0;
+    vasync.forEachPipeline(
+        {
+            inputs: batches,
+            func: function execBatch(batch, subcb) {
+                var bycn, concurrency, queue, errors;
 
-                queue = vasync.queue(function execPlanSvcCn(cnid, queuecb) {
-                    if (dryrun) {
-                        fprintf(sout, '  cn "%s":\n', cnid);
+                i++;
+                fprintf(
+                    serr,
+                    'service "%s": starting batch %d of %d (%d %s)\n',
+                    svcname,
+                    i,
+                    batches.length,
+                    batch.length,
+                    batch.length === 1 ? 'action' : 'actions'
+                );
+
+                bycn = {};
+                batch.forEach(function(a) {
+                    if (!bycn.hasOwnProperty(a.cnid)) {
+                        bycn[a.cnid] = [];
                     }
-                    self.execPlanSvcCn(
-                        sout,
-                        serr,
-                        cnid,
-                        svcname,
-                        dryrun,
+                    bycn[a.cnid].push(a.p);
+                });
+
+                /* See doExecPlan(). */
+                concurrency =
+                    svcname === 'nameservice' ? 1 : Object.keys(bycn).length;
+                errors = [];
+                queue = vasync.queue(function execBatchCn(cnid, queuecb) {
+                    vasync.forEachPipeline(
+                        {
+                            inputs: bycn[cnid],
+                            func: function execBatchEntry(p, entrycb) {
+                                self.execPlanEntry(
+                                    null,
+                                    serr,
+                                    cnid,
+                                    svcname,
+                                    false,
+                                    p,
+                                    entrycb
+                                );
+                            }
+                        },
                         function(err) {
                             if (err) {
                                 errors.push(err);
@@ -5507,204 +9839,299 @@ maAdm.prototype.doExecPlan = function(sout, serr, dryrun, callback) {
                         }
                     );
                 }, concurrency);
-                queue.push(inputs);
+                queue.push(Object.keys(bycn));
                 queue.on('end', function() {
-                    var err = errors.length > 0 ? new MultiError(errors) : null;
-                    subcb(err);
+                    if (errors.length > 0) {
+                        subcb(
+                            new VError(
+                                verror.errorFromList(errors),
+                                'service "%s": batch %d of %d failed',
+                                svcname,
+                                i,
+                                batches.length
+                            )
+                        );
+                        return;
+                    }
+
+                    self.rollingHealthGate(
+                        serr,
+                        svcname,
+                        batch,
+                        sprintf('batch %d of %d', i, batches.length),
+                        subcb
+                    );
                 });
                 queue.close();
             }
         },
-        function(err) {
-            if (count === 0) {
-                fprintf(sout, 'nothing to do\n');
-            }
-            callback(err, count);
-        }
+        callback
     );
 };
 
 /*
- * Execute the plan deployment-related operations for the given compute node and
- * service.
+ * Wait for all instances provisioned or reprovisioned by the actions in
+ * "batch" to become healthy.  "label" describes the batch in messages.
  */
-maAdm.prototype.execPlanSvcCn = function(
-    sout,
+maAdm.prototype.rollingHealthGate = function(
     serr,
-    cnid,
     svcname,
-    dryrun,
+    batch,
+    label,
     callback
 ) {
     var self = this;
-    var log = this.ma_log;
+    var rolling = this.ma_rolling;
+    var zonenames;
+
+    zonenames = batch
+        .filter(function(a) {
+            return a.p['action'] !== 'deprovision';
+        })
+        .map(function(a) {
+            return a.p['zonename'];
+        });
 
-    vasync.forEachPipeline(
-        {
-            inputs: self.ma_plan[svcname][cnid],
-            func: function execPlanEntry(p, subcb) {
-                if (dryrun) {
-                    self.execPrintAction(sout, p);
-                    setTimeout(subcb, 0);
-                    return;
-                }
+    if (zonenames.length === 0) {
+        setImmediate(callback);
+        return;
+    }
 
-                if (p['action'] === 'provision') {
-                    var options = {};
-                    var k;
+    fprintf(
+        serr,
+        'service "%s": waiting for %d %s to pass health check "%s"\n',
+        svcname,
+        zonenames.length,
+        zonenames.length === 1 ? 'instance' : 'instances',
+        rolling.healthCheck.name
+    );
 
-                    if (cnid !== '<any>') {
-                        options.server_uuid = cnid;
-                    }
-                    if (p['SH']) {
-                        options.shard = p['SH'];
+    vasync.forEachParallel(
+        {
+            inputs: zonenames,
+            func: function checkInstance(zonename, subcb) {
+                self.healthCheckTarget(zonename, svcname, function(
+                    err,
+                    target
+                ) {
+                    if (err) {
+                        subcb(err);
+                        return;
                     }
-                    assert(p['IMAGE'], 'image must be part of plan');
-                    options.image_uuid = p['IMAGE'];
 
-                    log.debug(
+                    health.waitForHealthy(
                         {
-                            cnid: cnid,
-                            service: svcname,
-                            params: options
+                            healthCheck: rolling.healthCheck,
+                            target: target,
+                            timeout: rolling.healthTimeout,
+                            interval: rolling.healthInterval,
+                            log: self.ma_log
                         },
-                        'provisioning'
+                        subcb
                     );
-                    fprintf(serr, 'service "%s": provisioning\n', svcname);
-                    for (k in options) {
-                        fprintf(serr, '    %11s: %s\n', k, options[k]);
-                    }
-                    self.ma_deployer.deploy(options, svcname, function(
-                        err,
-                        zonename
-                    ) {
-                        if (err) {
-                            log.error(err, 'deploying zone');
-                            subcb(err);
-                            return;
-                        }
+                });
+            }
+        },
+        function(err) {
+            if (rolling.healthCheck.close) {
+                rolling.healthCheck.close();
+            }
 
-                        log.debug(
-                            {
-                                cnid: cnid,
-                                service: svcname,
-                                params: options,
-                                zonename: zonename
-                            },
-                            'provisioned'
-                        );
-                        fprintf(
-                            serr,
-                            'service "%s": provisioned %s\n',
-                            svcname,
-                            zonename
-                        );
-                        for (k in options) {
-                            fprintf(serr, '    %11s: %s\n', k, options[k]);
-                        }
-                        subcb();
-                    });
-                } else if (p['action'] === 'deprovision') {
-                    log.debug(
-                        {
-                            cnid: cnid,
-                            service: svcname,
-                            zone: p['zonename']
-                        },
-                        'deprovisioning'
-                    );
-                    fprintf(
-                        serr,
-                        'service "%s": removing %s\n',
+            if (err) {
+                callback(
+                    new VError(
+                        err,
+                        'service "%s": health check failed after %s; ' +
+                            'aborting update',
                         svcname,
-                        p['zonename']
-                    );
-                    fprintf(serr, '    %11s: %s\n', 'server_uuid', cnid);
-                    if (p['SH']) {
-                        fprintf(serr, '    %11s: %s\n', 'shard', p['SH']);
-                    }
-                    self.ma_deployer.undeploy(p['zonename'], function(err) {
-                        if (err) {
-                            log.error(err, 'undeploying zone');
-                            subcb(err);
-                            return;
-                        }
+                        label
+                    )
+                );
+                return;
+            }
 
-                        log.debug(
-                            {
-                                cnid: cnid,
-                                service: svcname,
-                                zone: p['zonename']
-                            },
-                            'deprovisioned'
-                        );
-                        fprintf(
-                            serr,
-                            'service "%s": removed %s\n',
-                            svcname,
-                            p['zonename']
-                        );
-                        subcb();
-                    });
-                } else {
-                    assert.equal(p['action'], 'reprovision');
-                    log.debug(
-                        {
-                            cnid: cnid,
-                            service: svcname,
-                            zone: p['zonename'],
-                            image: p['new_image']
-                        },
-                        'reprovisioned'
-                    );
-                    fprintf(
-                        serr,
-                        'service "%s": reprovisioning "%s"\n',
-                        svcname,
-                        p['zonename']
-                    );
-                    fprintf(serr, '    %11s: %s\n', 'server_uuid', cnid);
-                    if (p['shard']) {
-                        fprintf(serr, '    %11s: %s\n', 'shard', p['shard']);
-                    }
-                    fprintf(
-                        serr,
-                        '    %11s: %s\n',
-                        'new image',
-                        p['new_image']
-                    );
-                    self.ma_deployer.reprovision(
-                        p['zonename'],
-                        p['new_image'],
-                        function(err) {
-                            if (err) {
-                                log.error(err, 'reprovisioning zone');
-                                subcb(err);
-                                return;
-                            }
+            fprintf(serr, 'service "%s": %s healthy\n', svcname, label);
+            callback();
+        }
+    );
+};
 
-                            log.debug(
-                                {
-                                    cnid: cnid,
-                                    service: svcname,
-                                    zone: p['zonename']
-                                },
-                                'reprovisioned'
-                            );
-                            fprintf(
-                                serr,
-                                'service "%s": reprovisioned "%s"\n',
-                                svcname,
-                                p['zonename']
-                            );
-                            subcb();
-                        }
-                    );
-                }
+/*
+ * Construct the target of a health check (see lib/health.js) for instance
+ * "zonename" of service "svcname".  Instances provisioned during this update
+ * aren't in the VM list loaded by fetchDeployed(), so these are fetched from
+ * VMAPI.
+ */
+maAdm.prototype.healthCheckTarget = function(zonename, svcname, callback) {
+    var target = {
+        zonename: zonename,
+        service: svcname,
+        ip: null,
+        server_uuid: null
+    };
+
+    if (this.ma_vms.hasOwnProperty(zonename) || this.ma_sdc === null) {
+        target.ip = this.primaryIpForZone(zonename);
+        if (this.ma_vms.hasOwnProperty(zonename)) {
+            target.server_uuid = this.ma_vms[zonename]['server_uuid'];
+        }
+        setImmediate(callback, null, target);
+        return;
+    }
+
+    this.ma_sdc.VMAPI.getVm({uuid: zonename}, function(err, vm) {
+        var nics;
+
+        if (err) {
+            callback(new VError(err, 'fetch VM "%s"', zonename));
+            return;
+        }
+
+        nics = vm['nics'].filter(function(n) {
+            return n['primary'];
+        });
+        target.ip = nics.length > 0 ? nics[0]['ip'] : null;
+        target.server_uuid = vm['server_uuid'];
+        callback(null, target);
+    });
+};
+
+/*
+ * Execute a single plan action "p" for the given compute node and service.
+ */
+maAdm.prototype.execPlanAction = function(serr, cnid, svcname, p, callback) {
+    var self = this;
+    var log = this.ma_log;
+
+    if (p['action'] === 'provision') {
+        var options = {};
+        var k;
+
+        if (cnid !== '<any>') {
+            options.server_uuid = cnid;
+        }
+        if (p['SH']) {
+            options.shard = p['SH'];
+        }
+        assert(p['IMAGE'], 'image must be part of plan');
+        options.image_uuid = p['IMAGE'];
+
+        log.debug(
+            {
+                cnid: cnid,
+                service: svcname,
+                params: options
+            },
+            'provisioning'
+        );
+        fprintf(serr, 'service "%s": provisioning\n', svcname);
+        for (k in options) {
+            fprintf(serr, '    %11s: %s\n', k, options[k]);
+        }
+        self.ma_deployer.deploy(options, svcname, function(err, zonename) {
+            if (err) {
+                log.error(err, 'deploying zone');
+                callback(err);
+                return;
             }
-        },
-        callback
-    );
+
+            p['zonename'] = zonename;
+
+            log.debug(
+                {
+                    cnid: cnid,
+                    service: svcname,
+                    params: options,
+                    zonename: zonename
+                },
+                'provisioned'
+            );
+            fprintf(serr, 'service "%s": provisioned %s\n', svcname, zonename);
+            for (k in options) {
+                fprintf(serr, '    %11s: %s\n', k, options[k]);
+            }
+            callback();
+        });
+    } else if (p['action'] === 'deprovision') {
+        log.debug(
+            {
+                cnid: cnid,
+                service: svcname,
+                zone: p['zonename']
+            },
+            'deprovisioning'
+        );
+        fprintf(serr, 'service "%s": removing %s\n', svcname, p['zonename']);
+        fprintf(serr, '    %11s: %s\n', 'server_uuid', cnid);
+        if (p['SH']) {
+            fprintf(serr, '    %11s: %s\n', 'shard', p['SH']);
+        }
+        self.ma_deployer.undeploy(p['zonename'], function(err) {
+            if (err) {
+                log.error(err, 'undeploying zone');
+                callback(err);
+                return;
+            }
+
+            log.debug(
+                {
+                    cnid: cnid,
+                    service: svcname,
+                    zone: p['zonename']
+                },
+                'deprovisioned'
+            );
+            fprintf(serr, 'service "%s": removed %s\n', svcname, p['zonename']);
+            callback();
+        });
+    } else {
+        assert.equal(p['action'], 'reprovision');
+        log.debug(
+            {
+                cnid: cnid,
+                service: svcname,
+                zone: p['zonename'],
+                image: p['new_image']
+            },
+            'reprovisioned'
+        );
+        fprintf(
+            serr,
+            'service "%s": reprovisioning "%s"\n',
+            svcname,
+            p['zonename']
+        );
+        fprintf(serr, '    %11s: %s\n', 'server_uuid', cnid);
+        if (p['shard']) {
+            fprintf(serr, '    %11s: %s\n', 'shard', p['shard']);
+        }
+        fprintf(serr, '    %11s: %s\n', 'new image', p['new_image']);
+        self.ma_deployer.reprovision(p['zonename'], p['new_image'], function(
+            err
+        ) {
+            if (err) {
+                log.error(err, 'reprovisioning zone');
+                callback(err);
+                return;
+            }
+
+            log.debug(
+                {
+                    cnid: cnid,
+                    service: svcname,
+                    zone: p['zonename']
+                },
+                'reprovisioned'
+            );
+            fprintf(
+                serr,
+                'service "%s": reprovisioned "%s"\n',
+                svcname,
+                p['zonename']
+            );
+            callback();
+        });
+    }
 };
 
 maAdm.prototype.execPrintAction = function(sout, p) {
@@ -5808,7 +10235,7 @@ maAdm.prototype.close = function() {
  * directly, which does not validate these constraints.
  */
 maAdm.prototype.fixupZkServers = function(callback) {
-    var zkconfig, curservers, newservers, newmetadata;
+    var zkconfig, curservers, newservers;
     var self = this;
 
     zkconfig = this.auditZkServers();
@@ -5855,9 +10282,19 @@ maAdm.prototype.fixupZkServers = function(callback) {
         newservers.length + zkconfig.missingInstances.length
     );
 
-    /*
-     * Make sure "last" is set appropriately on each entry.
-     */
+    this.writeZkServers(newservers, function(err) {
+        callback(err, zkconfig.missingInstances.length);
+    });
+};
+
+/*
+ * [internal] Replaces the value of ZK_SERVERS with "newservers", making sure
+ * that "last" is set appropriately on each entry.
+ */
+maAdm.prototype.writeZkServers = function(newservers, callback) {
+    var newmetadata;
+    var self = this;
+
     newservers.forEach(function(s, i) {
         if (i === newservers.length - 1) {
             s.last = true;
@@ -5875,7 +10312,7 @@ maAdm.prototype.fixupZkServers = function(callback) {
             if (!err) {
                 self.ma_app = app;
             }
-            callback(err, zkconfig.missingInstances.length);
+            callback(err);
         }
     );
 };
@@ -6000,131 +10437,658 @@ maAdm.prototype.auditZkServers = function() {
     zkservers.forEach(function(zkserver, i) {
         var label, islast;
 
-        label = 'ZK_SERVERS[' + i + ']';
-        islast = i === zkservers.length - 1;
-        if (islast) {
-            if (zkserver.last !== true) {
-                validationErrors.push(
-                    new VError('%s: expected "last" field', label)
-                );
-            }
-        } else {
-            if (zkserver.last) {
-                validationErrors.push(
-                    new VError('%s: expected no "last" field', label)
-                );
-            }
-        }
+        label = 'ZK_SERVERS[' + i + ']';
+        islast = i === zkservers.length - 1;
+        if (islast) {
+            if (zkserver.last !== true) {
+                validationErrors.push(
+                    new VError('%s: expected "last" field', label)
+                );
+            }
+        } else {
+            if (zkserver.last) {
+                validationErrors.push(
+                    new VError('%s: expected no "last" field', label)
+                );
+            }
+        }
+
+        if (entriesByNum.hasOwnProperty(zkserver.num)) {
+            validationErrors.push(
+                new VError('%s: duplicate num "%s"', label, zkserver.num)
+            );
+            return;
+        }
+
+        entriesByNum[zkserver.num] = zkserver;
+    });
+
+    /*
+     * Look for SAPI instances with missing or incorrect ZK_SERVERS
+     * metadata.  There are no known cases where this would normally happen,
+     * so we treat this as a validation error that we won't try to repair.
+     */
+    nforeign = 0;
+    jsprim.forEachKey(instancesById, function(zkid, zkinstance) {
+        var uuid, serverUuid, ip, entry;
+
+        uuid = zkinstance.uuid;
+        if (!entriesByNum.hasOwnProperty(zkid)) {
+            validationErrors.push(
+                new VError(
+                    'nameservice instance "%s": missing ZK_SERVERS entry',
+                    uuid
+                )
+            );
+            return;
+        }
+
+        serverUuid = zkinstance.params['server_uuid'];
+        if (!self.ma_vms.hasOwnProperty(uuid)) {
+            if (
+                self.ma_cns.hasOwnProperty(serverUuid) &&
+                self.ma_cns[serverUuid] !== null
+            ) {
+                validationErrors.push(
+                    new VError(
+                        'nameservice instance "%s": VM appears ' +
+                            'to have been provisioned in this ' +
+                            'datacenter, but could not be found in ' +
+                            'VMAPI',
+                        uuid
+                    )
+                );
+                return;
+            }
+            nforeign++;
+            return;
+        }
+
+        ip = self.primaryIpForZone(uuid);
+        if (ip === null) {
+            validationErrors.push(
+                new VError(
+                    'nameservice instance "%s": failed to find ' +
+                        "instance's primary IP address",
+                    uuid
+                )
+            );
+            return;
+        }
+
+        entry = entriesByNum[zkid];
+        if (ip !== entry.host) {
+            validationErrors.push(
+                new VError(
+                    'nameservice instance "%s": primary IP "%s" ' +
+                        'does not match ZK_SERVERS metadata IP "%s"',
+                    uuid,
+                    ip,
+                    entry.host
+                )
+            );
+        }
+    });
+
+    missingInstances = [];
+    configuredInstances = zkservers.map(function(zkserver) {
+        return {
+            instance: instancesById[zkserver.num] || null,
+            zkid: zkserver.num,
+            ip: zkserver.host,
+            port: zkserver.port
+        };
+    });
+
+    rv = {
+        configuredInstances: configuredInstances,
+        validationErrors: validationErrors,
+        missingInstances: missingInstances,
+        nforeign: nforeign
+    };
+
+    /*
+     * Check for ZK_SERVERS metadata entries that have no SAPI instance.
+     */
+    zkservers.forEach(function(zkserver, i) {
+        var zkid = zkserver.num;
+        if (instancesById.hasOwnProperty(zkid)) {
+            return;
+        }
+
+        missingInstances.push(i);
+    });
+
+    return rv;
+};
+
+/*
+ * Plans a change to the ZooKeeper ensemble: either adding a new server
+ * ("manta-adm zk add") or replacing an existing one ("manta-adm zk replace").
+ * fetchDeployed() must have already been called.  Named arguments:
+ *
+ *     action		either "add" or "replace"
+ *
+ *     oldZone		for "replace", the zonename (or its first 8
+ *     			characters) of the nameservice instance to replace
+ *
+ *     serverUuid	server on which to provision the new nameservice
+ *     			instance.  This is optional for "replace", in which
+ *     			case the old instance's server is used.
+ *
+ *     imageUuid	(optional) image for the new instance.  By default,
+ *     			the image used by the existing instances is used.
+ *
+ * Returns either an Error or a plan to pass to zkExecChange(), which has
+ * properties:
+ *
+ *     action, server_uuid, image_uuid
+ *
+ *     old		for "replace", the ZooKeeper server being replaced,
+ *     			an object with "zkid", "ip", "port", "zonename", and
+ *     			"server_uuid"
+ *
+ *     members		the current ZooKeeper servers (in the same form)
+ *
+ *     warnings		array of Errors describing non-fatal problems
+ *
+ * Only ensembles whose servers are all in this datacenter are supported,
+ * since the existing servers have to be restarted to pick up the change.
+ */
+maAdm.prototype.zkPlanChange = function(args) {
+    var zkconfig, members, old, serverUuid, imageUuid, images, nservers;
+    var conflicts;
+    var self = this;
+
+    assertplus.object(args, 'args');
+    assertplus.string(args.action, 'args.action');
+    assertplus.optionalString(args.oldZone, 'args.oldZone');
+    assertplus.optionalString(args.serverUuid, 'args.serverUuid');
+    assertplus.optionalString(args.imageUuid, 'args.imageUuid');
+    assertplus.ok(args.action === 'add' || args.action === 'replace');
+
+    zkconfig = this.auditZkServers();
+    if (zkconfig.validationErrors.length > 0) {
+        return zkconfig.validationErrors[0];
+    }
+
+    if (zkconfig.missingInstances.length > 0) {
+        return new VError(
+            '%s has entries with no SAPI instance ' +
+                '(use "manta-adm zk fixup" to repair them first)',
+            maZkConfigProp
+        );
+    }
+
+    if (zkconfig.nforeign > 0) {
+        return new VError(
+            'changing ZooKeeper servers in other datacenters is not supported'
+        );
+    }
+
+    members = zkconfig.configuredInstances.map(function(zkinstance) {
+        return {
+            zkid: zkinstance.zkid,
+            ip: zkinstance.ip,
+            port: zkinstance.port,
+            zonename: zkinstance.instance.uuid,
+            server_uuid: zkinstance.instance.params['server_uuid']
+        };
+    });
+
+    old = null;
+    if (args.action === 'replace') {
+        assertplus.string(args.oldZone, 'args.oldZone');
+        old = members.filter(function(m) {
+            return (
+                m.zonename === args.oldZone ||
+                (args.oldZone.length === 8 &&
+                    m.zonename.substr(0, 8) === args.oldZone)
+            );
+        });
+        if (old.length !== 1) {
+            return new VError(
+                'zone "%s" is not a configured ZooKeeper server',
+                args.oldZone
+            );
+        }
+        old = old[0];
+    } else {
+        assertplus.string(args.serverUuid, 'args.serverUuid');
+    }
+
+    serverUuid = args.serverUuid || old.server_uuid;
+    if (!this.ma_cns.hasOwnProperty(serverUuid) || !this.ma_cns[serverUuid]) {
+        return new VError(
+            'server "%s" not found in this datacenter',
+            serverUuid
+        );
+    }
+
+    conflicts = members.filter(function(m) {
+        return m !== old && m.server_uuid === serverUuid;
+    });
+    if (conflicts.length > 0) {
+        return new VError(
+            'server "%s" already runs ZooKeeper server %d',
+            serverUuid,
+            conflicts[0].zkid
+        );
+    }
+
+    if (args.imageUuid !== undefined) {
+        imageUuid = args.imageUuid;
+    } else {
+        images = {};
+        members.forEach(function(m) {
+            if (self.ma_vms.hasOwnProperty(m.zonename)) {
+                images[self.ma_vms[m.zonename]['image_uuid']] = true;
+            }
+        });
+        images = Object.keys(images);
+        if (images.length !== 1) {
+            return new VError(
+                'nameservice instances do not all use the same image ' +
+                    '(specify the image for the new instance)'
+            );
+        }
+        imageUuid = images[0];
+    }
+
+    nservers = args.action === 'add' ? members.length + 1 : members.length;
+    return {
+        action: args.action,
+        server_uuid: serverUuid,
+        image_uuid: imageUuid,
+        old: old,
+        members: members,
+        warnings:
+            nservers % 2 === 0
+                ? [
+                      new VError(
+                          'the ensemble will have %d servers, which ' +
+                              'tolerates no more failures than %d servers',
+                          nservers,
+                          nservers - 1
+                      )
+                  ]
+                : []
+    };
+};
+
+/*
+ * Prints a description of a plan returned by zkPlanChange().
+ */
+maAdm.prototype.zkPrintPlan = function(sout, plan) {
+    var step = 0;
+    var others;
+
+    function printStep() {
+        fprintf(sout, '%d. %s\n', ++step, sprintf.apply(null, arguments));
+    }
+
+    others = plan.members.filter(function(m) {
+        return m !== plan.old;
+    });
+
+    printStep(
+        'check that the ensemble of %d ZooKeeper servers has quorum',
+        plan.members.length
+    );
+    printStep(
+        'provision a new nameservice instance on server %s (image %s) ' +
+            'and add it to %s',
+        plan.server_uuid,
+        plan.image_uuid,
+        maZkConfigProp
+    );
+    printStep('wait for the new ZooKeeper server to join the ensemble');
+    printStep(
+        'restart existing ZooKeeper servers one at a time (leader last), ' +
+            'waiting for quorum after each: %s',
+        zkFormatMembers(others)
+    );
+    if (plan.old !== null) {
+        printStep(
+            'remove nameservice instance %s (ZooKeeper server %d) and ' +
+                'remove it from %s',
+            plan.old.zonename,
+            plan.old.zkid,
+            maZkConfigProp
+        );
+        printStep(
+            'restart the remaining ZooKeeper servers one at a time ' +
+                '(leader last), waiting for quorum after each: %s and the ' +
+                'new server',
+            zkFormatMembers(others)
+        );
+    }
+};
+
+function zkFormatMembers(members) {
+    return members
+        .map(function(m) {
+            return sprintf('%d (%s)', m.zkid, m.zonename.substr(0, 8));
+        })
+        .join(', ');
+}
+
+/*
+ * Executes a plan returned by zkPlanChange(), printing progress to "stream".
+ * Named arguments:
+ *
+ *     plan		plan returned by zkPlanChange()
+ *
+ *     stream		stream for progress messages
+ *
+ *     healthTimeout	milliseconds to wait for each server to rejoin the
+ *     			ensemble and for the ensemble to regain quorum
+ *
+ *     healthInterval	(optional) milliseconds between checks
+ *
+ * The change stops at the first failure, which leaves the ensemble with
+ * quorum (since each step checks for it) but possibly with some servers not
+ * yet restarted.  The error describes how far it got.
+ */
+maAdm.prototype.zkExecChange = function(args, callback) {
+    var plan, stream, ensemble, newmember;
+    var self = this;
+
+    assertplus.object(args, 'args');
+    assertplus.object(args.plan, 'args.plan');
+    assertplus.object(args.stream, 'args.stream');
+    assertplus.number(args.healthTimeout, 'args.healthTimeout');
+    assertplus.optionalNumber(args.healthInterval, 'args.healthInterval');
+    assertplus.ok(this.ma_deployer === null);
+
+    plan = args.plan;
+    stream = args.stream;
+    ensemble = plan.members.slice(0);
+
+    vasync.pipeline(
+        {
+            funcs: [
+                function checkQuorum(_, next) {
+                    fprintf(stream, 'checking ZooKeeper quorum\n');
+                    zk.zkEnsembleStatus(
+                        {servers: zkServers(ensemble), timeout: 5000},
+                        function(status) {
+                            var err = zk.zkHasQuorum(status);
+                            if (err !== null) {
+                                err = new VError(err, 'ensemble unhealthy');
+                            }
+                            next(err);
+                        }
+                    );
+                },
+
+                function initDeployer(_, next) {
+                    self.ma_deployer = deploy.createDeployer(
+                        self.ma_log,
+                        self.ma_datacenter
+                    );
+                    self.ma_deployer.on('error', next);
+                    self.ma_deployer.on('ready', function() {
+                        next();
+                    });
+                },
+
+                function provision(_, next) {
+                    fprintf(
+                        stream,
+                        'provisioning nameservice instance on server %s\n',
+                        plan.server_uuid
+                    );
+                    self.ma_deployer.deploy(
+                        {
+                            server_uuid: plan.server_uuid,
+                            image_uuid: plan.image_uuid
+                        },
+                        'nameservice',
+                        function(err, zonename) {
+                            if (err) {
+                                next(new VError(err, 'provision'));
+                                return;
+                            }
+
+                            newmember = {
+                                zonename: zonename,
+                                server_uuid: plan.server_uuid
+                            };
+                            next();
+                        }
+                    );
+                },
+
+                function refreshApp(_, next) {
+                    self.ma_sdc.SAPI.getApplication(self.ma_app.uuid, function(
+                        err,
+                        app
+                    ) {
+                        var entries;
+
+                        if (err) {
+                            next(new VError(err, 'fetch SAPI application'));
+                            return;
+                        }
+
+                        self.ma_app = app;
+                        entries = app.metadata[maZkConfigProp];
+                        newmember.zkid = entries[entries.length - 1].num;
+                        newmember.ip = entries[entries.length - 1].host;
+                        newmember.port = entries[entries.length - 1].port;
+                        ensemble.push(newmember);
+                        fprintf(
+                            stream,
+                            'provisioned %s as ZooKeeper server %d (%s)\n',
+                            newmember.zonename,
+                            newmember.zkid,
+                            newmember.ip
+                        );
+                        next();
+                    });
+                },
+
+                function waitNew(_, next) {
+                    fprintf(
+                        stream,
+                        'waiting for ZooKeeper server %d to join the ' +
+                            'ensemble\n',
+                        newmember.zkid
+                    );
+                    self.zkWaitForMember(args, ensemble, newmember, next);
+                },
 
-        if (entriesByNum.hasOwnProperty(zkserver.num)) {
-            validationErrors.push(
-                new VError('%s: duplicate num "%s"', label, zkserver.num)
-            );
-            return;
-        }
+                function restartExisting(_, next) {
+                    self.zkRollingRestart(
+                        args,
+                        ensemble,
+                        plan.members.filter(function(m) {
+                            return m !== plan.old;
+                        }),
+                        next
+                    );
+                },
 
-        entriesByNum[zkserver.num] = zkserver;
-    });
+                function removeOld(_, next) {
+                    if (plan.old === null) {
+                        next();
+                        return;
+                    }
 
-    /*
-     * Look for SAPI instances with missing or incorrect ZK_SERVERS
-     * metadata.  There are no known cases where this would normally happen,
-     * so we treat this as a validation error that we won't try to repair.
-     */
-    nforeign = 0;
-    jsprim.forEachKey(instancesById, function(zkid, zkinstance) {
-        var uuid, serverUuid, ip, entry;
+                    fprintf(
+                        stream,
+                        'removing nameservice instance %s (ZooKeeper ' +
+                            'server %d)\n',
+                        plan.old.zonename,
+                        plan.old.zkid
+                    );
+                    self.ma_deployer.undeploy(plan.old.zonename, function(err) {
+                        if (err) {
+                            next(new VError(err, 'remove old instance'));
+                            return;
+                        }
 
-        uuid = zkinstance.uuid;
-        if (!entriesByNum.hasOwnProperty(zkid)) {
-            validationErrors.push(
-                new VError(
-                    'nameservice instance "%s": missing ZK_SERVERS entry',
-                    uuid
-                )
-            );
-            return;
-        }
+                        ensemble = ensemble.filter(function(m) {
+                            return m !== plan.old;
+                        });
+                        self.writeZkServers(
+                            self.ma_app.metadata[maZkConfigProp].filter(
+                                function(entry) {
+                                    return entry.num !== plan.old.zkid;
+                                }
+                            ),
+                            function(suberr) {
+                                if (suberr) {
+                                    suberr = new VError(
+                                        suberr,
+                                        'update %s',
+                                        maZkConfigProp
+                                    );
+                                }
+                                next(suberr);
+                            }
+                        );
+                    });
+                },
 
-        serverUuid = zkinstance.params['server_uuid'];
-        if (!self.ma_vms.hasOwnProperty(uuid)) {
-            if (
-                self.ma_cns.hasOwnProperty(serverUuid) &&
-                self.ma_cns[serverUuid] !== null
-            ) {
-                validationErrors.push(
-                    new VError(
-                        'nameservice instance "%s": VM appears ' +
-                            'to have been provisioned in this ' +
-                            'datacenter, but could not be found in ' +
-                            'VMAPI',
-                        uuid
-                    )
-                );
+                function restartRemaining(_, next) {
+                    if (plan.old === null) {
+                        next();
+                        return;
+                    }
+
+                    self.zkRollingRestart(args, ensemble, ensemble, next);
+                }
+            ]
+        },
+        function(err) {
+            if (self.ma_deployer === null) {
+                callback(err);
                 return;
             }
-            nforeign++;
-            return;
-        }
 
-        ip = self.primaryIpForZone(uuid);
-        if (ip === null) {
-            validationErrors.push(
-                new VError(
-                    'nameservice instance "%s": failed to find ' +
-                        "instance's primary IP address",
-                    uuid
-                )
-            );
-            return;
+            self.ma_deployer.close(function() {
+                self.ma_deployer = null;
+                callback(err);
+            });
         }
+    );
+};
 
-        entry = entriesByNum[zkid];
-        if (ip !== entry.host) {
-            validationErrors.push(
-                new VError(
-                    'nameservice instance "%s": primary IP "%s" ' +
-                        'does not match ZK_SERVERS metadata IP "%s"',
-                    uuid,
-                    ip,
-                    entry.host
-                )
-            );
-        }
-    });
+/*
+ * [internal] Restarts each of the ZooKeeper servers in "members" (a subset of
+ * "ensemble") one at a time so that they pick up the current ZK_SERVERS,
+ * waiting after each one for it to rejoin and for the ensemble to have quorum.
+ * Followers are restarted first and the leader last, so that the ensemble
+ * only has to elect a new leader once.  The restart commands share one Ur
+ * client.  See zkExecChange() for "args".
+ */
+maAdm.prototype.zkRollingRestart = function(args, ensemble, members, callback) {
+    var self = this;
+    var executor = health.createZoneExecutor({log: this.ma_log});
 
-    missingInstances = [];
-    configuredInstances = zkservers.map(function(zkserver) {
-        return {
-            instance: instancesById[zkserver.num] || null,
-            zkid: zkserver.num,
-            ip: zkserver.host,
-            port: zkserver.port
-        };
-    });
+    zk.zkEnsembleStatus({servers: zkServers(members), timeout: 5000}, function(
+        status
+    ) {
+        var ordered = members.slice(0).sort(function(a, b) {
+            var ma = status[members.indexOf(a)].srvr;
+            var mb = status[members.indexOf(b)].srvr;
+            var la = ma !== null && ma.mode === 'leader' ? 1 : 0;
+            var lb = mb !== null && mb.mode === 'leader' ? 1 : 0;
 
-    rv = {
-        configuredInstances: configuredInstances,
-        validationErrors: validationErrors,
-        missingInstances: missingInstances,
-        nforeign: nforeign
-    };
+            return la !== lb ? la - lb : a.zkid - b.zkid;
+        });
 
-    /*
-     * Check for ZK_SERVERS metadata entries that have no SAPI instance.
-     */
-    zkservers.forEach(function(zkserver, i) {
-        var zkid = zkserver.num;
-        if (instancesById.hasOwnProperty(zkid)) {
-            return;
-        }
+        vasync.forEachPipeline(
+            {
+                inputs: ordered,
+                func: function restartOne(member, next) {
+                    fprintf(
+                        args.stream,
+                        'restarting ZooKeeper server %d (%s)\n',
+                        member.zkid,
+                        member.zonename
+                    );
+                    executor.exec(
+                        {
+                            zonename: member.zonename,
+                            server_uuid: member.server_uuid,
+                            command: maZkRestartCommand,
+                            timeout: 120000
+                        },
+                        function(err) {
+                            if (err) {
+                                next(
+                                    new VError(
+                                        err,
+                                        'restart ZooKeeper server %d',
+                                        member.zkid
+                                    )
+                                );
+                                return;
+                            }
 
-        missingInstances.push(i);
+                            self.zkWaitForMember(args, ensemble, member, next);
+                        }
+                    );
+                }
+            },
+            function(err) {
+                executor.close();
+                callback(err);
+            }
+        );
     });
+};
 
-    return rv;
+/*
+ * [internal] Waits for ZooKeeper server "member" to be serving requests and for
+ * "ensemble" to have quorum.  See zkExecChange() for "args".
+ */
+maAdm.prototype.zkWaitForMember = function(args, ensemble, member, callback) {
+    health.waitForHealthy(
+        {
+            healthCheck: zk.createZkHealthCheck({
+                servers: zkServers(ensemble),
+                log: this.ma_log
+            }),
+            target: {
+                zonename: member.zonename,
+                service: 'nameservice',
+                ip: member.ip
+            },
+            timeout: args.healthTimeout,
+            interval:
+                typeof args.healthInterval === 'number'
+                    ? args.healthInterval
+                    : 5000,
+            log: this.ma_log
+        },
+        function(err) {
+            if (!err) {
+                fprintf(
+                    args.stream,
+                    'ZooKeeper server %d is serving and the ensemble has ' +
+                        'quorum\n',
+                    member.zkid
+                );
+            }
+            callback(err);
+        }
+    );
 };
 
+/*
+ * Returns the "host" and "port" of each ZooKeeper server in "members", as
+ * expected by lib/zk.js.
+ */
+function zkServers(members) {
+    return members.map(function(m) {
+        return {host: m.ip, port: m.port};
+    });
+}
+
 /*
  * The implementation of the `manta-adm create-topology` command. Generates a
  * hash ring image, uploads it to the datacenter's imgapi, activates the image,
@@ -6153,6 +11117,11 @@ maAdm.prototype.auditZkServers = function() {
  *
  * - force: a boolean indicating whether a new hash ring should be generated
  *   and uploaded even if one already exists
+ *
+ * 'opts' may also contain:
+ *
+ * - nshards: the number of shards the ring is expected to have.  If the shards
+ *   listed in SAPI metadata don't match, no ring is created.
  */
 maAdm.prototype.createTopology = function createTopology(opts, callback) {
     var self = this;
@@ -6163,6 +11132,7 @@ maAdm.prototype.createTopology = function createTopology(opts, callback) {
     assertplus.number(opts.vnodes, 'opts.vnodes');
     assertplus.number(opts.port, 'opts.port');
     assertplus.bool(opts.force, 'opts.force');
+    assertplus.optionalNumber(opts.nshards, 'opts.nshards');
 
     var buckets = opts.buckets;
     var vnodes = opts.vnodes;
@@ -6274,6 +11244,19 @@ maAdm.prototype.createTopology = function createTopology(opts, callback) {
             );
             return;
         }
+        if (opts.nshards !== undefined && shards.length !== opts.nshards) {
+            next(
+                new VError(
+                    '"%s" metadata lists %d shard%s, but %d %s declared',
+                    key,
+                    shards.length,
+                    shards.length === 1 ? '' : 's',
+                    opts.nshards,
+                    opts.nshards === 1 ? 'is' : 'are'
+                )
+            );
+            return;
+        }
         var pnodes = ctx.mantaApp.metadata[key].map(function processShard(
             shard
         ) {
@@ -6747,6 +11730,120 @@ maAdm.prototype.createTopology = function createTopology(opts, callback) {
     }
 };
 
+/*
+ * Implements "manta-adm create-topology --from-file": creates a hash ring for
+ * each style of API declared in the server configuration file used by
+ * "manta-adm genconfig --from-file", one after another, using the declared
+ * number of shards to check the shards listed in SAPI metadata.  Named
+ * arguments:
+ *
+ *     filename		server configuration file (see manta-adm(1))
+ *
+ *     ringTypes	(optional) only create rings of these types
+ *     			("directory" or "buckets"), each of which must be
+ *     			declared in the file
+ *
+ *     ports		mapping of ring type to the port used for that ring
+ *     			(see createTopology())
+ *
+ *     vnodes, force	see createTopology()
+ */
+maAdm.prototype.createTopologiesFromFile = function(args, callback) {
+    var self = this;
+
+    assertplus.object(args, 'args');
+    assertplus.string(args.filename, 'args.filename');
+    assertplus.optionalArrayOfString(args.ringTypes, 'args.ringTypes');
+    assertplus.object(args.ports, 'args.ports');
+    assertplus.number(args.vnodes, 'args.vnodes');
+    assertplus.bool(args.force, 'args.force');
+    assertplus.func(callback, 'callback');
+
+    vasync.waterfall(
+        [
+            function loadDcConfig(subcallback) {
+                var loader = new layout.DcConfigLoader();
+                loader.loadFromFile({filename: args.filename}, subcallback);
+            },
+
+            function createRings(dcconfig, subcallback) {
+                var rings, i, ring;
+
+                rings = layout.apiShardCounts(dcconfig);
+                if (args.ringTypes !== undefined) {
+                    for (i = 0; i < args.ringTypes.length; i++) {
+                        if (
+                            dcconfig.dc_apis.indexOf(args.ringTypes[i]) === -1
+                        ) {
+                            subcallback(
+                                new VError(
+                                    '%s: API "%s" is not declared',
+                                    args.filename,
+                                    args.ringTypes[i]
+                                )
+                            );
+                            return;
+                        }
+                    }
+
+                    rings = rings.filter(function(r) {
+                        return args.ringTypes.indexOf(r.api) !== -1;
+                    });
+                }
+
+                for (i = 0; i < rings.length; i++) {
+                    ring = rings[i];
+                    if (!args.ports.hasOwnProperty(ring.api)) {
+                        subcallback(
+                            new VError(
+                                'no port specified for the "%s" ring',
+                                ring.api
+                            )
+                        );
+                        return;
+                    }
+                }
+
+                vasync.forEachPipeline(
+                    {
+                        inputs: rings,
+                        func: function createOne(r, next) {
+                            self.ma_log.info(r, 'creating hash ring');
+                            self.createTopology(
+                                {
+                                    buckets: r.api === 'buckets',
+                                    vnodes: args.vnodes,
+                                    port: args.ports[r.api],
+                                    force: args.force,
+                                    nshards: r.nshards
+                                },
+                                function(err) {
+                                    var wrapped;
+
+                                    if (err) {
+                                        wrapped = new VError(
+                                            err,
+                                            '"%s" ring',
+                                            r.api
+                                        );
+                                        wrapped.exitStatus = err.exitStatus;
+                                        err = wrapped;
+                                    }
+                                    next(err);
+                                }
+                            );
+                        }
+                    },
+                    function(err) {
+                        subcallback(err);
+                    }
+                );
+            }
+        ],
+        callback
+    );
+};
+
 function fmtListDateTime(ts) {
     if (ts === null) {
         return '-';
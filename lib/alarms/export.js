@@ -0,0 +1,376 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * lib/alarms/export.js: convert alarms into payloads for external incident
+ * management tools
+ *
+ * The input to this subsystem is a list of export records, one per alarm,
+ * which lib/adm.js assembles from the AmonAlarm and AmonFault objects for each
+ * alarm plus the knowledge article for its probe group.  Each record is a
+ * plain JSON object with properties:
+ *
+ *     alarm		Amon alarm id (number)
+ *
+ *     datacenter	name of the datacenter whose Amon reported the
+ *     			alarm, or null if unknown
+ *
+ *     state		"open" or "closed"
+ *
+ *     severity		"critical", "major", or "minor", from the knowledge
+ *     			article, or null if there is no knowledge article
+ *
+ *     summary		one-line summary of the alarm
+ *
+ *     event		FMA event class name, or null if unknown
+ *
+ *     probeGroup	probe group uuid, or null
+ *
+ *     notifications	whether notifications are enabled for the alarm
+ *
+ *     maintenance	whether all of the alarm's faults originated inside a
+ *     			maintenance window
+ *
+ *     timeOpened,	ISO 8601 timestamps (timeClosed may be null)
+ *     timeLastEvent,
+ *     timeClosed
+ *
+ *     numEvents	number of events for the alarm
+ *
+ *     services		names of the services affected by the alarm
+ *
+ *     ka		knowledge article, with properties "title",
+ *     			"description", "severity", "response", "impact", and
+ *     			"action", or null if there is none
+ *
+ *     faults		list of faults, each with "time", "machine",
+ *     			"service", "cn" (hostname of the compute node
+ *     			hosting the machine), "probe", "agentAlias",
+ *     			"maintenance", and "message"
+ *
+ * These records are emitted as-is by the "json-lines" format.  The other
+ * formats convert them into what the corresponding tools expect:
+ *
+ *     alertmanager	an array of alerts for the Prometheus Alertmanager
+ *     			API ("POST /api/v2/alerts")
+ *
+ *     pagerduty-events	"trigger" events for the PagerDuty Events API v2
+ *     			("POST /v2/enqueue"), one per alarm
+ */
+
+var assertplus = require('assert-plus');
+var http = require('http');
+var https = require('https');
+var url = require('url');
+var vasync = require('vasync');
+var VError = require('verror');
+
+exports.alarmExportFormats = alarmExportFormats;
+exports.alarmExportPayloads = alarmExportPayloads;
+exports.alarmExportPrint = alarmExportPrint;
+exports.alarmExportPost = alarmExportPost;
+
+/*
+ * Maps knowledge article severities to PagerDuty event severities.  Alarms
+ * without a knowledge article are reported as "warning".
+ */
+var alarmExportPdSeverity = {
+    critical: 'critical',
+    major: 'error',
+    minor: 'warning'
+};
+
+function alarmExportFormats() {
+    return ['alertmanager', 'pagerduty-events', 'json-lines'];
+}
+
+/*
+ * Converts a list of export records (see above) into the payloads for the
+ * given format.  Named arguments:
+ *
+ *     format (string)		one of alarmExportFormats()
+ *
+ *     records (array)		export records, one per alarm
+ *
+ *     routingKey (string)	for "pagerduty-events", the integration key
+ *     				of the PagerDuty service (optional)
+ *
+ * Returns an array of payloads, one per record.
+ */
+function alarmExportPayloads(args) {
+    var convert;
+
+    assertplus.object(args, 'args');
+    assertplus.string(args.format, 'args.format');
+    assertplus.arrayOfObject(args.records, 'args.records');
+    assertplus.optionalString(args.routingKey, 'args.routingKey');
+
+    switch (args.format) {
+        case 'alertmanager':
+            convert = alarmExportAlertmanager;
+            break;
+        case 'pagerduty-events':
+            convert = alarmExportPagerduty;
+            break;
+        default:
+            assertplus.equal(args.format, 'json-lines');
+            convert = function(record) {
+                return record;
+            };
+            break;
+    }
+
+    return args.records.map(function(record) {
+        return convert(record, args);
+    });
+}
+
+function alarmExportAlertmanager(record) {
+    var alert, ka;
+
+    alert = {
+        labels: {
+            alertname: record.event || 'manta_alarm',
+            alarm: record.alarm.toString(),
+            severity: record.severity || 'unknown',
+            services: record.services.join(',')
+        },
+        annotations: {
+            summary: record.summary
+        },
+        startsAt: record.timeOpened
+    };
+
+    if (record.datacenter !== null) {
+        alert.labels.datacenter = record.datacenter;
+    }
+
+    ka = record.ka;
+    if (ka !== null) {
+        alert.annotations.description = ka.description;
+        alert.annotations.impact = ka.impact;
+        alert.annotations.action = ka.action;
+    }
+
+    if (record.timeClosed !== null) {
+        alert.endsAt = record.timeClosed;
+    }
+
+    return alert;
+}
+
+function alarmExportPagerduty(record, args) {
+    var evt, source;
+
+    source = record.datacenter !== null ? record.datacenter : 'manta';
+    evt = {
+        event_action: record.state === 'open' ? 'trigger' : 'resolve',
+        dedup_key: 'manta-' + source + '-alarm-' + record.alarm,
+        payload: {
+            summary: record.summary,
+            source: source,
+            severity:
+                record.severity !== null &&
+                alarmExportPdSeverity.hasOwnProperty(record.severity)
+                    ? alarmExportPdSeverity[record.severity]
+                    : 'warning',
+            timestamp: record.timeOpened,
+            component: record.services.join(','),
+            group: 'manta',
+            class: record.event || 'unknown',
+            custom_details: {
+                alarm: record.alarm,
+                numEvents: record.numEvents,
+                timeLastEvent: record.timeLastEvent,
+                maintenance: record.maintenance,
+                impact: record.ka !== null ? record.ka.impact : null,
+                action: record.ka !== null ? record.ka.action : null,
+                faults: record.faults
+            }
+        }
+    };
+
+    if (args.routingKey) {
+        evt.routing_key = args.routingKey;
+    }
+
+    return evt;
+}
+
+/*
+ * Writes the payloads for the given format to "stream" exactly as they would
+ * be sent to a webhook: a single JSON array for "alertmanager", and one JSON
+ * object per line for the other formats.
+ */
+function alarmExportPrint(args) {
+    assertplus.object(args, 'args');
+    assertplus.object(args.stream, 'args.stream');
+    assertplus.string(args.format, 'args.format');
+    assertplus.arrayOfObject(args.payloads, 'args.payloads');
+
+    args.stream.write(alarmExportBodies(args.format, args.payloads).join(''));
+}
+
+/*
+ * Returns the list of request bodies used to send the given payloads.
+ * Alertmanager accepts a batch of alerts in one request, and PagerDuty accepts
+ * one event per request.  For "json-lines", we send all of the records as one
+ * newline-delimited JSON request.
+ */
+function alarmExportBodies(format, payloads) {
+    if (format === 'alertmanager') {
+        return [JSON.stringify(payloads) + '\n'];
+    }
+
+    if (format === 'pagerduty-events') {
+        return payloads.map(function(p) {
+            return JSON.stringify(p) + '\n';
+        });
+    }
+
+    assertplus.equal(format, 'json-lines');
+    return [
+        payloads
+            .map(function(p) {
+                return JSON.stringify(p) + '\n';
+            })
+            .join('')
+    ];
+}
+
+/*
+ * POSTs the payloads for the given format to a webhook.  Named arguments:
+ *
+ *     url (string)		http or https URL of the webhook
+ *
+ *     format (string)		one of alarmExportFormats()
+ *
+ *     payloads (array)		payloads returned by alarmExportPayloads()
+ *
+ *     timeout (number)		milliseconds to wait for each request
+ *
+ *     log (object)		bunyan logger
+ *
+ * Requests are made sequentially, and we stop at the first one that fails.
+ * The callback is invoked as callback(err, nsent), where "nsent" is the
+ * number of requests that completed successfully.  There's nothing to send
+ * when there are no payloads, except for "alertmanager", where an empty batch
+ * is harmless.
+ */
+function alarmExportPost(args, callback) {
+    var parsed, bodies, nsent;
+
+    assertplus.object(args, 'args');
+    assertplus.string(args.url, 'args.url');
+    assertplus.string(args.format, 'args.format');
+    assertplus.arrayOfObject(args.payloads, 'args.payloads');
+    assertplus.number(args.timeout, 'args.timeout');
+    assertplus.object(args.log, 'args.log');
+
+    parsed = url.parse(args.url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        setImmediate(
+            callback,
+            new VError('unsupported webhook URL: "%s"', args.url),
+            0
+        );
+        return;
+    }
+
+    bodies =
+        args.payloads.length > 0 || args.format === 'alertmanager'
+            ? alarmExportBodies(args.format, args.payloads)
+            : [];
+    nsent = 0;
+    vasync.forEachPipeline(
+        {
+            inputs: bodies,
+            func: function postOne(body, stepcb) {
+                alarmExportPostOne(
+                    {
+                        parsed: parsed,
+                        url: args.url,
+                        body: body,
+                        contentType:
+                            args.format === 'json-lines'
+                                ? 'application/x-ndjson'
+                                : 'application/json',
+                        timeout: args.timeout,
+                        log: args.log
+                    },
+                    function(err) {
+                        if (!err) {
+                            nsent++;
+                        }
+
+                        stepcb(err);
+                    }
+                );
+            }
+        },
+        function(err) {
+            callback(err, nsent);
+        }
+    );
+}
+
+function alarmExportPostOne(args, callback) {
+    var mod, req, done;
+
+    done = false;
+    function finish(err) {
+        if (!done) {
+            done = true;
+            callback(err);
+        }
+    }
+
+    args.log.debug({url: args.url, body: args.body}, 'posting alarm export');
+    mod = args.parsed.protocol === 'https:' ? https : http;
+    req = mod.request(
+        {
+            method: 'POST',
+            protocol: args.parsed.protocol,
+            hostname: args.parsed.hostname,
+            port: args.parsed.port,
+            path: args.parsed.path,
+            auth: args.parsed.auth,
+            headers: {
+                'content-type': args.contentType,
+                'content-length': Buffer.byteLength(args.body)
+            }
+        },
+        function(res) {
+            res.resume();
+            if (res.statusCode < 200 || res.statusCode > 299) {
+                finish(
+                    new VError(
+                        'POST "%s": unexpected status %d',
+                        args.url,
+                        res.statusCode
+                    )
+                );
+            } else {
+                finish();
+            }
+        }
+    );
+
+    req.setTimeout(args.timeout, function() {
+        req.abort();
+        finish(new VError('POST "%s": timed out', args.url));
+    });
+
+    req.on('error', function(err) {
+        finish(new VError(err, 'POST "%s"', args.url));
+    });
+
+    req.end(args.body);
+}
@@ -210,9 +210,19 @@
  *     - lib/alarms/maint.js: defines data structures and functions for working
  *       with Amon maintenance windows
  *
+ *     - lib/alarms/export.js: defines functions for converting alarms into
+ *       payloads for external incident management tools and sending them to
+ *       webhooks
+ *
+ *     - lib/alarms/maint_series.js: defines functions for expanding recurring
+ *       maintenance windows into individual Amon maintenance windows
+ *
  *     - lib/alarms/metadata.js: defines data structures and functions for
  *       working with the locally provided metadata for known failure modes.
  *
+ *     - lib/alarms/stats.js: defines functions for summarizing the history of
+ *       alarms (e.g., which failure modes open the most alarms).
+ *
  *     - lib/alarms/update.js: defines data structures and functions for
  *       updating the Amon configuration.  This includes functions for comparing
  *       two sets of configuration (usually a "deployed" configuration and a
@@ -223,7 +233,10 @@
 var alarm_metadata = require('./metadata');
 var alarm_alarms = require('./alarms');
 var alarm_config = require('./config');
+var alarm_export = require('./export');
+var alarm_maint_series = require('./maint_series');
 var alarm_maint_windows = require('./maint_windows');
+var alarm_stats = require('./stats');
 var alarm_update = require('./update');
 var amon_objects = require('./amon_objects');
 
@@ -236,6 +249,16 @@ exports.amonCloseAlarms = alarm_alarms.amonCloseAlarms;
 exports.amonUpdateAlarmsNotification =
     alarm_alarms.amonUpdateAlarmsNotification;
 
+/* Export to external tools */
+exports.alarmExportFormats = alarm_export.alarmExportFormats;
+exports.alarmExportPayloads = alarm_export.alarmExportPayloads;
+exports.alarmExportPrint = alarm_export.alarmExportPrint;
+exports.alarmExportPost = alarm_export.alarmExportPost;
+
+/* Alarm history */
+exports.alarmStatsCompute = alarm_stats.alarmStatsCompute;
+exports.alarmStatsPrint = alarm_stats.alarmStatsPrint;
+
 /* Configuration */
 exports.amonLoadProbeGroups = alarm_config.amonLoadProbeGroups;
 exports.amonLoadComponentProbes = alarm_config.amonLoadComponentProbes;
@@ -251,6 +274,11 @@ exports.amonCreateMaintWindow = alarm_maint_windows.amonCreateMaintWindow;
 exports.amonDeleteMaintWindows = alarm_maint_windows.amonDeleteMaintWindows;
 exports.amonLoadMaintWindows = alarm_maint_windows.amonLoadMaintWindows;
 exports.AmonMaintWindow = amon_objects.AmonMaintWindow;
+exports.maintSeriesParseSchedule = alarm_maint_series.maintSeriesParseSchedule;
+exports.maintSeriesExpand = alarm_maint_series.maintSeriesExpand;
+exports.maintSeriesCreateId = alarm_maint_series.maintSeriesCreateId;
+exports.maintSeriesNotes = alarm_maint_series.maintSeriesNotes;
+exports.maintSeriesParseNotes = alarm_maint_series.maintSeriesParseNotes;
 
 /* Local metadata */
 exports.loadMetadata = alarm_metadata.loadMetadata;
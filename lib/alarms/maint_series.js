@@ -0,0 +1,402 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * lib/alarms/maint_series.js: recurring maintenance windows
+ *
+ * Amon only supports one-shot maintenance windows with a fixed start and end.
+ * To support recurring windows (e.g., "every Tuesday night from 22:00 to
+ * 02:00"), we expand a cron-like schedule into a bounded list of concrete
+ * windows ahead of time and create each of these in Amon.  The windows of one
+ * series are tied together by a tag at the end of each window's notes:
+ *
+ *     NOTES [series SERIESID: SCHEDULE]
+ *
+ * where SERIESID is a random 8-digit hex identifier and SCHEDULE is the
+ * schedule used to create the series.  Since Amon stores nothing else about
+ * the series, this tag is how we find the windows of a series later on (e.g.,
+ * to delete all of them).
+ *
+ * Schedules use the five fields of crontab(5) -- minute, hour, day of month,
+ * month, and day of week -- with each field being "*", a number, or a range
+ * ("1-5"), optionally followed by a step ("/2" for every other value), or a
+ * comma-separated list of these.  Months and days of the week may also be
+ * given by their three-letter English names.  As with cron, if both the
+ * day-of-month and day-of-week fields are restricted, a day matches if either
+ * field matches.  Unlike cron, schedules are always interpreted in UTC.
+ */
+
+var assertplus = require('assert-plus');
+var crypto = require('crypto');
+var VError = require('verror');
+
+exports.maintSeriesParseSchedule = maintSeriesParseSchedule;
+exports.maintSeriesExpand = maintSeriesExpand;
+exports.maintSeriesCreateId = maintSeriesCreateId;
+exports.maintSeriesNotes = maintSeriesNotes;
+exports.maintSeriesParseNotes = maintSeriesParseNotes;
+
+/*
+ * Describes each field of a schedule, in order.
+ */
+var maintSeriesFields = [
+    {name: 'minute', min: 0, max: 59},
+    {name: 'hour', min: 0, max: 23},
+    {name: 'day of month', min: 1, max: 31},
+    {
+        name: 'month',
+        min: 1,
+        max: 12,
+        names: [
+            'jan',
+            'feb',
+            'mar',
+            'apr',
+            'may',
+            'jun',
+            'jul',
+            'aug',
+            'sep',
+            'oct',
+            'nov',
+            'dec'
+        ],
+        namebase: 1
+    },
+    {
+        /* 7 is accepted as an alias for Sunday, as with cron. */
+        name: 'day of week',
+        min: 0,
+        max: 7,
+        names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'],
+        namebase: 0
+    }
+];
+
+/*
+ * Matches the tag that identifies a window as part of a series.
+ */
+var maintSeriesNotesRe = /^(?:(.*) )?\[series ([0-9a-f]{8}): ([^\]]+)\]$/;
+
+/*
+ * Limit on how far we'll look ahead for occurrences of a schedule, in days.
+ * This only matters for schedules that match very rarely (like February 30).
+ */
+var maintSeriesMaxDays = 5 * 366;
+
+var msPerDay = 24 * 60 * 60 * 1000;
+
+/*
+ * Parses a cron-like schedule string.  On success, returns an object with:
+ *
+ *     schedule		the schedule string, with whitespace normalized
+ *
+ *     minutes, hours,	arrays of the matching values of each field
+ *     doms, months,
+ *     dows
+ *
+ *     domAny, dowAny	whether the day-of-month and day-of-week fields
+ *     			were "*"
+ *
+ * On failure, returns an Error describing the problem.
+ */
+function maintSeriesParseSchedule(str) {
+    var parts, values, i;
+
+    assertplus.string(str, 'str');
+
+    parts = str.trim().split(/\s+/);
+    if (parts.length !== maintSeriesFields.length) {
+        return new VError(
+            'schedule "%s": expected %d fields, but found %d',
+            str,
+            maintSeriesFields.length,
+            parts.length
+        );
+    }
+
+    values = [];
+    for (i = 0; i < parts.length; i++) {
+        values[i] = maintSeriesParseField(maintSeriesFields[i], parts[i]);
+        if (values[i] instanceof Error) {
+            return new VError(values[i], 'schedule "%s"', str);
+        }
+    }
+
+    return {
+        schedule: parts.join(' '),
+        minutes: values[0],
+        hours: values[1],
+        doms: values[2],
+        months: values[3],
+        dows: values[4]
+            .map(function(d) {
+                return d % 7;
+            })
+            .filter(function(d, j, dows) {
+                return dows.indexOf(d) === j;
+            }),
+        domAny: parts[2] === '*',
+        dowAny: parts[4] === '*'
+    };
+}
+
+/*
+ * Parses one field of a schedule, returning a sorted array of the values that
+ * it matches or an Error.
+ */
+function maintSeriesParseField(field, str) {
+    var values, items, i, item, match, low, high, step, v;
+
+    values = [];
+    items = str.split(',');
+    for (i = 0; i < items.length; i++) {
+        item = items[i];
+        match = /^(\*|[0-9a-z]+(?:-[0-9a-z]+)?)(?:\/(\d+))?$/i.exec(item);
+        if (match === null) {
+            return new VError('%s: unsupported value: "%s"', field.name, item);
+        }
+
+        if (match[1] === '*') {
+            low = field.min;
+            high = field.max;
+        } else {
+            v = match[1].split('-');
+            low = maintSeriesParseValue(field, v[0]);
+            high = v.length > 1 ? maintSeriesParseValue(field, v[1]) : low;
+            if (low === null || high === null || low > high) {
+                return new VError(
+                    '%s: unsupported value: "%s"',
+                    field.name,
+                    item
+                );
+            }
+        }
+
+        step = match[2] === undefined ? 1 : parseInt(match[2], 10);
+        if (step < 1) {
+            return new VError('%s: unsupported value: "%s"', field.name, item);
+        }
+
+        for (v = low; v <= high; v += step) {
+            if (values.indexOf(v) === -1) {
+                values.push(v);
+            }
+        }
+    }
+
+    return values.sort(function(a, b) {
+        return a - b;
+    });
+}
+
+/*
+ * Parses a single number or name within a schedule field, returning null if
+ * it's not valid for the field.
+ */
+function maintSeriesParseValue(field, str) {
+    var v;
+
+    if (/^\d+$/.test(str)) {
+        v = parseInt(str, 10);
+        return v >= field.min && v <= field.max ? v : null;
+    }
+
+    if (field.names) {
+        v = field.names.indexOf(str.toLowerCase());
+        if (v !== -1) {
+            return v + field.namebase;
+        }
+    }
+
+    return null;
+}
+
+/*
+ * Expands a parsed schedule into a list of concrete windows.  Named arguments:
+ *
+ *     schedule (object)	schedule returned by maintSeriesParseSchedule()
+ *
+ *     start (Date)		earliest time at which a window may start
+ *
+ *     duration (number)	length of each window, in milliseconds
+ *
+ *     count (number)		number of windows to generate
+ *
+ *     until (Date)		latest time at which a window may start
+ *
+ *     max (number)		maximum number of windows allowed
+ *
+ * Exactly one of "count" or "until" must be specified.  Returns an array of
+ * objects with "start" and "end" Dates, or an Error if the schedule produces
+ * no windows, too many windows, or windows that would overlap.
+ */
+function maintSeriesExpand(args) {
+    var sched, tstart, tuntil, rv, day, lastday, date, i, j, t;
+
+    assertplus.object(args, 'args');
+    assertplus.object(args.schedule, 'args.schedule');
+    assertplus.object(args.start, 'args.start');
+    assertplus.ok(args.start instanceof Date);
+    assertplus.number(args.duration, 'args.duration');
+    assertplus.optionalNumber(args.count, 'args.count');
+    assertplus.optionalObject(args.until, 'args.until');
+    assertplus.ok(
+        (args.count === undefined) !== (args.until === undefined),
+        'exactly one of "count" or "until" must be specified'
+    );
+    assertplus.number(args.max, 'args.max');
+
+    sched = args.schedule;
+    tstart = args.start.getTime();
+    tuntil = args.until ? args.until.getTime() : Infinity;
+    rv = [];
+
+    day = tstart - (tstart % msPerDay);
+    lastday = day + maintSeriesMaxDays * msPerDay;
+    for (; day <= lastday && day <= tuntil; day += msPerDay) {
+        date = new Date(day);
+        if (!maintSeriesMatchesDay(sched, date)) {
+            continue;
+        }
+
+        for (i = 0; i < sched.hours.length; i++) {
+            for (j = 0; j < sched.minutes.length; j++) {
+                t = day + sched.hours[i] * 3600000 + sched.minutes[j] * 60000;
+                if (t < tstart || t > tuntil) {
+                    continue;
+                }
+
+                if (rv.length === args.max) {
+                    return new VError(
+                        'schedule "%s" produces more than %d windows',
+                        sched.schedule,
+                        args.max
+                    );
+                }
+
+                rv.push({
+                    start: new Date(t),
+                    end: new Date(t + args.duration)
+                });
+
+                if (rv.length === args.count) {
+                    return maintSeriesCheckOverlap(rv);
+                }
+            }
+        }
+    }
+
+    if (rv.length === 0) {
+        return new VError(
+            'schedule "%s" produces no windows after %s',
+            sched.schedule,
+            args.start.toISOString()
+        );
+    }
+
+    if (args.count !== undefined) {
+        return new VError(
+            'schedule "%s" produces only %d of %d windows in the next %d days',
+            sched.schedule,
+            rv.length,
+            args.count,
+            maintSeriesMaxDays
+        );
+    }
+
+    return maintSeriesCheckOverlap(rv);
+}
+
+function maintSeriesMatchesDay(sched, date) {
+    var dom, dow;
+
+    if (sched.months.indexOf(date.getUTCMonth() + 1) === -1) {
+        return false;
+    }
+
+    dom = sched.doms.indexOf(date.getUTCDate()) !== -1;
+    dow = sched.dows.indexOf(date.getUTCDay()) !== -1;
+    if (sched.domAny) {
+        return dow;
+    }
+    if (sched.dowAny) {
+        return dom;
+    }
+    return dom || dow;
+}
+
+/*
+ * Returns "windows" if none of them overlap, and an Error otherwise.
+ */
+function maintSeriesCheckOverlap(windows) {
+    var i;
+
+    for (i = 1; i < windows.length; i++) {
+        if (windows[i].start.getTime() < windows[i - 1].end.getTime()) {
+            return new VError(
+                'windows starting at %s and %s would overlap',
+                windows[i - 1].start.toISOString(),
+                windows[i].start.toISOString()
+            );
+        }
+    }
+
+    return windows;
+}
+
+/*
+ * Returns a new, random series identifier.
+ */
+function maintSeriesCreateId() {
+    return crypto.randomBytes(4).toString('hex');
+}
+
+/*
+ * Returns the notes for a window in the given series.  "notes" may be null if
+ * the window has no other notes.
+ */
+function maintSeriesNotes(seriesId, schedule, notes) {
+    var tag;
+
+    assertplus.string(seriesId, 'seriesId');
+    assertplus.string(schedule, 'schedule');
+    assertplus.optionalString(notes, 'notes');
+
+    tag = '[series ' + seriesId + ': ' + schedule + ']';
+    return notes ? notes + ' ' + tag : tag;
+}
+
+/*
+ * Given a window's notes (which may be null), returns null if the window is not
+ * part of a series.  Otherwise, returns an object with "id" and "schedule" for
+ * the series and the window's "notes" without the series tag (which may be
+ * null).
+ */
+function maintSeriesParseNotes(notes) {
+    var match;
+
+    assertplus.optionalString(notes, 'notes');
+
+    if (notes === null || notes === undefined) {
+        return null;
+    }
+
+    match = maintSeriesNotesRe.exec(notes);
+    if (match === null) {
+        return null;
+    }
+
+    return {
+        id: match[2],
+        schedule: match[3],
+        notes: match[1] === undefined ? null : match[1]
+    };
+}
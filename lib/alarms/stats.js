@@ -0,0 +1,387 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * lib/alarms/stats.js: summarize the history of alarms
+ *
+ * The input to this subsystem is the same list of per-alarm records used for
+ * exporting alarms (see lib/alarms/export.js).  We aggregate these records to
+ * help operators figure out which probe templates are the noisiest and so most
+ * in need of tuning.  Keep in mind that Amon only reports faults that are still
+ * associated with an alarm, and it purges closed alarms after a while, so the
+ * breakdowns by service, compute node, and component reflect only the faults
+ * that Amon still has.
+ */
+
+var assertplus = require('assert-plus');
+var fprintf = require('extsprintf').fprintf;
+
+var common = require('../common');
+
+exports.alarmStatsCompute = alarmStatsCompute;
+exports.alarmStatsPrint = alarmStatsPrint;
+
+/*
+ * By default, a probe group is reported as flapping if it opened at least this
+ * many alarms during the reporting period.
+ */
+var alarmStatsFlapThreshold = 3;
+
+/*
+ * Computes statistics for the alarms in "records" that were opened during the
+ * reporting period.  Named arguments:
+ *
+ *     records (array)		export records, one per alarm
+ *
+ *     since (Date)		start of the reporting period
+ *
+ *     until (Date)		end of the reporting period
+ *
+ *     flapThreshold (number)	minimum number of alarms that a probe group
+ *     				must have opened to be reported as flapping
+ *     				(optional)
+ *
+ * Returns a plain JSON object with properties:
+ *
+ *     since, until		ISO 8601 timestamps for the reporting period
+ *
+ *     flapThreshold		flap threshold used
+ *
+ *     nalarms, nopen,		count of alarms opened during the period, and
+ *     nclosed			how many of those are open and closed
+ *
+ *     nevents			total number of events for these alarms
+ *
+ *     mttc			mean time to close, in milliseconds, of the
+ *     				closed alarms (null if there are none)
+ *
+ *     events			alarm counts by event, most alarms first
+ *
+ *     services			alarm and fault counts by affected service
+ *
+ *     cns			alarm and fault counts by compute node hostname
+ *
+ *     flapping			subset of "events" for probe groups that opened
+ *     				at least "flapThreshold" alarms
+ *
+ *     components		machines with faults, most faults first
+ */
+function alarmStatsCompute(args) {
+    var tsince, tuntil, threshold, totals;
+    var byEvent, byService, byCn, byMachine, rv;
+
+    assertplus.object(args, 'args');
+    assertplus.arrayOfObject(args.records, 'args.records');
+    assertplus.object(args.since, 'args.since');
+    assertplus.ok(args.since instanceof Date);
+    assertplus.object(args.until, 'args.until');
+    assertplus.ok(args.until instanceof Date);
+    assertplus.optionalNumber(args.flapThreshold, 'args.flapThreshold');
+
+    tsince = args.since.getTime();
+    tuntil = args.until.getTime();
+    threshold =
+        typeof args.flapThreshold === 'number'
+            ? args.flapThreshold
+            : alarmStatsFlapThreshold;
+
+    totals = alarmStatsEntry(null);
+    byEvent = {};
+    byService = {};
+    byCn = {};
+    byMachine = {};
+
+    args.records.forEach(function(record) {
+        var topened, name, svcnames, cnnames;
+
+        topened = Date.parse(record.timeOpened);
+        if (topened < tsince || topened > tuntil) {
+            return;
+        }
+
+        name = record.event !== null ? record.event : record.summary;
+        alarmStatsCount(totals, record);
+        alarmStatsCount(alarmStatsGet(byEvent, name), record);
+
+        svcnames = {};
+        cnnames = {};
+        record.faults.forEach(function(f) {
+            var svcname, cnname, machine;
+
+            svcname = f.service !== null ? f.service : 'unknown';
+            cnname = f.cn !== null ? f.cn : 'unknown';
+            alarmStatsGet(byService, svcname).nfaults++;
+            alarmStatsGet(byCn, cnname).nfaults++;
+            svcnames[svcname] = true;
+            cnnames[cnname] = true;
+
+            if (!byMachine.hasOwnProperty(f.machine)) {
+                byMachine[f.machine] = {
+                    machine: f.machine,
+                    alias: f.agentAlias,
+                    service: svcname,
+                    cn: cnname,
+                    nalarms: 0,
+                    nfaults: 0,
+                    alarms: {}
+                };
+            }
+
+            machine = byMachine[f.machine];
+            machine.nfaults++;
+            if (!machine.alarms.hasOwnProperty(record.alarm)) {
+                machine.alarms[record.alarm] = true;
+                machine.nalarms++;
+            }
+        });
+
+        Object.keys(svcnames).forEach(function(svcname) {
+            alarmStatsGet(byService, svcname).nalarms++;
+        });
+        Object.keys(cnnames).forEach(function(cnname) {
+            alarmStatsGet(byCn, cnname).nalarms++;
+        });
+    });
+
+    rv = alarmStatsFinish(totals);
+    delete rv.name;
+    rv.since = args.since.toISOString();
+    rv.until = args.until.toISOString();
+    rv.flapThreshold = threshold;
+    rv.events = alarmStatsSorted(byEvent).map(alarmStatsFinish);
+    rv.services = alarmStatsSorted(byService).map(alarmStatsFinishCounts);
+    rv.cns = alarmStatsSorted(byCn).map(alarmStatsFinishCounts);
+    rv.flapping = rv.events.filter(function(e) {
+        return e.nalarms >= threshold;
+    });
+    rv.components = Object.keys(byMachine)
+        .map(function(m) {
+            var machine = byMachine[m];
+            return {
+                machine: machine.machine,
+                alias: machine.alias,
+                service: machine.service,
+                cn: machine.cn,
+                nalarms: machine.nalarms,
+                nfaults: machine.nfaults
+            };
+        })
+        .sort(function(m1, m2) {
+            if (m1.nfaults !== m2.nfaults) {
+                return m2.nfaults - m1.nfaults;
+            }
+            if (m1.nalarms !== m2.nalarms) {
+                return m2.nalarms - m1.nalarms;
+            }
+            return m1.machine.localeCompare(m2.machine);
+        });
+
+    return rv;
+}
+
+function alarmStatsEntry(name) {
+    return {
+        name: name,
+        nalarms: 0,
+        nopen: 0,
+        nclosed: 0,
+        nevents: 0,
+        nfaults: 0,
+        ttc: 0
+    };
+}
+
+function alarmStatsGet(entries, name) {
+    if (!entries.hasOwnProperty(name)) {
+        entries[name] = alarmStatsEntry(name);
+    }
+
+    return entries[name];
+}
+
+function alarmStatsCount(entry, record) {
+    entry.nalarms++;
+    entry.nevents += record.numEvents;
+    if (record.timeClosed === null) {
+        entry.nopen++;
+    } else {
+        entry.nclosed++;
+        entry.ttc +=
+            Date.parse(record.timeClosed) - Date.parse(record.timeOpened);
+    }
+}
+
+/*
+ * Returns the entries in "entries" sorted by decreasing number of alarms, then
+ * by name.  "unknown" always sorts last.
+ */
+function alarmStatsSorted(entries) {
+    return Object.keys(entries)
+        .map(function(name) {
+            return entries[name];
+        })
+        .sort(function(e1, e2) {
+            if (e1.name === 'unknown' || e2.name === 'unknown') {
+                return e1.name === 'unknown' ? 1 : -1;
+            }
+            if (e1.nalarms !== e2.nalarms) {
+                return e2.nalarms - e1.nalarms;
+            }
+            return e1.name.localeCompare(e2.name);
+        });
+}
+
+function alarmStatsFinish(entry) {
+    return {
+        name: entry.name,
+        nalarms: entry.nalarms,
+        nopen: entry.nopen,
+        nclosed: entry.nclosed,
+        nevents: entry.nevents,
+        mttc: entry.nclosed === 0 ? null : Math.round(entry.ttc / entry.nclosed)
+    };
+}
+
+function alarmStatsFinishCounts(entry) {
+    return {
+        name: entry.name,
+        nalarms: entry.nalarms,
+        nfaults: entry.nfaults
+    };
+}
+
+/*
+ * Prints a human-readable report of statistics returned by
+ * alarmStatsCompute().  Named arguments:
+ *
+ *     stream (object)		output stream
+ *
+ *     stats (object)		statistics to print
+ *
+ *     top (number)		maximum number of components to print
+ */
+function alarmStatsPrint(args) {
+    var out, stats, components;
+
+    assertplus.object(args, 'args');
+    assertplus.object(args.stream, 'args.stream');
+    assertplus.object(args.stats, 'args.stats');
+    assertplus.number(args.top, 'args.top');
+
+    out = args.stream;
+    stats = args.stats;
+
+    fprintf(out, 'Alarms opened from %s to %s:\n\n', stats.since, stats.until);
+    fprintf(
+        out,
+        '    %7s  %7s  %7s  %7s  %10s\n',
+        'NALARMS',
+        'NOPEN',
+        'NCLOSED',
+        'NEVENTS',
+        'MTTC'
+    );
+    fprintf(
+        out,
+        '    %7d  %7d  %7d  %7d  %10s\n',
+        stats.nalarms,
+        stats.nopen,
+        stats.nclosed,
+        stats.nevents,
+        alarmStatsFmtMttc(stats.mttc)
+    );
+
+    fprintf(out, '\nAlarms by event:\n\n');
+    alarmStatsPrintEvents(out, stats.events);
+
+    fprintf(out, '\nAlarms by service:\n\n');
+    alarmStatsPrintCounts(out, 'SERVICE', stats.services);
+
+    fprintf(out, '\nAlarms by compute node:\n\n');
+    alarmStatsPrintCounts(out, 'CN', stats.cns);
+
+    fprintf(
+        out,
+        '\nFlapping probes (probe groups that opened at least %d alarms):\n\n',
+        stats.flapThreshold
+    );
+    alarmStatsPrintEvents(out, stats.flapping);
+
+    components = stats.components.slice(0, args.top);
+    fprintf(out, '\nNoisiest components (top %d):\n\n', args.top);
+    if (components.length === 0) {
+        fprintf(out, '    none\n');
+    } else {
+        fprintf(
+            out,
+            '    %7s  %7s  %-16s  %-16s  %s\n',
+            'NFAULTS',
+            'NALARMS',
+            'SERVICE',
+            'CN',
+            'MACHINE'
+        );
+        components.forEach(function(m) {
+            fprintf(
+                out,
+                '    %7d  %7d  %-16s  %-16s  %s\n',
+                m.nfaults,
+                m.nalarms,
+                m.service,
+                m.cn,
+                m.alias ? m.machine + ' (' + m.alias + ')' : m.machine
+            );
+        });
+    }
+}
+
+function alarmStatsPrintEvents(out, events) {
+    if (events.length === 0) {
+        fprintf(out, '    none\n');
+        return;
+    }
+
+    fprintf(
+        out,
+        '    %7s  %7s  %7s  %10s  %s\n',
+        'NALARMS',
+        'NOPEN',
+        'NEVENTS',
+        'MTTC',
+        'EVENT'
+    );
+    events.forEach(function(e) {
+        fprintf(
+            out,
+            '    %7d  %7d  %7d  %10s  %s\n',
+            e.nalarms,
+            e.nopen,
+            e.nevents,
+            alarmStatsFmtMttc(e.mttc),
+            e.name
+        );
+    });
+}
+
+function alarmStatsPrintCounts(out, label, entries) {
+    if (entries.length === 0) {
+        fprintf(out, '    none\n');
+        return;
+    }
+
+    fprintf(out, '    %7s  %7s  %s\n', 'NALARMS', 'NFAULTS', label);
+    entries.forEach(function(e) {
+        fprintf(out, '    %7d  %7d  %s\n', e.nalarms, e.nfaults, e.name);
+    });
+}
+
+function alarmStatsFmtMttc(mttc) {
+    return mttc === null ? '-' : common.fmtDuration(mttc);
+}
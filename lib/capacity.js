@@ -0,0 +1,450 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * lib/capacity.js: capacity report for a Manta deployment.  Given the servers
+ * in a datacenter and the Manta instances deployed on them, this summarizes
+ * the memory (DRAM) and disk allocated to Manta zones and how much remains
+ * free, for each server, rack, service, and datacenter.  It can also predict
+ * how many more instances of a given service would fit.
+ *
+ * This is used by "manta-adm capacity".
+ */
+
+var assertplus = require('assert-plus');
+var extsprintf = require('extsprintf');
+var jsprim = require('jsprim');
+var tab = require('tab');
+
+var services = require('./services');
+
+var fprintf = extsprintf.fprintf;
+var sprintf = extsprintf.sprintf;
+
+/* Exported interface */
+exports.analyzeCapacity = analyzeCapacity;
+exports.printCapacity = printCapacity;
+
+/*
+ * Computes a capacity report.  Named arguments:
+ *
+ *     servers		mapping of server uuid -> object with properties:
+ *
+ *         name		how the server should be reported
+ *
+ *         rack		rack identifier, or null if unknown
+ *
+ *         az		datacenter name
+ *
+ *         ram		total DRAM in megabytes, or null if unknown
+ *
+ *         ram_free	DRAM not yet reserved by any zone, in megabytes, or
+ *         		null if unknown
+ *
+ *         disk		size of the zpool in gigabytes, or null if unknown
+ *
+ *         disk_free	free space in the zpool in gigabytes, or null if
+ *         		unknown
+ *
+ *     instances	array of instances, each an object with properties
+ *     			"svcname", "server" (server uuid), "ram" (megabytes
+ *     			of DRAM allocated to the zone), and "disk" (disk quota
+ *     			in gigabytes, which is 0 for zones without a quota)
+ *
+ *     fit		(optional) object with properties "svcname", "ram", and
+ *     			"disk" describing one instance of a service for which
+ *     			to predict how many more instances would fit
+ *
+ * Returns an object with properties:
+ *
+ *     servers		array of servers sorted by datacenter, rack, and name,
+ *     			each having "az", "rack", "name", "ninstances",
+ *     			"ram", "ram_manta", "ram_free", "disk", "disk_manta",
+ *     			and "disk_free"
+ *
+ *     racks		array of racks (with servers whose rack is unknown
+ *     			grouped together under rack null), each having "az",
+ *     			"rack", "nservers", and the same totals as servers
+ *
+ *     datacenters	array of datacenters, each having "az", "nservers",
+ *     			and the same totals as servers
+ *
+ *     services		array of services, each having "svcname",
+ *     			"ninstances", "ram_manta", and "disk_manta"
+ *
+ *     fit		null, or an object with "svcname", "ram", "disk",
+ *     			"servers" (array of { az, rack, name, count }, where
+ *     			count is null if the server's free resources are
+ *     			unknown), and "count" (the total)
+ *
+ * Totals include only the values that are known, and are null if no value is
+ * known.
+ */
+function analyzeCapacity(args) {
+    var byuuid, servers, racks, dcs, svcs, fit;
+
+    assertplus.object(args, 'args');
+    assertplus.object(args.servers, 'args.servers');
+    assertplus.arrayOfObject(args.instances, 'args.instances');
+    assertplus.optionalObject(args.fit, 'args.fit');
+
+    byuuid = {};
+    jsprim.forEachKey(args.servers, function(uuid, server) {
+        byuuid[uuid] = {
+            az: server.az,
+            rack: server.rack,
+            name: server.name,
+            ninstances: 0,
+            ram: server.ram,
+            ram_manta: 0,
+            ram_free: server.ram_free,
+            disk: server.disk,
+            disk_manta: 0,
+            disk_free: server.disk_free
+        };
+    });
+
+    svcs = {};
+    args.instances.forEach(function(instance) {
+        var server;
+
+        if (!svcs.hasOwnProperty(instance.svcname)) {
+            svcs[instance.svcname] = {
+                svcname: instance.svcname,
+                ninstances: 0,
+                ram_manta: 0,
+                disk_manta: 0
+            };
+        }
+
+        svcs[instance.svcname].ninstances++;
+        svcs[instance.svcname].ram_manta += instance.ram;
+        svcs[instance.svcname].disk_manta += instance.disk;
+
+        if (!byuuid.hasOwnProperty(instance.server)) {
+            return;
+        }
+
+        server = byuuid[instance.server];
+        server.ninstances++;
+        server.ram_manta += instance.ram;
+        server.disk_manta += instance.disk;
+    });
+
+    servers = mcValues(byuuid);
+    servers.sort(function(a, b) {
+        return (
+            mcCompareNullable(a.az, b.az) ||
+            mcCompareNullable(a.rack, b.rack) ||
+            a.name.localeCompare(b.name)
+        );
+    });
+
+    racks = mcSummarize(servers, function(server) {
+        return {az: server.az, rack: server.rack};
+    });
+    dcs = mcSummarize(servers, function(server) {
+        return {az: server.az};
+    });
+
+    svcs = mcValues(svcs).sort(function(a, b) {
+        var ia = services.mSvcNames.indexOf(a.svcname);
+        var ib = services.mSvcNames.indexOf(b.svcname);
+        return ia !== ib ? ia - ib : a.svcname.localeCompare(b.svcname);
+    });
+
+    fit = null;
+    if (args.fit) {
+        assertplus.string(args.fit.svcname, 'args.fit.svcname');
+        assertplus.number(args.fit.ram, 'args.fit.ram');
+        assertplus.number(args.fit.disk, 'args.fit.disk');
+        fit = {
+            svcname: args.fit.svcname,
+            ram: args.fit.ram,
+            disk: args.fit.disk,
+            servers: servers.map(function(server) {
+                return {
+                    az: server.az,
+                    rack: server.rack,
+                    name: server.name,
+                    count: mcFit(server, args.fit)
+                };
+            }),
+            count: 0
+        };
+        fit.servers.forEach(function(server) {
+            fit.count += server.count || 0;
+        });
+    }
+
+    return {
+        servers: servers,
+        racks: racks,
+        datacenters: dcs,
+        services: svcs,
+        fit: fit
+    };
+}
+
+/*
+ * Prints the result of analyzeCapacity().  Named arguments:
+ *
+ *     stream		output stream
+ *
+ *     analysis		result of analyzeCapacity()
+ *
+ * Memory and disk are reported in gigabytes.
+ */
+function printCapacity(args) {
+    var stream, analysis, totalsColumns;
+
+    assertplus.object(args, 'args');
+    assertplus.object(args.stream, 'args.stream');
+    assertplus.object(args.analysis, 'args.analysis');
+
+    stream = args.stream;
+    analysis = args.analysis;
+    totalsColumns = [
+        {label: 'NINST', align: 'right', width: 5},
+        {label: 'RAM', align: 'right', width: 8},
+        {label: 'MANTA RAM', align: 'right', width: 9},
+        {label: 'FREE RAM', align: 'right', width: 8},
+        {label: 'DISK', align: 'right', width: 8},
+        {label: 'MANTA DISK', align: 'right', width: 10},
+        {label: 'FREE DISK', align: 'right', width: 9}
+    ];
+
+    fprintf(stream, 'SERVERS\n');
+    mcPrintTable(
+        stream,
+        [
+            {label: 'DC', width: 10},
+            {label: 'RACK', width: 10},
+            {label: 'HOST', width: 17}
+        ].concat(totalsColumns),
+        analysis.servers.map(function(server) {
+            return mcTotalsRow(server, {
+                DC: server.az,
+                RACK: server.rack === null ? '-' : server.rack,
+                HOST: server.name
+            });
+        })
+    );
+
+    fprintf(stream, '\nRACKS\n');
+    mcPrintTable(
+        stream,
+        [
+            {label: 'DC', width: 10},
+            {label: 'RACK', width: 10},
+            {label: 'NSERVERS', align: 'right', width: 8}
+        ].concat(totalsColumns),
+        analysis.racks.map(function(rack) {
+            return mcTotalsRow(rack, {
+                DC: rack.az,
+                RACK: rack.rack === null ? '-' : rack.rack,
+                NSERVERS: rack.nservers
+            });
+        })
+    );
+
+    fprintf(stream, '\nSERVICES\n');
+    mcPrintTable(
+        stream,
+        [
+            {label: 'SERVICE', width: 20},
+            {label: 'NINST', align: 'right', width: 5},
+            {label: 'MANTA RAM', align: 'right', width: 9},
+            {label: 'MANTA DISK', align: 'right', width: 10}
+        ],
+        analysis.services.map(function(svc) {
+            return {
+                SERVICE: svc.svcname,
+                NINST: svc.ninstances,
+                'MANTA RAM': mcFormatMemory(svc.ram_manta),
+                'MANTA DISK': mcFormatDisk(svc.disk_manta)
+            };
+        })
+    );
+
+    fprintf(stream, '\nDATACENTERS\n');
+    mcPrintTable(
+        stream,
+        [
+            {label: 'DC', width: 10},
+            {label: 'NSERVERS', align: 'right', width: 8}
+        ].concat(totalsColumns),
+        analysis.datacenters.map(function(dc) {
+            return mcTotalsRow(dc, {
+                DC: dc.az,
+                NSERVERS: dc.nservers
+            });
+        })
+    );
+
+    if (analysis.fit === null) {
+        return;
+    }
+
+    fprintf(
+        stream,
+        '\nFIT: "%s" instances (%s RAM%s each)\n',
+        analysis.fit.svcname,
+        mcFormatMemory(analysis.fit.ram),
+        analysis.fit.disk === 0
+            ? ''
+            : sprintf(', %s disk', mcFormatDisk(analysis.fit.disk))
+    );
+    mcPrintTable(
+        stream,
+        [
+            {label: 'DC', width: 10},
+            {label: 'RACK', width: 10},
+            {label: 'HOST', width: 17},
+            {label: 'FIT', align: 'right', width: 5}
+        ],
+        analysis.fit.servers.map(function(server) {
+            return {
+                DC: server.az,
+                RACK: server.rack === null ? '-' : server.rack,
+                HOST: server.name,
+                FIT: server.count === null ? '-' : server.count
+            };
+        })
+    );
+    fprintf(
+        stream,
+        '%d more "%s" instance%s would fit\n',
+        analysis.fit.count,
+        analysis.fit.svcname,
+        analysis.fit.count === 1 ? '' : 's'
+    );
+}
+
+/*
+ * Groups "servers" by the key returned by "keyfunc" (an object whose
+ * properties are copied into each group) and totals their resources.
+ */
+function mcSummarize(servers, keyfunc) {
+    var groups = {};
+    var order = [];
+
+    servers.forEach(function(server) {
+        var key, keystr, group;
+
+        key = keyfunc(server);
+        keystr = JSON.stringify(key);
+        if (!groups.hasOwnProperty(keystr)) {
+            group = jsprim.deepCopy(key);
+            group.nservers = 0;
+            group.ninstances = 0;
+            group.ram = null;
+            group.ram_manta = 0;
+            group.ram_free = null;
+            group.disk = null;
+            group.disk_manta = 0;
+            group.disk_free = null;
+            groups[keystr] = group;
+            order.push(keystr);
+        }
+
+        group = groups[keystr];
+        group.nservers++;
+        group.ninstances += server.ninstances;
+        group.ram_manta += server.ram_manta;
+        group.disk_manta += server.disk_manta;
+        ['ram', 'ram_free', 'disk', 'disk_free'].forEach(function(field) {
+            if (server[field] !== null) {
+                group[field] = (group[field] || 0) + server[field];
+            }
+        });
+    });
+
+    return order.map(function(keystr) {
+        return groups[keystr];
+    });
+}
+
+/*
+ * Returns how many instances described by "fit" would fit on "server", or null
+ * if that can't be determined.  Instances without a disk quota are limited
+ * only by memory.
+ */
+function mcFit(server, fit) {
+    var count;
+
+    if (server.ram_free === null || fit.ram <= 0) {
+        return null;
+    }
+
+    count = Math.floor(server.ram_free / fit.ram);
+    if (fit.disk > 0) {
+        if (server.disk_free === null) {
+            return null;
+        }
+
+        count = Math.min(count, Math.floor(server.disk_free / fit.disk));
+    }
+
+    return Math.max(count, 0);
+}
+
+function mcTotalsRow(totals, row) {
+    row['NINST'] = totals.ninstances;
+    row['RAM'] = mcFormatMemory(totals.ram);
+    row['MANTA RAM'] = mcFormatMemory(totals.ram_manta);
+    row['FREE RAM'] = mcFormatMemory(totals.ram_free);
+    row['DISK'] = mcFormatDisk(totals.disk);
+    row['MANTA DISK'] = mcFormatDisk(totals.disk_manta);
+    row['FREE DISK'] = mcFormatDisk(totals.disk_free);
+    return row;
+}
+
+function mcPrintTable(stream, columns, rows) {
+    var out = new tab.TableOutputStream({
+        stream: stream,
+        columns: columns
+    });
+
+    rows.forEach(function(row) {
+        out.writeRow(row);
+    });
+}
+
+/*
+ * Formats a quantity of memory, given in megabytes, in gigabytes.
+ */
+function mcFormatMemory(mb) {
+    return mb === null ? '-' : (mb / 1024).toFixed(1) + 'G';
+}
+
+/*
+ * Formats a quantity of disk space, given in gigabytes.
+ */
+function mcFormatDisk(gb) {
+    return gb === null ? '-' : gb.toFixed(1) + 'G';
+}
+
+function mcValues(obj) {
+    return Object.keys(obj).map(function(key) {
+        return obj[key];
+    });
+}
+
+/*
+ * Compares two values that may be null, sorting null last.
+ */
+function mcCompareNullable(a, b) {
+    if (a === null || b === null) {
+        return a === b ? 0 : a === null ? 1 : -1;
+    }
+
+    return a.localeCompare(b);
+}
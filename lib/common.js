@@ -14,6 +14,7 @@
 
 var assert = require('assert-plus');
 var fs = require('fs');
+var jsprim = require('jsprim');
 var path = require('path');
 var restifyClients = require('restify-clients');
 var sdc = require('sdc-clients');
@@ -86,11 +87,83 @@ function domainToPath(domain) {
     );
 }
 
+/*
+ * SDC services whose endpoints are specific to each datacenter.  See
+ * sdcConfigForDatacenter().
+ */
+var SDC_DATACENTER_SERVICES = [
+    'amon',
+    'cnapi',
+    'imgapi',
+    'napi',
+    'sapi',
+    'ufds',
+    'vmapi'
+];
+
+/*
+ * Given the sdc-manta configuration "config" for the local datacenter, return
+ * a copy of it that refers to the SDC services in datacenter "dcname" of the
+ * same region, or an Error if that can't be determined.  Each SDC service is
+ * addressed as SERVICE.DATACENTER.DNS_DOMAIN (e.g., "sapi.us-east-1.example.com"),
+ * so the remote endpoints are derived by replacing the local datacenter name in
+ * each hostname.
+ */
+function sdcConfigForDatacenter(config, dcname) {
+    var rv, suffix, i, svcname, url;
+
+    assert.object(config, 'config');
+    assert.string(config.datacenter_name, 'config.datacenter_name');
+    assert.string(config.dns_domain, 'config.dns_domain');
+    assert.string(dcname, 'dcname');
+
+    rv = JSON.parse(JSON.stringify(config));
+    if (dcname === config.datacenter_name) {
+        return rv;
+    }
+
+    if (!/^[a-zA-Z0-9-]+$/.test(dcname)) {
+        return new VError('invalid datacenter name: "%s"', dcname);
+    }
+
+    suffix = '.' + config.datacenter_name + '.' + config.dns_domain;
+    for (i = 0; i < SDC_DATACENTER_SERVICES.length; i++) {
+        svcname = SDC_DATACENTER_SERVICES[i];
+        if (!rv.hasOwnProperty(svcname)) {
+            continue;
+        }
+
+        url = rv[svcname].url;
+        if (!jsprim.endsWith(url, suffix) || url.indexOf('://') === -1) {
+            return new VError(
+                'datacenter "%s": cannot determine %s endpoint from ' +
+                    'local endpoint "%s"',
+                dcname,
+                svcname,
+                url
+            );
+        }
+
+        rv[svcname].url =
+            url.substr(0, url.length - suffix.length) +
+            '.' +
+            dcname +
+            '.' +
+            config.dns_domain;
+    }
+
+    rv.datacenter_name = dcname;
+    return rv;
+}
+
 /*
  * Note that this function instantiates clients configured according to a config
  * file relative to the root of this repository.  Some commands accept the
  * configuration file as a command-line option, but those are not respected
  * here.  This function should be parametrized.
+ *
+ * If "this.datacenter" is set, the clients refer to the SDC services of that
+ * datacenter instead of the local one.  See sdcConfigForDatacenter().
  */
 function initSdcClients(cb) {
     var self = this;
@@ -104,6 +177,14 @@ function initSdcClients(cb) {
 
         var config = JSON.parse(contents);
 
+        if (self.datacenter) {
+            config = sdcConfigForDatacenter(config, self.datacenter);
+            if (config instanceof Error) {
+                cb(config);
+                return;
+            }
+        }
+
         self.CNAPI = new sdc.CNAPI({
             log: self.log,
             url: config.cnapi.url,
@@ -748,6 +829,40 @@ function fmtDuration(ms) {
     return rv;
 }
 
+/*
+ * Parses a duration like "90m", "4h", or "1h30m" (the units being "d", "h",
+ * "m", and "s") and returns the number of milliseconds it represents, or an
+ * Error if the string is not a valid, non-zero duration.
+ */
+function parseDuration(str) {
+    var re, match, ms, unitms;
+
+    assert.string(str, 'str');
+
+    unitms = {
+        d: 24 * 60 * 60 * 1000,
+        h: 60 * 60 * 1000,
+        m: 60 * 1000,
+        s: 1000
+    };
+
+    if (!/^(\d+[dhms])+$/.test(str)) {
+        return new VError('invalid duration: "%s"', str);
+    }
+
+    ms = 0;
+    re = /(\d+)([dhms])/g;
+    while ((match = re.exec(str)) !== null) {
+        ms += parseInt(match[1], 10) * unitms[match[2]];
+    }
+
+    if (ms === 0) {
+        return new VError('invalid duration: "%s"', str);
+    }
+
+    return ms;
+}
+
 /*
  * Update the specified network, network_pool, and any networks that are part
  * of the named network_pool to include or exclude owner_uuid in the set of
@@ -1043,6 +1158,7 @@ function isUuid(s) {
 
 exports.shuffle = shuffle;
 exports.domainToPath = domainToPath;
+exports.sdcConfigForDatacenter = sdcConfigForDatacenter;
 exports.initSdcClients = initSdcClients;
 exports.finiSdcClients = finiSdcClients;
 exports.getMantaApplication = getMantaApplication;
@@ -1055,6 +1171,7 @@ exports.insert = insert;
 exports.stripe = stripe;
 exports.sortObjectsByProps = sortObjectsByProps;
 exports.fmtDuration = fmtDuration;
+exports.parseDuration = parseDuration;
 exports.updateNetworkUsers = updateNetworkUsers;
 exports.getServerNicTags = getServerNicTags;
 exports.getSdcChannel = getSdcChannel;
@@ -74,10 +74,12 @@ function deploy(options, svcname, ilog, callback) {
 /*
  * Creates a new Deployer, which can be used to deploy several Manta zones.
  * This operation initializes connections to various SDC services and emits
- * "ready" when ready, or "error" if something goes wrong.
+ * "ready" when ready, or "error" if something goes wrong.  If "datacenter" is
+ * specified, zones are deployed using the SDC services of that datacenter
+ * rather than the local one.
  */
-function createDeployer(log) {
-    return new Deployer(log);
+function createDeployer(log, datacenter) {
+    return new Deployer(log, datacenter);
 }
 
 /*
@@ -86,9 +88,10 @@ function createDeployer(log) {
  * For consumers that want to deploy several zones, this is more efficient than
  * reinitializing those connections each time.
  */
-function Deployer(ilog) {
+function Deployer(ilog, datacenter) {
     var self = this;
     self.log = ilog;
+    self.datacenter = datacenter || null;
 
     EventEmitter.call(this);
 
@@ -0,0 +1,373 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * lib/faults.js: fault-domain analysis of a Manta deployment.  Given where each
+ * instance is deployed, this simulates the failure of each datacenter, rack,
+ * and server and reports what would be lost:
+ *
+ *     o shards of the replicated databases ("postgres" and "buckets-postgres")
+ *       that would no longer have a majority of their instances, which Manatee
+ *       needs to keep operating
+ *
+ *     o services (and shards of other sharded services) that would drop below a
+ *       minimum number of instances
+ *
+ *     o whether a majority of "nameservice" instances (which run the ZooKeeper
+ *       cluster) would survive
+ *
+ * This is used by "manta-adm genconfig --analyze" for generated layouts and by
+ * "manta-adm show --analyze" for the current deployment.
+ */
+
+var assertplus = require('assert-plus');
+var extsprintf = require('extsprintf');
+var jsprim = require('jsprim');
+
+var services = require('./services');
+
+var fprintf = extsprintf.fprintf;
+var sprintf = extsprintf.sprintf;
+
+/* Exported interface */
+exports.analyzeFaults = analyzeFaults;
+exports.printFaultAnalysis = printFaultAnalysis;
+
+/*
+ * Services that need a majority of the instances of each shard to operate.
+ */
+var mfQuorumServices = ['postgres', 'buckets-postgres'];
+
+/*
+ * The service whose instances form the ZooKeeper cluster.
+ */
+var mfZkService = 'nameservice';
+
+/*
+ * Simulates the failure of each fault domain.  Named arguments:
+ *
+ *     servers		mapping of server uuid -> object with properties
+ *     			"name" (how the server should be reported), "rack"
+ *     			(rack identifier, or null if unknown), and "az"
+ *     			(datacenter name)
+ *
+ *     instances	array of instances, each an object with properties
+ *     			"svcname", "shard" (null for services that are not
+ *     			sharded), "az" (datacenter name), and "server" (server
+ *     			uuid, or null if unknown)
+ *
+ *     min_instances	report services that drop below this many instances
+ *
+ * Returns an array of fault domains in the order they should be reported
+ * (datacenters, racks, then servers), each having properties:
+ *
+ *     kind		"datacenter", "rack", or "server"
+ *
+ *     name		name of the datacenter, rack, or server
+ *
+ *     nservers		number of servers in this domain (which may be 0 for
+ *     			datacenters whose servers are not known)
+ *
+ *     noquorum		array of { svcname, shard, nleft, ntotal } for shards
+ *     			that would lose quorum
+ *
+ *     below		array of { svcname, shard, nleft, ntotal } for services
+ *     			(or shards) that would drop below "min_instances"
+ *
+ *     zk		{ nleft, ntotal, quorum } describing the nameservice
+ *     			instances, or null if there are none
+ *
+ * Datacenters are only analyzed when there's more than one, and racks are only
+ * analyzed when they're known.
+ */
+function analyzeFaults(args) {
+    var groups, azs, racks, rv, key;
+
+    assertplus.object(args, 'args');
+    assertplus.object(args.servers, 'args.servers');
+    assertplus.arrayOfObject(args.instances, 'args.instances');
+    assertplus.number(args.min_instances, 'args.min_instances');
+
+    /*
+     * Group instances by service and shard.  These are the units whose
+     * surviving instances we count.
+     */
+    groups = {};
+    args.instances.forEach(function(inst) {
+        key =
+            inst.shard === null
+                ? inst.svcname
+                : inst.svcname + '/' + inst.shard;
+        if (!groups.hasOwnProperty(key)) {
+            groups[key] = {
+                svcname: inst.svcname,
+                shard: inst.shard,
+                instances: []
+            };
+        }
+        groups[key].instances.push(inst);
+    });
+
+    azs = {};
+    racks = {};
+    jsprim.forEachKey(args.servers, function(cnid, server) {
+        if (!azs.hasOwnProperty(server.az)) {
+            azs[server.az] = [];
+        }
+        azs[server.az].push(cnid);
+        if (server.rack !== null) {
+            if (!racks.hasOwnProperty(server.rack)) {
+                racks[server.rack] = [];
+            }
+            racks[server.rack].push(cnid);
+        }
+    });
+    args.instances.forEach(function(inst) {
+        if (!azs.hasOwnProperty(inst.az)) {
+            azs[inst.az] = [];
+        }
+    });
+
+    rv = [];
+    if (Object.keys(azs).length > 1) {
+        Object.keys(azs)
+            .sort()
+            .forEach(function(azname) {
+                rv.push(
+                    analyzeDomain(
+                        args,
+                        groups,
+                        'datacenter',
+                        azname,
+                        azs[azname].length,
+                        function(inst) {
+                            return inst.az === azname;
+                        }
+                    )
+                );
+            });
+    }
+
+    Object.keys(racks)
+        .sort()
+        .forEach(function(rack) {
+            rv.push(
+                analyzeDomain(
+                    args,
+                    groups,
+                    'rack',
+                    rack,
+                    racks[rack].length,
+                    function(inst) {
+                        return (
+                            inst.server !== null &&
+                            racks[rack].indexOf(inst.server) !== -1
+                        );
+                    }
+                )
+            );
+        });
+
+    Object.keys(args.servers)
+        .sort(function(a, b) {
+            return args.servers[a].name.localeCompare(args.servers[b].name);
+        })
+        .forEach(function(cnid) {
+            rv.push(
+                analyzeDomain(
+                    args,
+                    groups,
+                    'server',
+                    args.servers[cnid].name,
+                    1,
+                    function(inst) {
+                        return inst.server === cnid;
+                    }
+                )
+            );
+        });
+
+    return rv;
+}
+
+/*
+ * Returns the analysis of a single fault domain having "nservers" servers, as
+ * described in analyzeFaults().  "fails" is a function that returns true for
+ * instances that are in the domain.
+ */
+function analyzeDomain(args, groups, kind, name, nservers, fails) {
+    var rv;
+
+    rv = {
+        kind: kind,
+        name: name,
+        nservers: nservers,
+        noquorum: [],
+        below: [],
+        zk: null
+    };
+
+    Object.keys(groups)
+        .sort(function(a, b) {
+            return mfCompareGroups(groups[a], groups[b]);
+        })
+        .forEach(function(key) {
+            var group, ntotal, nleft, result;
+
+            group = groups[key];
+            ntotal = group.instances.length;
+            nleft = group.instances.filter(function(inst) {
+                return !fails(inst);
+            }).length;
+            result = {
+                svcname: group.svcname,
+                shard: group.shard,
+                nleft: nleft,
+                ntotal: ntotal
+            };
+
+            if (group.svcname === mfZkService) {
+                rv.zk = {
+                    nleft: nleft,
+                    ntotal: ntotal,
+                    quorum: mfHasQuorum(nleft, ntotal)
+                };
+            } else if (mfQuorumServices.indexOf(group.svcname) !== -1) {
+                if (!mfHasQuorum(nleft, ntotal)) {
+                    rv.noquorum.push(result);
+                }
+            } else if (nleft < ntotal && nleft < args.min_instances) {
+                rv.below.push(result);
+            }
+        });
+
+    return rv;
+}
+
+/*
+ * Prints a human-readable report of the analysis returned by analyzeFaults().
+ * Named arguments:
+ *
+ *     stream		output stream
+ *
+ *     analysis		result of analyzeFaults()
+ *
+ *     min_instances	value used for analyzeFaults()
+ *
+ * Returns the number of fault domains whose failure would have some impact.
+ */
+function printFaultAnalysis(args) {
+    var nimpacted = 0;
+    var stream;
+
+    assertplus.object(args, 'args');
+    assertplus.object(args.stream, 'args.stream');
+    assertplus.arrayOfObject(args.analysis, 'args.analysis');
+    assertplus.number(args.min_instances, 'args.min_instances');
+
+    stream = args.stream;
+    args.analysis.forEach(function(domain) {
+        var problems = [];
+
+        domain.noquorum.forEach(function(result) {
+            problems.push(
+                sprintf(
+                    '%s shard %s loses quorum (%d of %d instances left)',
+                    result.svcname,
+                    result.shard,
+                    result.nleft,
+                    result.ntotal
+                )
+            );
+        });
+
+        domain.below.forEach(function(result) {
+            problems.push(
+                sprintf(
+                    '%s%s drops below %d instance%s (%d of %d left)',
+                    result.svcname,
+                    result.shard === null ? '' : ' shard ' + result.shard,
+                    args.min_instances,
+                    args.min_instances === 1 ? '' : 's',
+                    result.nleft,
+                    result.ntotal
+                )
+            );
+        });
+
+        if (domain.zk !== null && !domain.zk.quorum) {
+            problems.push(
+                sprintf(
+                    '%s loses ZooKeeper quorum (%d of %d instances left)',
+                    mfZkService,
+                    domain.zk.nleft,
+                    domain.zk.ntotal
+                )
+            );
+        }
+
+        fprintf(
+            stream,
+            '%s "%s"%s:%s\n',
+            domain.kind,
+            domain.name,
+            domain.kind === 'server' || domain.nservers === 0
+                ? ''
+                : sprintf(
+                      ' (%d server%s)',
+                      domain.nservers,
+                      domain.nservers === 1 ? '' : 's'
+                  ),
+            problems.length === 0 ? ' no impact' : ''
+        );
+        problems.forEach(function(problem) {
+            fprintf(stream, '    %s\n', problem);
+        });
+
+        if (problems.length > 0) {
+            nimpacted++;
+        }
+    });
+
+    fprintf(
+        stream,
+        '%d of %d fault domains would have an impact if they failed\n',
+        nimpacted,
+        args.analysis.length
+    );
+    return nimpacted;
+}
+
+/*
+ * Returns true if "nleft" of "ntotal" instances form a majority.
+ */
+function mfHasQuorum(nleft, ntotal) {
+    return nleft >= Math.floor(ntotal / 2) + 1;
+}
+
+/*
+ * Compares two groups of instances for reporting: services in the order they
+ * normally appear in "manta-adm" output, then shards numerically.
+ */
+function mfCompareGroups(a, b) {
+    var ia, ib;
+
+    ia = services.mSvcNames.indexOf(a.svcname);
+    ib = services.mSvcNames.indexOf(b.svcname);
+    if (ia !== ib) {
+        return ia - ib;
+    }
+
+    if (a.svcname !== b.svcname) {
+        return a.svcname.localeCompare(b.svcname);
+    }
+
+    return parseInt(a.shard, 10) - parseInt(b.shard, 10);
+}
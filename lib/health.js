@@ -0,0 +1,546 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * lib/health.js: health checks for individual Manta instances, used to gate
+ * the batches of a rolling "manta-adm update".
+ *
+ * A health check is an object with two properties:
+ *
+ *     name	a short, human-readable description of the check (e.g., "smf"
+ *		or "http:80/ping")
+ *
+ *     check	a function invoked as check(target, callback) to check a
+ *		single instance once.  "target" is an object with properties:
+ *
+ *		    zonename	the instance's zonename
+ *		    service	the instance's SAPI service name
+ *		    ip		the instance's primary IP address, if known
+ *
+ *		    server_uuid	the compute node hosting the instance, if
+ *				known
+ *
+ *		"callback" is invoked with an Error if the instance is not
+ *		(yet) healthy, or with no arguments if it is.
+ *
+ *     close	(optional) a function invoked as close() to release any
+ *		resources held by the check (like connections) once the
+ *		current batch of instances has been checked.  The check may
+ *		still be used again afterwards.
+ *
+ * Callers are expected to use waitForHealthy() to retry a check until it
+ * succeeds or a timeout elapses, since newly provisioned or reprovisioned
+ * instances generally take a little while to come up.
+ */
+
+var assertplus = require('assert-plus');
+var http = require('http');
+var VError = require('verror').VError;
+
+var sdc = require('./sdc');
+
+/* Exported interface */
+exports.createSmfHealthCheck = createSmfHealthCheck;
+exports.createHttpHealthCheck = createHttpHealthCheck;
+exports.createZoneExecutor = createZoneExecutor;
+exports.parseHealthCheck = parseHealthCheck;
+exports.waitForHealthy = waitForHealthy;
+
+/*
+ * SMF service states that are considered healthy.  Services that the instance
+ * doesn't use are generally disabled, so that's okay too.
+ */
+var hSmfHealthyStates = ['online', 'disabled', 'legacy_run'];
+
+/*
+ * Parses a health check specification from the command line, which is either
+ * "smf" or "http:PORT[/PATH]".  Returns either an Error or a health check
+ * object as described above.  "log" is a bunyan logger.
+ */
+function parseHealthCheck(spec, log) {
+    var match, port;
+
+    assertplus.string(spec, 'spec');
+    assertplus.object(log, 'log');
+
+    if (spec === 'smf') {
+        return createSmfHealthCheck({log: log});
+    }
+
+    match = /^http:(\d+)(\/.*)?$/.exec(spec);
+    if (match === null) {
+        return new VError(
+            'unsupported health check: "%s" (expected "smf" or ' +
+                '"http:PORT[/PATH]")',
+            spec
+        );
+    }
+
+    port = parseInt(match[1], 10);
+    if (port < 1 || port > 65535) {
+        return new VError('health check "%s": invalid port', spec);
+    }
+
+    return createHttpHealthCheck({
+        log: log,
+        port: port,
+        path: match[2] || '/'
+    });
+}
+
+/*
+ * Returns a health check that uses Ur (via the same mechanism as
+ * manta-oneach(1)) to check that all SMF services in the instance are either
+ * online or disabled, and that none of them is transitioning between states.
+ * All checks share one Ur client, which is released by the check's close()
+ * function.  Named arguments:
+ *
+ *     log		bunyan logger
+ *
+ *     timeout		(optional) millisecond timeout for each Ur command
+ */
+function createSmfHealthCheck(args) {
+    var timeout, executor;
+
+    assertplus.object(args, 'args');
+    assertplus.object(args.log, 'args.log');
+    assertplus.optionalNumber(args.timeout, 'args.timeout');
+
+    timeout = args.timeout || 30000;
+    executor = createZoneExecutor({log: args.log});
+
+    return {
+        name: 'smf',
+        check: function smfCheck(target, callback) {
+            if (!target.server_uuid) {
+                setImmediate(
+                    callback,
+                    new VError('no compute node known for instance')
+                );
+                return;
+            }
+
+            executor.exec(
+                {
+                    zonename: target.zonename,
+                    server_uuid: target.server_uuid,
+                    command: 'svcs -H -o state,nstate,fmri',
+                    timeout: timeout
+                },
+                function(err, stdout) {
+                    if (err) {
+                        callback(new VError(err, 'check SMF services'));
+                    } else {
+                        callback(smfCheckOutput(stdout));
+                    }
+                }
+            );
+        },
+        close: function smfClose() {
+            executor.close();
+        }
+    };
+}
+
+/*
+ * Returns an object that uses Ur (via the same mechanism as manta-oneach(1)) to
+ * run shell commands inside zones.  The Ur client is created when the first
+ * command is run and is shared by all subsequent commands until close() is
+ * called, so that repeatedly checking a group of instances doesn't reconnect
+ * for each command.  Named arguments:
+ *
+ *     log		bunyan logger
+ *
+ * The returned object has methods:
+ *
+ *     exec(args, callback)	run a command.  Named arguments:
+ *
+ *         zonename		zone in which to run the command
+ *
+ *         server_uuid		compute node hosting the zone
+ *
+ *         command		shell command to run
+ *
+ *         timeout		millisecond timeout for the command
+ *
+ *				"callback" is invoked as callback(err, stdout).
+ *				It's an error for the command to exit with a
+ *				non-zero status.
+ *
+ *     close()			close the Ur client, if any.  A later exec()
+ *				creates a new one.
+ */
+function createZoneExecutor(args) {
+    assertplus.object(args, 'args');
+    assertplus.object(args.log, 'args.log');
+
+    return new ZoneExecutor(args.log);
+}
+
+function ZoneExecutor(log) {
+    this.ze_log = log;
+    this.ze_urclient = null; /* Ur client, once connected */
+    this.ze_waiters = null; /* callbacks waiting for connection */
+}
+
+/*
+ * [internal] Invokes callback(err, client) with a connected Ur client, creating
+ * it if necessary.
+ */
+ZoneExecutor.prototype.client = function(callback) {
+    var self = this;
+
+    if (this.ze_urclient !== null) {
+        setImmediate(callback, null, this.ze_urclient);
+        return;
+    }
+
+    if (this.ze_waiters !== null) {
+        this.ze_waiters.push(callback);
+        return;
+    }
+
+    this.ze_waiters = [callback];
+    sdc.sdcReadAmqpConfig(sdc.sdcMantaConfigPathDefault, function(err, config) {
+        var client, done;
+
+        function finish(cerr) {
+            var waiters = self.ze_waiters;
+
+            if (done) {
+                return;
+            }
+
+            done = true;
+            self.ze_waiters = null;
+            if (cerr) {
+                client.close();
+            } else {
+                self.ze_urclient = client;
+            }
+
+            waiters.forEach(function(w) {
+                w(cerr, cerr ? undefined : client);
+            });
+        }
+
+        if (err) {
+            self.ze_waiters.forEach(function(w) {
+                w(new VError(err, 'auto-configuring AMQP'));
+            });
+            self.ze_waiters = null;
+            return;
+        }
+
+        /*
+         * The Ur client (like lib/oneach, below) is only loaded when it's
+         * needed, since it depends on native modules.
+         */
+        done = false;
+        client = require('urclient').create_ur_client({
+            log: self.ze_log.child({component: 'UrClient'}),
+            connect_timeout: 5000,
+            enable_http: false,
+            bind_ip: null,
+            amqp_config: {
+                host: config.host,
+                port: 5672,
+                login: 'guest',
+                password: 'guest'
+            }
+        });
+
+        client.on('ready', function() {
+            self.ze_log.debug('ur client ready');
+            finish(null);
+        });
+
+        client.on('error', function(cerr) {
+            cerr = new VError(cerr, 'Ur client');
+            if (!done) {
+                finish(cerr);
+                return;
+            }
+
+            /*
+             * The connection failed after it was established.  Drop the
+             * client so that the next command reconnects.
+             */
+            self.ze_log.warn(cerr, 'Ur client failed');
+            if (self.ze_urclient === client) {
+                self.close();
+            }
+        });
+    });
+};
+
+ZoneExecutor.prototype.exec = function(args, callback) {
+    var self = this;
+
+    assertplus.object(args, 'args');
+    assertplus.string(args.zonename, 'args.zonename');
+    assertplus.string(args.server_uuid, 'args.server_uuid');
+    assertplus.string(args.command, 'args.command');
+    assertplus.number(args.timeout, 'args.timeout');
+    assertplus.func(callback, 'callback');
+
+    this.client(function(err, client) {
+        var urargs;
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        /*
+         * lib/oneach depends on lib/adm.js (which depends on this module), so
+         * it's only loaded when it's needed.
+         */
+        urargs = {
+            server_uuid: args.server_uuid,
+            timeout: args.timeout,
+            script: require('./oneach/oneach').mzZoneScript(
+                args.zonename,
+                args.command
+            )
+        };
+
+        self.ze_log.debug(urargs, 'ur exec start');
+        client.exec(urargs, function(uerr, result) {
+            self.ze_log.debug(
+                {zonename: args.zonename, err: uerr, result: result},
+                'ur exec done'
+            );
+
+            if (uerr) {
+                callback(new VError(uerr, 'zone "%s"', args.zonename));
+            } else if (result.exit_status !== 0) {
+                callback(
+                    new VError(
+                        'command exited with status %d',
+                        result.exit_status
+                    )
+                );
+            } else {
+                callback(null, result.stdout);
+            }
+        });
+    });
+};
+
+ZoneExecutor.prototype.close = function() {
+    if (this.ze_urclient !== null) {
+        this.ze_urclient.close();
+        this.ze_urclient = null;
+    }
+};
+
+/*
+ * Given the output of "svcs -H -o state,nstate,fmri", returns an Error
+ * describing any services that aren't healthy, or null if they're all okay.
+ */
+function smfCheckOutput(stdout) {
+    var problems = [];
+
+    stdout.split('\n').forEach(function(line) {
+        var parts = line.trim().split(/\s+/);
+
+        if (parts.length < 3) {
+            return;
+        }
+
+        if (hSmfHealthyStates.indexOf(parts[0]) === -1 || parts[1] !== '-') {
+            problems.push(
+                parts[2] +
+                    ' is ' +
+                    parts[0] +
+                    (parts[1] !== '-'
+                        ? ' (transitioning to ' + parts[1] + ')'
+                        : '')
+            );
+        }
+    });
+
+    if (problems.length === 0) {
+        return null;
+    }
+
+    return new VError('SMF services not online: %s', problems.join(', '));
+}
+
+/*
+ * Returns a health check that makes an HTTP GET request to the instance's
+ * primary IP address and considers the instance healthy if the server
+ * responds with a 2xx status code.  Named arguments:
+ *
+ *     log		bunyan logger
+ *
+ *     port		TCP port to connect to
+ *
+ *     path		request path
+ *
+ *     timeout		(optional) millisecond timeout for each request
+ */
+function createHttpHealthCheck(args) {
+    var log, timeout;
+
+    assertplus.object(args, 'args');
+    assertplus.object(args.log, 'args.log');
+    assertplus.number(args.port, 'args.port');
+    assertplus.string(args.path, 'args.path');
+    assertplus.optionalNumber(args.timeout, 'args.timeout');
+
+    log = args.log;
+    timeout = args.timeout || 10000;
+
+    return {
+        name: 'http:' + args.port + args.path,
+        check: function httpCheck(target, callback) {
+            var req, done;
+
+            if (!target.ip) {
+                setImmediate(
+                    callback,
+                    new VError('no IP address known for instance')
+                );
+                return;
+            }
+
+            done = false;
+            function finish(err) {
+                if (!done) {
+                    done = true;
+                    callback(err);
+                }
+            }
+
+            log.trace(
+                {target: target, port: args.port, path: args.path},
+                'http health check'
+            );
+            req = http.get(
+                {
+                    host: target.ip,
+                    port: args.port,
+                    path: args.path
+                },
+                function(res) {
+                    res.resume();
+                    if (res.statusCode < 200 || res.statusCode > 299) {
+                        finish(
+                            new VError(
+                                'GET http://%s:%d%s: unexpected status %d',
+                                target.ip,
+                                args.port,
+                                args.path,
+                                res.statusCode
+                            )
+                        );
+                    } else {
+                        finish();
+                    }
+                }
+            );
+
+            req.setTimeout(timeout, function() {
+                req.abort();
+                finish(
+                    new VError(
+                        'GET http://%s:%d%s: timed out',
+                        target.ip,
+                        args.port,
+                        args.path
+                    )
+                );
+            });
+
+            req.on('error', function(err) {
+                finish(
+                    new VError(
+                        err,
+                        'GET http://%s:%d%s',
+                        target.ip,
+                        args.port,
+                        args.path
+                    )
+                );
+            });
+        }
+    };
+}
+
+/*
+ * Repeatedly applies a health check to an instance until it succeeds or a
+ * timeout elapses.  Named arguments:
+ *
+ *     healthCheck	health check object (see above)
+ *
+ *     target		instance to check (see above)
+ *
+ *     timeout		milliseconds after which to give up
+ *
+ *     interval		milliseconds to wait between attempts
+ *
+ *     log		bunyan logger
+ *
+ * "callback" is invoked with no arguments once the instance is healthy, or
+ * with an Error describing the last failure if the timeout elapses first.
+ */
+function waitForHealthy(args, callback) {
+    var start, nattempts;
+
+    assertplus.object(args, 'args');
+    assertplus.object(args.healthCheck, 'args.healthCheck');
+    assertplus.object(args.target, 'args.target');
+    assertplus.string(args.target.zonename, 'args.target.zonename');
+    assertplus.number(args.timeout, 'args.timeout');
+    assertplus.number(args.interval, 'args.interval');
+    assertplus.object(args.log, 'args.log');
+    assertplus.func(callback, 'callback');
+
+    start = Date.now();
+    nattempts = 0;
+
+    function attempt() {
+        nattempts++;
+        args.healthCheck.check(args.target, function(err) {
+            if (!err) {
+                args.log.debug(
+                    {target: args.target, nattempts: nattempts},
+                    'instance healthy'
+                );
+                callback();
+                return;
+            }
+
+            args.log.debug(
+                {err: err, target: args.target, nattempts: nattempts},
+                'instance not yet healthy'
+            );
+            if (Date.now() - start + args.interval > args.timeout) {
+                callback(
+                    new VError(
+                        err,
+                        'instance "%s" not healthy after %d attempts ' +
+                            '(health check "%s")',
+                        args.target.zonename,
+                        nattempts,
+                        args.healthCheck.name
+                    )
+                );
+                return;
+            }
+
+            setTimeout(attempt, args.interval);
+        });
+    }
+
+    attempt();
+}
@@ -36,15 +36,20 @@
 var assertplus = require('assert-plus');
 var fs = require('fs');
 var jsprim = require('jsprim');
+var path = require('path');
+var sprintf = require('extsprintf').sprintf;
 var tab = require('tab');
 var VError = require('verror').VError;
 
 var common = require('./common');
+var faults = require('./faults');
 var services = require('./services');
 
 /* Public interface */
 exports.DcConfigLoader = DcConfigLoader;
 exports.generateLayout = generateLayout;
+exports.apiShardCounts = apiShardCounts;
+exports.layoutServiceApi = layoutServiceApi;
 
 /*
  * The parameters below configure broadly how we design a layout of Manta
@@ -113,6 +118,17 @@ var ML_SERVICES_PER_SHARD = {
     'buckets-mdapi': ML_NPERSHARD_INSTANCES
 };
 
+/*
+ * Each instance of these per-shard services is placed on the same server as the
+ * corresponding instance of the same shard of the service it maps to, so that
+ * (for example) each Moray instance runs alongside the Postgres instance it
+ * talks to.  See Layout.allocateShardCn().
+ */
+var ML_SHARD_FAMILIES = {
+    moray: 'postgres',
+    'buckets-mdapi': 'buckets-postgres'
+};
+
 /*
  * Front door services.  The values in ML_FRONTDOOR_RATIOS represent ratios of
  * each of these service instances.  We'll multiply these out until we have one
@@ -130,6 +146,31 @@ var ML_FRONTDOOR_RATIOS = {
     'buckets-api': ML_FRONTDOOR_NMAXINSTANCES
 };
 
+/*
+ * Services used only by one style of API.  The configuration file's "apis"
+ * property says which of these a region runs (by default, both), and services
+ * for the other style are not deployed.  Services not listed here are used by
+ * both.  Each style has its own set of shards: there are "nshards" directory
+ * shards and "buckets_nshards" buckets shards.
+ */
+var ML_API_NAMES = ['directory', 'buckets'];
+var ML_API_SERVICES = {
+    directory: [
+        'postgres',
+        'moray',
+        'electric-moray',
+        'webapi',
+        'reshard',
+        'garbage-collector'
+    ],
+    buckets: [
+        'buckets-postgres',
+        'buckets-mdapi',
+        'buckets-mdplacement',
+        'buckets-api'
+    ]
+};
+
 /*
  * Storage zones are deployed one-per-storage-server.  This is coded into the
  * implementation, with no configurable parameters.
@@ -143,6 +184,65 @@ var ML_FRONTDOOR_RATIOS = {
 var ML_DEFAULT_AZ = 'default_az';
 var ML_DEFAULT_RACK = 'default_rack';
 
+/*
+ * Resources used by each instance of a service are checked against the
+ * capacity of each server (see Layout.allocateMetadataCn()).  Unless the
+ * configuration file overrides them with "demands", instances use the amount of
+ * memory given by the "ram" parameter in the service's SAPI configuration
+ * (which is in megabytes) and no disk or CPU.  These default demands are
+ * loaded lazily into ML_DEFAULT_DEMANDS by layoutDefaultDemand().
+ */
+var ML_SERVICE_CONFIG_DIR = path.join(__dirname, '..', 'config', 'services');
+var ML_DEFAULT_DEMANDS = {};
+
+/*
+ * JSON schema for each value in the "demands" property of the server
+ * configuration file.
+ */
+var ML_DEMAND_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        memory: {
+            type: 'number',
+            minimum: 0
+        },
+        disk: {
+            type: 'number',
+            minimum: 0
+        },
+        ncpus: {
+            type: 'number',
+            minimum: 0
+        }
+    }
+};
+
+/*
+ * JSON schema for each value in the "services" property of the server
+ * configuration file.  Which of these properties may be used depends on the
+ * kind of service (see DcConfigLoader.parse()).
+ */
+var ML_SERVICE_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        count: {
+            type: 'integer',
+            minimum: 0
+        },
+        ratio: {
+            type: 'number',
+            minimum: 0,
+            maximum: ML_FRONTDOOR_NMAXINSTANCES
+        },
+        per_shard: {
+            type: 'integer',
+            minimum: 0
+        }
+    }
+};
+
 /*
  * JSON schema for the server configuration file.  This is described in
  * manta-adm(1).
@@ -157,9 +257,40 @@ var ML_SCHEMA = {
             minimum: 1,
             maximum: 1024
         },
+        apis: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'string',
+                enum: ML_API_NAMES
+            }
+        },
+        buckets_nshards: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 1024
+        },
         images: {
             type: 'object'
         },
+        demands: {
+            type: 'object'
+        },
+        services: {
+            type: 'object'
+        },
+        constraints: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                separate_shards: {
+                    type: 'array',
+                    items: {
+                        type: 'string'
+                    }
+                }
+            }
+        },
         servers: {
             required: true,
             type: 'array',
@@ -184,6 +315,18 @@ var ML_SCHEMA = {
                         minimum: 1,
                         maximum: 1024
                     },
+                    disk: {
+                        type: 'integer',
+                        minimum: 1
+                    },
+                    ncpus: {
+                        type: 'integer',
+                        minimum: 1,
+                        maximum: 1024
+                    },
+                    reserved: {
+                        type: 'boolean'
+                    },
                     az: {
                         type: 'string',
                         minLength: 1
@@ -210,16 +353,29 @@ var ML_SCHEMA = {
  *
  *     images		mapping of service names to the image uuid to use for
  *     			each service
+ *
+ *     deployed		optional description of the instances already deployed,
+ *     (optional)	in the same form as the input to "manta-adm update"
+ *     			(server uuid -> service name -> counts).  If specified,
+ *     			the layout is generated incrementally: existing
+ *     			instances are left where they are, and only the
+ *     			instances needed to reach the counts that would be
+ *     			deployed on the whole set of servers are placed, all of
+ *     			them on servers that have no instances yet.
  */
 function generateLayout(args) {
-    var dcconfig, images, layout, extrametadata, extrastorage;
+    var dcconfig, images, layout, extrametadata, extrastorage, storage;
+    var nmetadata, npershard, nshards, pershard;
 
     assertplus.object(args, 'args');
     assertplus.object(args.dcconfig, 'args.dcconfig');
     assertplus.object(args.images, 'args.images');
+    assertplus.optionalObject(args.deployed, 'args.deployed');
 
     dcconfig = args.dcconfig;
     assertplus.number(dcconfig.dc_nshards);
+    assertplus.arrayOfString(dcconfig.dc_apis);
+    assertplus.object(dcconfig.dc_services);
     assertplus.ok(dcconfig.dc_az_names.length > 0);
     assertplus.ok(dcconfig.dc_rack_names.length > 0);
     assertplus.ok(dcconfig.dc_server_names.length > 0);
@@ -236,14 +392,20 @@ function generateLayout(args) {
     });
 
     layout = new Layout(dcconfig);
+    storage = dcconfig.dc_servers_storage.filter(function(cnid) {
+        return !dcconfig.dc_servers[cnid].rscn_reserved;
+    });
 
-    if (
-        dcconfig.dc_servers_metadata.length === 0 ||
-        dcconfig.dc_servers_storage.length === 0
-    ) {
+    nmetadata = layout.ml_metadata_striped.length;
+
+    if (nmetadata === 0 || storage.length === 0) {
         layout.ml_errors.push(
             new VError(
-                'need at least one metadata server and one storage server'
+                'need at least one metadata server and one storage server%s',
+                storage.length === dcconfig.dc_servers_storage.length &&
+                nmetadata === dcconfig.dc_servers_metadata.length
+                    ? ''
+                    : ' that are not reserved'
             )
         );
         return layout;
@@ -261,6 +423,27 @@ function generateLayout(args) {
         return layout;
     }
 
+    /*
+     * The checks below are based on the largest number of shards and the
+     * largest number of instances of any per-shard service that will be
+     * deployed.
+     */
+    pershard = Object.keys(ML_SERVICES_PER_SHARD).filter(function(svcname) {
+        return layoutServiceApiEnabled(dcconfig.dc_apis, svcname);
+    });
+    npershard = Math.max.apply(
+        null,
+        pershard.map(function(svcname) {
+            return layoutNPerShard(dcconfig, svcname);
+        })
+    );
+    nshards = Math.max.apply(
+        null,
+        pershard.map(function(svcname) {
+            return layoutNShards(dcconfig, svcname);
+        })
+    );
+
     extrametadata = null;
     extrastorage = null;
     jsprim.forEachKey(dcconfig.dc_azs, function(azname, az) {
@@ -290,7 +473,7 @@ function generateLayout(args) {
         );
     }
 
-    if (dcconfig.dc_nshards > dcconfig.dc_min_nmetadata_perdc) {
+    if (nshards > dcconfig.dc_min_nmetadata_perdc) {
         /*
          * It doesn't make much sense to have more shards than metadata
          * servers.  If you know at least two Manatee primaries will
@@ -309,13 +492,13 @@ function generateLayout(args) {
                     'Multiple primary databases will wind up running on the ' +
                     'same servers, and this configuration may not survive ' +
                     'server failure.  This is not recommended.',
-                dcconfig.dc_nshards,
+                nshards,
                 dcconfig.dc_min_nmetadata_perdc,
                 dcconfig.dc_min_nmetadata_perdc === 1 ? '' : 's'
             )
         );
     } else if (
-        ML_NPERSHARD_INSTANCES * dcconfig.dc_nshards >
+        npershard * nshards >
         dcconfig.dc_az_names.length * dcconfig.dc_min_nmetadata_perdc
     ) {
         /*
@@ -332,14 +515,14 @@ function generateLayout(args) {
                     'at least one datacenter.  Under some conditions, ' +
                     'multiple databases may wind up ' +
                     'running on the same servers.  This is not recommended.',
-                dcconfig.dc_nshards,
+                nshards,
                 dcconfig.dc_min_nmetadata_perdc,
                 dcconfig.dc_min_nmetadata_perdc === 1 ? '' : 's'
             )
         );
     }
 
-    if (dcconfig.dc_rack_names.length < ML_NPERSHARD_INSTANCES) {
+    if (dcconfig.dc_rack_names.length < npershard) {
         layout.ml_warnings.push(
             new VError(
                 'configuration has only %d rack%s.  This configuration ' +
@@ -350,71 +533,141 @@ function generateLayout(args) {
         );
     }
 
+    if (args.deployed) {
+        /*
+         * The deployed instances only describe the local datacenter, so we
+         * can't tell which servers in other datacenters are new.
+         */
+        if (dcconfig.dc_az_names.length !== 1) {
+            layout.ml_errors.push(
+                new VError(
+                    'incremental layouts are only supported for ' +
+                        'single-datacenter configurations'
+                )
+            );
+            return layout;
+        }
+
+        layout.loadDeployed(args.deployed);
+        storage = storage.filter(function(cnid) {
+            return !layout.isExisting(cnid);
+        });
+    }
+
+    jsprim.forEachKey(dcconfig.dc_services, function(svcname, override) {
+        if (override.count !== 0 && !images.hasOwnProperty(svcname)) {
+            layout.ml_warnings.push(
+                new VError(
+                    'services[%s]: no image found for this service, so no ' +
+                        'instances will be deployed',
+                    svcname
+                )
+            );
+        }
+    });
+
     jsprim.forEachKey(images, function(svcname, image) {
-        var count, alloc_class, cnid, i, j;
+        var count, alloc_class, cnid, i, j, nreplicas, nsvcshards, ratio;
+        var override = dcconfig.dc_services[svcname] || {};
+
+        if (!layoutServiceApiEnabled(dcconfig.dc_apis, svcname)) {
+            return;
+        }
 
         if (
+            override.hasOwnProperty('count') ||
             ML_SERVICES_EXACT.hasOwnProperty(svcname) ||
             ML_FRONTDOOR_RATIOS.hasOwnProperty(svcname)
         ) {
             assertplus.ok(!services.serviceIsSharded(svcname));
 
-            if (ML_SERVICES_EXACT.hasOwnProperty(svcname)) {
-                alloc_class = 'small';
+            /*
+             * We allocate all frontdoor services from the same class
+             * (even if the configuration gives an exact count for some of
+             * them) to avoid overweighting the first servers in each
+             * rack.  This way, the count of all front door services on
+             * each server cannot differ by more than one across all
+             * servers.
+             */
+            alloc_class = ML_FRONTDOOR_RATIOS.hasOwnProperty(svcname)
+                ? 'frontdoor'
+                : 'small';
+
+            if (override.hasOwnProperty('count')) {
+                count = override.count;
+            } else if (ML_SERVICES_EXACT.hasOwnProperty(svcname)) {
                 count = ML_SERVICES_EXACT[svcname];
                 assertplus.number(count);
             } else {
-                /*
-                 * We allocate all frontdoor services from the
-                 * same class to avoid overweighting the first
-                 * servers in each rack.  This way, the count of
-                 * all front door services on each server cannot
-                 * differ by more than one across all servers.
-                 */
-                alloc_class = 'frontdoor';
-
                 /*
                  * This calculation means that whichever
                  * frontdoor service has the highest ratio gets
                  * one instance per metadata server.  The rest
                  * are scaled down proportionally.
                  */
+                ratio = override.hasOwnProperty('ratio')
+                    ? override.ratio
+                    : ML_FRONTDOOR_RATIOS[svcname];
                 count = Math.ceil(
-                    ML_FRONTDOOR_RATIOS[svcname] *
-                        (dcconfig.dc_servers_metadata.length /
-                            ML_FRONTDOOR_NMAXINSTANCES)
+                    ratio * (nmetadata / ML_FRONTDOOR_NMAXINSTANCES)
                 );
-                assertplus.ok(count > 0);
-                assertplus.ok(count <= dcconfig.dc_servers_metadata.length);
+                assertplus.ok(count >= 0);
+                assertplus.ok(count <= nmetadata);
 
                 /*
                  * For availability, there should be at least
-                 * two of each frontdoor service.
+                 * two of each frontdoor service, unless the
+                 * configuration turned the service off.
                  */
-                count = Math.max(2, count);
+                if (ratio > 0) {
+                    count = Math.max(2, count);
+                }
+            }
+
+            /*
+             * In incremental mode, existing instances count toward the
+             * total.  We never remove instances, even if there are more
+             * than we would deploy today.
+             */
+            count -= layout.existingCount(svcname);
+            if (!layout.checkNewServers(svcname, count)) {
+                return;
             }
 
             for (i = 0; i < count; i++) {
-                cnid = layout.allocateMetadataCn(alloc_class);
+                cnid = layout.allocateMetadataCn(alloc_class, svcname);
                 layout.allocateInstance(cnid, svcname, {IMAGE: image});
             }
         } else if (ML_SERVICES_PER_SHARD.hasOwnProperty(svcname)) {
             assertplus.ok(services.serviceIsSharded(svcname));
-            for (i = 0; i < dcconfig.dc_nshards; i++) {
-                for (j = 0; j < ML_NPERSHARD_INSTANCES; j++) {
+            nreplicas = layoutNPerShard(dcconfig, svcname);
+            nsvcshards = layoutNShards(dcconfig, svcname);
+            count = 0;
+            for (i = 0; i < nsvcshards; i++) {
+                count += Math.max(
+                    0,
+                    nreplicas - layout.existingCount(svcname, i + 1)
+                );
+            }
+            if (!layout.checkNewServers(svcname, count)) {
+                return;
+            }
+
+            for (i = 0; i < nsvcshards; i++) {
+                for (
+                    j = layout.existingCount(svcname, i + 1);
+                    j < nreplicas;
+                    j++
+                ) {
                     /*
-                     * Per-shard services are allocated in
-                     * their own allocation class so that
-                     * different services are laid out the
-                     * same way across the fleet (e.g.,
+                     * Per-shard services are allocated so
+                     * that related services are laid out
+                     * the same way across the fleet (e.g.,
                      * moray instance "i" will be on the
                      * same CN as postgres instance "i").
-                     * This relies on the deterministic
-                     * nature of allocation to make sure
-                     * that moray and postgres instances of
-                     * the same shard are colocated.
+                     * See allocateShardCn().
                      */
-                    cnid = layout.allocateMetadataCn(svcname);
+                    cnid = layout.allocateShardCn(svcname, i + 1, j);
                     layout.allocateInstance(cnid, svcname, {
                         SH: i + 1,
                         IMAGE: image
@@ -422,15 +675,117 @@ function generateLayout(args) {
                 }
             }
         } else if (svcname === 'storage') {
-            dcconfig.dc_servers_storage.forEach(function(ocnid) {
+            storage.forEach(function(ocnid) {
                 layout.allocateInstance(ocnid, svcname, {IMAGE: image});
             });
         }
     });
 
+    layout.checkCapacity();
     return layout;
 }
 
+/*
+ * Returns the number of instances of each shard of per-shard service "svcname"
+ * to deploy, taking into account any override in the configuration file.
+ */
+function layoutNPerShard(dcconfig, svcname) {
+    var override = dcconfig.dc_services[svcname];
+
+    assertplus.ok(ML_SERVICES_PER_SHARD.hasOwnProperty(svcname));
+    return override !== undefined && override.hasOwnProperty('per_shard')
+        ? override.per_shard
+        : ML_SERVICES_PER_SHARD[svcname];
+}
+
+/*
+ * Returns the number of shards of per-shard service "svcname" to deploy.
+ */
+function layoutNShards(dcconfig, svcname) {
+    return layoutServiceApi(svcname) === 'buckets'
+        ? dcconfig.dc_buckets_nshards
+        : dcconfig.dc_nshards;
+}
+
+/*
+ * Returns the style of API that service "svcname" is used for, or null if it's
+ * used for both.  See ML_API_SERVICES.
+ */
+function layoutServiceApi(svcname) {
+    var apis = ML_API_NAMES.filter(function(api) {
+        return ML_API_SERVICES[api].indexOf(svcname) !== -1;
+    });
+
+    assertplus.ok(apis.length <= 1);
+    return apis.length === 0 ? null : apis[0];
+}
+
+/*
+ * Returns true if service "svcname" should be deployed in a region running the
+ * styles of API listed in "apis".
+ */
+function layoutServiceApiEnabled(apis, svcname) {
+    var api = layoutServiceApi(svcname);
+    return api === null || apis.indexOf(api) !== -1;
+}
+
+/*
+ * Returns the number of shards of each style of API that the configuration
+ * "dcconfig" declares, as an array of objects with properties "api" ("directory"
+ * or "buckets") and "nshards".  This is used to lay out the per-shard services
+ * and by "manta-adm create-topology" to create a hash ring for each style.
+ */
+function apiShardCounts(dcconfig) {
+    assertplus.object(dcconfig, 'dcconfig');
+    assertplus.arrayOfString(dcconfig.dc_apis, 'dcconfig.dc_apis');
+
+    return dcconfig.dc_apis.map(function(api) {
+        return {
+            api: api,
+            nshards:
+                api === 'buckets'
+                    ? dcconfig.dc_buckets_nshards
+                    : dcconfig.dc_nshards
+        };
+    });
+}
+
+/*
+ * Returns the resources used by default by each instance of service "svcname".
+ * See ML_DEFAULT_DEMANDS.
+ */
+function layoutDefaultDemand(svcname) {
+    var filename, contents, ram;
+
+    if (!ML_DEFAULT_DEMANDS.hasOwnProperty(svcname)) {
+        ram = 0;
+        filename = path.join(ML_SERVICE_CONFIG_DIR, svcname, 'service.json');
+        try {
+            contents = JSON.parse(fs.readFileSync(filename, 'utf8'));
+            if (
+                contents.hasOwnProperty('params') &&
+                typeof contents['params']['ram'] === 'number'
+            ) {
+                ram = contents['params']['ram'];
+            }
+        } catch (_) {
+            /*
+             * Services without a configuration file (or with an invalid
+             * one) are treated as using no memory.  manta-init(1)
+             * would have failed to set them up anyway.
+             */
+        }
+
+        ML_DEFAULT_DEMANDS[svcname] = {
+            memory: ram / 1024,
+            disk: 0,
+            ncpus: 0
+        };
+    }
+
+    return ML_DEFAULT_DEMANDS[svcname];
+}
+
 /*
  * DcConfigLoader is a helper class for loading a configuration from either a
  * file or a raw object.  This takes care of parsing and validating the
@@ -569,6 +924,78 @@ DcConfigLoader.prototype.parse = function() {
                 }
             }
         }
+
+        if (
+            this.dcl_errors.length === 0 &&
+            this.dcl_parsed.hasOwnProperty('demands')
+        ) {
+            for (svcname in this.dcl_parsed['demands']) {
+                if (!services.serviceNameIsValid(svcname)) {
+                    this.dcl_errors.push(
+                        new VError('demands[%s]: invalid service name', svcname)
+                    );
+                    break;
+                }
+
+                err = jsprim.validateJsonObject(
+                    ML_DEMAND_SCHEMA,
+                    this.dcl_parsed['demands'][svcname]
+                );
+                if (err instanceof Error) {
+                    this.dcl_errors.push(
+                        new VError(err, 'demands[%s]', svcname)
+                    );
+                    break;
+                }
+            }
+        }
+
+        if (
+            this.dcl_errors.length === 0 &&
+            this.dcl_parsed.hasOwnProperty('services')
+        ) {
+            for (svcname in this.dcl_parsed['services']) {
+                err = this.checkServiceOverride(
+                    svcname,
+                    this.dcl_parsed['services'][svcname]
+                );
+                if (err !== null) {
+                    this.dcl_errors.push(err);
+                    break;
+                }
+            }
+        }
+
+        if (this.dcl_errors.length === 0) {
+            err = this.checkApis();
+            if (err !== null) {
+                this.dcl_errors.push(err);
+            }
+        }
+
+        if (
+            this.dcl_errors.length === 0 &&
+            this.dcl_parsed.hasOwnProperty('constraints') &&
+            this.dcl_parsed['constraints'].hasOwnProperty('separate_shards')
+        ) {
+            this.dcl_parsed['constraints']['separate_shards'].forEach(function(
+                name
+            ) {
+                if (
+                    self.dcl_errors.length === 0 &&
+                    (!services.serviceNameIsValid(name) ||
+                        !services.serviceIsSharded(name))
+                ) {
+                    self.dcl_errors.push(
+                        new VError(
+                            'constraints.separate_shards: "%s" is not a ' +
+                                'sharded service',
+                            name
+                        )
+                    );
+                }
+            });
+        }
     }
 
     if (this.dcl_errors.length > 0) {
@@ -584,10 +1011,33 @@ DcConfigLoader.prototype.parse = function() {
 
     dcconfig = this.dcl_dcconfig;
     dcconfig.dc_images = jsprim.deepCopy(this.dcl_parsed['images']);
+    dcconfig.dc_demands = jsprim.deepCopy(this.dcl_parsed['demands'] || {});
+    dcconfig.dc_services = jsprim.deepCopy(this.dcl_parsed['services'] || {});
+    if (
+        this.dcl_parsed.hasOwnProperty('constraints') &&
+        this.dcl_parsed['constraints'].hasOwnProperty('separate_shards')
+    ) {
+        dcconfig.dc_separate_shards = this.dcl_parsed['constraints'][
+            'separate_shards'
+        ].slice(0);
+    }
 
     /* This should be validated by the JSON schema. */
     assertplus.number(this.dcl_parsed['nshards']);
     dcconfig.dc_nshards = this.dcl_parsed['nshards'];
+    dcconfig.dc_apis = ML_API_NAMES.filter(function(api) {
+        return (
+            !self.dcl_parsed.hasOwnProperty('apis') ||
+            self.dcl_parsed['apis'].indexOf(api) !== -1
+        );
+    });
+    if (dcconfig.dc_apis.indexOf('buckets') !== -1) {
+        dcconfig.dc_buckets_nshards = this.dcl_parsed.hasOwnProperty(
+            'buckets_nshards'
+        )
+            ? this.dcl_parsed['buckets_nshards']
+            : dcconfig.dc_nshards;
+    }
     assertplus.arrayOfObject(this.dcl_parsed['servers']);
     this.dcl_parsed['servers'].forEach(function(server) {
         var type, cn, rackname, rack, az;
@@ -598,6 +1048,9 @@ DcConfigLoader.prototype.parse = function() {
         assertplus.string(server['uuid']);
         cn = server['uuid'];
         assertplus.number(server['memory']);
+        assertplus.optionalNumber(server['disk']);
+        assertplus.optionalNumber(server['ncpus']);
+        assertplus.optionalBool(server['reserved']);
 
         assertplus.optionalString(server['rack']);
         if (server.hasOwnProperty('rack')) {
@@ -663,7 +1116,10 @@ DcConfigLoader.prototype.parse = function() {
         dcconfig.dc_servers[cn] = {
             rscn_uuid: cn,
             rscn_rack: rackname,
-            rscn_dram: server['memory']
+            rscn_dram: server['memory'],
+            rscn_disk: server.hasOwnProperty('disk') ? server['disk'] : null,
+            rscn_ncpus: server.hasOwnProperty('ncpus') ? server['ncpus'] : null,
+            rscn_reserved: server['reserved'] === true
         };
 
         if (type === 'metadata') {
@@ -741,6 +1197,112 @@ DcConfigLoader.prototype.parse = function() {
     this.finish();
 };
 
+/*
+ * Validates the override "override" for service "svcname" from the "services"
+ * property of the configuration.  Returns an error describing the problem, or
+ * null if the override is valid.
+ */
+DcConfigLoader.prototype.checkServiceOverride = function(svcname, override) {
+    var err, props;
+
+    if (services.mSvcNames.indexOf(svcname) === -1) {
+        return new VError('services[%s]: invalid service name', svcname);
+    }
+
+    err = jsprim.validateJsonObject(ML_SERVICE_SCHEMA, override);
+    if (err instanceof Error) {
+        return new VError(err, 'services[%s]', svcname);
+    }
+
+    props = Object.keys(override);
+    if (props.length !== 1) {
+        return new VError(
+            'services[%s]: exactly one of "count", "ratio", or ' +
+                '"per_shard" must be specified',
+            svcname
+        );
+    }
+
+    if (svcname === 'storage') {
+        return new VError(
+            'services[%s]: storage instances are always deployed ' +
+                'one per storage server',
+            svcname
+        );
+    }
+
+    if (ML_SERVICES_PER_SHARD.hasOwnProperty(svcname)) {
+        if (props[0] !== 'per_shard') {
+            return new VError(
+                'services[%s]: only "per_shard" can be used for ' +
+                    'per-shard services',
+                svcname
+            );
+        }
+    } else if (props[0] === 'per_shard') {
+        return new VError(
+            'services[%s]: "per_shard" can only be used for per-shard ' +
+                'services',
+            svcname
+        );
+    } else if (
+        props[0] === 'ratio' &&
+        !ML_FRONTDOOR_RATIOS.hasOwnProperty(svcname)
+    ) {
+        return new VError(
+            'services[%s]: "ratio" can only be used for front door services',
+            svcname
+        );
+    }
+
+    return null;
+};
+
+/*
+ * Validates the "apis" and "buckets_nshards" properties of the configuration,
+ * along with any overrides for services used only by an API that the
+ * configuration leaves out.  Returns an error describing the problem, or null
+ * if there is none.
+ */
+DcConfigLoader.prototype.checkApis = function() {
+    var apis, i, svcname;
+
+    if (!this.dcl_parsed.hasOwnProperty('apis')) {
+        return null;
+    }
+
+    apis = this.dcl_parsed['apis'];
+    for (i = 0; i < apis.length; i++) {
+        if (apis.indexOf(apis[i]) !== i) {
+            return new VError('apis: "%s" is listed more than once', apis[i]);
+        }
+    }
+
+    if (
+        this.dcl_parsed.hasOwnProperty('buckets_nshards') &&
+        apis.indexOf('buckets') === -1
+    ) {
+        return new VError(
+            '"buckets_nshards" can only be used when "apis" includes "buckets"'
+        );
+    }
+
+    if (this.dcl_parsed.hasOwnProperty('services')) {
+        for (svcname in this.dcl_parsed['services']) {
+            if (!layoutServiceApiEnabled(apis, svcname)) {
+                return new VError(
+                    'services[%s]: this service is only used for the "%s" ' +
+                        'API, which is not in "apis"',
+                    svcname,
+                    layoutServiceApi(svcname)
+                );
+            }
+        }
+    }
+
+    return null;
+};
+
 /*
  * Invoked exactly once for each instance when loading is complete, either as a
  * result of an error or normal completion.
@@ -799,9 +1361,14 @@ function DatacenterConfig() {
      * Server information.  Server names are assumed to be unique across all
      * datacenters.  Each server object has properties:
      *
-     *     rscn_uuid (string) unique identifier for this server
-     *     rscn_rack (string) name of the rack where this server lives
-     *     rscn_dram (number) gigabytes of memory available for Manta
+     *     rscn_uuid     (string)  unique identifier for this server
+     *     rscn_rack     (string)  name of the rack where this server lives
+     *     rscn_dram     (number)  gigabytes of memory available for Manta
+     *     rscn_disk     (number)  gigabytes of disk available for Manta, or
+     *				   null if unlimited
+     *     rscn_ncpus    (number)  CPUs available for Manta, or null if
+     *				   unlimited
+     *     rscn_reserved (boolean) if true, no instances are placed here
      */
     /* list of server names (uuids) */
     this.dc_server_names = [];
@@ -817,10 +1384,27 @@ function DatacenterConfig() {
     /* minimum count of storage servers across all DCs */
     this.dc_min_nstorage_perdc = null;
 
-    /* Number of metadata shards */
+    /* Number of metadata shards for the directory API */
     this.dc_nshards = null;
+    /* Styles of API deployed (see ML_API_SERVICES) */
+    this.dc_apis = null;
+    /* Number of metadata shards for the buckets API, if it's deployed */
+    this.dc_buckets_nshards = null;
     /* Image overrides */
     this.dc_images = null;
+    /* Per-instance resource demand overrides, by service name */
+    this.dc_demands = null;
+    /*
+     * Instance count overrides, by service name.  Each is an object with
+     * one of "count" (exact count), "ratio" (front door ratio), or
+     * "per_shard" (instances of each shard).
+     */
+    this.dc_services = null;
+    /*
+     * Sharded services whose instances of different shards must not be
+     * placed on the same server.
+     */
+    this.dc_separate_shards = [];
 }
 
 /*
@@ -828,7 +1412,8 @@ function DatacenterConfig() {
  * all services should be deployed on each server within a region.  Private
  * interfaces are provided here to build up the layout, but once it's
  * constructed, it's immutable.  The only methods exposed to other files in this
- * module are azs(), serialize(), printIssues(), printSummary(), and nerrors().
+ * module are azs(), serialize(), printIssues(), printSummary(), analyzeFaults(),
+ * and nerrors().
  *
  * This is effectively a programmatic representation of the "manta-adm update"
  * data structure.  Some code is shared between them, but more functionality
@@ -879,11 +1464,186 @@ function Layout(dcconfig) {
     this.ml_metadata_i = {};
     this.ml_metadata_striped = common.stripe(
         this.ml_dcconfig.dc_rack_names.map(function(rackname) {
-            return self.ml_dcconfig.dc_racks[rackname].rsrack_servers_metadata;
+            return self.ml_dcconfig.dc_racks[
+                rackname
+            ].rsrack_servers_metadata.filter(function(cnid) {
+                return !self.ml_dcconfig.dc_servers[cnid].rscn_reserved;
+            });
         })
     );
+
+    /*
+     * mapping of server uuid -> resources used so far on that server, as
+     * objects with "memory", "disk", and "ncpus" properties.
+     */
+    this.ml_used = {};
+
+    /*
+     * mapping of server uuid -> shard family -> shard -> true
+     *
+     * Records the shards of each family of per-shard services (see
+     * ML_SHARD_FAMILIES) deployed on each server, for enforcing the
+     * "separate_shards" constraint.
+     */
+    this.ml_shards_byserver = {};
+
+    /*
+     * mapping of "family/shard/instance" -> server uuid
+     *
+     * Records where each instance of each shard of each family of
+     * per-shard services was placed.  See allocateShardCn().
+     */
+    this.ml_shard_cns = {};
+
+    /*
+     * State for incremental layouts (see loadDeployed()).
+     *
+     * ml_existing_servers is the set of servers in the configuration that
+     * already have instances deployed.  No new instances are placed on them.
+     *
+     * ml_existing_counts maps service name -> count of deployed instances
+     * (for sharded services, service name -> shard -> count).
+     *
+     * ml_preserved maps server uuid -> service name -> counts for servers
+     * that have instances deployed but are not part of the configuration.
+     * These are emitted unchanged.
+     */
+    this.ml_incremental = false;
+    this.ml_existing_servers = {};
+    this.ml_existing_counts = {};
+    this.ml_preserved = {};
 }
 
+/*
+ * Loads the description of instances already deployed, as described in
+ * generateLayout(), for generating an incremental layout.  Deployed instances
+ * are accounted for as though they had been allocated here, and servers that
+ * already have instances are removed from the list used for allocating new
+ * metadata instances.
+ */
+Layout.prototype.loadDeployed = function(deployed) {
+    var self = this;
+    var azname = this.ml_dcconfig.dc_az_names[0];
+
+    assertplus.object(deployed, 'deployed');
+    assertplus.equal(this.ml_dcconfig.dc_az_names.length, 1);
+
+    this.ml_incremental = true;
+    Object.keys(deployed)
+        .sort()
+        .forEach(function(cnid) {
+            var inconfig = self.ml_dcconfig.dc_servers.hasOwnProperty(cnid);
+
+            if (Object.keys(deployed[cnid]).length === 0) {
+                return;
+            }
+
+            if (inconfig) {
+                self.ml_existing_servers[cnid] = true;
+            } else {
+                self.ml_preserved[cnid] = deployed[cnid];
+                self.ml_warnings.push(
+                    new VError(
+                        'server %s has instances deployed but is not ' +
+                            'in the configuration.  Its instances will ' +
+                            'be left unchanged.',
+                        cnid
+                    )
+                );
+            }
+
+            jsprim.forEachKey(deployed[cnid], function(svcname, summary) {
+                layoutEachDeployed(svcname, summary, function(config, count) {
+                    var i;
+
+                    self.countExisting(svcname, config, count);
+                    if (!inconfig) {
+                        self.countInstance(azname, svcname, config, count);
+                        return;
+                    }
+
+                    for (i = 0; i < count; i++) {
+                        self.allocateInstance(cnid, svcname, config);
+                    }
+                });
+            });
+        });
+
+    this.ml_metadata_striped = this.ml_metadata_striped.filter(function(cnid) {
+        return !self.isExisting(cnid);
+    });
+};
+
+/*
+ * Records "count" deployed instances of service "svcname" having config
+ * "config".  See existingCount().
+ */
+Layout.prototype.countExisting = function(svcname, config, count) {
+    var counts = this.ml_existing_counts;
+
+    if (!config.hasOwnProperty('SH')) {
+        counts[svcname] = (counts[svcname] || 0) + count;
+        return;
+    }
+
+    if (!counts.hasOwnProperty(svcname)) {
+        counts[svcname] = {};
+    }
+    counts[svcname][config['SH']] =
+        (counts[svcname][config['SH']] || 0) + count;
+};
+
+/*
+ * Returns the number of deployed instances of service "svcname" (and shard
+ * "shard", for sharded services).  This is always 0 for layouts that are not
+ * incremental.
+ */
+Layout.prototype.existingCount = function(svcname, shard) {
+    var counts = this.ml_existing_counts;
+
+    if (!counts.hasOwnProperty(svcname)) {
+        return 0;
+    }
+
+    if (shard === undefined) {
+        return counts[svcname];
+    }
+
+    return counts[svcname][shard] || 0;
+};
+
+/*
+ * Returns true if server "cnid" already had instances deployed when this
+ * incremental layout was generated.
+ */
+Layout.prototype.isExisting = function(cnid) {
+    return this.ml_existing_servers.hasOwnProperty(cnid);
+};
+
+/*
+ * Returns true if "count" new instances of service "svcname" can be placed on
+ * metadata servers.  This can only fail for incremental layouts where all of
+ * the metadata servers already have instances, in which case we record an
+ * error.
+ */
+Layout.prototype.checkNewServers = function(svcname, count) {
+    if (count <= 0 || this.ml_metadata_striped.length > 0) {
+        return true;
+    }
+
+    this.ml_errors.push(
+        new VError(
+            '%d new instance%s of "%s" %s needed, but there are no new ' +
+                'metadata servers',
+            count,
+            count === 1 ? '' : 's',
+            svcname,
+            count === 1 ? 'is' : 'are'
+        )
+    );
+    return false;
+};
+
 /*
  * Returns the uuid of the server that should be used for the next allocation of
  * class "alloc_class".  Internal state is modified so that subsequent server
@@ -917,15 +1677,245 @@ function Layout(dcconfig) {
  * start over at rack 0, server 0, and these can be mixed with allocations for
  * other values of "alloc_class".
  */
-Layout.prototype.allocateMetadataCn = function(alloc_class) {
-    var which;
+Layout.prototype.allocateMetadataCn = function(alloc_class, svcname, shard) {
+    var start, nservers, i, cnid, rank, which, whichrank, conflict;
+
+    assertplus.string(alloc_class, 'alloc_class');
+    assertplus.optionalString(svcname, 'svcname');
+    assertplus.optionalNumber(shard, 'shard');
 
     if (!this.ml_metadata_i.hasOwnProperty(alloc_class)) {
         this.ml_metadata_i[alloc_class] = 0;
     }
 
-    which = this.ml_metadata_i[alloc_class]++ % this.ml_metadata_striped.length;
-    return this.ml_metadata_striped[which];
+    /*
+     * Reserved servers are never used (see the constructor).  When the
+     * caller tells us what's being allocated, we also skip servers where
+     * the instance would violate the "separate_shards" constraint, and
+     * among the rest we use the next server in order that:
+     *
+     *     (1) has room for the instance and, if the constraint applies,
+     *         does not already have an instance of the same shard
+     *     (2) failing that, does not already have an instance of the same
+     *         shard (checkCapacity() will report the lack of room)
+     *     (3) failing that, has room for the instance (and we warn that
+     *         the shard has more than one instance on the same server)
+     *     (4) failing that, any server that satisfies the constraint
+     *
+     * If no server satisfies the constraint, that's a fatal error.  Without
+     * any capacity problems or constraints, this is equivalent to simply
+     * using the next server in order.
+     */
+    start = this.ml_metadata_i[alloc_class];
+    nservers = this.ml_metadata_striped.length;
+    which = null;
+    whichrank = null;
+    for (i = 0; i < nservers; i++) {
+        cnid = this.ml_metadata_striped[(start + i) % nservers];
+        if (svcname === undefined) {
+            which = i;
+            break;
+        }
+
+        conflict = this.shardConflict(cnid, svcname, shard);
+        if (conflict === 'other') {
+            continue;
+        }
+
+        rank =
+            (conflict === 'same' ? 2 : 0) +
+            (this.hasRoom(cnid, svcname) ? 0 : 1);
+        if (whichrank === null || rank < whichrank) {
+            which = i;
+            whichrank = rank;
+        }
+
+        if (rank === 0) {
+            break;
+        }
+    }
+
+    if (which === null) {
+        layoutAddIssue(
+            this.ml_errors,
+            new VError(
+                'no server is available for %s shard %d without ' +
+                    'violating the "separate_shards" constraint',
+                svcname,
+                shard
+            )
+        );
+        which = 0;
+    } else if (whichrank !== null && whichrank >= 2) {
+        layoutAddIssue(
+            this.ml_warnings,
+            new VError(
+                'server %s: multiple instances of %s shard %d',
+                this.ml_metadata_striped[(start + which) % nservers],
+                svcname,
+                shard
+            )
+        );
+    }
+
+    this.ml_metadata_i[alloc_class] = start + which + 1;
+    return this.ml_metadata_striped[(start + which) % nservers];
+};
+
+/*
+ * Returns the uuid of the server that should be used for instance "which" of
+ * shard "shard" of per-shard service "svcname".  Each such instance is placed
+ * on the same server as the corresponding instance of the other services in
+ * its family (see ML_SHARD_FAMILIES).  Like allocateMetadataCn(), this does not
+ * assign an instance to the server.
+ */
+Layout.prototype.allocateShardCn = function(svcname, shard, which) {
+    var family, key;
+
+    family = layoutShardFamily(svcname);
+    key = [family, shard, which].join('/');
+    if (!this.ml_shard_cns.hasOwnProperty(key)) {
+        this.ml_shard_cns[key] = this.allocateMetadataCn(
+            family,
+            svcname,
+            shard
+        );
+    }
+
+    return this.ml_shard_cns[key];
+};
+
+/*
+ * Checks whether placing an instance of shard "shard" of service "svcname" on
+ * server "cnid" would conflict with the "separate_shards" constraint.  Returns
+ * "other" if the constraint applies and the server already has an instance of
+ * a different shard (so it must not be used), "same" if the constraint applies
+ * and the server already has an instance of the same shard (so it should be
+ * avoided), and null otherwise.
+ */
+Layout.prototype.shardConflict = function(cnid, svcname, shard) {
+    var family, separate, placed;
+
+    if (shard === undefined) {
+        return null;
+    }
+
+    family = layoutShardFamily(svcname);
+    separate = this.ml_dcconfig.dc_separate_shards.some(function(name) {
+        return layoutShardFamily(name) === family;
+    });
+    if (
+        !separate ||
+        !this.ml_shards_byserver.hasOwnProperty(cnid) ||
+        !this.ml_shards_byserver[cnid].hasOwnProperty(family)
+    ) {
+        return null;
+    }
+
+    placed = this.ml_shards_byserver[cnid][family];
+    if (
+        Object.keys(placed).some(function(other) {
+            return other !== shard.toString();
+        })
+    ) {
+        return 'other';
+    }
+
+    return placed.hasOwnProperty(shard) ? 'same' : null;
+};
+
+/*
+ * Returns the resources used by each instance of service "svcname", taking
+ * into account any overrides in the configuration file.
+ */
+Layout.prototype.instanceDemand = function(svcname) {
+    var rv = jsprim.deepCopy(layoutDefaultDemand(svcname));
+    var demands = this.ml_dcconfig.dc_demands || {};
+
+    if (demands.hasOwnProperty(svcname)) {
+        jsprim.forEachKey(demands[svcname], function(resource, amount) {
+            rv[resource] = amount;
+        });
+    }
+
+    return rv;
+};
+
+/*
+ * Returns the resources available on server "cnid", with null for resources
+ * that are unlimited.
+ */
+Layout.prototype.serverCapacity = function(cnid) {
+    var server = this.ml_dcconfig.dc_servers[cnid];
+
+    return {
+        memory: server.rscn_dram,
+        disk: server.rscn_disk,
+        ncpus: server.rscn_ncpus
+    };
+};
+
+/*
+ * Returns true if server "cnid" has room for another instance of service
+ * "svcname".
+ */
+Layout.prototype.hasRoom = function(cnid, svcname) {
+    var capacity, demand, used;
+
+    capacity = this.serverCapacity(cnid);
+    demand = this.instanceDemand(svcname);
+    used = this.ml_used[cnid] || {memory: 0, disk: 0, ncpus: 0};
+
+    return Object.keys(capacity).every(function(resource) {
+        return (
+            capacity[resource] === null ||
+            used[resource] + demand[resource] <= capacity[resource]
+        );
+    });
+};
+
+/*
+ * Adds a warning for each server where the instances placed there use more
+ * resources than the server has available.  This is invoked once the layout is
+ * complete.
+ */
+Layout.prototype.checkCapacity = function() {
+    var self = this;
+    var units = {
+        memory: ['GB', ' of memory'],
+        disk: ['GB', ' of disk'],
+        ncpus: ['CPUs', '']
+    };
+
+    this.ml_dcconfig.dc_server_names.forEach(function(cnid) {
+        var capacity, used;
+
+        if (!self.ml_used.hasOwnProperty(cnid)) {
+            return;
+        }
+
+        capacity = self.serverCapacity(cnid);
+        used = self.ml_used[cnid];
+        Object.keys(units).forEach(function(resource) {
+            if (
+                capacity[resource] !== null &&
+                used[resource] > capacity[resource]
+            ) {
+                self.ml_warnings.push(
+                    new VError(
+                        'server %s: instances need %s %s%s, but only %s %s ' +
+                            'are available',
+                        cnid,
+                        layoutFormatAmount(used[resource]),
+                        units[resource][0],
+                        units[resource][1],
+                        layoutFormatAmount(capacity[resource]),
+                        units[resource][0]
+                    )
+                );
+            }
+        });
+    });
 };
 
 Layout.prototype.cnidToAzName = function(cnid) {
@@ -943,7 +1933,7 @@ Layout.prototype.cnidToAzName = function(cnid) {
  * instance.  See the ServiceConfiguration class for details.
  */
 Layout.prototype.allocateInstance = function(cnid, svcname, config) {
-    var azname;
+    var azname, demand, used, family;
 
     assertplus.string(cnid);
     assertplus.string(svcname);
@@ -961,6 +1951,37 @@ Layout.prototype.allocateInstance = function(cnid, svcname, config) {
 
     this.ml_configs_byserver[cnid][svcname].incr(config);
 
+    azname = this.cnidToAzName(cnid);
+    this.countInstance(azname, svcname, config, 1);
+
+    if (!this.ml_used.hasOwnProperty(cnid)) {
+        this.ml_used[cnid] = {memory: 0, disk: 0, ncpus: 0};
+    }
+    used = this.ml_used[cnid];
+    demand = this.instanceDemand(svcname);
+    jsprim.forEachKey(demand, function(resource, amount) {
+        used[resource] += amount;
+    });
+
+    if (config.hasOwnProperty('SH')) {
+        family = layoutShardFamily(svcname);
+        if (!this.ml_shards_byserver.hasOwnProperty(cnid)) {
+            this.ml_shards_byserver[cnid] = {};
+        }
+        if (!this.ml_shards_byserver[cnid].hasOwnProperty(family)) {
+            this.ml_shards_byserver[cnid][family] = {};
+        }
+        this.ml_shards_byserver[cnid][family][config['SH']] = true;
+    }
+};
+
+/*
+ * Adds "count" instances of service "svcname" having config "config" to the
+ * region-wide and per-AZ counts for datacenter "azname".  This is used by
+ * allocateInstance() and for deployed instances on servers that are not part of
+ * the configuration.
+ */
+Layout.prototype.countInstance = function(azname, svcname, config, count) {
     if (!this.ml_configs_bysvcname.hasOwnProperty(svcname)) {
         this.ml_configs_bysvcname[svcname] = new services.ServiceConfiguration(
             services.serviceConfigProperties(svcname)
@@ -968,9 +1989,8 @@ Layout.prototype.allocateInstance = function(cnid, svcname, config) {
         this.ml_configs_bysvcname_az[svcname] = {};
     }
 
-    this.ml_configs_bysvcname[svcname].incr(config);
+    this.ml_configs_bysvcname[svcname].incr(config, count);
 
-    azname = this.cnidToAzName(cnid);
     if (!this.ml_configs_bysvcname_az[svcname].hasOwnProperty(azname)) {
         this.ml_configs_bysvcname_az[svcname][
             azname
@@ -979,7 +1999,7 @@ Layout.prototype.allocateInstance = function(cnid, svcname, config) {
         );
     }
 
-    this.ml_configs_bysvcname_az[svcname][azname].incr(config);
+    this.ml_configs_bysvcname_az[svcname][azname].incr(config, count);
 };
 
 /*
@@ -1028,12 +2048,29 @@ Layout.prototype.serialize = function(azname) {
     cnids.forEach(function(cnid) {
         var cfgs, svcnames;
 
-        if (self.cnidToAzName(cnid) !== azname) {
+        /*
+         * Reserved servers are left out, unless they already have instances
+         * (in which case leaving them out would remove those instances).
+         */
+        if (
+            self.cnidToAzName(cnid) !== azname ||
+            (self.ml_dcconfig.dc_servers[cnid].rscn_reserved &&
+                !self.isExisting(cnid))
+        ) {
             return;
         }
 
         config[cnid] = {};
-        assertplus.ok(self.ml_configs_byserver.hasOwnProperty(cnid));
+        if (!self.ml_incremental) {
+            assertplus.ok(self.ml_configs_byserver.hasOwnProperty(cnid));
+        } else if (!self.ml_configs_byserver.hasOwnProperty(cnid)) {
+            /*
+             * In an incremental layout, a new server may not be needed
+             * for any new instances.
+             */
+            return;
+        }
+
         cfgs = self.ml_configs_byserver[cnid];
         svcnames = Object.keys(cfgs).sort();
         svcnames.forEach(function(svcname) {
@@ -1042,9 +2079,64 @@ Layout.prototype.serialize = function(azname) {
         });
     });
 
+    Object.keys(this.ml_preserved)
+        .sort()
+        .forEach(function(cnid) {
+            config[cnid] = jsprim.deepCopy(self.ml_preserved[cnid]);
+        });
+
     return JSON.stringify(config, null, '    ') + '\n';
 };
 
+/*
+ * Returns the fault-domain analysis of this layout (see lib/faults.js), reporting
+ * services that would drop below "min_instances" instances.
+ */
+Layout.prototype.analyzeFaults = function(min_instances) {
+    var servers, instances;
+    var self = this;
+
+    assertplus.number(min_instances, 'min_instances');
+
+    servers = {};
+    instances = [];
+    jsprim.forEachKey(this.ml_configs_byserver, function(cnid, svccfgs) {
+        var rack = self.ml_dcconfig.dc_servers[cnid].rscn_rack;
+
+        servers[cnid] = {
+            name: cnid,
+            rack: rack === ML_DEFAULT_RACK ? null : rack,
+            az: self.cnidToAzName(cnid)
+        };
+        layoutAddFaultInstances(instances, servers[cnid], cnid, svccfgs);
+    });
+
+    jsprim.forEachKey(this.ml_preserved, function(cnid, deployed) {
+        var svccfgs = {};
+
+        servers[cnid] = {
+            name: cnid,
+            rack: null,
+            az: self.ml_dcconfig.dc_az_names[0]
+        };
+        jsprim.forEachKey(deployed, function(svcname, summary) {
+            svccfgs[svcname] = new services.ServiceConfiguration(
+                services.serviceConfigProperties(svcname)
+            );
+            layoutEachDeployed(svcname, summary, function(config, count) {
+                svccfgs[svcname].incr(config, count);
+            });
+        });
+        layoutAddFaultInstances(instances, servers[cnid], cnid, svccfgs);
+    });
+
+    return faults.analyzeFaults({
+        servers: servers,
+        instances: instances,
+        min_instances: min_instances
+    });
+};
+
 /*
  * Returns the number of fatal errors associated with this configuration.
  */
@@ -1057,7 +2149,8 @@ Layout.prototype.nerrors = function() {
  */
 Layout.prototype.printSummary = function(outstream) {
     var columns, out, cfgs;
-    var svcnames;
+    var svcnames, nnew, nnewservers, nexisting;
+    var self = this;
 
     if (this.nerrors() > 0) {
         return;
@@ -1115,11 +2208,15 @@ Layout.prototype.printSummary = function(outstream) {
                 /*
                  * There should be only one config per service
                  * per AZ because we would have used the same
-                 * image for all services.
+                 * image for all services, except that
+                 * incremental layouts keep the images of
+                 * deployed instances.
                  */
-                assertplus.ok(!row.hasOwnProperty(azname));
+                assertplus.ok(
+                    self.ml_incremental || !row.hasOwnProperty(azname)
+                );
                 assertplus.number(cfg['count']);
-                row[azname] = cfg['count'];
+                row[azname] = (row[azname] || 0) + cfg['count'];
             });
         });
 
@@ -1153,7 +2250,9 @@ Layout.prototype.printSummary = function(outstream) {
                      * that would imply that we were using
                      * more than one image for this service.
                      */
-                    assertplus.ok(!shardrow.hasOwnProperty(azname));
+                    assertplus.ok(
+                        self.ml_incremental || !shardrow.hasOwnProperty(azname)
+                    );
                 } else {
                     shardrow = {};
                     shardrow['SERVICE'] = svcname;
@@ -1161,7 +2260,7 @@ Layout.prototype.printSummary = function(outstream) {
                     rowsbyshard[shard] = shardrow;
                 }
 
-                shardrow[azname] = cfg['count'];
+                shardrow[azname] = (shardrow[azname] || 0) + cfg['count'];
             });
         });
 
@@ -1178,4 +2277,116 @@ Layout.prototype.printSummary = function(outstream) {
                 out.writeRow(rowsbyshard[shard]);
             });
     });
+
+    if (!this.ml_incremental) {
+        return;
+    }
+
+    nnew = 0;
+    nnewservers = 0;
+    jsprim.forEachKey(this.ml_configs_byserver, function(cnid, svccfgs) {
+        if (self.isExisting(cnid)) {
+            return;
+        }
+
+        nnewservers++;
+        jsprim.forEachKey(svccfgs, function(_, svccfg) {
+            svccfg.each(function(cfg) {
+                nnew += cfg['count'];
+            });
+        });
+    });
+
+    nexisting =
+        Object.keys(this.ml_existing_servers).length +
+        Object.keys(this.ml_preserved).length;
+    outstream.write(
+        sprintf(
+            '\nincremental layout: %d new instance%s on %d new server%s, ' +
+                '%d server%s with deployed instances left unchanged\n',
+            nnew,
+            nnew === 1 ? '' : 's',
+            nnewservers,
+            nnewservers === 1 ? '' : 's',
+            nexisting,
+            nexisting === 1 ? '' : 's'
+        )
+    );
 };
+
+/*
+ * Invokes "func" as func(config, count) for each configuration in "summary",
+ * which describes deployed instances of service "svcname" in the form used by
+ * "manta-adm update".  "config" is suitable for passing to allocateInstance().
+ */
+function layoutEachDeployed(svcname, summary, func) {
+    if (!services.serviceIsSharded(svcname)) {
+        jsprim.forEachKey(summary, function(image, count) {
+            func({IMAGE: image}, count);
+        });
+        return;
+    }
+
+    jsprim.forEachKey(summary, function(shard, images) {
+        jsprim.forEachKey(images, function(image, count) {
+            func({SH: parseInt(shard, 10), IMAGE: image}, count);
+        });
+    });
+}
+
+/*
+ * Appends to "instances" an entry for each instance described by "svccfgs"
+ * (service name -> ServiceConfiguration) on server "cnid", described by
+ * "server", in the form used by faults.analyzeFaults().
+ */
+function layoutAddFaultInstances(instances, server, cnid, svccfgs) {
+    jsprim.forEachKey(svccfgs, function(svcname, svccfg) {
+        svccfg.each(function(cfg) {
+            var i;
+
+            for (i = 0; i < cfg['count']; i++) {
+                instances.push({
+                    svcname: svcname,
+                    shard: cfg.hasOwnProperty('SH') ? cfg['SH'] : null,
+                    az: server.az,
+                    server: cnid
+                });
+            }
+        });
+    });
+}
+
+/*
+ * Returns the name of the family of per-shard services that "svcname" belongs
+ * to.  See ML_SHARD_FAMILIES.
+ */
+function layoutShardFamily(svcname) {
+    return ML_SHARD_FAMILIES.hasOwnProperty(svcname)
+        ? ML_SHARD_FAMILIES[svcname]
+        : svcname;
+}
+
+/*
+ * Appends "err" to the list of issues "issues" unless an issue with the same
+ * message is already present.  This is used for problems that would otherwise
+ * be reported once for each instance of a shard.
+ */
+function layoutAddIssue(issues, err) {
+    if (
+        !issues.some(function(other) {
+            return other.message === err.message;
+        })
+    ) {
+        issues.push(err);
+    }
+}
+
+/*
+ * Formats a resource amount for a warning message, rounding fractional amounts
+ * to one decimal place.
+ */
+function layoutFormatAmount(amount) {
+    return Math.round(amount) === amount
+        ? amount.toString()
+        : amount.toFixed(1);
+}
@@ -50,6 +50,7 @@ exports.mzCommandExecutor = mzCommandExecutor;
 exports.mzResultToText = mzResultToText;
 exports.mzResultToJson = mzResultToJson;
 exports.mzValidateScopeParameters = mzValidateScopeParameters;
+exports.mzZoneScript = mzZoneScript;
 
 /* Valid values for the "execMode" argument to mzCommandExecutor. */
 exports.MZ_EM_COMMAND = 'command';
@@ -984,8 +985,6 @@ mzCommandExecutor.prototype.close = function() {
  * inside each zone.
  */
 mzCommandExecutor.prototype.makeUrScript = function(zonename) {
-    var script;
-
     /*
      * This function is only used to generate scripts to be executed within
      * a non-global zone.  If we're operating on global zones, the returned
@@ -995,12 +994,22 @@ mzCommandExecutor.prototype.makeUrScript = function(zonename) {
         return null;
     }
 
+    assertplus.equal(this.ce_exec_mode, MZ_EM_COMMAND);
+    return mzZoneScript(zonename, this.ce_exec_command);
+};
+
+/*
+ * Returns an Ur script (to be executed in the global zone) that runs the shell
+ * command "command" inside non-global zone "zonename".
+ */
+function mzZoneScript(zonename, command) {
+    var script;
+
     /*
-     * We've already validated this earlier, but make sure the script does
-     * not contain our own EOF marker.
+     * Callers should have already validated this, but make sure the script
+     * does not contain our own EOF marker.
      */
-    assertplus.equal(this.ce_exec_mode, MZ_EM_COMMAND);
-    assertplus.equal(this.ce_exec_command.indexOf(mzScriptEofMarker), -1);
+    assertplus.equal(command.indexOf(mzScriptEofMarker), -1);
 
     /*
      * Also make sure that our zonename does not contain anything other than
@@ -1025,14 +1034,14 @@ mzCommandExecutor.prototype.makeUrScript = function(zonename) {
         '/usr/sbin/zlogin -Q ' +
         zonename +
         ' bash -l\n' +
-        this.ce_exec_command +
+        command +
         '\n' +
         mzScriptEofMarker +
         '\n' +
         'rv=$?\n' +
         'if [[ $rv -eq 113 ]]; then exit 1; else exit $rv ; fi';
     return script;
-};
+}
 
 /*
  * Given the execution arguments specified in the constructor, execute the
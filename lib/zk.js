@@ -0,0 +1,550 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * lib/zk.js: checks of the live state of the ZooKeeper ensemble run by the
+ * "nameservice" instances.  These use ZooKeeper's "four-letter word" commands,
+ * which are sent as plain text to a server's client port.  The server writes
+ * its response and closes the connection.
+ */
+
+var assertplus = require('assert-plus');
+var net = require('net');
+var VError = require('verror').VError;
+
+/* Exported interface */
+exports.zkFourLetterWord = zkFourLetterWord;
+exports.zkParseSrvr = zkParseSrvr;
+exports.zkParseMntr = zkParseMntr;
+exports.zkAssessEnsemble = zkAssessEnsemble;
+exports.zkEnsembleStatus = zkEnsembleStatus;
+exports.zkHasQuorum = zkHasQuorum;
+exports.createZkHealthCheck = createZkHealthCheck;
+
+/*
+ * Modes in which a server is serving clients as part of an ensemble.
+ */
+var zkServingModes = ['leader', 'follower', 'standalone'];
+
+/*
+ * Sends a four-letter word command to a ZooKeeper server and collects the
+ * response.  Named arguments:
+ *
+ *     host		IP address or hostname of the server
+ *
+ *     port		client port of the server
+ *
+ *     command		four-letter word to send (e.g., "srvr")
+ *
+ *     timeout		millisecond timeout for the whole exchange
+ *
+ * "callback" is invoked as callback(err, output).
+ */
+function zkFourLetterWord(args, callback) {
+    var sock, chunks, done, timer, label;
+
+    assertplus.object(args, 'args');
+    assertplus.string(args.host, 'args.host');
+    assertplus.number(args.port, 'args.port');
+    assertplus.string(args.command, 'args.command');
+    assertplus.number(args.timeout, 'args.timeout');
+    assertplus.func(callback, 'callback');
+
+    label = args.host + ':' + args.port;
+    chunks = [];
+    done = false;
+
+    function finish(err) {
+        if (done) {
+            return;
+        }
+
+        done = true;
+        clearTimeout(timer);
+        sock.destroy();
+        if (err) {
+            callback(err);
+        } else {
+            callback(null, Buffer.concat(chunks).toString('utf8'));
+        }
+    }
+
+    timer = setTimeout(function() {
+        finish(new VError('%s: "%s" timed out', label, args.command));
+    }, args.timeout);
+
+    sock = net.connect({host: args.host, port: args.port}, function() {
+        sock.end(args.command);
+    });
+    sock.on('data', function(chunk) {
+        chunks.push(chunk);
+    });
+    sock.on('end', function() {
+        finish(null);
+    });
+    sock.on('error', function(err) {
+        finish(new VError(err, '%s: "%s"', label, args.command));
+    });
+}
+
+/*
+ * Parses the output of the "srvr" command, which looks like this:
+ *
+ *     Zookeeper version: 3.4.13-..., built on 06/29/2018 04:05 GMT
+ *     Latency min/avg/max: 0/0/12
+ *     Received: 1234
+ *     Sent: 1233
+ *     Connections: 5
+ *     Outstanding: 0
+ *     Zxid: 0x1000004d2
+ *     Mode: follower
+ *     Node count: 120
+ *
+ * Returns an object with properties "mode", "zxid" (a string), "outstanding",
+ * "latencyMin", "latencyAvg", and "latencyMax" (numbers, in milliseconds).
+ * Servers that aren't part of a working ensemble report that they're not
+ * serving requests, for which this returns an Error.
+ */
+function zkParseSrvr(output) {
+    var props, rv, latency;
+
+    assertplus.string(output, 'output');
+
+    props = {};
+    output.split('\n').forEach(function(line) {
+        var i = line.indexOf(':');
+
+        if (i !== -1) {
+            props[
+                line
+                    .substr(0, i)
+                    .trim()
+                    .toLowerCase()
+            ] = line.substr(i + 1).trim();
+        }
+    });
+
+    if (!props.hasOwnProperty('mode')) {
+        if (/not currently serving requests/.test(output)) {
+            return new VError('not currently serving requests');
+        }
+
+        return new VError('unrecognized "srvr" output');
+    }
+
+    rv = {
+        mode: props['mode'],
+        zxid: props['zxid'] || null,
+        outstanding: props.hasOwnProperty('outstanding')
+            ? parseInt(props['outstanding'], 10)
+            : null,
+        latencyMin: null,
+        latencyAvg: null,
+        latencyMax: null
+    };
+
+    if (props.hasOwnProperty('latency min/avg/max')) {
+        latency = props['latency min/avg/max'].split('/').map(parseFloat);
+        if (latency.length === 3) {
+            rv.latencyMin = latency[0];
+            rv.latencyAvg = latency[1];
+            rv.latencyMax = latency[2];
+        }
+    }
+
+    return rv;
+}
+
+/*
+ * Fetches the status of each server in a ZooKeeper ensemble.  Named arguments:
+ *
+ *     servers		array of servers in the ensemble, each an object with
+ *     			properties "host" and "port" (as in ZK_SERVERS)
+ *
+ *     timeout		millisecond timeout for each server
+ *
+ *     mntr		(optional) if true, also send each server that's
+ *     			serving requests the "mntr" command
+ *
+ * "callback" is invoked as callback(status), where "status" is an array with
+ * one object for each server having properties:
+ *
+ *     host, port	as given in "servers"
+ *
+ *     reachable	true if the server responded at all
+ *
+ *     error		an Error if the server could not be contacted or is not
+ *     			serving requests, or null
+ *
+ *     srvr		the result of zkParseSrvr(), or null if there was an
+ *     			error
+ *
+ *     mntr		with the "mntr" option, the result of zkParseMntr(), or
+ *     			null if that failed (as it does for servers that don't
+ *     			allow the command)
+ *
+ * Problems with individual servers never cause the whole operation to fail.
+ */
+function zkEnsembleStatus(args, callback) {
+    var rv, npending;
+
+    assertplus.object(args, 'args');
+    assertplus.arrayOfObject(args.servers, 'args.servers');
+    assertplus.number(args.timeout, 'args.timeout');
+    assertplus.optionalBool(args.mntr, 'args.mntr');
+    assertplus.func(callback, 'callback');
+
+    rv = args.servers.map(function(server) {
+        return {
+            host: server.host,
+            port: server.port,
+            reachable: false,
+            error: null,
+            srvr: null,
+            mntr: null
+        };
+    });
+
+    npending = rv.length;
+    if (npending === 0) {
+        setImmediate(callback, rv);
+        return;
+    }
+
+    function done() {
+        if (--npending === 0) {
+            callback(rv);
+        }
+    }
+
+    rv.forEach(function(status) {
+        zkFourLetterWord(
+            {
+                host: status.host,
+                port: status.port,
+                command: 'srvr',
+                timeout: args.timeout
+            },
+            function(err, output) {
+                var parsed;
+
+                if (err) {
+                    status.error = err;
+                    done();
+                    return;
+                }
+
+                status.reachable = true;
+                parsed = zkParseSrvr(output);
+                if (parsed instanceof Error) {
+                    status.error = new VError(
+                        parsed,
+                        '%s:%d',
+                        status.host,
+                        status.port
+                    );
+                    done();
+                    return;
+                }
+
+                status.srvr = parsed;
+                if (!args.mntr) {
+                    done();
+                    return;
+                }
+
+                zkFourLetterWord(
+                    {
+                        host: status.host,
+                        port: status.port,
+                        command: 'mntr',
+                        timeout: args.timeout
+                    },
+                    function(suberr, mntrOutput) {
+                        if (!suberr) {
+                            parsed = zkParseMntr(mntrOutput);
+                            if (!(parsed instanceof Error)) {
+                                status.mntr = parsed;
+                            }
+                        }
+                        done();
+                    }
+                );
+            }
+        );
+    });
+}
+
+/*
+ * Parses the output of the "mntr" command, which has one tab-separated
+ * property and value per line:
+ *
+ *     zk_version	3.4.13-..., built on 06/29/2018 04:05 GMT
+ *     zk_avg_latency	0
+ *     zk_max_latency	12
+ *     zk_min_latency	0
+ *     zk_outstanding_requests	0
+ *     zk_server_state	follower
+ *     ...
+ *
+ * Returns an object mapping each property to its value (as a string).  Servers
+ * that don't allow the command respond with a message instead, for which this
+ * returns an Error.
+ */
+function zkParseMntr(output) {
+    var rv = {};
+
+    assertplus.string(output, 'output');
+
+    output.split('\n').forEach(function(line) {
+        var i = line.indexOf('\t');
+
+        if (i !== -1) {
+            rv[line.substr(0, i)] = line.substr(i + 1).trim();
+        }
+    });
+
+    if (!rv.hasOwnProperty('zk_server_state')) {
+        return new VError('unrecognized "mntr" output');
+    }
+
+    return rv;
+}
+
+/*
+ * Given the result of zkEnsembleStatus(), returns an array describing the
+ * health of each server, in the same order.  Each element has properties:
+ *
+ *     mode		server mode (e.g., "leader"), or null if unknown
+ *
+ *     zxid		last transaction id the server has seen, or null
+ *
+ *     outstanding	number of queued requests, or null
+ *
+ *     latencyAvg,	average and maximum request latency in milliseconds,
+ *     latencyMax	or null
+ *
+ *     problem		null if the server is healthy, or one of "down" (not
+ *     			reachable), "not serving" (not part of a working
+ *     			ensemble), or "lagging" (more than "maxLag"
+ *     			transactions behind the leader, or still in an earlier
+ *     			leader epoch)
+ *
+ * Values from "mntr" are preferred over those from "srvr" when available.
+ */
+function zkAssessEnsemble(status, maxLag) {
+    var leader;
+
+    assertplus.arrayOfObject(status, 'status');
+    assertplus.number(maxLag, 'maxLag');
+
+    leader = null;
+    status.forEach(function(s) {
+        if (s.srvr !== null && s.srvr.mode === 'leader') {
+            leader = s;
+        }
+    });
+
+    return status.map(function(s) {
+        var rv, mntr;
+
+        rv = {
+            mode: null,
+            zxid: null,
+            outstanding: null,
+            latencyAvg: null,
+            latencyMax: null,
+            problem: null
+        };
+
+        if (s.srvr === null) {
+            rv.problem = s.reachable ? 'not serving' : 'down';
+            return rv;
+        }
+
+        rv.mode = s.srvr.mode;
+        rv.zxid = s.srvr.zxid;
+        rv.outstanding = s.srvr.outstanding;
+        rv.latencyAvg = s.srvr.latencyAvg;
+        rv.latencyMax = s.srvr.latencyMax;
+
+        mntr = s.mntr;
+        if (mntr !== null) {
+            rv.mode = mntr['zk_server_state'];
+            if (mntr.hasOwnProperty('zk_outstanding_requests')) {
+                rv.outstanding = parseInt(mntr['zk_outstanding_requests'], 10);
+            }
+            if (mntr.hasOwnProperty('zk_avg_latency')) {
+                rv.latencyAvg = parseFloat(mntr['zk_avg_latency']);
+            }
+            if (mntr.hasOwnProperty('zk_max_latency')) {
+                rv.latencyMax = parseFloat(mntr['zk_max_latency']);
+            }
+        }
+
+        if (zkServingModes.indexOf(rv.mode) === -1) {
+            rv.problem = 'not serving';
+        } else if (
+            leader !== null &&
+            s !== leader &&
+            zkLag(s.srvr.zxid, leader.srvr.zxid) > maxLag
+        ) {
+            rv.problem = 'lagging';
+        }
+
+        return rv;
+    });
+}
+
+/*
+ * Returns how many transactions the zxid "zxid" is behind "leaderZxid".  A zxid
+ * is a 64-bit value (reported in hex) whose high 32 bits are the leader epoch
+ * and whose low 32 bits count transactions within that epoch.  A server in an
+ * earlier epoch is infinitely far behind.
+ */
+function zkLag(zxid, leaderZxid) {
+    var a, b;
+
+    a = zkSplitZxid(zxid);
+    b = zkSplitZxid(leaderZxid);
+    if (a === null || b === null) {
+        return 0;
+    }
+
+    if (a.epoch !== b.epoch) {
+        return a.epoch < b.epoch ? Infinity : 0;
+    }
+
+    return Math.max(0, b.counter - a.counter);
+}
+
+function zkSplitZxid(zxid) {
+    var hex;
+
+    if (typeof zxid !== 'string' || !/^0x[0-9a-f]+$/i.test(zxid)) {
+        return null;
+    }
+
+    hex = zxid.substr(2);
+    return {
+        epoch: hex.length > 8 ? parseInt(hex.substr(0, hex.length - 8), 16) : 0,
+        counter: parseInt(hex.substr(Math.max(0, hex.length - 8)), 16)
+    };
+}
+
+/*
+ * Given the result of zkEnsembleStatus(), returns an Error if the ensemble
+ * does not have quorum (a majority of servers serving requests with exactly
+ * one leader), or null if it does.
+ */
+function zkHasQuorum(status) {
+    var nserving, nleaders, nneeded;
+
+    assertplus.arrayOfObject(status, 'status');
+
+    nserving = 0;
+    nleaders = 0;
+    status.forEach(function(s) {
+        if (s.srvr !== null && zkServingModes.indexOf(s.srvr.mode) !== -1) {
+            nserving++;
+            if (s.srvr.mode !== 'follower') {
+                nleaders++;
+            }
+        }
+    });
+
+    nneeded = Math.floor(status.length / 2) + 1;
+    if (nserving < nneeded) {
+        return new VError(
+            'only %d of %d ZooKeeper servers are serving requests ' +
+                '(need %d for quorum)',
+            nserving,
+            status.length,
+            nneeded
+        );
+    }
+
+    if (nleaders !== 1) {
+        return new VError('expected 1 ZooKeeper leader, found %d', nleaders);
+    }
+
+    return null;
+}
+
+/*
+ * Returns a health check (see lib/health.js) for a member of a ZooKeeper
+ * ensemble.  The check passes when the target instance's server is serving
+ * requests and the whole ensemble has quorum.  Named arguments:
+ *
+ *     servers		array of servers in the ensemble (see
+ *     			zkEnsembleStatus())
+ *
+ *     log		bunyan logger
+ *
+ *     timeout		(optional) millisecond timeout for each server
+ */
+function createZkHealthCheck(args) {
+    var servers, timeout;
+
+    assertplus.object(args, 'args');
+    assertplus.arrayOfObject(args.servers, 'args.servers');
+    assertplus.object(args.log, 'args.log');
+    assertplus.optionalNumber(args.timeout, 'args.timeout');
+
+    servers = args.servers.slice(0);
+    timeout = args.timeout || 5000;
+
+    return {
+        name: 'zookeeper quorum',
+        check: function zkCheck(target, callback) {
+            zkEnsembleStatus({servers: servers, timeout: timeout}, function(
+                status
+            ) {
+                var member, err;
+
+                args.log.trace(
+                    {target: target, status: status},
+                    'zookeeper health check'
+                );
+                member = status.filter(function(s) {
+                    return s.host === target.ip;
+                });
+                if (member.length === 0) {
+                    callback(
+                        new VError(
+                            'instance "%s" is not in the ensemble',
+                            target.zonename
+                        )
+                    );
+                    return;
+                }
+
+                if (member[0].error !== null) {
+                    callback(member[0].error);
+                    return;
+                }
+
+                if (zkServingModes.indexOf(member[0].srvr.mode) === -1) {
+                    callback(
+                        new VError(
+                            'instance "%s" is in mode "%s"',
+                            target.zonename,
+                            member[0].srvr.mode
+                        )
+                    );
+                    return;
+                }
+
+                err = zkHasQuorum(status);
+                callback(err === null ? undefined : err);
+            });
+        }
+    };
+}
@@ -0,0 +1,413 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * tst.export.js: tests converting alarms into payloads for external incident
+ * management tools and sending them to a webhook
+ */
+
+var assertplus = require('assert-plus');
+var bunyan = require('bunyan');
+var http = require('http');
+var vasync = require('vasync');
+
+var alarms = require('../../lib/alarms');
+var CollectorStream = require('../CollectorStream');
+
+var log = new bunyan({
+    name: 'tst.export.js',
+    level: process.env['LOG_LEVEL'] || 'warn',
+    serializers: bunyan.stdSerializers
+});
+
+var records = [
+    {
+        alarm: 17,
+        datacenter: 'us-east-1',
+        state: 'open',
+        severity: 'major',
+        summary: 'service "moray": zones reporting errors',
+        event: 'upset.manta.moray.errors',
+        probeGroup: 'a5b2cd22-4bf5-4c7c-a1b9-59a1fd1d9c5e',
+        notifications: true,
+        maintenance: false,
+        timeOpened: '2026-10-19T01:00:00.000Z',
+        timeLastEvent: '2026-10-19T02:00:00.000Z',
+        timeClosed: null,
+        numEvents: 3,
+        services: ['moray'],
+        ka: {
+            title: 'Moray errors',
+            description: 'Moray is reporting errors.',
+            severity: 'major',
+            response: 'No automated response.',
+            impact: 'Some requests may fail.',
+            action: 'Check the moray logs.'
+        },
+        faults: [
+            {
+                time: '2026-10-19T02:00:00.000Z',
+                machine: 'instance001',
+                service: 'moray',
+                agentAlias: '1.moray.example.com-instance001',
+                maintenance: false,
+                message: 'log "moray" matched'
+            }
+        ]
+    },
+    {
+        alarm: 18,
+        datacenter: null,
+        state: 'closed',
+        severity: null,
+        summary: 'unknown probe group',
+        event: null,
+        probeGroup: null,
+        notifications: false,
+        maintenance: true,
+        timeOpened: '2026-10-18T01:00:00.000Z',
+        timeLastEvent: '2026-10-18T01:00:00.000Z',
+        timeClosed: '2026-10-18T03:00:00.000Z',
+        numEvents: 1,
+        services: [],
+        ka: null,
+        faults: []
+    }
+];
+
+function main() {
+    testPayloads();
+    testPrint();
+
+    vasync.forEachPipeline(
+        {
+            inputs: [testPostAlertmanager, testPostPagerduty, testPostErrors],
+            func: function(testfunc, callback) {
+                testfunc(callback);
+            }
+        },
+        function(err) {
+            assertplus.ok(!err);
+            console.error('%s okay', __filename);
+        }
+    );
+}
+
+function testPayloads() {
+    var payloads;
+
+    console.error('formats');
+    assertplus.deepEqual(alarms.alarmExportFormats(), [
+        'alertmanager',
+        'pagerduty-events',
+        'json-lines'
+    ]);
+
+    console.error('alertmanager payloads');
+    payloads = alarms.alarmExportPayloads({
+        format: 'alertmanager',
+        records: records
+    });
+    assertplus.deepEqual(payloads, [
+        {
+            labels: {
+                alertname: 'upset.manta.moray.errors',
+                alarm: '17',
+                severity: 'major',
+                services: 'moray',
+                datacenter: 'us-east-1'
+            },
+            annotations: {
+                summary: 'service "moray": zones reporting errors',
+                description: 'Moray is reporting errors.',
+                impact: 'Some requests may fail.',
+                action: 'Check the moray logs.'
+            },
+            startsAt: '2026-10-19T01:00:00.000Z'
+        },
+        {
+            labels: {
+                alertname: 'manta_alarm',
+                alarm: '18',
+                severity: 'unknown',
+                services: ''
+            },
+            annotations: {
+                summary: 'unknown probe group'
+            },
+            startsAt: '2026-10-18T01:00:00.000Z',
+            endsAt: '2026-10-18T03:00:00.000Z'
+        }
+    ]);
+
+    console.error('pagerduty-events payloads');
+    payloads = alarms.alarmExportPayloads({
+        format: 'pagerduty-events',
+        records: records,
+        routingKey: 'R0UTINGKEY'
+    });
+    assertplus.equal(payloads.length, 2);
+    assertplus.equal(payloads[0].routing_key, 'R0UTINGKEY');
+    assertplus.equal(payloads[0].event_action, 'trigger');
+    assertplus.equal(payloads[0].dedup_key, 'manta-us-east-1-alarm-17');
+    assertplus.deepEqual(payloads[0].payload, {
+        summary: 'service "moray": zones reporting errors',
+        source: 'us-east-1',
+        severity: 'error',
+        timestamp: '2026-10-19T01:00:00.000Z',
+        component: 'moray',
+        group: 'manta',
+        class: 'upset.manta.moray.errors',
+        custom_details: {
+            alarm: 17,
+            numEvents: 3,
+            timeLastEvent: '2026-10-19T02:00:00.000Z',
+            maintenance: false,
+            impact: 'Some requests may fail.',
+            action: 'Check the moray logs.',
+            faults: records[0].faults
+        }
+    });
+    assertplus.equal(payloads[1].event_action, 'resolve');
+    assertplus.equal(payloads[1].dedup_key, 'manta-manta-alarm-18');
+    assertplus.equal(payloads[1].payload.severity, 'warning');
+    assertplus.equal(payloads[1].payload.class, 'unknown');
+    assertplus.strictEqual(payloads[1].payload.custom_details.impact, null);
+
+    payloads = alarms.alarmExportPayloads({
+        format: 'pagerduty-events',
+        records: records
+    });
+    assertplus.ok(!payloads[0].hasOwnProperty('routing_key'));
+
+    console.error('json-lines payloads');
+    payloads = alarms.alarmExportPayloads({
+        format: 'json-lines',
+        records: records
+    });
+    assertplus.deepEqual(payloads, records);
+}
+
+function testPrint() {
+    var out;
+
+    console.error('print alertmanager');
+    out = new CollectorStream({});
+    alarms.alarmExportPrint({
+        stream: out,
+        format: 'alertmanager',
+        payloads: alarms.alarmExportPayloads({
+            format: 'alertmanager',
+            records: records
+        })
+    });
+    assertplus.equal(out.data.split('\n').length, 2);
+    assertplus.equal(JSON.parse(out.data).length, 2);
+
+    console.error('print json-lines');
+    out = new CollectorStream({});
+    alarms.alarmExportPrint({
+        stream: out,
+        format: 'json-lines',
+        payloads: records
+    });
+    assertplus.deepEqual(
+        out.data
+            .split('\n')
+            .slice(0, -1)
+            .map(function(line) {
+                return JSON.parse(line);
+            }),
+        records
+    );
+}
+
+/*
+ * Starts a local HTTP server that records each request and responds with the
+ * next status code from "statuses" (or 200 once those are used up).  Invokes
+ * callback(server, requests, url) once the server is listening.
+ */
+function startStub(statuses, callback) {
+    var requests, server;
+
+    requests = [];
+    server = http.createServer(function(req, res) {
+        var body = '';
+
+        req.setEncoding('utf8');
+        req.on('data', function(chunk) {
+            body += chunk;
+        });
+        req.on('end', function() {
+            requests.push({
+                method: req.method,
+                url: req.url,
+                contentType: req.headers['content-type'],
+                body: body
+            });
+            res.writeHead(statuses.length > 0 ? statuses.shift() : 200);
+            res.end();
+        });
+    });
+
+    server.listen(0, '127.0.0.1', function() {
+        callback(
+            server,
+            requests,
+            'http://127.0.0.1:' + server.address().port + '/api/v2/alerts'
+        );
+    });
+}
+
+function testPostAlertmanager(callback) {
+    console.error('post alertmanager');
+    startStub([], function(server, requests, url) {
+        var payloads = alarms.alarmExportPayloads({
+            format: 'alertmanager',
+            records: records
+        });
+
+        alarms.alarmExportPost(
+            {
+                url: url,
+                format: 'alertmanager',
+                payloads: payloads,
+                timeout: 5000,
+                log: log
+            },
+            function(err, nsent) {
+                server.close();
+                assertplus.ok(!err);
+                assertplus.equal(nsent, 1);
+                assertplus.equal(requests.length, 1);
+                assertplus.equal(requests[0].method, 'POST');
+                assertplus.equal(requests[0].url, '/api/v2/alerts');
+                assertplus.equal(requests[0].contentType, 'application/json');
+                assertplus.deepEqual(JSON.parse(requests[0].body), payloads);
+                callback();
+            }
+        );
+    });
+}
+
+function testPostPagerduty(callback) {
+    console.error('post pagerduty-events');
+    startStub([202, 202], function(server, requests, url) {
+        var payloads = alarms.alarmExportPayloads({
+            format: 'pagerduty-events',
+            records: records
+        });
+
+        alarms.alarmExportPost(
+            {
+                url: url,
+                format: 'pagerduty-events',
+                payloads: payloads,
+                timeout: 5000,
+                log: log
+            },
+            function(err, nsent) {
+                server.close();
+                assertplus.ok(!err);
+                assertplus.equal(nsent, 2);
+                assertplus.deepEqual(
+                    requests.map(function(r) {
+                        return JSON.parse(r.body);
+                    }),
+                    payloads
+                );
+                callback();
+            }
+        );
+    });
+}
+
+function testPostErrors(callback) {
+    vasync.pipeline(
+        {
+            funcs: [
+                function badStatus(_, stepcb) {
+                    console.error('post with error status');
+                    startStub([202, 500], function(server, requests, url) {
+                        alarms.alarmExportPost(
+                            {
+                                url: url,
+                                format: 'pagerduty-events',
+                                payloads: alarms.alarmExportPayloads({
+                                    format: 'pagerduty-events',
+                                    records: records.concat(records)
+                                }),
+                                timeout: 5000,
+                                log: log
+                            },
+                            function(err, nsent) {
+                                server.close();
+                                assertplus.ok(err instanceof Error);
+                                assertplus.equal(
+                                    err.message,
+                                    'POST "' + url + '": unexpected status 500'
+                                );
+                                assertplus.equal(nsent, 1);
+                                assertplus.equal(requests.length, 2);
+                                stepcb();
+                            }
+                        );
+                    });
+                },
+
+                function nothingToSend(_, stepcb) {
+                    console.error('post with no payloads');
+                    alarms.alarmExportPost(
+                        {
+                            url: 'http://127.0.0.1:1/',
+                            format: 'json-lines',
+                            payloads: [],
+                            timeout: 5000,
+                            log: log
+                        },
+                        function(err, nsent) {
+                            assertplus.ok(!err);
+                            assertplus.equal(nsent, 0);
+                            stepcb();
+                        }
+                    );
+                },
+
+                function badUrl(_, stepcb) {
+                    console.error('post to unsupported URL');
+                    alarms.alarmExportPost(
+                        {
+                            url: 'ftp://127.0.0.1/',
+                            format: 'json-lines',
+                            payloads: records,
+                            timeout: 5000,
+                            log: log
+                        },
+                        function(err, nsent) {
+                            assertplus.ok(err instanceof Error);
+                            assertplus.equal(
+                                err.message,
+                                'unsupported webhook URL: "ftp://127.0.0.1/"'
+                            );
+                            assertplus.equal(nsent, 0);
+                            stepcb();
+                        }
+                    );
+                }
+            ]
+        },
+        function(err) {
+            assertplus.ok(!err);
+            callback();
+        }
+    );
+}
+
+main();
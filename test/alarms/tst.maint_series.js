@@ -0,0 +1,273 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * tst.maint_series.js: tests for recurring maintenance window schedules
+ */
+
+var assertplus = require('assert-plus');
+
+var common = require('../../lib/common');
+var maint_series = require('../../lib/alarms/maint_series');
+
+var hour = 60 * 60 * 1000;
+
+/*
+ * Schedules that should fail to parse, with a regular expression matching the
+ * expected error.
+ */
+var badSchedules = [
+    ['', /expected 5 fields, but found 1/],
+    ['0 22 * tue', /expected 5 fields, but found 4/],
+    ['0 22 * * * *', /expected 5 fields, but found 6/],
+    ['60 22 * * tue', /minute: unsupported value: "60"/],
+    ['0 24 * * tue', /hour: unsupported value: "24"/],
+    ['0 22 0 * *', /day of month: unsupported value: "0"/],
+    ['0 22 * 13 *', /month: unsupported value: "13"/],
+    ['0 22 * * 8', /day of week: unsupported value: "8"/],
+    ['0 22 * * tues', /day of week: unsupported value: "tues"/],
+    ['0 22 * * fri-mon', /day of week: unsupported value: "fri-mon"/],
+    ['0 */0 * * *', /hour: unsupported value: "\*\/0"/],
+    ['0 22,, * * *', /hour: unsupported value: ""/]
+];
+
+/*
+ * Expansions of schedules, each with the arguments to maintSeriesExpand()
+ * (other than "max") and either the start times of the expected windows or a
+ * regular expression matching the expected error.
+ */
+var expansions = [
+    {
+        name: 'every Tuesday night, by count',
+        schedule: '0 22 * * tue',
+        start: '2026-10-19T12:00:00Z',
+        count: 3,
+        result: [
+            '2026-10-20T22:00:00.000Z',
+            '2026-10-27T22:00:00.000Z',
+            '2026-11-03T22:00:00.000Z'
+        ]
+    },
+    {
+        name: 'every Tuesday night, by end date',
+        schedule: '0  22  *  *  2',
+        start: '2026-10-20T22:00:00Z',
+        until: '2026-11-03T22:00:00Z',
+        result: [
+            '2026-10-20T22:00:00.000Z',
+            '2026-10-27T22:00:00.000Z',
+            '2026-11-03T22:00:00.000Z'
+        ]
+    },
+    {
+        name: 'Sunday as 7, with a step',
+        schedule: '30 0-12/6 * * 7',
+        start: '2026-10-19T00:00:00Z',
+        count: 4,
+        duration: hour,
+        result: [
+            '2026-10-25T00:30:00.000Z',
+            '2026-10-25T06:30:00.000Z',
+            '2026-10-25T12:30:00.000Z',
+            '2026-11-01T00:30:00.000Z'
+        ]
+    },
+    {
+        name: 'day of month or day of week',
+        schedule: '0 3 1,15 * mon',
+        start: '2026-10-19T12:00:00Z',
+        count: 4,
+        result: [
+            '2026-10-26T03:00:00.000Z',
+            '2026-11-01T03:00:00.000Z',
+            '2026-11-02T03:00:00.000Z',
+            '2026-11-09T03:00:00.000Z'
+        ]
+    },
+    {
+        name: 'month names and lists',
+        schedule: '0 3 1 jan,JUL *',
+        start: '2026-10-19T12:00:00Z',
+        count: 3,
+        result: [
+            '2027-01-01T03:00:00.000Z',
+            '2027-07-01T03:00:00.000Z',
+            '2028-01-01T03:00:00.000Z'
+        ]
+    },
+    {
+        name: 'leap days',
+        schedule: '0 0 29 feb *',
+        start: '2026-10-19T12:00:00Z',
+        count: 1,
+        result: ['2028-02-29T00:00:00.000Z']
+    },
+    {
+        name: 'no windows',
+        schedule: '0 0 30 feb *',
+        start: '2026-10-19T12:00:00Z',
+        until: '2036-01-01T00:00:00Z',
+        result: /produces no windows after 2026-10-19T12:00:00.000Z/
+    },
+    {
+        name: 'not enough windows',
+        schedule: '0 0 29 feb *',
+        start: '2026-10-19T12:00:00Z',
+        count: 3,
+        result: /produces only 1 of 3 windows in the next 1830 days/
+    },
+    {
+        name: 'too many windows',
+        schedule: '*/10 * * * *',
+        start: '2026-10-19T12:00:00Z',
+        until: '2026-10-20T12:00:00Z',
+        duration: 60 * 1000,
+        result: /produces more than 10 windows/
+    },
+    {
+        name: 'overlapping windows',
+        schedule: '0 22 * * mon,tue',
+        start: '2026-10-19T12:00:00Z',
+        count: 2,
+        duration: 25 * hour,
+        result: new RegExp(
+            'windows starting at 2026-10-19T22:00:00.000Z and ' +
+                '2026-10-20T22:00:00.000Z would overlap'
+        )
+    }
+];
+
+function main() {
+    testParseDuration();
+    testBadSchedules();
+    testExpansions();
+    testNotes();
+    console.error('%s okay', __filename);
+}
+
+function testParseDuration() {
+    assertplus.equal(common.parseDuration('4h'), 4 * hour);
+    assertplus.equal(common.parseDuration('90m'), 90 * 60 * 1000);
+    assertplus.equal(common.parseDuration('1h30m'), 90 * 60 * 1000);
+    assertplus.equal(common.parseDuration('30d'), 30 * 24 * hour);
+    assertplus.equal(common.parseDuration('45s'), 45 * 1000);
+
+    ['', '4', 'h', '4x', '-4h', '4h ', '0h', '0m0s'].forEach(function(str) {
+        var err = common.parseDuration(str);
+        assertplus.ok(err instanceof Error, str);
+        assertplus.equal(err.message, 'invalid duration: "' + str + '"');
+    });
+}
+
+function testBadSchedules() {
+    badSchedules.forEach(function(tc) {
+        var result = maint_series.maintSeriesParseSchedule(tc[0]);
+        console.error('bad schedule "%s"', tc[0]);
+        assertplus.ok(result instanceof Error);
+        assertplus.ok(
+            tc[1].test(result.message),
+            'unexpected error: ' + result.message
+        );
+        assertplus.ok(
+            result.message.indexOf('schedule "' + tc[0] + '"') === 0,
+            'unexpected error: ' + result.message
+        );
+    });
+}
+
+function testExpansions() {
+    expansions.forEach(function(tc) {
+        var schedule, result;
+
+        console.error('expansion: %s', tc.name);
+        schedule = maint_series.maintSeriesParseSchedule(tc.schedule);
+        assertplus.ok(!(schedule instanceof Error));
+        result = maint_series.maintSeriesExpand({
+            schedule: schedule,
+            start: new Date(tc.start),
+            duration: tc.duration || 4 * hour,
+            count: tc.count,
+            until: tc.until ? new Date(tc.until) : undefined,
+            max: 10
+        });
+
+        if (tc.result instanceof RegExp) {
+            assertplus.ok(result instanceof Error);
+            assertplus.ok(
+                tc.result.test(result.message),
+                'unexpected error: ' + result.message
+            );
+            return;
+        }
+
+        assertplus.ok(!(result instanceof Error), result.message);
+        assertplus.deepEqual(
+            result.map(function(w) {
+                return w.start.toISOString();
+            }),
+            tc.result
+        );
+        result.forEach(function(w) {
+            assertplus.equal(
+                w.end.getTime() - w.start.getTime(),
+                tc.duration || 4 * hour
+            );
+        });
+    });
+
+    assertplus.equal(
+        maint_series.maintSeriesParseSchedule('  0  22 * *   tue ').schedule,
+        '0 22 * * tue'
+    );
+}
+
+function testNotes() {
+    var id, notes, parsed;
+
+    console.error('series notes');
+    id = maint_series.maintSeriesCreateId();
+    assertplus.ok(/^[0-9a-f]{8}$/.test(id));
+    assertplus.notEqual(id, maint_series.maintSeriesCreateId());
+
+    notes = maint_series.maintSeriesNotes(id, '0 22 * * tue', 'OPS-123');
+    assertplus.equal(notes, 'OPS-123 [series ' + id + ': 0 22 * * tue]');
+    assertplus.deepEqual(maint_series.maintSeriesParseNotes(notes), {
+        id: id,
+        schedule: '0 22 * * tue',
+        notes: 'OPS-123'
+    });
+
+    notes = maint_series.maintSeriesNotes(id, '0 22 * * tue', null);
+    assertplus.equal(notes, '[series ' + id + ': 0 22 * * tue]');
+    assertplus.deepEqual(maint_series.maintSeriesParseNotes(notes), {
+        id: id,
+        schedule: '0 22 * * tue',
+        notes: null
+    });
+
+    parsed = maint_series.maintSeriesParseNotes(
+        'patching [series 0a1b2c3d: 0 3 1,15 * mon]'
+    );
+    assertplus.equal(parsed.id, '0a1b2c3d');
+    assertplus.equal(parsed.notes, 'patching');
+
+    assertplus.strictEqual(maint_series.maintSeriesParseNotes(null), null);
+    assertplus.strictEqual(maint_series.maintSeriesParseNotes('OPS-123'), null);
+    assertplus.strictEqual(
+        maint_series.maintSeriesParseNotes('[series xyz: 0 22 * * tue]'),
+        null
+    );
+    assertplus.strictEqual(
+        maint_series.maintSeriesParseNotes('[series 0a1b2c3d: 0 22] later'),
+        null
+    );
+}
+
+main();
@@ -172,6 +172,16 @@ var testsInvalid = [
         ]),
         error: /only one of --probe, --probegroup, or --machine/
     },
+    {
+        name: 'create: bad combination of scopes (service, machine)',
+        argv: exampleArgs.concat([
+            '--service',
+            'storage',
+            '--machine',
+            'machine1'
+        ]),
+        error: /--service, --shard, and --rack cannot be used with --probe/
+    },
     {
         name: 'create: --probe: bad value',
         argv: exampleArgs.concat(['--probe', 'foo,bar']),
@@ -192,11 +202,81 @@ var testsInvalid = [
         argv: exampleArgs.concat(['boom']),
         error: /^manta-adm alarm: error: unexpected arguments$/
     },
+    {
+        name: 'create: --schedule: with --end',
+        argv: exampleArgs.concat(['--schedule', '0 22 * * tue']),
+        error: /--end cannot be used with --schedule \(use --duration\)$/
+    },
+    {
+        name: 'create: --schedule: missing --duration',
+        argv: ['create', '--schedule', '0 22 * * tue', '--count', '4'],
+        error: /argument is required: --duration$/
+    },
+    {
+        name: 'create: --schedule: missing --count and --until',
+        argv: ['create', '--schedule', '0 22 * * tue', '--duration', '4h'],
+        error: /exactly one of --count or --until is required$/
+    },
+    {
+        name: 'create: --duration without --schedule',
+        argv: exampleArgs.concat(['--duration', '4h']),
+        error: /--duration, --count, and --until require --schedule$/
+    },
+    {
+        name: 'create: --schedule: bad schedule',
+        argv: [
+            'create',
+            '--schedule',
+            '0 22 * * tues',
+            '--duration',
+            '4h',
+            '--count',
+            '4',
+            '--notes',
+            exampleNote
+        ],
+        error: /schedule "0 22 \* \* tues": day of week: unsupported value: "tues"$/
+    },
+    {
+        name: 'create: --schedule: bad duration',
+        argv: [
+            'create',
+            '--schedule',
+            '0 22 * * tue',
+            '--duration',
+            '4 hours',
+            '--count',
+            '4',
+            '--notes',
+            exampleNote
+        ],
+        error: /--duration: invalid duration: "4 hours"$/
+    },
+    {
+        name: 'create: --schedule: overlapping windows',
+        argv: [
+            'create',
+            '--schedule',
+            '0 * * * *',
+            '--duration',
+            '2h',
+            '--count',
+            '4',
+            '--notes',
+            exampleNote
+        ],
+        error: /would overlap$/
+    },
     {
         name: 'delete: missing arguments',
         argv: ['delete'],
         error: /^manta-adm alarm: error: expected WINID$/
     },
+    {
+        name: 'delete: --series: missing arguments',
+        argv: ['delete', '--series'],
+        error: /expected SERIESID$/
+    },
     {
         name: 'delete: invalid concurrency',
         argv: ['delete', '--concurrency=bump'],
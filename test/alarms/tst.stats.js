@@ -0,0 +1,186 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * tst.stats.js: tests summarizing the history of alarms.  The report itself is
+ * printed to stdout and compared against the expected output.
+ */
+
+var assertplus = require('assert-plus');
+
+var alarms = require('../../lib/alarms');
+
+var hour = 60 * 60 * 1000;
+var until = new Date('2026-10-19T00:00:00Z');
+var since = new Date(until.getTime() - 30 * 24 * hour);
+
+/*
+ * Returns a record for an alarm opened "opened" hours before "until" and, if
+ * "closed" is specified, closed that many hours after it was opened.
+ */
+function makeRecord(id, event, opened, closed, faults) {
+    var topened = until.getTime() - opened * hour;
+
+    return {
+        alarm: id,
+        datacenter: 'test',
+        state: closed === null ? 'open' : 'closed',
+        severity: null,
+        summary: event === null ? 'probe group ' + id : event,
+        event: event,
+        probeGroup: null,
+        notifications: true,
+        maintenance: false,
+        timeOpened: new Date(topened).toISOString(),
+        timeLastEvent: new Date(topened).toISOString(),
+        timeClosed:
+            closed === null
+                ? null
+                : new Date(topened + closed * hour).toISOString(),
+        numEvents: faults.length + 1,
+        services: [],
+        ka: null,
+        faults: faults.map(function(f) {
+            return {
+                time: new Date(topened).toISOString(),
+                machine: f[0],
+                service: f[1],
+                cn: f[2],
+                probe: 'probe-' + f[0],
+                agentAlias: f[1] === null ? null : f[1] + '-' + f[0],
+                maintenance: false,
+                message: 'fault'
+            };
+        })
+    };
+}
+
+var flapper = 'upset.manta.moray.errors';
+var records = [
+    makeRecord(1, flapper, 10, 1, [['zone1', 'moray', 'CN001']]),
+    makeRecord(2, flapper, 20, 2, []),
+    makeRecord(3, flapper, 30, null, [
+        ['zone1', 'moray', 'CN001'],
+        ['zone1', 'moray', 'CN001'],
+        ['zone2', 'moray', 'CN002']
+    ]),
+    makeRecord(4, 'upset.manta.webapi.errors', 40, 6, [
+        ['zone3', 'webapi', 'CN002']
+    ]),
+    makeRecord(5, null, 50, null, [['cn3', null, null]]),
+    /* opened before the reporting period */
+    makeRecord(6, flapper, 31 * 24, 1, [['zone1', 'moray', 'CN001']])
+];
+
+function main() {
+    var stats;
+
+    stats = alarms.alarmStatsCompute({
+        records: records,
+        since: since,
+        until: until
+    });
+
+    console.error('totals');
+    assertplus.equal(stats.since, '2026-09-19T00:00:00.000Z');
+    assertplus.equal(stats.until, '2026-10-19T00:00:00.000Z');
+    assertplus.equal(stats.flapThreshold, 3);
+    assertplus.equal(stats.nalarms, 5);
+    assertplus.equal(stats.nopen, 2);
+    assertplus.equal(stats.nclosed, 3);
+    assertplus.equal(stats.nevents, 11);
+    assertplus.equal(stats.mttc, 3 * hour);
+
+    console.error('events');
+    assertplus.deepEqual(stats.events, [
+        {
+            name: flapper,
+            nalarms: 3,
+            nopen: 1,
+            nclosed: 2,
+            nevents: 7,
+            mttc: 1.5 * hour
+        },
+        {
+            name: 'probe group 5',
+            nalarms: 1,
+            nopen: 1,
+            nclosed: 0,
+            nevents: 2,
+            mttc: null
+        },
+        {
+            name: 'upset.manta.webapi.errors',
+            nalarms: 1,
+            nopen: 0,
+            nclosed: 1,
+            nevents: 2,
+            mttc: 6 * hour
+        }
+    ]);
+    assertplus.deepEqual(stats.flapping, [stats.events[0]]);
+
+    console.error('services and compute nodes');
+    assertplus.deepEqual(stats.services, [
+        {name: 'moray', nalarms: 2, nfaults: 4},
+        {name: 'webapi', nalarms: 1, nfaults: 1},
+        {name: 'unknown', nalarms: 1, nfaults: 1}
+    ]);
+    assertplus.deepEqual(stats.cns, [
+        {name: 'CN001', nalarms: 2, nfaults: 3},
+        {name: 'CN002', nalarms: 2, nfaults: 2},
+        {name: 'unknown', nalarms: 1, nfaults: 1}
+    ]);
+
+    console.error('components');
+    assertplus.deepEqual(
+        stats.components.map(function(m) {
+            return [m.machine, m.nfaults, m.nalarms];
+        }),
+        [
+            ['zone1', 3, 2],
+            ['cn3', 1, 1],
+            ['zone2', 1, 1],
+            ['zone3', 1, 1]
+        ]
+    );
+
+    console.error('flap threshold');
+    assertplus.equal(
+        alarms.alarmStatsCompute({
+            records: records,
+            since: since,
+            until: until,
+            flapThreshold: 1
+        }).flapping.length,
+        3
+    );
+
+    alarms.alarmStatsPrint({
+        stream: process.stdout,
+        stats: stats,
+        top: 3
+    });
+
+    console.log('');
+    alarms.alarmStatsPrint({
+        stream: process.stdout,
+        stats: alarms.alarmStatsCompute({
+            records: [],
+            since: since,
+            until: until
+        }),
+        top: 10
+    });
+
+    console.error('%s okay', __filename);
+}
+
+main();
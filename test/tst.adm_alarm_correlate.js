@@ -0,0 +1,288 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * tst.adm_alarm_correlate.js: tests correlating alarms whose faults are on the
+ * same compute node or shard, as for "manta-adm alarm list --correlate".
+ */
+
+var assertplus = require('assert-plus');
+var bunyan = require('bunyan');
+var vasync = require('vasync');
+
+var alarms = require('../lib/alarms');
+var common = require('./common');
+var madm = require('../lib/adm');
+var mock_amon = require('./alarms/mock_amon');
+
+var separator = '--------------------------------------------------';
+
+/*
+ * This deployment produces instances:
+ *
+ *     instance001, instance002		webapi on cn001
+ *     instance003			moray shard 1 on cn001
+ *     instance004			storage on cn001
+ *     instance005			moray shard 2 on cn002
+ *     instance006			postgres shard 2 on cn002
+ *     instance007			webapi on cn003
+ *     instance008			moray shard 2 on cn003
+ *     instance009			moray shard 1 on cn004
+ *     instance010			buckets-postgres shard 1 on cn005
+ *     instance011			buckets-postgres shard 1 on cn006
+ *
+ * Directory and buckets shards are numbered independently, so directory shard
+ * 1 (instance003 and instance009) is a different shard than buckets shard 1
+ * (instance010 and instance011).
+ */
+var fakeDeployed = {
+    cn001: {
+        webapi: {img003: 2},
+        moray: {
+            '1': {img002: 1}
+        },
+        storage: {img001: 1}
+    },
+    cn002: {
+        moray: {
+            '2': {img002: 1}
+        },
+        postgres: {
+            '2': {img001: 1}
+        }
+    },
+    cn003: {
+        webapi: {img003: 1},
+        moray: {
+            '2': {img002: 1}
+        }
+    },
+    cn004: {
+        moray: {
+            '1': {img002: 1}
+        }
+    },
+    cn005: {
+        'buckets-postgres': {img001: 1}
+    },
+    cn006: {
+        'buckets-postgres': {img001: 1}
+    }
+};
+
+var timestamp = Date.parse('2026-10-19T00:00:00Z');
+
+/*
+ * Returns an Amon alarm with the given id and one fault for each machine in
+ * "machines".
+ */
+function makeAlarm(id, machines) {
+    return {
+        id: id,
+        user: mock_amon.account,
+        closed: false,
+        suppressed: id === 3,
+        timeOpened: timestamp + id * 60000,
+        timeClosed: null,
+        timeLastEvent: timestamp + id * 120000,
+        numEvents: machines.length + 1,
+        maintFaults: [],
+        faults: machines.map(function(m, i) {
+            return {
+                type: 'probe',
+                probe: 'probe-' + id + '-' + i,
+                event: {
+                    v: 1,
+                    type: 'probe',
+                    clear: false,
+                    machine: m,
+                    uuid: 'event-' + id + '-' + i,
+                    agent: m,
+                    agentAlias: m,
+                    time: timestamp + id * 60000,
+                    data: {
+                        message: 'alarm ' + id + ' failure'
+                    }
+                }
+            };
+        })
+    };
+}
+
+var fakeAlarms = [
+    /* These are all on cn001, including one on the CN itself. */
+    makeAlarm(1, ['instance001', 'instance002']),
+    makeAlarm(2, ['instance004']),
+    makeAlarm(4, ['instance003']),
+    makeAlarm(6, ['cn001']),
+
+    /* These are all in shard 2, but on different CNs. */
+    makeAlarm(3, ['instance005', 'instance006']),
+    makeAlarm(5, ['instance008']),
+
+    /*
+     * These are in buckets shard 1, which must not be confused with
+     * directory shard 1.
+     */
+    makeAlarm(11, ['instance010']),
+    makeAlarm(12, ['instance011']),
+
+    /* These are not correlated with anything. */
+    makeAlarm(7, ['instance001', 'instance007']),
+    makeAlarm(8, ['unknown-machine']),
+    makeAlarm(9, ['instance002', 'instance007']),
+
+    /*
+     * This is in directory shard 1, but the only other alarm there (4) is
+     * already grouped with cn001.
+     */
+    makeAlarm(10, ['instance009'])
+];
+
+function main() {
+    var log, adm, mockAmon;
+
+    log = new bunyan({
+        name: 'tst.adm_alarm_correlate.js',
+        level: process.env['LOG_LEVEL'] || 'fatal',
+        stream: process.stderr
+    });
+
+    adm = new madm.MantaAdm(log);
+    adm.loadFakeDeployed(common.generateFakeBase(fakeDeployed, 1));
+
+    vasync.pipeline(
+        {
+            funcs: [
+                function init(_, callback) {
+                    mock_amon.createMockAmon(log, function(mock) {
+                        mockAmon = mock;
+                        mockAmon.config = {
+                            groups: [],
+                            alarms: {open: fakeAlarms}
+                        };
+                        callback();
+                    });
+                },
+
+                function loadGroups(_, callback) {
+                    alarms.amonLoadProbeGroups(
+                        {
+                            account: mock_amon.account,
+                            amon: mockAmon.client
+                        },
+                        function(err, amoncfg) {
+                            assertplus.ok(!err);
+                            adm.ma_amon_deployed = amoncfg;
+                            callback();
+                        }
+                    );
+                },
+
+                function loadAlarms(_, callback) {
+                    alarms.amonLoadAlarmsForState(
+                        {
+                            account: mock_amon.account,
+                            amon: mockAmon.client,
+                            state: 'open'
+                        },
+                        function(err, alarmset) {
+                            assertplus.ok(!err);
+                            adm.ma_alarms = alarmset;
+                            callback();
+                        }
+                    );
+                },
+
+                function correlate(_, callback) {
+                    var alarmList, groups;
+
+                    alarmList = [];
+                    adm.ma_alarms.eachAlarm(function(_id, alarm) {
+                        alarmList.push(alarm);
+                    });
+
+                    groups = adm.alarmsCorrelate(alarmList);
+                    assertplus.deepEqual(
+                        groups.map(function(g) {
+                            return [g.kind, g.api, g.name, g.alarms];
+                        }),
+                        [
+                            ['cn', null, 'cn001', [1, 2, 4, 6]],
+                            ['shard', 'buckets', '1', [11, 12]],
+                            ['shard', 'directory', '2', [3, 5]]
+                        ]
+                    );
+                    assertplus.equal(groups[1].description, 'buckets shard 1');
+                    assertplus.equal(
+                        groups[2].description,
+                        'directory shard 2'
+                    );
+                    assertplus.deepEqual(
+                        groups[0].machines.map(function(m) {
+                            return m.machine;
+                        }),
+                        [
+                            'cn001',
+                            'instance001',
+                            'instance002',
+                            'instance003',
+                            'instance004'
+                        ]
+                    );
+                    assertplus.deepEqual(adm.alarmsCorrelate([]), []);
+                    callback();
+                },
+
+                function list(_, callback) {
+                    console.log(separator);
+                    console.log('list');
+                    adm.alarmsList({
+                        stream: process.stdout,
+                        omitHeader: false
+                    });
+
+                    console.log(separator);
+                    console.log('list --correlate');
+                    adm.alarmsList({
+                        stream: process.stdout,
+                        omitHeader: false,
+                        correlate: true
+                    });
+
+                    console.log(separator);
+                    console.log(
+                        'list --correlate -o alarm,timeopened,nflts,notify,summary'
+                    );
+                    adm.alarmsList({
+                        stream: process.stdout,
+                        omitHeader: false,
+                        correlate: true,
+                        columns: [
+                            'alarm',
+                            'timeopened',
+                            'nflts',
+                            'notify',
+                            'summary'
+                        ]
+                    });
+                    callback();
+                }
+            ]
+        },
+        function(err) {
+            assertplus.ok(!err);
+            mockAmon.server.close();
+            console.error('%s okay', __filename);
+        }
+    );
+}
+
+main();
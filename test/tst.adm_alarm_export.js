@@ -0,0 +1,180 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * tst.adm_alarm_export.js: tests the payloads that "manta-adm alarm export"
+ * builds from alarms loaded from Amon, particularly that they identify the
+ * datacenter whose Amon reported each alarm.
+ */
+
+var assertplus = require('assert-plus');
+var bunyan = require('bunyan');
+var vasync = require('vasync');
+
+var alarms = require('../lib/alarms');
+var common = require('./common');
+var madm = require('../lib/adm');
+var mock_amon = require('./alarms/mock_amon');
+
+var fakeDeployed = {
+    cn001: {
+        webapi: {img003: 1}
+    }
+};
+
+var timestamp = Date.parse('2026-10-19T00:00:00Z');
+
+var fakeAlarm = {
+    id: 1,
+    user: mock_amon.account,
+    closed: false,
+    suppressed: false,
+    timeOpened: timestamp,
+    timeClosed: null,
+    timeLastEvent: timestamp,
+    numEvents: 1,
+    maintFaults: [],
+    faults: [
+        {
+            type: 'probe',
+            probe: 'probe-1',
+            event: {
+                v: 1,
+                type: 'probe',
+                clear: false,
+                machine: 'instance001',
+                uuid: 'event-1',
+                agent: 'instance001',
+                agentAlias: 'webapi-instance001',
+                time: timestamp,
+                data: {
+                    message: 'alarm 1 failure'
+                }
+            }
+        }
+    ]
+};
+
+function main() {
+    var log, adm, mockAmon;
+
+    log = new bunyan({
+        name: 'tst.adm_alarm_export.js',
+        level: process.env['LOG_LEVEL'] || 'fatal',
+        stream: process.stderr
+    });
+
+    adm = new madm.MantaAdm(log);
+    adm.loadFakeDeployed(common.generateFakeBase(fakeDeployed, 1));
+
+    /*
+     * This would normally come from the SDC configuration when the SDC
+     * clients are initialized.
+     */
+    adm.ma_datacenter_name = 'us-test-1';
+
+    vasync.pipeline(
+        {
+            funcs: [
+                function init(_, callback) {
+                    mock_amon.createMockAmon(log, function(mock) {
+                        mockAmon = mock;
+                        mockAmon.config = {
+                            groups: [],
+                            alarms: {open: [fakeAlarm]}
+                        };
+                        callback();
+                    });
+                },
+
+                function loadGroups(_, callback) {
+                    alarms.amonLoadProbeGroups(
+                        {
+                            account: mock_amon.account,
+                            amon: mockAmon.client
+                        },
+                        function(err, amoncfg) {
+                            assertplus.ok(!err);
+                            adm.ma_amon_deployed = amoncfg;
+                            callback();
+                        }
+                    );
+                },
+
+                function loadAlarms(_, callback) {
+                    alarms.amonLoadAlarmsForState(
+                        {
+                            account: mock_amon.account,
+                            amon: mockAmon.client,
+                            state: 'open'
+                        },
+                        function(err, alarmset) {
+                            assertplus.ok(!err);
+                            adm.ma_alarms = alarmset;
+                            callback();
+                        }
+                    );
+                },
+
+                function exportAlarms(_, callback) {
+                    var payloads;
+
+                    console.error('json-lines');
+                    payloads = adm.alarmsExport({format: 'json-lines'});
+                    assertplus.equal(payloads.length, 1);
+                    assertplus.equal(payloads[0].alarm, 1);
+                    assertplus.equal(payloads[0].datacenter, 'us-test-1');
+                    assertplus.equal(payloads[0].state, 'open');
+                    assertplus.deepEqual(payloads[0].services, ['webapi']);
+                    assertplus.deepEqual(payloads[0].faults, [
+                        {
+                            time: '2026-10-19T00:00:00.000Z',
+                            machine: 'instance001',
+                            service: 'webapi',
+                            cn: 'CN001',
+                            probe: 'probe-1',
+                            agentAlias: 'webapi-instance001',
+                            maintenance: false,
+                            message: 'alarm 1 failure'
+                        }
+                    ]);
+
+                    console.error('alertmanager');
+                    payloads = adm.alarmsExport({format: 'alertmanager'});
+                    assertplus.equal(
+                        payloads[0].labels.datacenter,
+                        'us-test-1'
+                    );
+                    assertplus.equal(payloads[0].labels.alarm, '1');
+
+                    console.error('pagerduty-events');
+                    payloads = adm.alarmsExport({
+                        format: 'pagerduty-events',
+                        routingKey: 'R0UTINGKEY'
+                    });
+                    assertplus.equal(
+                        payloads[0].dedup_key,
+                        'manta-us-test-1-alarm-1'
+                    );
+                    assertplus.equal(payloads[0].payload.source, 'us-test-1');
+                    assertplus.equal(payloads[0].routing_key, 'R0UTINGKEY');
+                    callback();
+                }
+            ]
+        },
+        function(err) {
+            assertplus.ok(!err);
+            mockAmon.server.close();
+            console.error('%s okay', __filename);
+        }
+    );
+}
+
+main();
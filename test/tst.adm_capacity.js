@@ -0,0 +1,167 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * tst.adm_capacity.js: tests manta-adm capacity functionality
+ */
+
+var assertplus = require('assert-plus');
+var bunyan = require('bunyan');
+var jsprim = require('jsprim');
+var vasync = require('vasync');
+
+var common = require('./common');
+var madm = require('../lib/adm');
+
+var nrun = 0;
+var separator = '--------------------------------------------------';
+
+var fakeDeployed = {
+    cn001: {
+        storage: {img001: 1},
+        nameservice: {img002: 1}
+    },
+    cn002: {
+        storage: {img001: 1}
+    },
+    cn003: {
+        moray: {
+            '1': {img002: 2}
+        },
+        webapi: {img003: 2}
+    },
+    cn004: {
+        webapi: {img003: 1}
+    }
+};
+
+/*
+ * Properties reported by CNAPI for each CN.  cn004 reports none of them.
+ */
+var GiB = 1024 * 1024 * 1024;
+var fakeCnProps = {
+    cn001: {
+        rack_identifier: 'R01',
+        ram: 262144,
+        unreserved_ram: 196608,
+        disk_pool_size_bytes: 1000 * GiB,
+        disk_pool_alloc_bytes: 800 * GiB
+    },
+    cn002: {
+        rack_identifier: 'R02',
+        ram: 262144,
+        unreserved_ram: 245760,
+        disk_pool_size_bytes: 1000 * GiB,
+        disk_pool_alloc_bytes: 900 * GiB
+    },
+    cn003: {
+        rack_identifier: 'R01',
+        ram: 131072,
+        unreserved_ram: 10240,
+        disk_pool_size_bytes: 500 * GiB,
+        disk_pool_alloc_bytes: 100 * GiB
+    }
+};
+
+/*
+ * Resources allocated to each service's zones by VMAPI, and the SAPI
+ * parameters of some services.
+ */
+var fakeVmProps = {
+    storage: {ram: 65536, quota: 0},
+    nameservice: {ram: 1024, quota: 25},
+    moray: {ram: 2048, quota: 25},
+    webapi: {ram: 4096, quota: 100}
+};
+var fakeSvcParams = {
+    webapi: {ram: 8192, quota: 100}
+};
+
+var log = new bunyan({
+    name: 'tst.adm_capacity.js',
+    level: process.env['LOG_LEVEL'] || 'warn',
+    serializers: bunyan.stdSerializers
+});
+
+var adm = new madm.MantaAdm(log);
+var base = common.generateFakeBase(fakeDeployed, 1);
+
+jsprim.forEachKey(fakeCnProps, function(cnid, props) {
+    jsprim.forEachKey(props, function(key, value) {
+        base['cns'][cnid][key] = value;
+    });
+});
+
+jsprim.forEachKey(base['services'], function(svcid, svc) {
+    if (fakeSvcParams.hasOwnProperty(svc['name'])) {
+        svc['params'] = fakeSvcParams[svc['name']];
+    }
+
+    base['instances'][svcid].forEach(function(instance) {
+        var vm = base['vms'][instance['uuid']];
+        vm['ram'] = fakeVmProps[svc['name']].ram;
+        vm['quota'] = fakeVmProps[svc['name']].quota;
+    });
+});
+
+adm.loadFakeDeployed(base);
+
+var testCases = [
+    {
+        name: 'manta-adm capacity',
+        config: {}
+    },
+    {
+        name: 'manta-adm capacity --service webapi',
+        config: {svcname: 'webapi'}
+    },
+    {
+        name: 'manta-adm capacity --service moray',
+        config: {svcname: 'moray'}
+    },
+    {
+        name: 'manta-adm capacity --service storage -j',
+        config: {svcname: 'storage', json: true}
+    }
+];
+
+function runTestCase(t, callback) {
+    assertplus.string(t.name);
+    assertplus.object(t.config);
+
+    console.log(separator);
+    console.log('test case "%s"', t.name);
+
+    assertplus.strictEqual(adm.dumpCapacity(process.stdout, t.config), null);
+
+    console.log(separator);
+    nrun++;
+    callback();
+}
+
+function main() {
+    var err = adm.dumpCapacity(process.stdout, {svcname: 'bogus'});
+    assertplus.ok(err instanceof Error);
+    assertplus.equal(err.message, 'unknown service: "bogus"');
+
+    vasync.forEachPipeline(
+        {
+            func: runTestCase,
+            inputs: testCases
+        },
+        function(err2) {
+            assertplus.ok(!err2);
+            assertplus.equal(nrun, testCases.length);
+            console.error('%d test cases run', nrun);
+        }
+    );
+}
+
+main();
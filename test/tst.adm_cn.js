@@ -0,0 +1,199 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * tst.adm_cn.js: tests manta-adm cn functionality
+ */
+
+var assertplus = require('assert-plus');
+var bunyan = require('bunyan');
+var jsprim = require('jsprim');
+var vasync = require('vasync');
+
+var common = require('./common');
+var madm = require('../lib/adm');
+
+var nrun = 0;
+var separator = '--------------------------------------------------';
+
+var fakeDeployed = {
+    cn001: {
+        storage: {img001: 1},
+        nameservice: {img002: 1}
+    },
+    cn002: {
+        storage: {img001: 1}
+    },
+    cn003: {
+        moray: {
+            '1': {img002: 2},
+            '2': {img002: 1}
+        },
+        webapi: {img003: 1}
+    },
+    cn004: {
+        storage: {img001: 1}
+    }
+};
+
+/*
+ * Properties reported by CNAPI for each CN.  cn004 reports none of them.
+ */
+var GiB = 1024 * 1024 * 1024;
+var fakeCnProps = {
+    cn001: {
+        ram: 262144,
+        memory_available_bytes: 65536 * 1024 * 1024,
+        disk_pool_size_bytes: 1000 * GiB,
+        disk_pool_alloc_bytes: 800 * GiB,
+        boot_platform: '20260901T000000Z',
+        current_platform: '20260801T000000Z'
+    },
+    cn002: {
+        ram: 262144,
+        memory_available_bytes: 131072 * 1024 * 1024,
+        disk_pool_size_bytes: 1000 * GiB,
+        disk_pool_alloc_bytes: 950 * GiB,
+        boot_platform: '20260901T000000Z',
+        current_platform: '20260901T000000Z'
+    },
+    cn003: {
+        ram: 131072,
+        memory_available_bytes: 8192 * 1024 * 1024,
+        disk_pool_size_bytes: 500 * GiB,
+        disk_pool_alloc_bytes: 100 * GiB,
+        boot_platform: '20260901T000000Z',
+        current_platform: '20260901T000000Z'
+    }
+};
+
+var log = new bunyan({
+    name: 'tst.adm_cn.js',
+    level: process.env['LOG_LEVEL'] || 'warn',
+    serializers: bunyan.stdSerializers
+});
+
+var adm = new madm.MantaAdm(log);
+var base = common.generateFakeBase(fakeDeployed, 1);
+
+jsprim.forEachKey(base['cns'], function(cnid, cn) {
+    cn['uuid'] = cnid;
+});
+
+jsprim.forEachKey(fakeCnProps, function(cnid, props) {
+    jsprim.forEachKey(props, function(key, value) {
+        base['cns'][cnid][key] = value;
+    });
+});
+
+jsprim.forEachKey(base['services'], function(svcid, svc) {
+    if (svc['name'] === 'storage') {
+        base['instances'][svcid].forEach(function(instance, i) {
+            instance['metadata']['MANTA_STORAGE_ID'] =
+                i + 1 + '.stor.example.com';
+        });
+    }
+});
+
+adm.loadFakeDeployed(base);
+
+var testCases = [
+    {
+        name: 'manta-adm cn',
+        config: {}
+    },
+    {
+        name:
+            'manta-adm cn -o host,ninstances,instances,free_ram,reboot_required',
+        config: {
+            columns: [
+                'host',
+                'ninstances',
+                'instances',
+                'free_ram',
+                'reboot_required'
+            ]
+        }
+    },
+    {
+        name:
+            'manta-adm cn -s -o host,zpool_size,zpool_used,zpool_pct ' +
+            '-S -zpool_pct',
+        config: {
+            onlystorage: true,
+            columns: ['host', 'zpool_size', 'zpool_used', 'zpool_pct'],
+            sort: madm.cnParseSort(['-zpool_pct'])
+        }
+    },
+    {
+        name: 'manta-adm cn -o host,ram,free_ram -S ram,-free_ram',
+        config: {
+            columns: ['host', 'ram', 'free_ram'],
+            sort: madm.cnParseSort(['ram', '-free_ram'])
+        }
+    },
+    {
+        name: 'manta-adm cn -n -S -ninstances',
+        config: {
+            oneachnode: true,
+            sort: madm.cnParseSort(['-ninstances'])
+        }
+    },
+    {
+        name: 'manta-adm cn -j cn001',
+        config: {
+            json: true,
+            filter: 'cn001'
+        }
+    },
+    {
+        name: 'manta-adm cn -j -o host,zpool_pct,storage_ids -S host storage',
+        config: {
+            json: true,
+            filter: 'storage',
+            columns: ['host', 'zpool_pct', 'storage_ids'],
+            sort: madm.cnParseSort(['host'])
+        }
+    }
+];
+
+function runTestCase(t, callback) {
+    assertplus.string(t.name);
+    assertplus.object(t.config);
+
+    console.log(separator);
+    console.log('test case "%s"', t.name);
+
+    adm.dumpCns(process.stdout, t.config);
+
+    console.log(separator);
+    nrun++;
+    callback();
+}
+
+function main() {
+    var err = madm.cnParseSort(['host', '-bogus']);
+    assertplus.ok(err instanceof Error);
+    assertplus.equal(err.message, 'unknown sort column: "bogus"');
+
+    vasync.forEachPipeline(
+        {
+            func: runTestCase,
+            inputs: testCases
+        },
+        function(err2) {
+            assertplus.ok(!err2);
+            assertplus.equal(nrun, testCases.length);
+            console.error('%d test cases run', nrun);
+        }
+    );
+}
+
+main();
@@ -0,0 +1,159 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * tst.adm_drift.js: tests manta-adm show --drift functionality
+ */
+
+var bunyan = require('bunyan');
+var jsprim = require('jsprim');
+
+var common = require('./common');
+var madm = require('../lib/adm');
+
+var separator = '--------------------------------------------------';
+
+var fakeDeployed = {
+    cn001: {
+        moray: {
+            '1': {img002: 3}
+        },
+        webapi: {img003: 2}
+    },
+    cn002: {
+        storage: {img001: 2}
+    }
+};
+
+var log = new bunyan({
+    name: 'tst.adm_drift.js',
+    level: process.env['LOG_LEVEL'] || 'warn',
+    serializers: bunyan.stdSerializers
+});
+
+/*
+ * Returns the fake deployment with each service configured to use the images
+ * it's deployed with, and each instance's SAPI parameters matching its VM.
+ */
+function consistentBase() {
+    var base = common.generateFakeBase(fakeDeployed, 1);
+
+    jsprim.forEachKey(base['services'], function(svcid, svc) {
+        base['instances'][svcid].forEach(function(instance) {
+            var vm = base['vms'][instance['uuid']];
+
+            svc['params'] = {image_uuid: vm['image_uuid']};
+            instance['params']['image_uuid'] = vm['image_uuid'];
+            vm['tags'] = {manta_role: svc['name']};
+        });
+    });
+
+    return base;
+}
+
+function instancesOf(base, svcname) {
+    var rv = null;
+
+    jsprim.forEachKey(base['services'], function(svcid, svc) {
+        if (svc['name'] === svcname) {
+            rv = base['instances'][svcid];
+        }
+    });
+
+    return rv;
+}
+
+function runTestCase(name, base, json) {
+    var adm, n;
+
+    console.log(separator);
+    console.log('test case "%s"', name);
+
+    adm = new madm.MantaAdm(log);
+    adm.loadFakeDeployed(base);
+
+    /*
+     * This would normally come from the SDC configuration when the SDC
+     * clients are initialized.
+     */
+    adm.ma_datacenter_name = 'test';
+    n = adm.dumpDrift(process.stdout, {json: json});
+    console.log('returned %d', n);
+    console.log(separator);
+}
+
+function main() {
+    var base, morays, webapis, storages;
+
+    runTestCase('consistent', consistentBase(), false);
+
+    base = consistentBase();
+    morays = instancesOf(base, 'moray');
+    webapis = instancesOf(base, 'webapi');
+    storages = instancesOf(base, 'storage');
+
+    /* A VM with no SAPI instance. */
+    base['vms']['instance999'] = {
+        image_uuid: 'img003',
+        server_uuid: 'cn001',
+        tags: {manta_role: 'webapi'},
+        nics: []
+    };
+
+    /* A SAPI instance in this datacenter whose VM is gone. */
+    delete base['vms'][storages[1]['uuid']];
+
+    /* A SAPI instance in another datacenter is not checked. */
+    morays.push({
+        uuid: 'instance998',
+        params: {},
+        metadata: {SHARD: 1, DATACENTER: 'remote'}
+    });
+
+    /* A VM reprovisioned outside of SAPI. */
+    base['vms'][morays[0]['uuid']]['image_uuid'] = 'img001';
+
+    /* An instance without its own image uses the service's image. */
+    delete webapis[0]['params']['image_uuid'];
+    jsprim.forEachKey(base['services'], function(_, svc) {
+        if (svc['name'] === 'webapi') {
+            svc['params']['image_uuid'] = 'img004';
+        }
+    });
+
+    /* A VM that was migrated to another server. */
+    webapis[1]['params']['server_uuid'] = 'cn002';
+
+    runTestCase('inconsistent', base, false);
+    runTestCase('inconsistent -j', base, true);
+
+    /* A VM on a server unknown to CNAPI. */
+    base = consistentBase();
+    base['vms'][instancesOf(base, 'storage')[0]['uuid']]['server_uuid'] =
+        'cn999';
+    runTestCase('unknown server', base, false);
+
+    /*
+     * With no servers in CNAPI and no VMs in VMAPI, every SAPI instance in
+     * this datacenter is missing its VM, and instances in other datacenters
+     * are still not checked.
+     */
+    base = consistentBase();
+    base['cns'] = {};
+    base['vms'] = {};
+    instancesOf(base, 'moray').push({
+        uuid: 'instance998',
+        params: {},
+        metadata: {SHARD: 1, DATACENTER: 'remote'}
+    });
+    runTestCase('no servers', base, false);
+}
+
+main();
@@ -0,0 +1,135 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * tst.adm_gc_genconfig.js: tests the placement summary printed by "manta-adm gc
+ * genconfig" and the computation of the number of collectors for a target
+ * shards-per-collector ratio.  The output is compared against
+ * tst.adm_gc_genconfig.js.out.
+ */
+
+var assert = require('assert');
+var bunyan = require('bunyan');
+var CollectorStream = require('./CollectorStream');
+
+var common = require('./common');
+var madm = require('../lib/adm');
+
+var log = new bunyan({
+    name: 'tst.adm_gc_genconfig.js',
+    level: process.env['LOG_LEVEL'] || 'fatal',
+    serializers: bunyan.stdSerializers
+});
+
+/*
+ * cn001 runs a loadbalancer, so it should be avoided.  cn003 runs the fewest
+ * zones, so it should be used first.
+ */
+var fakeDeployed = {
+    cn001: {
+        loadbalancer: {img001: 1},
+        webapi: {img001: 1}
+    },
+    cn002: {
+        webapi: {img001: 2},
+        'garbage-collector': {img001: 1}
+    },
+    cn003: {
+        webapi: {img001: 1}
+    }
+};
+
+function shardList(hosts) {
+    return hosts.map(function(h, i) {
+        var rv = {host: h};
+        if (i === hosts.length - 1) {
+            rv.last = true;
+        }
+        return rv;
+    });
+}
+
+function main() {
+    var base, adm, out, err, placement, needed, cfg;
+
+    base = common.generateFakeBase(fakeDeployed, 1);
+    base['app']['metadata'] = {
+        INDEX_MORAY_SHARDS: shardList([
+            '1.moray.example.com',
+            '2.moray.example.com',
+            '3.moray.example.com',
+            '4.moray.example.com',
+            '5.moray.example.com'
+        ]),
+        BUCKETS_MORAY_SHARDS: shardList(['1.buckets-mdapi.example.com'])
+    };
+    base['cns']['cn002']['memory_available_bytes'] = 64 * 1024 * 1024 * 1024;
+    base['cns']['cn003']['memory_available_bytes'] = 1536 * 1024 * 1024;
+
+    adm = new madm.MantaAdm(log);
+    adm.loadFakeDeployed(base);
+
+    console.log('ratio');
+    needed = adm.gcCollectorsForRatio(2);
+    assert.deepEqual(needed, {nshards: 6, nexisting: 1, nneeded: 2});
+    assert.equal(adm.gcCollectorsForRatio(6).nneeded, 0);
+    assert.equal(adm.gcCollectorsForRatio(0.5).nneeded, 11);
+
+    console.log('placement of 3 collectors');
+    out = new CollectorStream({});
+    err = new CollectorStream({});
+    placement = adm.layerServiceOnDeployedConfig({
+        avoid_svcs: ['loadbalancer', 'nameservice', 'storage'],
+        image_uuid: 'img002',
+        num_instances: 3,
+        outstream: out,
+        errstream: err,
+        svcname: 'garbage-collector'
+    });
+    assert.equal(err.data, '');
+    cfg = JSON.parse(out.data);
+    assert.deepEqual(cfg['cn003']['garbage-collector'], {img002: 2});
+    assert.deepEqual(cfg['cn002']['garbage-collector'], {
+        img001: 1,
+        img002: 1
+    });
+    assert.ok(!cfg['cn001'].hasOwnProperty('garbage-collector'));
+
+    out = new CollectorStream({});
+    adm.dumpGcPlacement({
+        stream: out,
+        placement: placement,
+        avoid_svcs: ['loadbalancer', 'nameservice', 'storage']
+    });
+    process.stdout.write(out.data);
+
+    console.log('placement limited to one CN');
+    placement = adm.layerServiceOnDeployedConfig({
+        avoid_svcs: [],
+        image_uuid: 'img002',
+        max_cns: 1,
+        num_instances: 2,
+        outstream: new CollectorStream({}),
+        errstream: new CollectorStream({}),
+        svcname: 'garbage-collector'
+    });
+    out = new CollectorStream({});
+    adm.dumpGcPlacement({
+        stream: out,
+        placement: placement,
+        avoid_svcs: [],
+        max_cns: 1
+    });
+    process.stdout.write(out.data);
+
+    console.log('TEST PASSED');
+}
+
+main();
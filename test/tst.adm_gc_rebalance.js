@@ -0,0 +1,302 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * tst.adm_gc_rebalance.js: tests validation of "manta-adm gc update" input,
+ * the "-n" diff output, and "manta-adm gc rebalance".
+ */
+
+var assert = require('assert');
+var bunyan = require('bunyan');
+var CollectorStream = require('./CollectorStream');
+
+var common = require('./common');
+var madm = require('../lib/adm');
+
+var log = new bunyan({
+    name: 'tst.adm_gc_rebalance.js',
+    level: process.env['LOG_LEVEL'] || 'fatal',
+    serializers: bunyan.stdSerializers
+});
+
+function shardList(hosts) {
+    return hosts.map(function(h, i) {
+        var rv = {host: h};
+        if (i === hosts.length - 1) {
+            rv.last = true;
+        }
+        return rv;
+    });
+}
+
+function shardNames(prefix, n) {
+    var rv = [];
+    var i;
+
+    for (i = 1; i <= n; i++) {
+        rv.push(i + '.' + prefix + '.example.com');
+    }
+
+    return rv;
+}
+
+/*
+ * Returns a MantaAdm loaded with "ngc" garbage-collectors (instance001 and so
+ * on), one webapi instance, the given index and buckets shards, and the given
+ * per-instance assignments.
+ */
+function loadAdm(ngc, indexShards, bucketsShards, assignments) {
+    var base, adm;
+    var fakeDeployed = {
+        cn001: {
+            'garbage-collector': {img001: ngc},
+            webapi: {img001: 1}
+        }
+    };
+
+    base = common.generateFakeBase(fakeDeployed, 1);
+    base['app']['metadata'] = {
+        INDEX_MORAY_SHARDS: shardList(indexShards),
+        BUCKETS_MORAY_SHARDS: shardList(bucketsShards)
+    };
+    Object.keys(base['instances']).forEach(function(svcid) {
+        base['instances'][svcid].forEach(function(inst) {
+            if (assignments.hasOwnProperty(inst['uuid'])) {
+                Object.assign(inst['metadata'], assignments[inst['uuid']]);
+            }
+        });
+    });
+
+    adm = new madm.MantaAdm(log);
+    adm.loadFakeDeployed(base);
+    return adm;
+}
+
+/*
+ * Returns the hosts assigned to each instance in "mapping" for metadata field
+ * "field".
+ */
+function hostsByInstance(mapping, field) {
+    var rv = {};
+
+    Object.keys(mapping).forEach(function(instuuid) {
+        rv[instuuid] = mapping[instuuid][field].map(function(s) {
+            return s.host;
+        });
+    });
+
+    return rv;
+}
+
+function checkLast(mapping) {
+    Object.keys(mapping).forEach(function(instuuid) {
+        Object.keys(mapping[instuuid]).forEach(function(field) {
+            mapping[instuuid][field].forEach(function(s, i, list) {
+                assert.equal(s.last === true, i === list.length - 1);
+            });
+        });
+    });
+}
+
+function testValidation() {
+    var adm, err, out;
+    var index = shardNames('moray', 3);
+
+    console.log('validation');
+    adm = loadAdm(2, index, [], {
+        instance001: {GC_ASSIGNED_SHARDS: shardList([index[0], index[1]])},
+        instance002: {GC_ASSIGNED_SHARDS: shardList([index[2]])}
+    });
+
+    /* Moving a shard between collectors is fine. */
+    assert.ifError(
+        adm.readInstanceMetadataConfigRaw(
+            JSON.stringify({
+                instance001: {GC_ASSIGNED_SHARDS: shardList([index[0]])},
+                instance002: {
+                    GC_ASSIGNED_SHARDS: shardList([index[1], index[2]])
+                }
+            })
+        )
+    );
+    assert.strictEqual(adm.gcCheckUpdates(), null);
+
+    out = new CollectorStream({});
+    assert.equal(adm.dumpGcUpdates(out), 2);
+    assert.equal(
+        out.data,
+        [
+            'instance001 (CN001):',
+            '  - index shard 2.moray.example.com',
+            'instance002 (CN001):',
+            '  + index shard 2.moray.example.com',
+            ''
+        ].join('\n')
+    );
+
+    /* Updates to one collector are merged with the others' assignments. */
+    assert.ifError(
+        adm.readInstanceMetadataConfigRaw(
+            JSON.stringify({
+                instance002: {
+                    GC_ASSIGNED_SHARDS: shardList([index[1], index[2]])
+                }
+            })
+        )
+    );
+    err = adm.gcCheckUpdates();
+    assert.ok(err instanceof Error);
+    assert.equal(
+        err.message,
+        'invalid garbage-collector shard assignment:\n' +
+            '    index shard "2.moray.example.com" is assigned to ' +
+            'multiple garbage-collectors: instance001, instance002'
+    );
+
+    /* Dropping a shard and adding an unknown one are both reported. */
+    assert.ifError(
+        adm.readInstanceMetadataConfigRaw(
+            JSON.stringify({
+                instance002: {
+                    GC_ASSIGNED_SHARDS: shardList(['9.moray.example.com'])
+                }
+            })
+        )
+    );
+    err = adm.gcCheckUpdates();
+    assert.ok(err instanceof Error);
+    assert.ok(
+        /index shard "3.moray.example.com" is not assigned/.test(err.message),
+        err.message
+    );
+    assert.ok(
+        /index shard "9.moray.example.com" is assigned to instance002 but is not listed in INDEX_MORAY_SHARDS/.test(
+            err.message
+        ),
+        err.message
+    );
+
+    /* Instances of other services are rejected. */
+    assert.ifError(
+        adm.readInstanceMetadataConfigRaw(
+            JSON.stringify({
+                instance003: {GC_ASSIGNED_SHARDS: shardList(index)}
+            })
+        )
+    );
+    err = adm.gcCheckUpdates();
+    assert.ok(err instanceof Error);
+    assert.ok(
+        /instance "instance003" is not a garbage-collector/.test(err.message),
+        err.message
+    );
+
+    /* Applying the current assignment changes nothing. */
+    assert.ifError(
+        adm.readInstanceMetadataConfigRaw(
+            JSON.stringify({
+                instance001: {
+                    GC_ASSIGNED_SHARDS: shardList([index[0], index[1]])
+                }
+            })
+        )
+    );
+    assert.strictEqual(adm.gcCheckUpdates(), null);
+    out = new CollectorStream({});
+    assert.equal(adm.dumpGcUpdates(out), 0);
+    assert.equal(out.data, 'no changes\n');
+}
+
+function testRebalance() {
+    var adm, result, hosts;
+    var index = shardNames('moray', 7);
+    var buckets = shardNames('buckets-mdapi', 2);
+
+    console.log('rebalance from scratch');
+    adm = loadAdm(3, index, buckets, {});
+    result = adm.gcRebalance();
+    assert.equal(result.nmoved, 9);
+    checkLast(result.mapping);
+    hosts = hostsByInstance(result.mapping, 'GC_ASSIGNED_SHARDS');
+    assert.deepEqual(
+        Object.keys(hosts).map(function(instuuid) {
+            return hosts[instuuid].length;
+        }),
+        [3, 2, 2]
+    );
+    hosts = hostsByInstance(result.mapping, 'GC_ASSIGNED_BUCKETS_SHARDS');
+    assert.deepEqual(hosts, {
+        instance001: [buckets[0]],
+        instance002: [buckets[1]],
+        instance003: []
+    });
+
+    console.log('rebalance after adding a collector');
+    adm = loadAdm(3, index, [], {
+        instance001: {GC_ASSIGNED_SHARDS: shardList(index.slice(0, 4))},
+        instance002: {GC_ASSIGNED_SHARDS: shardList(index.slice(4))}
+    });
+    result = adm.gcRebalance();
+    hosts = hostsByInstance(result.mapping, 'GC_ASSIGNED_SHARDS');
+    assert.equal(result.nmoved, 2);
+    assert.deepEqual(hosts, {
+        instance001: index.slice(0, 3),
+        instance002: index.slice(4, 6),
+        instance003: [index[3], index[6]]
+    });
+
+    /*
+     * The result must be valid input for "gc update", and rebalancing an
+     * already-balanced assignment must not move anything.
+     */
+    assert.ifError(
+        adm.readInstanceMetadataConfigRaw(JSON.stringify(result.mapping))
+    );
+    assert.strictEqual(adm.gcCheckUpdates(), null);
+    adm = loadAdm(3, index, [], result.mapping);
+    assert.equal(adm.gcRebalance().nmoved, 0);
+
+    console.log('rebalance after removing a collector and shards');
+    adm = loadAdm(2, index.slice(0, 6), [], {
+        instance001: {GC_ASSIGNED_SHARDS: shardList(index.slice(0, 3))},
+        instance002: {
+            GC_ASSIGNED_SHARDS: shardList([index[3], index[4], index[6]])
+        }
+    });
+    result = adm.gcRebalance();
+    hosts = hostsByInstance(result.mapping, 'GC_ASSIGNED_SHARDS');
+    assert.equal(result.nmoved, 1);
+    assert.deepEqual(hosts, {
+        instance001: index.slice(0, 3),
+        instance002: [index[3], index[4], index[5]]
+    });
+
+    console.log('rebalance with duplicate assignments');
+    adm = loadAdm(2, index.slice(0, 2), [], {
+        instance001: {GC_ASSIGNED_SHARDS: shardList(index.slice(0, 2))},
+        instance002: {GC_ASSIGNED_SHARDS: shardList(index.slice(0, 2))}
+    });
+    result = adm.gcRebalance();
+    hosts = hostsByInstance(result.mapping, 'GC_ASSIGNED_SHARDS');
+    assert.equal(result.nmoved, 1);
+    assert.deepEqual(hosts, {
+        instance001: [index[0]],
+        instance002: [index[1]]
+    });
+
+    console.log('rebalance with no collectors');
+    adm = loadAdm(0, index, [], {});
+    result = adm.gcRebalance();
+    assert.ok(result instanceof Error);
+}
+
+testValidation();
+testRebalance();
+console.log('TEST PASSED');
@@ -0,0 +1,189 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * tst.adm_gc_show.js: tests the tabular output of "manta-adm gc show".  The
+ * output is compared against tst.adm_gc_show.js.out.
+ */
+
+var assert = require('assert');
+var bunyan = require('bunyan');
+var CollectorStream = require('./CollectorStream');
+
+var common = require('./common');
+var madm = require('../lib/adm');
+
+var log = new bunyan({
+    name: 'tst.adm_gc_show.js',
+    level: process.env['LOG_LEVEL'] || 'fatal',
+    serializers: bunyan.stdSerializers
+});
+
+var fakeDeployed = {
+    cn001: {
+        'garbage-collector': {img001: 2}
+    },
+    cn002: {
+        'garbage-collector': {img001: 1}
+    }
+};
+
+function shardList(hosts) {
+    return hosts.map(function(h, i) {
+        var rv = {host: h};
+        if (i === hosts.length - 1) {
+            rv.last = true;
+        }
+        return rv;
+    });
+}
+
+/*
+ * Index shards 1 through 4 and buckets shards 1 and 2 are deployed.  Shard 3
+ * is assigned to two collectors, shard 4 to none, and "5.moray" isn't a known
+ * index shard at all.
+ */
+var appMetadata = {
+    INDEX_MORAY_SHARDS: shardList([
+        '1.moray.example.com',
+        '2.moray.example.com',
+        '3.moray.example.com',
+        '4.moray.example.com'
+    ]),
+    BUCKETS_MORAY_SHARDS: shardList([
+        '1.buckets-mdapi.example.com',
+        '2.buckets-mdapi.example.com'
+    ])
+};
+
+var assignments = {
+    instance001: {
+        GC_ASSIGNED_SHARDS: shardList([
+            '1.moray.example.com',
+            '3.moray.example.com'
+        ]),
+        GC_ASSIGNED_BUCKETS_SHARDS: shardList(['1.buckets-mdapi.example.com'])
+    },
+    instance002: {
+        GC_ASSIGNED_SHARDS: shardList(['2.moray.example.com']),
+        GC_ASSIGNED_BUCKETS_SHARDS: shardList(['2.buckets-mdapi.example.com'])
+    },
+    instance003: {
+        GC_ASSIGNED_SHARDS: shardList([
+            '3.moray.example.com',
+            '5.moray.example.com'
+        ])
+    }
+};
+
+function main() {
+    var base, adm, out, warn, nwarnings;
+
+    base = common.generateFakeBase(fakeDeployed, 1);
+    base['app']['metadata'] = appMetadata;
+    Object.keys(base['instances']).forEach(function(svcid) {
+        base['instances'][svcid].forEach(function(inst) {
+            if (assignments.hasOwnProperty(inst['uuid'])) {
+                Object.assign(inst['metadata'], assignments[inst['uuid']]);
+            }
+        });
+    });
+
+    adm = new madm.MantaAdm(log);
+    adm.loadFakeDeployed(base);
+
+    console.log('default columns');
+    out = new CollectorStream({});
+    warn = new CollectorStream({});
+    nwarnings = adm.dumpGcShards({stream: out, warnStream: warn});
+    assert.equal(nwarnings, 3);
+    process.stdout.write(out.data);
+    process.stdout.write(warn.data);
+
+    console.log('selected columns, no header');
+    out = new CollectorStream({});
+    warn = new CollectorStream({});
+    adm.dumpGcShards({
+        stream: out,
+        warnStream: warn,
+        columns: ['zoneabbr', 'server_uuid', 'nindex', 'nbuckets'],
+        omitHeader: true
+    });
+    process.stdout.write(out.data);
+
+    console.log('fully assigned');
+    base['app']['metadata']['INDEX_MORAY_SHARDS'] = shardList([
+        '1.moray.example.com',
+        '2.moray.example.com'
+    ]);
+    base['instances'][Object.keys(base['instances'])[0]].forEach(function(
+        inst
+    ) {
+        if (inst['uuid'] === 'instance001') {
+            inst['metadata']['GC_ASSIGNED_SHARDS'] = shardList([
+                '1.moray.example.com'
+            ]);
+        } else if (inst['uuid'] === 'instance003') {
+            delete inst['metadata']['GC_ASSIGNED_SHARDS'];
+        }
+    });
+    adm = new madm.MantaAdm(log);
+    adm.loadFakeDeployed(base);
+    out = new CollectorStream({});
+    warn = new CollectorStream({});
+    assert.equal(adm.dumpGcShards({stream: out, warnStream: warn}), 0);
+    assert.equal(warn.data, '');
+    process.stdout.write(out.data);
+
+    /*
+     * Each datacenter's collectors are responsible for all of the shards.
+     * Here, the collector in "test-1" has both index shards, so shard 1 is not
+     * assigned to multiple collectors even though the collector in "test-2"
+     * also has it, but shard 2 is not assigned to any collector in "test-2".
+     */
+    console.log('two datacenters');
+    base = common.generateFakeBase(
+        {cn001: {'garbage-collector': {img001: 1}}},
+        2
+    );
+    base['app']['metadata'] = {
+        INDEX_MORAY_SHARDS: shardList([
+            '1.moray.example.com',
+            '2.moray.example.com'
+        ])
+    };
+    base['instances'][Object.keys(base['instances'])[0]].forEach(function(
+        inst
+    ) {
+        inst['metadata']['GC_ASSIGNED_SHARDS'] = shardList(
+            inst['uuid'] === 'instance001'
+                ? ['1.moray.example.com', '2.moray.example.com']
+                : ['1.moray.example.com']
+        );
+    });
+    adm = new madm.MantaAdm(log);
+    adm.loadFakeDeployed(base);
+    out = new CollectorStream({});
+    warn = new CollectorStream({});
+    assert.equal(
+        adm.dumpGcShards({stream: out, warnStream: warn, doall: true}),
+        1
+    );
+    process.stdout.write(out.data);
+    process.stdout.write(warn.data);
+
+    out = new CollectorStream({});
+    warn = new CollectorStream({});
+    assert.equal(adm.dumpGcShards({stream: out, warnStream: warn}), 0);
+
+    console.log('TEST PASSED');
+}
+
+main();
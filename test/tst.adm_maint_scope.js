@@ -0,0 +1,166 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * tst.adm_maint_scope.js: tests resolving maintenance window scopes given in
+ * terms of Manta services, shards, and racks, and describing the machines in
+ * a window's scope.
+ */
+
+var assertplus = require('assert-plus');
+var bunyan = require('bunyan');
+var vasync = require('vasync');
+
+var alarms = require('../lib/alarms');
+var common = require('./common');
+var madm = require('../lib/adm');
+
+var nrun = 0;
+var separator = '--------------------------------------------------';
+
+var fakeDeployed = {
+    cn001: {
+        storage: {img001: 1},
+        moray: {
+            '1': {img002: 1}
+        }
+    },
+    cn002: {
+        storage: {img001: 1},
+        moray: {
+            '2': {img002: 1}
+        }
+    },
+    cn003: {
+        webapi: {img003: 2}
+    }
+};
+
+var fakeRacks = {
+    cn001: 'R01',
+    cn002: 'R02',
+    cn003: 'R02'
+};
+
+var log = new bunyan({
+    name: 'tst.adm_maint_scope.js',
+    level: process.env['LOG_LEVEL'] || 'warn',
+    serializers: bunyan.stdSerializers
+});
+
+var adm = new madm.MantaAdm(log);
+var base = common.generateFakeBase(fakeDeployed, 1);
+
+Object.keys(fakeRacks).forEach(function(cnid) {
+    base['cns'][cnid]['rack_identifier'] = fakeRacks[cnid];
+});
+
+adm.loadFakeDeployed(base);
+
+var testCases = [
+    {
+        name: '--service storage',
+        scope: {services: ['storage']}
+    },
+    {
+        name: '--service moray --shard 2',
+        scope: {services: ['moray'], shards: ['2']}
+    },
+    {
+        name: '--service storage --service webapi --rack R02',
+        scope: {services: ['storage', 'webapi'], racks: ['R02']}
+    },
+    {
+        name: '--rack R01',
+        scope: {racks: ['R01']}
+    },
+    {
+        name: '--rack R02 --shard 2',
+        scope: {racks: ['R02'], shards: ['2']}
+    },
+    {
+        name: '--service bogus --rack R99',
+        scope: {services: ['bogus'], racks: ['R99']}
+    },
+    {
+        name: '--service webapi --rack R01',
+        scope: {services: ['webapi'], racks: ['R01']}
+    }
+];
+
+function runTestCase(t, callback) {
+    var machines;
+
+    assertplus.string(t.name);
+    assertplus.object(t.scope);
+
+    console.log(separator);
+    console.log('test case "%s"', t.name);
+
+    machines = adm.alarmsMaintResolveScope(t.scope);
+    if (machines instanceof Error) {
+        console.log('error: %s', machines.message);
+    } else {
+        machines.forEach(function(m) {
+            console.log('%s: %s', m, adm.describeMachine(m));
+        });
+    }
+
+    console.log(separator);
+    nrun++;
+    callback();
+}
+
+function main() {
+    vasync.forEachPipeline(
+        {
+            func: runTestCase,
+            inputs: testCases
+        },
+        function(err) {
+            assertplus.ok(!err);
+            assertplus.equal(nrun, testCases.length);
+
+            /*
+             * "show" describes the machines in a window's scope that are
+             * known, and lists other targets as-is.
+             */
+            console.log(separator);
+            console.log('test case "show"');
+            adm.ma_maint_windows = [
+                new alarms.AmonMaintWindow({
+                    id: 1,
+                    user: 'fake-user',
+                    start: Date.parse('2038-01-06T17:00:00Z'),
+                    end: Date.parse('2038-01-06T21:00:00Z'),
+                    notes: 'OPS-123',
+                    machines: adm
+                        .alarmsMaintResolveScope({racks: ['R01']})
+                        .concat(['machine1'])
+                }),
+                new alarms.AmonMaintWindow({
+                    id: 2,
+                    user: 'fake-user',
+                    start: Date.parse('2038-01-06T17:00:00Z'),
+                    end: Date.parse('2038-01-06T21:00:00Z'),
+                    notes: 'OPS-124',
+                    probes: ['instance001']
+                })
+            ];
+            adm.alarmsMaintWindowsShow({stream: process.stdout});
+            console.log(separator);
+            nrun++;
+
+            console.error('%d test cases run', nrun);
+        }
+    );
+}
+
+main();
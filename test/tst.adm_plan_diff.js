@@ -0,0 +1,107 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * tst.adm_plan_diff.js: tests the human-readable and JSON summaries of
+ * "manta-adm update" plans.  The human-readable output is compared against
+ * tst.adm_plan_diff.js.out.
+ */
+
+var assert = require('assert');
+var bunyan = require('bunyan');
+var CollectorStream = require('./CollectorStream');
+
+var common = require('./common');
+var madm = require('../lib/adm');
+
+var log = new bunyan({
+    name: 'tst.adm_plan_diff.js',
+    level: process.env['LOG_LEVEL'] || 'fatal',
+    serializers: bunyan.stdSerializers
+});
+
+var fakeDeployed = {
+    cn001: {
+        webapi: {img001: 2},
+        moray: {'1': {img001: 2}, '2': {img001: 1}}
+    },
+    cn002: {
+        webapi: {img001: 1, img002: 1},
+        storage: {img002: 1}
+    }
+};
+
+var desired = {
+    cn001: {
+        webapi: {img002: 3},
+        moray: {'1': {img001: 1}, '2': {img002: 2}}
+    },
+    cn002: {
+        webapi: {img002: 2},
+        storage: {img002: 1}
+    }
+};
+
+function main() {
+    var adm, base, out, count, json;
+
+    base = common.generateFakeBase(fakeDeployed, 1);
+    base['images']['img002']['name'] = 'mantav2-webapi';
+
+    adm = new madm.MantaAdm(log);
+    adm.loadFakeDeployed(base);
+    adm.readConfigRaw(JSON.stringify(desired));
+    adm.generatePlan({}, function(err) {
+        assert.ifError(err);
+
+        out = new CollectorStream({});
+        count = adm.dumpPlanDiff(out);
+        assert.equal(count, adm.dumpPlan().length);
+        process.stdout.write(out.data);
+
+        out = new CollectorStream({});
+        assert.equal(adm.dumpPlanJson(out), count);
+        json = JSON.parse(out.data);
+        assert.equal(json.actions.length, count);
+        assert.deepEqual(json.changes, adm.planChanges());
+
+        /*
+         * Every action should refer to a known compute node, and every
+         * reprovision should describe both the old and new image.
+         */
+        json.actions.forEach(function(a) {
+            assert.ok(a.cnid === 'cn001' || a.cnid === 'cn002');
+            assert.equal(a.shard === null, a.service !== 'moray');
+            if (a.action === 'reprovision') {
+                assert.equal(a.old_image.uuid, 'img001');
+                assert.equal(a.old_image.version, 'master001');
+                assert.equal(a.image.uuid, 'img002');
+                assert.equal(a.image.name, 'mantav2-webapi');
+            } else {
+                assert.strictEqual(a.old_image, null);
+            }
+        });
+
+        /*
+         * Completed actions (as when resuming a checkpointed plan) are
+         * already reflected in the deployed state, so they're left out.
+         */
+        adm.planEachAction(function(p) {
+            p['state'] = 'done';
+        });
+        out = new CollectorStream({});
+        assert.equal(adm.dumpPlanDiff(out), 0);
+        process.stdout.write(out.data);
+
+        console.log('TEST PASSED');
+    });
+}
+
+main();
@@ -0,0 +1,189 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * tst.adm_plan_save.js: tests saving "manta-adm update" plans for review and
+ * applying them only if the deployment has not changed since
+ */
+
+var assert = require('assert');
+var bunyan = require('bunyan');
+var fs = require('fs');
+var jsprim = require('jsprim');
+var os = require('os');
+var path = require('path');
+var vasync = require('vasync');
+
+var common = require('./common');
+var madm = require('../lib/adm');
+
+var log = new bunyan({
+    name: 'tst.adm_plan_save.js',
+    level: process.env['LOG_LEVEL'] || 'fatal',
+    serializers: bunyan.stdSerializers
+});
+
+var fakeDeployed = {
+    cn001: {
+        webapi: {img001: 2},
+        moray: {'1': {img001: 1}}
+    },
+    cn002: {
+        webapi: {img001: 1}
+    }
+};
+
+var desired = {
+    cn001: {
+        webapi: {img002: 2},
+        moray: {'1': {img001: 1}, '2': {img001: 1}}
+    },
+    cn002: {
+        webapi: {img002: 2}
+    }
+};
+
+var planFile = path.join(
+    os.tmpdir(),
+    'tst.adm_plan_save.' + process.pid + '.json'
+);
+
+var fakeBase = common.generateFakeBase(fakeDeployed, 1);
+var savedPlan;
+
+/*
+ * Returns a MantaAdm loaded with a copy of "base".
+ */
+function loadAdm(base) {
+    var adm = new madm.MantaAdm(log);
+    adm.loadFakeDeployed(jsprim.deepCopy(base));
+    return adm;
+}
+
+/*
+ * Attempts to apply the saved plan against "base", which is expected to fail
+ * with an error matching "pattern".
+ */
+function applyFails(base, pattern, callback) {
+    var adm = loadAdm(base);
+
+    adm.planLoadSaved({filename: planFile}, function(err) {
+        assert.ok(err instanceof Error);
+        assert.ok(pattern.test(err.message), err.message);
+        assert.strictEqual(adm.ma_plan, null);
+        callback();
+    });
+}
+
+vasync.pipeline(
+    {
+        funcs: [
+            function savePlan(_, callback) {
+                var adm = loadAdm(fakeBase);
+
+                console.log('save plan');
+                adm.readConfigRaw(JSON.stringify(desired));
+                adm.generatePlan({}, function(err) {
+                    assert.ifError(err);
+                    savedPlan = adm.dumpPlan();
+                    assert.ok(savedPlan.length > 0);
+
+                    /* The same deployment always has the same fingerprint. */
+                    assert.equal(
+                        adm.deployedFingerprint(),
+                        loadAdm(fakeBase).deployedFingerprint()
+                    );
+                    adm.planSave({filename: planFile}, callback);
+                });
+            },
+
+            function applyUnchanged(_, callback) {
+                var adm = loadAdm(fakeBase);
+
+                console.log('apply plan to unchanged deployment');
+                adm.planLoadSaved({filename: planFile}, function(err, info) {
+                    assert.ifError(err);
+                    assert.strictEqual(info.service, null);
+                    assert.equal(info.ntotal, savedPlan.length);
+                    assert.deepEqual(adm.dumpPlan(), savedPlan);
+                    callback();
+                });
+            },
+
+            function applyImageChanged(_, callback) {
+                var base = jsprim.deepCopy(fakeBase);
+                var vmid = Object.keys(base['vms'])[0];
+
+                console.log('apply plan after an instance was reprovisioned');
+                base['vms'][vmid]['image_uuid'] = 'img003';
+                applyFails(
+                    base,
+                    /deployed state has changed since the plan was saved \(0 instances added, 0 removed/,
+                    callback
+                );
+            },
+
+            function applyInstanceRemoved(_, callback) {
+                var base = jsprim.deepCopy(fakeBase);
+                var vmid = Object.keys(base['vms'])[0];
+                var svcid;
+
+                console.log('apply plan after an instance was removed');
+                delete base['vms'][vmid];
+                for (svcid in base['instances']) {
+                    base['instances'][svcid] = base['instances'][svcid].filter(
+                        function(inst) {
+                            return inst['uuid'] !== vmid;
+                        }
+                    );
+                }
+                applyFails(
+                    base,
+                    /deployed state has changed since the plan was saved \(0 instances added, 1 removed/,
+                    callback
+                );
+            },
+
+            function applyStarted(_, callback) {
+                var contents = JSON.parse(fs.readFileSync(planFile, 'utf8'));
+                var svcname = Object.keys(contents.plan)[0];
+                var cnid = Object.keys(contents.plan[svcname])[0];
+
+                console.log('apply plan that has already been started');
+                contents.plan[svcname][cnid][0].state = 'done';
+                fs.writeFileSync(planFile, JSON.stringify(contents));
+                applyFails(
+                    fakeBase,
+                    /plan has already been executed/,
+                    callback
+                );
+            },
+
+            function applyNoFingerprint(_, callback) {
+                var contents = JSON.parse(fs.readFileSync(planFile, 'utf8'));
+                var svcname = Object.keys(contents.plan)[0];
+                var cnid = Object.keys(contents.plan[svcname])[0];
+
+                console.log('apply plan with no fingerprint');
+                contents.plan[svcname][cnid][0].state = 'pending';
+                delete contents.fingerprint;
+                fs.writeFileSync(planFile, JSON.stringify(contents));
+                applyFails(fakeBase, /no fingerprint/, callback);
+            }
+        ]
+    },
+    function(err) {
+        fs.unlinkSync(planFile);
+        if (err) {
+            throw err;
+        }
+        console.log('TEST PASSED');
+    }
+);
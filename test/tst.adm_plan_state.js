@@ -0,0 +1,546 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * tst.adm_plan_state.js: tests checkpointing and resuming "manta-adm update"
+ * plans
+ */
+
+var assert = require('assert');
+var bunyan = require('bunyan');
+var fs = require('fs');
+var jsprim = require('jsprim');
+var os = require('os');
+var path = require('path');
+var vasync = require('vasync');
+var CollectorStream = require('./CollectorStream');
+var VError = require('verror').VError;
+
+var common = require('./common');
+var madm = require('../lib/adm');
+
+var log = new bunyan({
+    name: 'tst.adm_plan_state.js',
+    level: process.env['LOG_LEVEL'] || 'fatal',
+    serializers: bunyan.stdSerializers
+});
+
+var fakeDeployed = {
+    cn001: {
+        webapi: {img001: 2}
+    },
+    cn002: {
+        webapi: {img001: 1}
+    },
+    cn003: {
+        webapi: {img001: 1}
+    }
+};
+
+/*
+ * The update reprovisions both instances on cn001, adds an instance on cn002,
+ * and removes the instance on cn003.
+ */
+var desired = {
+    cn001: {
+        webapi: {img002: 2}
+    },
+    cn002: {
+        webapi: {img001: 1, img002: 1}
+    },
+    cn003: {}
+};
+
+var stateFile = path.join(
+    os.tmpdir(),
+    'tst.adm_plan_state.' + process.pid + '.json'
+);
+
+/*
+ * The fake deployment, which is modified by the fake deployer below as
+ * operations are executed.
+ */
+var fakeBase = common.generateFakeBase(fakeDeployed, 1);
+var nextInstance = 1;
+
+/*
+ * Returns a fake deployer that applies operations to "fakeBase".  "failures"
+ * describes operations that should fail: each property is the name of an
+ * action, and the value is a function invoked with the zonename (for
+ * reprovisions and deprovisions) or server uuid (for provisions) that returns
+ * either null (for success), "before" (fail without making any change), or
+ * "after" (make the change, but report failure anyway, as would happen if a
+ * request timed out).  Calls are recorded in "calls".
+ */
+function fakeDeployer(failures, calls) {
+    function outcome(action, key) {
+        return failures.hasOwnProperty(action) ? failures[action](key) : null;
+    }
+
+    function finish(result, err, arg, callback) {
+        setImmediate(function() {
+            if (result !== null) {
+                callback(err);
+            } else {
+                callback(null, arg);
+            }
+        });
+    }
+
+    return {
+        deploy: function(options, svcname, callback) {
+            var svcid, zonename, result;
+
+            calls.push({action: 'provision', cnid: options.server_uuid});
+            result = outcome('provision', options.server_uuid);
+            if (result === 'before') {
+                finish(result, new VError('injected failure'), null, callback);
+                return;
+            }
+
+            svcid = findServiceId(svcname);
+            zonename = 'newinstance00' + nextInstance++;
+            fakeBase.instances[svcid].push({
+                uuid: zonename,
+                params: {server_uuid: options.server_uuid},
+                metadata: {SHARD: 1, DATACENTER: 'test'}
+            });
+            fakeBase.vms[zonename] = {
+                image_uuid: options.image_uuid,
+                server_uuid: options.server_uuid,
+                nics: [{primary: true, ip4addr: '0.0.0.0'}]
+            };
+            finish(result, new VError('injected timeout'), zonename, callback);
+        },
+
+        undeploy: function(zonename, callback) {
+            var result, svcid;
+
+            calls.push({action: 'deprovision', zonename: zonename});
+            result = outcome('deprovision', zonename);
+            if (result === 'before') {
+                finish(result, new VError('injected failure'), null, callback);
+                return;
+            }
+
+            for (svcid in fakeBase.instances) {
+                fakeBase.instances[svcid] = fakeBase.instances[svcid].filter(
+                    function(instance) {
+                        return instance.uuid !== zonename;
+                    }
+                );
+            }
+            delete fakeBase.vms[zonename];
+            finish(result, new VError('injected timeout'), null, callback);
+        },
+
+        reprovision: function(zonename, image, callback) {
+            var result;
+
+            calls.push({action: 'reprovision', zonename: zonename});
+            result = outcome('reprovision', zonename);
+            if (result === 'before') {
+                finish(result, new VError('injected failure'), null, callback);
+                return;
+            }
+
+            fakeBase.vms[zonename].image_uuid = image;
+            finish(result, new VError('injected timeout'), null, callback);
+        }
+    };
+}
+
+function findServiceId(svcname) {
+    var svcid;
+
+    for (svcid in fakeBase.services) {
+        if (fakeBase.services[svcid].name === svcname) {
+            return svcid;
+        }
+    }
+
+    throw new VError('no such service: %s', svcname);
+}
+
+function loadAdm() {
+    var adm = new madm.MantaAdm(log);
+    adm.loadFakeDeployed(jsprim.deepCopy(fakeBase));
+    return adm;
+}
+
+function readState() {
+    return JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+}
+
+function stateSummary(state) {
+    var rv = [];
+
+    Object.keys(state.plan).forEach(function(svcname) {
+        Object.keys(state.plan[svcname])
+            .sort()
+            .forEach(function(cnid) {
+                state.plan[svcname][cnid].forEach(function(p) {
+                    rv.push(cnid + ' ' + p['action'] + ' ' + p['state']);
+                });
+            });
+    });
+
+    return rv;
+}
+
+var firstReprovision = null;
+
+vasync.pipeline(
+    {
+        funcs: [
+            function executeInitialPlan(_, callback) {
+                var adm = loadAdm();
+                var calls = [];
+
+                console.log('executing initial plan');
+                adm.readConfigRaw(JSON.stringify(desired));
+                adm.generatePlan({}, function(err) {
+                    assert.ifError(err);
+                    adm.planStateInit({filename: stateFile}, function(err2) {
+                        assert.ifError(err2);
+                        assert.deepEqual(stateSummary(readState()), [
+                            'cn001 reprovision pending',
+                            'cn001 reprovision pending',
+                            'cn002 provision pending',
+                            'cn003 deprovision pending'
+                        ]);
+
+                        /*
+                         * The first reprovision succeeds and the second
+                         * fails.  The provision and deprovision both take
+                         * effect, but report failure.
+                         */
+                        adm.ma_deployer = fakeDeployer(
+                            {
+                                reprovision: function(zonename) {
+                                    if (firstReprovision === null) {
+                                        firstReprovision = zonename;
+                                        return null;
+                                    }
+                                    return 'before';
+                                },
+                                provision: function() {
+                                    return 'after';
+                                },
+                                deprovision: function() {
+                                    return 'after';
+                                }
+                            },
+                            calls
+                        );
+                        adm.doExecPlan(
+                            new CollectorStream({}),
+                            new CollectorStream({}),
+                            false,
+                            function(err3) {
+                                assert.ok(err3, 'expected plan to fail');
+                                assert.equal(calls.length, 4);
+                                assert.deepEqual(stateSummary(readState()), [
+                                    'cn001 reprovision done',
+                                    'cn001 reprovision failed',
+                                    'cn002 provision failed',
+                                    'cn003 deprovision failed'
+                                ]);
+                                assert.ok(!fs.existsSync(stateFile + '.tmp'));
+                                callback();
+                            }
+                        );
+                    });
+                });
+            },
+
+            function resumeChangedDeployment(_, callback) {
+                var adm, saved, zonename;
+
+                /*
+                 * If the instance that remains to be reprovisioned has been
+                 * changed out from under us, the plan cannot be resumed.
+                 */
+                console.log('resuming plan after deployment changed');
+                saved = jsprim.deepCopy(fakeBase);
+                for (zonename in fakeBase.vms) {
+                    if (
+                        fakeBase.vms[zonename].server_uuid === 'cn001' &&
+                        zonename !== firstReprovision
+                    ) {
+                        fakeBase.vms[zonename].image_uuid = 'img003';
+                    }
+                }
+
+                adm = loadAdm();
+                fakeBase = saved;
+                adm.planStateLoad({filename: stateFile}, function(err) {
+                    assert.ok(err);
+                    assert.ok(
+                        /deployment has changed since the plan was generated/.test(
+                            err.message
+                        ),
+                        err.message
+                    );
+                    callback();
+                });
+            },
+
+            function resumePlan(_, callback) {
+                var adm = loadAdm();
+                var calls = [];
+                var dryrun = new CollectorStream({});
+
+                console.log('resuming plan');
+                adm.planStateLoad({filename: stateFile}, function(err, info) {
+                    assert.ifError(err);
+                    assert.equal(info.ntotal, 4);
+                    assert.equal(info.ndone, 3);
+                    assert.strictEqual(info.service, null);
+
+                    /* Reconciliation should have been written out. */
+                    assert.deepEqual(stateSummary(readState()), [
+                        'cn001 reprovision done',
+                        'cn001 reprovision pending',
+                        'cn002 provision done',
+                        'cn003 deprovision done'
+                    ]);
+
+                    adm.doExecPlan(dryrun, dryrun, true, function(err2, count) {
+                        assert.ifError(err2);
+                        assert.equal(count, 1);
+                        assert.equal(
+                            (dryrun.data.match(/reprovision zone/g) || [])
+                                .length,
+                            1
+                        );
+                        assert.equal(dryrun.data.indexOf('cn002'), -1);
+                        assert.equal(dryrun.data.indexOf('cn003'), -1);
+
+                        adm.ma_deployer = fakeDeployer({}, calls);
+                        adm.doExecPlan(
+                            new CollectorStream({}),
+                            new CollectorStream({}),
+                            false,
+                            function(err3) {
+                                assert.ifError(err3);
+                                assert.equal(calls.length, 1);
+                                assert.equal(calls[0].action, 'reprovision');
+                                assert.notEqual(
+                                    calls[0].zonename,
+                                    firstReprovision
+                                );
+                                callback();
+                            }
+                        );
+                    });
+                });
+            },
+
+            function resumeCompletedPlan(_, callback) {
+                var adm = loadAdm();
+                var dryrun = new CollectorStream({});
+
+                console.log('resuming completed plan');
+                adm.planStateLoad({filename: stateFile}, function(err, info) {
+                    assert.ifError(err);
+                    assert.equal(info.ndone, info.ntotal);
+                    adm.doExecPlan(dryrun, dryrun, true, function(err2, count) {
+                        assert.ifError(err2);
+                        assert.equal(count, 0);
+                        assert.equal(dryrun.data, 'nothing to do\n');
+
+                        /*
+                         * The resulting deployment should match what was
+                         * originally requested.
+                         */
+                        var collector = new CollectorStream({});
+                        adm.dumpDeployedConfigByServiceJson(collector);
+                        assert.deepEqual(JSON.parse(collector.data), {
+                            cn001: {webapi: {img002: 2}},
+                            cn002: {webapi: {img001: 1, img002: 1}}
+                        });
+                        callback();
+                    });
+                });
+            },
+
+            function rollbackChangedDeployment(_, callback) {
+                var adm, saved;
+
+                /*
+                 * A reprovisioned instance that has since been changed
+                 * cannot be rolled back.
+                 */
+                console.log('rolling back plan after deployment changed');
+                saved = jsprim.deepCopy(fakeBase);
+                fakeBase.vms[firstReprovision].image_uuid = 'img003';
+                adm = loadAdm();
+                fakeBase = saved;
+                adm.generateRollbackPlan({filename: stateFile}, function(err) {
+                    assert.ok(err);
+                    assert.ok(
+                        err.message.indexOf('is now using image "img003"') !==
+                            -1,
+                        err.message
+                    );
+                    callback();
+                });
+            },
+
+            function rollbackPlan(_, callback) {
+                var adm = loadAdm();
+                var calls = [];
+
+                console.log('rolling back plan');
+                adm.generateRollbackPlan({filename: stateFile}, function(
+                    err,
+                    info
+                ) {
+                    assert.ifError(err);
+                    assert.equal(info.ndone, 4);
+                    assert.equal(info.created, readState().created);
+                    assert.deepEqual(
+                        adm.dumpPlan().map(function(p) {
+                            return [p.cnid, p.action, p.image].join(' ');
+                        }),
+                        [
+                            'cn001 reprovision img001',
+                            'cn001 reprovision img001',
+                            'cn002 deprovision img002',
+                            'cn003 provision img001'
+                        ]
+                    );
+
+                    adm.planStateInit({filename: stateFile}, function(err2) {
+                        assert.ifError(err2);
+                        assert.equal(readState().rollback_of, info.created);
+
+                        /* The replacement instance fails to provision. */
+                        adm.ma_deployer = fakeDeployer(
+                            {
+                                provision: function() {
+                                    return 'before';
+                                }
+                            },
+                            calls
+                        );
+                        adm.doExecPlan(
+                            new CollectorStream({}),
+                            new CollectorStream({}),
+                            false,
+                            function(err3) {
+                                assert.ok(err3, 'expected rollback to fail');
+                                assert.equal(calls.length, 4);
+                                assert.deepEqual(stateSummary(readState()), [
+                                    'cn001 reprovision done',
+                                    'cn001 reprovision done',
+                                    'cn002 deprovision done',
+                                    'cn003 provision failed'
+                                ]);
+                                callback();
+                            }
+                        );
+                    });
+                });
+            },
+
+            function rollbackFailedRollback(_, callback) {
+                var adm = loadAdm();
+
+                /*
+                 * Rolling back the rollback would re-apply the original
+                 * update, even though the rollback has not finished.
+                 */
+                console.log('rolling back failed rollback');
+                adm.generateRollbackPlan({filename: stateFile}, function(err) {
+                    assert.ok(err);
+                    assert.ok(
+                        /is a rollback of the plan started/.test(err.message),
+                        err.message
+                    );
+                    assert.strictEqual(adm.ma_plan, null);
+                    callback();
+                });
+            },
+
+            function resumeRollback(_, callback) {
+                var adm = loadAdm();
+                var calls = [];
+                var rollbackOf = readState().rollback_of;
+
+                console.log('resuming rollback');
+                adm.planStateLoad({filename: stateFile}, function(err, info) {
+                    assert.ifError(err);
+                    assert.equal(info.ntotal, 4);
+                    assert.equal(info.ndone, 3);
+
+                    adm.ma_deployer = fakeDeployer({}, calls);
+                    adm.doExecPlan(
+                        new CollectorStream({}),
+                        new CollectorStream({}),
+                        false,
+                        function(err2) {
+                            var collector, state;
+
+                            assert.ifError(err2);
+                            assert.equal(calls.length, 1);
+                            assert.equal(calls[0].action, 'provision');
+
+                            /*
+                             * The deployment should match what it was before
+                             * the original update, and the state should
+                             * still record that it's a rollback.
+                             */
+                            collector = new CollectorStream({});
+                            loadAdm().dumpDeployedConfigByServiceJson(
+                                collector
+                            );
+                            assert.deepEqual(
+                                JSON.parse(collector.data),
+                                fakeDeployed
+                            );
+                            state = readState();
+                            assert.equal(state.rollback_of, rollbackOf);
+                            assert.deepEqual(stateSummary(state), [
+                                'cn001 reprovision done',
+                                'cn001 reprovision done',
+                                'cn002 deprovision done',
+                                'cn003 provision done'
+                            ]);
+                            callback();
+                        }
+                    );
+                });
+            },
+
+            function rollbackCompletedRollback(_, callback) {
+                var adm = loadAdm();
+
+                console.log('rolling back completed rollback');
+                adm.generateRollbackPlan({filename: stateFile}, function(err) {
+                    assert.ok(err);
+                    assert.ok(
+                        /is a rollback of the plan started/.test(err.message),
+                        err.message
+                    );
+                    callback();
+                });
+            }
+        ]
+    },
+    function(err) {
+        fs.unlinkSync(stateFile);
+        if (err) {
+            throw err;
+        }
+        console.log('TEST PASSED');
+    }
+);
@@ -0,0 +1,325 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * tst.adm_rolling.js: tests rolling execution of "manta-adm update" plans and
+ * the health checks used to gate each batch
+ */
+
+var assert = require('assert');
+var bunyan = require('bunyan');
+var http = require('http');
+var vasync = require('vasync');
+var CollectorStream = require('./CollectorStream');
+var VError = require('verror').VError;
+
+var common = require('./common');
+var health = require('../lib/health');
+var madm = require('../lib/adm');
+
+var log = new bunyan({
+    name: 'tst.adm_rolling.js',
+    level: process.env['LOG_LEVEL'] || 'fatal',
+    serializers: bunyan.stdSerializers
+});
+
+var fakeDeployed = {
+    cn001: {
+        webapi: {img001: 3}
+    },
+    cn002: {
+        webapi: {img001: 1}
+    }
+};
+
+var desired = {
+    cn001: {
+        webapi: {img002: 3}
+    },
+    cn002: {
+        webapi: {img002: 1}
+    }
+};
+
+/*
+ * Sets up a MantaAdm with a plan to reprovision all four webapi instances and
+ * a fake deployer that records each operation in "events".
+ */
+function setupAdm(events, callback) {
+    var adm = new madm.MantaAdm(log);
+
+    adm.loadFakeDeployed(common.generateFakeBase(fakeDeployed, 1));
+    adm.readConfigRaw(JSON.stringify(desired));
+    adm.generatePlan({}, function(err) {
+        assert.ifError(err);
+        adm.ma_deployer = {
+            reprovision: function(zonename, _image, cb) {
+                events.push('reprovision ' + zonename);
+                setImmediate(cb);
+            }
+        };
+        callback(adm);
+    });
+}
+
+/*
+ * Returns a fake health check that records each check (and each time it's
+ * closed) in "events" and fails for instances in "unhealthy".
+ */
+function fakeHealthCheck(events, unhealthy) {
+    return {
+        name: 'fake',
+        check: function(target, cb) {
+            assert.equal(target.service, 'webapi');
+            events.push('check ' + target.zonename);
+            setImmediate(
+                cb,
+                unhealthy.indexOf(target.zonename) === -1
+                    ? null
+                    : new VError('injected failure')
+            );
+        },
+        close: function() {
+            events.push('close');
+        }
+    };
+}
+
+/*
+ * Starts an HTTP server on a local port that responds to "/ready" with 503 for
+ * the first "nfailures" requests and 200 thereafter, and to everything else
+ * with 404.
+ */
+function startStubServer(nfailures, callback) {
+    var server = http.createServer(function(req, res) {
+        if (req.url !== '/ready') {
+            res.writeHead(404);
+        } else if (nfailures > 0) {
+            nfailures--;
+            res.writeHead(503);
+        } else {
+            res.writeHead(200);
+        }
+        res.end();
+    });
+
+    server.listen(0, '127.0.0.1', function() {
+        callback(server, server.address().port);
+    });
+}
+
+vasync.pipeline(
+    {
+        funcs: [
+            function badConfig(_, callback) {
+                var adm = new madm.MantaAdm(log);
+                var check = fakeHealthCheck([], []);
+                var err;
+
+                console.log('invalid rolling update configuration');
+                err = adm.setRollingUpdate({
+                    batchSize: 1,
+                    batchSizes: {nonexistent: 2},
+                    healthCheck: check,
+                    healthTimeout: 1000
+                });
+                assert.ok(err instanceof Error);
+                assert.ok(/unrecognized service/.test(err.message));
+
+                err = adm.setRollingUpdate({
+                    batchSize: 0,
+                    batchSizes: {},
+                    healthCheck: check,
+                    healthTimeout: 1000
+                });
+                assert.ok(err instanceof Error);
+
+                assert.ok(
+                    health.parseHealthCheck('tcp:80', log) instanceof Error
+                );
+
+                assert.equal(
+                    health.parseHealthCheck('http:8080/ping', log).name,
+                    'http:8080/ping'
+                );
+                assert.equal(
+                    health.parseHealthCheck('http:80', log).name,
+                    'http:80/'
+                );
+                callback();
+            },
+
+            function rollingSuccess(_, callback) {
+                var events = [];
+
+                console.log('rolling update, all instances healthy');
+                setupAdm(events, function(adm) {
+                    var out = new CollectorStream({});
+                    var err;
+
+                    err = adm.setRollingUpdate({
+                        batchSize: 1,
+                        batchSizes: {webapi: 3},
+                        healthCheck: fakeHealthCheck(events, []),
+                        healthTimeout: 1000,
+                        healthInterval: 10
+                    });
+                    assert.ifError(err);
+
+                    adm.doExecPlan(out, out, true, function(err2) {
+                        assert.ifError(err2);
+                        assert.ok(
+                            out.data.indexOf(
+                                'rolling update: batches of up to 3, ' +
+                                    'health check "fake"'
+                            ) !== -1
+                        );
+                        assert.equal(events.length, 0);
+
+                        adm.doExecPlan(out, out, false, function(err3) {
+                            assert.ifError(err3);
+                            assert.deepEqual(
+                                events.map(function(e) {
+                                    return e.split(' ')[0];
+                                }),
+                                [
+                                    'reprovision',
+                                    'reprovision',
+                                    'reprovision',
+                                    'check',
+                                    'check',
+                                    'check',
+                                    'close',
+                                    'reprovision',
+                                    'check',
+                                    'close'
+                                ]
+                            );
+                            assert.ok(
+                                out.data.indexOf('batch 2 of 2 healthy') !== -1
+                            );
+                            callback();
+                        });
+                    });
+                });
+            },
+
+            function rollingUnhealthy(_, callback) {
+                var events = [];
+
+                console.log('rolling update, instance fails health check');
+                setupAdm(events, function(adm) {
+                    var out = new CollectorStream({});
+                    var plan, first;
+
+                    plan = adm.dumpPlan();
+                    first = plan[0].zonename;
+                    adm.setRollingUpdate({
+                        batchSize: 2,
+                        batchSizes: {},
+                        healthCheck: fakeHealthCheck(events, [first]),
+                        healthTimeout: 50,
+                        healthInterval: 10
+                    });
+
+                    adm.doExecPlan(out, out, false, function(err) {
+                        var nreprovisions;
+
+                        assert.ok(err instanceof Error);
+                        assert.ok(
+                            /health check failed after batch 1 of 2; aborting update/.test(
+                                err.message
+                            ),
+                            err.message
+                        );
+                        assert.ok(err.message.indexOf(first) !== -1);
+
+                        /*
+                         * The first instance should have been checked
+                         * repeatedly and the second batch never started.
+                         */
+                        nreprovisions = events.filter(function(e) {
+                            return e.split(' ')[0] === 'reprovision';
+                        }).length;
+                        assert.equal(nreprovisions, 2);
+                        assert.ok(
+                            events.filter(function(e) {
+                                return e === 'check ' + first;
+                            }).length > 1
+                        );
+                        assert.equal(events[events.length - 1], 'close');
+                        callback();
+                    });
+                });
+            },
+
+            function httpCheck(_, callback) {
+                console.log('http health check');
+                startStubServer(2, function(server, port) {
+                    var check = health.createHttpHealthCheck({
+                        log: log,
+                        port: port,
+                        path: '/ready'
+                    });
+                    var target = {
+                        zonename: 'zone001',
+                        service: 'webapi',
+                        ip: '127.0.0.1'
+                    };
+
+                    health.waitForHealthy(
+                        {
+                            healthCheck: check,
+                            target: target,
+                            timeout: 5000,
+                            interval: 10,
+                            log: log
+                        },
+                        function(err) {
+                            assert.ifError(err);
+
+                            var badcheck = health.createHttpHealthCheck({
+                                log: log,
+                                port: port,
+                                path: '/notfound'
+                            });
+                            health.waitForHealthy(
+                                {
+                                    healthCheck: badcheck,
+                                    target: target,
+                                    timeout: 50,
+                                    interval: 10,
+                                    log: log
+                                },
+                                function(err2) {
+                                    assert.ok(err2 instanceof Error);
+                                    assert.ok(
+                                        /unexpected status 404/.test(
+                                            err2.message
+                                        ),
+                                        err2.message
+                                    );
+                                    server.close();
+                                    callback();
+                                }
+                            );
+                        }
+                    );
+                });
+            }
+        ]
+    },
+    function(err) {
+        if (err) {
+            throw err;
+        }
+        console.log('TEST PASSED');
+    }
+);
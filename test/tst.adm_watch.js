@@ -0,0 +1,142 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * tst.adm_watch.js: tests detecting changes for manta-adm show --watch
+ */
+
+var assert = require('assert');
+var bunyan = require('bunyan');
+var CollectorStream = require('./CollectorStream');
+
+var common = require('./common');
+var madm = require('../lib/adm');
+
+var log = new bunyan({
+    name: 'tst.adm_watch.js',
+    level: process.env['LOG_LEVEL'] || 'warn',
+    serializers: bunyan.stdSerializers
+});
+
+function snapshotOf(fakeDeployed, conf, mutate) {
+    var adm, base;
+
+    base = common.generateFakeBase(fakeDeployed, 1);
+    if (mutate) {
+        mutate(base);
+    }
+
+    adm = new madm.MantaAdm(log);
+    adm.loadFakeDeployed(base);
+    return adm.deployedSnapshot(conf);
+}
+
+function main() {
+    var before, after, changes, out;
+
+    console.log('snapshot');
+    before = snapshotOf(
+        {
+            cn001: {
+                moray: {'1': {img002: 2}},
+                webapi: {img003: 1}
+            }
+        },
+        {}
+    );
+    assert.deepEqual(before['instance001'], {
+        service: 'moray',
+        shard: '1',
+        datacenter: 'test',
+        host: 'CN001',
+        image: 'img002',
+        version: 'master002'
+    });
+    assert.equal(Object.keys(before).length, 3);
+
+    /*
+     * In the second snapshot, instance001 is reprovisioned, instance002 is
+     * gone, and instance004 is new.  instance003 (the webapi zone) is
+     * unchanged.
+     */
+    after = snapshotOf(
+        {
+            cn001: {
+                moray: {'1': {img002: 2}},
+                webapi: {img003: 1}
+            },
+            cn002: {
+                webapi: {img003: 1}
+            }
+        },
+        {},
+        function(base) {
+            base['vms']['instance001']['image_uuid'] = 'img001';
+            delete base['vms']['instance002'];
+        }
+    );
+
+    console.log('diff');
+    changes = madm.diffDeployedSnapshots(before, after);
+    assert.deepEqual(
+        changes.map(function(c) {
+            return c.type + ' ' + c.zonename;
+        }),
+        ['image instance001', 'removed instance002', 'added instance004']
+    );
+    assert.equal(changes[0].old_image, 'img002');
+    assert.equal(changes[0].image, 'img001');
+    assert.deepEqual(madm.diffDeployedSnapshots(after, after), []);
+
+    console.log('print changes');
+    out = new CollectorStream({});
+    madm.printDeployedChanges(out, {
+        changes: changes,
+        timestamp: '2026-10-19T00:00:00.000Z'
+    });
+    assert.equal(
+        out.data,
+        [
+            '2026-10-19T00:00:00.000Z ~ service "moray" shard 1 zone ' +
+                'instance001 on CN001: image changed from img002 ' +
+                '(master002) to img001 (master001)',
+            '2026-10-19T00:00:00.000Z - service "moray" shard 1 zone ' +
+                'instance002 on CN001: removed',
+            '2026-10-19T00:00:00.000Z + service "webapi" zone instance004 ' +
+                'on CN002: added with image img003 (master003)',
+            ''
+        ].join('\n')
+    );
+
+    console.log('print changes in color');
+    out = new CollectorStream({});
+    madm.printDeployedChanges(out, {changes: changes.slice(2), color: true});
+    assert.equal(
+        out.data,
+        '\u001b[32m+ service "webapi" zone instance004 on CN002: added ' +
+            'with image img003 (master003)\u001b[0m\n'
+    );
+
+    console.log('snapshot with filter');
+    after = snapshotOf(
+        {
+            cn001: {
+                moray: {'1': {img002: 2}},
+                webapi: {img003: 1}
+            }
+        },
+        {filter: 'webapi'}
+    );
+    assert.deepEqual(Object.keys(after), ['instance003']);
+
+    console.log('TEST PASSED');
+}
+
+main();
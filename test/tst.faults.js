@@ -0,0 +1,193 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * tst.faults.js: tests the fault-domain analysis used by "manta-adm genconfig
+ * --analyze" and "manta-adm show --analyze".  The reports are compared against
+ * tst.faults.js.out.
+ */
+
+var assert = require('assert');
+var bunyan = require('bunyan');
+var sprintf = require('extsprintf').sprintf;
+var CollectorStream = require('./CollectorStream');
+
+var common = require('./common');
+var faults = require('../lib/faults');
+var layout = require('../lib/layout');
+var madm = require('../lib/adm');
+
+var log = new bunyan({
+    name: 'tst.faults.js',
+    level: process.env['LOG_LEVEL'] || 'fatal',
+    serializers: bunyan.stdSerializers
+});
+
+var images = {
+    nameservice: 'NAMESERVICE_IMAGE0',
+    postgres: 'POSTGRES_IMAGE0',
+    moray: 'MORAY_IMAGE0',
+    'electric-moray': 'ELECTRIC_MORAY_IMAGE0',
+    storage: 'STORAGE_IMAGE0',
+    authcache: 'AUTHCACHE_IMAGE0',
+    webapi: 'WEBAPI_IMAGE0',
+    loadbalancer: 'LOADBALANCER_IMAGE0',
+    ops: 'OPS_IMAGE0',
+    madtom: 'MADTOM_IMAGE0'
+};
+
+function mkserver(role, racknum, servernum) {
+    return {
+        type: role,
+        uuid: sprintf('server_r%02d_%s%02d', racknum, role, servernum),
+        memory: 64,
+        rack: sprintf('rack_r%02d', racknum)
+    };
+}
+
+/*
+ * Prints the analysis for a layout of the given servers.
+ */
+function analyzeLayout(name, config, callback) {
+    var loader = new layout.DcConfigLoader();
+
+    console.log('layout: %s', name);
+    loader.loadDirectly({config: config}, function(err, dcconfig) {
+        var svclayout, analysis, out;
+
+        assert.ifError(err);
+        svclayout = layout.generateLayout({
+            dcconfig: dcconfig,
+            images: images
+        });
+        assert.equal(svclayout.nerrors(), 0);
+
+        analysis = svclayout.analyzeFaults(1);
+        out = new CollectorStream({});
+        faults.printFaultAnalysis({
+            stream: out,
+            analysis: analysis,
+            min_instances: 1
+        });
+        process.stdout.write(out.data);
+        callback(analysis);
+    });
+}
+
+function testLayouts(callback) {
+    analyzeLayout(
+        'three racks',
+        {
+            nshards: 1,
+            servers: [
+                mkserver('metadata', 0, 0),
+                mkserver('metadata', 1, 0),
+                mkserver('metadata', 2, 0),
+                mkserver('storage', 0, 0),
+                mkserver('storage', 1, 0)
+            ]
+        },
+        function(analysis) {
+            /* Losing any one rack should leave each shard with quorum. */
+            analysis.forEach(function(domain) {
+                if (domain.kind === 'rack') {
+                    assert.deepEqual(domain.noquorum, []);
+                    assert.ok(domain.zk.quorum);
+                }
+            });
+
+            analyzeLayout(
+                'two racks',
+                {
+                    nshards: 1,
+                    servers: [
+                        mkserver('metadata', 0, 0),
+                        mkserver('metadata', 0, 1),
+                        mkserver('metadata', 1, 0),
+                        mkserver('storage', 0, 0),
+                        mkserver('storage', 1, 0)
+                    ]
+                },
+                function(analysis2) {
+                    var rack0 = analysis2.filter(function(domain) {
+                        return domain.name === 'rack_r00';
+                    })[0];
+
+                    assert.equal(rack0.nservers, 3);
+                    assert.deepEqual(
+                        rack0.noquorum.map(function(r) {
+                            return r.svcname;
+                        }),
+                        ['postgres']
+                    );
+                    assert.ok(!rack0.zk.quorum);
+                    callback();
+                }
+            );
+        }
+    );
+}
+
+function testDeployed() {
+    var base, adm, out, nimpacted;
+    var fakeDeployed = {
+        cn001: {
+            nameservice: {img001: 1},
+            postgres: {'1': {img001: 1}},
+            moray: {'1': {img001: 1}},
+            webapi: {img001: 1},
+            ops: {img001: 1}
+        },
+        cn002: {
+            nameservice: {img001: 1},
+            postgres: {'1': {img001: 1}},
+            moray: {'1': {img001: 1}},
+            webapi: {img001: 1}
+        },
+        cn003: {
+            nameservice: {img001: 1},
+            storage: {img001: 1}
+        }
+    };
+
+    console.log('deployed: one datacenter');
+    base = common.generateFakeBase(fakeDeployed, 1);
+    base['cns']['cn001']['rack_identifier'] = 'rack-a';
+    base['cns']['cn002']['rack_identifier'] = 'rack-a';
+    base['cns']['cn003']['rack_identifier'] = 'rack-b';
+    adm = new madm.MantaAdm(log);
+    adm.loadFakeDeployed(base);
+    out = new CollectorStream({});
+    nimpacted = adm.dumpFaultAnalysis(out, {min_instances: 1});
+    process.stdout.write(out.data);
+    assert.equal(nimpacted, 5);
+
+    console.log('deployed: one datacenter, at least 2 instances');
+    out = new CollectorStream({});
+    adm.dumpFaultAnalysis(out, {min_instances: 2});
+    process.stdout.write(out.data);
+
+    /*
+     * With three datacenters, only servers in this one are known, but
+     * instances elsewhere still count toward each shard's quorum.
+     */
+    console.log('deployed: three datacenters');
+    base = common.generateFakeBase(fakeDeployed, 3);
+    adm = new madm.MantaAdm(log);
+    adm.loadFakeDeployed(base);
+    out = new CollectorStream({});
+    adm.dumpFaultAnalysis(out, {min_instances: 1});
+    process.stdout.write(out.data);
+}
+
+testLayouts(function() {
+    testDeployed();
+    console.log('TEST PASSED');
+});
@@ -38,6 +38,11 @@ var layout = require('../lib/layout');
  *
  * The "json" test cases exercise more code paths, but the "config" ones are
  * easier to manage here, particularly for more complex cases.
+ *
+ * Test cases may also specify "deployed", a "config" object whose generated
+ * layout is used as the existing deployment for generating an incremental
+ * layout, plus optionally "extra", additional deployed servers that are merged
+ * into that deployment.
  */
 var testcases = [
     {
@@ -349,6 +354,375 @@ var testcases = [
                 mkserver('storage', 0, 2, 2)
             ]
         }
+    },
+    {
+        name: 'invalid config: bad type for server property ("reserved")',
+        config: {
+            nshards: 1,
+            servers: [
+                mkserver('metadata', 0, 0, undefined, {reserved: 'yes'}),
+                mkserver('storage', 0, 0)
+            ]
+        }
+    },
+    {
+        name: 'invalid config: demands for unknown service',
+        config: {
+            nshards: 1,
+            demands: {junk: {memory: 1}},
+            servers: [mkserver('metadata', 0, 0), mkserver('storage', 0, 0)]
+        }
+    },
+    {
+        name: 'invalid config: unknown resource in demands',
+        config: {
+            nshards: 1,
+            demands: {postgres: {gpus: 1}},
+            servers: [mkserver('metadata', 0, 0), mkserver('storage', 0, 0)]
+        }
+    },
+    {
+        name: 'invalid config: separate_shards with unsharded service',
+        config: {
+            nshards: 1,
+            constraints: {separate_shards: ['webapi']},
+            servers: [mkserver('metadata', 0, 0), mkserver('storage', 0, 0)]
+        }
+    },
+    {
+        name: 'invalid config: all metadata servers reserved',
+        config: {
+            nshards: 1,
+            servers: [
+                mkserver('metadata', 0, 0, undefined, {reserved: true}),
+                mkserver('storage', 0, 0)
+            ]
+        }
+    },
+    {
+        name: 'reserved servers',
+        config: {
+            nshards: 2,
+            servers: [
+                mkserver('metadata', 0, 0),
+                mkserver('metadata', 0, 1, undefined, {reserved: true}),
+                mkserver('storage', 0, 0),
+                mkserver('storage', 0, 1, undefined, {reserved: true}),
+
+                mkserver('metadata', 1, 0),
+                mkserver('metadata', 1, 1),
+                mkserver('storage', 1, 0),
+
+                mkserver('metadata', 2, 0),
+                mkserver('metadata', 2, 1),
+                mkserver('storage', 2, 0)
+            ]
+        }
+    },
+    {
+        name: 'separate_shards constraint with too few servers',
+        config: {
+            nshards: 2,
+            constraints: {separate_shards: ['postgres']},
+            servers: [
+                mkserver('metadata', 0, 0),
+                mkserver('metadata', 1, 0),
+                mkserver('metadata', 2, 0),
+                mkserver('metadata', 2, 1),
+                mkserver('storage', 0, 0)
+            ]
+        }
+    },
+    {
+        name: 'separate_shards constraint cannot be satisfied',
+        config: {
+            nshards: 3,
+            constraints: {separate_shards: ['postgres']},
+            servers: [
+                mkserver('metadata', 0, 0),
+                mkserver('metadata', 0, 1, undefined, {reserved: true}),
+                mkserver('metadata', 1, 0),
+                mkserver('metadata', 1, 1),
+                mkserver('metadata', 2, 0),
+                mkserver('metadata', 2, 1),
+                mkserver('metadata', 2, 2),
+                mkserver('storage', 0, 0)
+            ]
+        }
+    },
+    {
+        name: 'server without enough memory',
+        config: {
+            nshards: 1,
+            servers: [
+                mkserver('metadata', 0, 0, undefined, {memory: 6}),
+                mkserver('metadata', 1, 0),
+                mkserver('metadata', 2, 0),
+                mkserver('storage', 0, 0)
+            ]
+        }
+    },
+    {
+        name: 'servers overcommitted',
+        config: {
+            nshards: 3,
+            demands: {
+                postgres: {memory: 16, disk: 500, ncpus: 4},
+                'buckets-postgres': {memory: 0.5}
+            },
+            servers: [
+                mkserver('metadata', 0, 0, undefined, {disk: 1000, ncpus: 8}),
+                mkserver('metadata', 1, 0, undefined, {disk: 1000, ncpus: 8}),
+                mkserver('metadata', 2, 0, undefined, {disk: 1000, ncpus: 8}),
+                mkserver('storage', 0, 0)
+            ]
+        }
+    },
+    {
+        name: 'invalid config: services for unknown service',
+        config: {
+            nshards: 1,
+            services: {junk: {count: 1}},
+            servers: [mkserver('metadata', 0, 0), mkserver('storage', 0, 0)]
+        }
+    },
+    {
+        name: 'invalid config: services with bad count',
+        config: {
+            nshards: 1,
+            services: {nameservice: {count: -1}},
+            servers: [mkserver('metadata', 0, 0), mkserver('storage', 0, 0)]
+        }
+    },
+    {
+        name: 'invalid config: services with more than one property',
+        config: {
+            nshards: 1,
+            services: {webapi: {count: 1, ratio: 2}},
+            servers: [mkserver('metadata', 0, 0), mkserver('storage', 0, 0)]
+        }
+    },
+    {
+        name: 'invalid config: services with count for per-shard service',
+        config: {
+            nshards: 1,
+            services: {postgres: {count: 3}},
+            servers: [mkserver('metadata', 0, 0), mkserver('storage', 0, 0)]
+        }
+    },
+    {
+        name: 'invalid config: services with ratio for exact-count service',
+        config: {
+            nshards: 1,
+            services: {nameservice: {ratio: 2}},
+            servers: [mkserver('metadata', 0, 0), mkserver('storage', 0, 0)]
+        }
+    },
+    {
+        name: 'invalid config: services with storage',
+        config: {
+            nshards: 1,
+            services: {storage: {count: 2}},
+            servers: [mkserver('metadata', 0, 0), mkserver('storage', 0, 0)]
+        }
+    },
+    {
+        name: 'service count overrides',
+        config: {
+            nshards: 2,
+            images: {
+                pgstatsmon: 'PGSTATSMON_IMAGE0'
+            },
+            services: {
+                nameservice: {count: 5},
+                pgstatsmon: {count: 2},
+                prometheus: {count: 1},
+                webapi: {ratio: 4},
+                loadbalancer: {count: 3},
+                postgres: {per_shard: 2},
+                moray: {per_shard: 2},
+                'buckets-api': {count: 0},
+                'buckets-mdplacement': {ratio: 0},
+                'buckets-postgres': {per_shard: 0},
+                'buckets-mdapi': {per_shard: 0}
+            },
+            servers: [
+                mkserver('metadata', 0, 0),
+                mkserver('metadata', 0, 1),
+                mkserver('metadata', 1, 0),
+                mkserver('metadata', 1, 1),
+                mkserver('storage', 0, 0),
+                mkserver('storage', 1, 0)
+            ]
+        }
+    },
+    {
+        name: 'invalid config: unknown API',
+        config: {
+            nshards: 1,
+            apis: ['directory', 'junk'],
+            servers: [mkserver('metadata', 0, 0), mkserver('storage', 0, 0)]
+        }
+    },
+    {
+        name: 'invalid config: API listed twice',
+        config: {
+            nshards: 1,
+            apis: ['buckets', 'buckets'],
+            servers: [mkserver('metadata', 0, 0), mkserver('storage', 0, 0)]
+        }
+    },
+    {
+        name: 'invalid config: buckets_nshards without buckets API',
+        config: {
+            nshards: 1,
+            apis: ['directory'],
+            buckets_nshards: 2,
+            servers: [mkserver('metadata', 0, 0), mkserver('storage', 0, 0)]
+        }
+    },
+    {
+        name: 'invalid config: services for API that is not deployed',
+        config: {
+            nshards: 1,
+            apis: ['buckets'],
+            services: {webapi: {ratio: 4}},
+            servers: [mkserver('metadata', 0, 0), mkserver('storage', 0, 0)]
+        }
+    },
+    {
+        name: 'directory API only',
+        config: {
+            nshards: 2,
+            apis: ['directory'],
+            servers: [
+                mkserver('metadata', 0, 0),
+                mkserver('metadata', 1, 0),
+                mkserver('metadata', 2, 0),
+                mkserver('storage', 0, 0),
+                mkserver('storage', 1, 0)
+            ]
+        }
+    },
+    {
+        name: 'buckets API only',
+        config: {
+            nshards: 2,
+            apis: ['buckets'],
+            servers: [
+                mkserver('metadata', 0, 0),
+                mkserver('metadata', 1, 0),
+                mkserver('metadata', 2, 0),
+                mkserver('storage', 0, 0),
+                mkserver('storage', 1, 0)
+            ]
+        }
+    },
+    {
+        name: 'both APIs with separate numbers of shards',
+        config: {
+            nshards: 1,
+            apis: ['buckets', 'directory'],
+            buckets_nshards: 4,
+            servers: [
+                mkserver('metadata', 0, 0),
+                mkserver('metadata', 1, 0),
+                mkserver('metadata', 2, 0),
+                mkserver('storage', 0, 0),
+                mkserver('storage', 1, 0)
+            ]
+        }
+    },
+    {
+        name: 'incremental: add a rack and a shard',
+        deployed: {
+            nshards: 2,
+            servers: [
+                mkserver('metadata', 0, 0),
+                mkserver('metadata', 1, 0),
+                mkserver('metadata', 2, 0),
+                mkserver('storage', 0, 0)
+            ]
+        },
+        config: {
+            nshards: 3,
+            servers: [
+                mkserver('metadata', 0, 0),
+                mkserver('metadata', 1, 0),
+                mkserver('metadata', 2, 0),
+                mkserver('metadata', 3, 0),
+                mkserver('storage', 0, 0),
+                mkserver('storage', 3, 0)
+            ]
+        }
+    },
+    {
+        name: 'incremental: deployed server missing from configuration',
+        deployed: {
+            nshards: 1,
+            servers: [
+                mkserver('metadata', 0, 0),
+                mkserver('metadata', 1, 0),
+                mkserver('metadata', 2, 0),
+                mkserver('storage', 0, 0)
+            ]
+        },
+        extra: {
+            server_old: {
+                webapi: {WEBAPI_IMAGE_OLD: 1},
+                postgres: {'1': {POSTGRES_IMAGE_OLD: 1}}
+            }
+        },
+        config: {
+            nshards: 1,
+            servers: [
+                mkserver('metadata', 0, 0),
+                mkserver('metadata', 1, 0),
+                mkserver('metadata', 2, 0),
+                mkserver('metadata', 2, 1),
+                mkserver('storage', 0, 0)
+            ]
+        }
+    },
+    {
+        name: 'incremental: no new metadata servers',
+        deployed: {
+            nshards: 1,
+            servers: [
+                mkserver('metadata', 0, 0),
+                mkserver('metadata', 1, 0),
+                mkserver('metadata', 2, 0),
+                mkserver('storage', 0, 0)
+            ]
+        },
+        config: {
+            nshards: 2,
+            servers: [
+                mkserver('metadata', 0, 0),
+                mkserver('metadata', 1, 0),
+                mkserver('metadata', 2, 0),
+                mkserver('storage', 0, 0),
+                mkserver('storage', 0, 1)
+            ]
+        }
+    },
+    {
+        name: 'incremental: multiple datacenters',
+        deployed: {
+            nshards: 1,
+            servers: [mkserver('metadata', 0, 0), mkserver('storage', 0, 0)]
+        },
+        config: {
+            nshards: 1,
+            servers: [
+                mkserver('metadata', 0, 0, 0),
+                mkserver('metadata', 0, 0, 1),
+                mkserver('metadata', 0, 0, 2),
+                mkserver('storage', 0, 0, 0),
+                mkserver('storage', 0, 0, 1),
+                mkserver('storage', 0, 0, 2)
+            ]
+        }
     }
 ];
 
@@ -393,9 +767,10 @@ function main() {
 /*
  * Generate an object representing a server of type "role" in rack "racknum",
  * and optionally in availability zone "aznum".  This will be server "role" +
- * "servernum" within this rack.
+ * "servernum" within this rack.  Properties in "extra", if specified, are
+ * added to (or replace those in) the server object.
  */
-function mkserver(role, racknum, servernum, aznum) {
+function mkserver(role, racknum, servernum, aznum, extra) {
     var rack, cnid, server, azname;
 
     assertplus.ok(['metadata', 'storage'].indexOf(role) !== -1);
@@ -430,6 +805,12 @@ function mkserver(role, racknum, servernum, aznum) {
         server['az'] = azname;
     }
 
+    if (extra !== undefined) {
+        Object.keys(extra).forEach(function(key) {
+            server[key] = extra[key];
+        });
+    }
+
     return server;
 }
 
@@ -458,6 +839,10 @@ function runTestCase(t, callback) {
         stages.push(runTestCaseLoadDirectly);
     }
 
+    if (t.hasOwnProperty('deployed')) {
+        stages.push(runTestCaseGenerateDeployed);
+    }
+
     stages.push(runTestCaseGenerate);
 
     console.log(separator);
@@ -578,7 +963,8 @@ function runTestCaseGenerate(tcstate, callback) {
 
         svclayout = layout.generateLayout({
             dcconfig: tcstate.tc_dcconfig,
-            images: images
+            images: images,
+            deployed: tcstate.tc_deployed
         });
 
         console.log('\ngenerated config:');
@@ -602,4 +988,41 @@ function runTestCaseGenerate(tcstate, callback) {
     callback();
 }
 
+/*
+ * For incremental test cases, generate the existing deployment from the
+ * "deployed" configuration (plus any "extra" servers) and dump it to stdout.
+ */
+function runTestCaseGenerateDeployed(tcstate, callback) {
+    var testcase = tcstate.tc_testcase;
+    var loader = new layout.DcConfigLoader();
+
+    loader.loadDirectly(
+        {
+            config: testcase.deployed
+        },
+        function(err, dcconfig) {
+            var svclayout, deployed;
+
+            assertplus.ok(!err);
+            svclayout = layout.generateLayout({
+                dcconfig: dcconfig,
+                images: images
+            });
+            assertplus.equal(svclayout.nerrors(), 0);
+            assertplus.deepEqual(svclayout.azs(), ['default_az']);
+            deployed = JSON.parse(svclayout.serialize('default_az'));
+
+            if (testcase.hasOwnProperty('extra')) {
+                Object.keys(testcase.extra).forEach(function(cnid) {
+                    deployed[cnid] = testcase.extra[cnid];
+                });
+            }
+
+            console.log('deployed: %s', JSON.stringify(deployed, null, 4));
+            tcstate.tc_deployed = deployed;
+            callback();
+        }
+    );
+}
+
 main();
@@ -0,0 +1,382 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * tst.region.js: tests region-level configuration used by "manta-adm update
+ * --region" and "manta-adm show -a -s -j", and generating, printing, and
+ * executing the plans for each datacenter of a region-wide update
+ */
+
+var assert = require('assert');
+var bunyan = require('bunyan');
+var vasync = require('vasync');
+var VError = require('verror').VError;
+var CollectorStream = require('./CollectorStream');
+
+var common = require('../lib/common');
+var madm = require('../lib/adm');
+var testcommon = require('./common');
+
+var log = new bunyan({
+    name: 'tst.region.js',
+    level: process.env['LOG_LEVEL'] || 'fatal',
+    serializers: bunyan.stdSerializers
+});
+
+var localConfig = {
+    amon: {url: 'http://amon.us-east-1.example.com'},
+    amqp: {host: 'rabbitmq.us-east-1.example.com'},
+    cnapi: {url: 'http://cnapi.us-east-1.example.com'},
+    imgapi: {url: 'http://imgapi.us-east-1.example.com'},
+    remote_imgapi: {url: 'https://updates.tritondatacenter.com'},
+    napi: {url: 'http://napi.us-east-1.example.com'},
+    sapi: {url: 'http://sapi.us-east-1.example.com'},
+    ufds: {
+        url: 'ldaps://ufds.us-east-1.example.com',
+        bindDN: 'cn=root',
+        bindPassword: 'secret'
+    },
+    vmapi: {url: 'http://vmapi.us-east-1.example.com'},
+    dns_domain: 'example.com',
+    region_name: 'us-east',
+    datacenter_name: 'us-east-1'
+};
+
+function testSdcConfig() {
+    var config, err;
+
+    console.log('SDC endpoints for other datacenters');
+    config = common.sdcConfigForDatacenter(localConfig, 'us-east-1');
+    assert.deepEqual(config, localConfig);
+    assert.notStrictEqual(config, localConfig);
+
+    config = common.sdcConfigForDatacenter(localConfig, 'us-east-2');
+    assert.equal(config.datacenter_name, 'us-east-2');
+    assert.equal(config.sapi.url, 'http://sapi.us-east-2.example.com');
+    assert.equal(config.vmapi.url, 'http://vmapi.us-east-2.example.com');
+    assert.equal(config.cnapi.url, 'http://cnapi.us-east-2.example.com');
+    assert.equal(config.ufds.url, 'ldaps://ufds.us-east-2.example.com');
+    assert.equal(config.ufds.bindDN, 'cn=root');
+    assert.equal(config.remote_imgapi.url, localConfig.remote_imgapi.url);
+    assert.equal(localConfig.sapi.url, 'http://sapi.us-east-1.example.com');
+
+    err = common.sdcConfigForDatacenter(localConfig, 'us-east-2/evil');
+    assert.ok(err instanceof Error);
+    assert.ok(/invalid datacenter name/.test(err.message));
+
+    config = JSON.parse(JSON.stringify(localConfig));
+    config.sapi.url = 'http://10.0.0.10';
+    err = common.sdcConfigForDatacenter(config, 'us-east-2');
+    assert.ok(err instanceof Error);
+    assert.ok(/cannot determine sapi endpoint/.test(err.message), err.message);
+}
+
+function testParseRegionConfig() {
+    var config, err;
+
+    console.log('region configuration');
+    config = madm.parseRegionConfig(
+        JSON.stringify({
+            'us-east-1': {cn001: {webapi: {img001: 1}}},
+            'us-east-2': {}
+        })
+    );
+    assert.ok(!(config instanceof Error));
+    assert.deepEqual(Object.keys(config), ['us-east-1', 'us-east-2']);
+
+    err = madm.parseRegionConfig('{');
+    assert.ok(err instanceof Error);
+
+    err = madm.parseRegionConfig('{}');
+    assert.ok(/no datacenters specified/.test(err.message));
+
+    err = madm.parseRegionConfig('[]');
+    assert.ok(/expected an object/.test(err.message));
+
+    err = madm.parseRegionConfig(
+        JSON.stringify({
+            '44454c4c-5700-1047-8051-b3c04f585131': {webapi: {img001: 1}}
+        })
+    );
+    assert.ok(/single-datacenter configuration/.test(err.message));
+
+    err = madm.parseRegionConfig(JSON.stringify({'us-east-1': 3}));
+    assert.ok(/datacenter "us-east-1": expected an object/.test(err.message));
+}
+
+function testDatacenterNames() {
+    var adm;
+
+    console.log('datacenter names');
+    adm = new madm.MantaAdm(log);
+    adm.loadFakeDeployed(
+        testcommon.generateFakeBase({cn001: {webapi: {img001: 1}}}, 3)
+    );
+    assert.deepEqual(adm.datacenterNames(), ['test-1', 'test-2', 'test-3']);
+}
+
+/*
+ * Each datacenter has a single webapi instance on cn001 using image "img001".
+ * The region-level configuration updates it to "img002" in each datacenter
+ * that's listed in "update".
+ */
+var regionDcs = ['us-east-1', 'us-east-2', 'us-east-3'];
+
+function regionConfig(update) {
+    var config = {};
+
+    regionDcs.forEach(function(dc) {
+        config[dc] = {
+            cn001: {
+                webapi: update.indexOf(dc) !== -1 ? {img002: 1} : {img001: 1}
+            }
+        };
+    });
+
+    return config;
+}
+
+/*
+ * Returns an object mapping each datacenter name to a MantaAdm for a fake
+ * deployment, each with a fake deployer that records reprovisions in "calls"
+ * and fails them in the datacenters listed in "failures".
+ */
+function loadRegionAdms(calls, failures) {
+    var adms = {};
+
+    regionDcs.forEach(function(dc) {
+        var adm = new madm.MantaAdm(log);
+
+        adm.loadFakeDeployed(
+            testcommon.generateFakeBase({cn001: {webapi: {img001: 1}}}, 1)
+        );
+        adm.ma_deployer = {
+            reprovision: function(zonename, image, cb) {
+                calls.push(dc + ' ' + zonename + ' ' + image);
+                setImmediate(
+                    cb,
+                    failures.indexOf(dc) === -1
+                        ? null
+                        : new VError('injected failure')
+                );
+            }
+        };
+        adms[dc] = adm;
+    });
+
+    return adms;
+}
+
+function testRegionGenerate(callback) {
+    var adms, config;
+
+    console.log('region plan generation');
+    adms = loadRegionAdms([], []);
+    madm.generateRegionPlans(
+        {
+            adms: adms,
+            config: regionConfig(['us-east-1', 'us-east-2'])
+        },
+        function(err) {
+            assert.ifError(err);
+            assert.deepEqual(
+                regionDcs.map(function(dc) {
+                    return adms[dc].dumpPlan().map(function(p) {
+                        return [p.cnid, p.action, p.image].join(' ');
+                    });
+                }),
+                [['cn001 reprovision img002'], ['cn001 reprovision img002'], []]
+            );
+
+            /*
+             * A bad configuration for one datacenter stops plan generation
+             * for the datacenters after it.
+             */
+            adms = loadRegionAdms([], []);
+            config = regionConfig(['us-east-1', 'us-east-2', 'us-east-3']);
+            config['us-east-2']['<any>'] = {webapi: {img002: 1}};
+            madm.generateRegionPlans({adms: adms, config: config}, function(
+                err2
+            ) {
+                assert.ok(err2 instanceof Error);
+                assert.ok(
+                    /^datacenter "us-east-2": cannot combine "<any>"/.test(
+                        err2.message
+                    ),
+                    err2.message
+                );
+                assert.equal(adms['us-east-1'].dumpPlan().length, 1);
+                assert.strictEqual(adms['us-east-3'].ma_plan, null);
+                callback();
+            });
+        }
+    );
+}
+
+function testRegionDryRun(callback) {
+    var calls = [];
+    var adms = loadRegionAdms(calls, []);
+
+    console.log('region plan dry run');
+    madm.generateRegionPlans(
+        {
+            adms: adms,
+            config: regionConfig(['us-east-1', 'us-east-2'])
+        },
+        function(err) {
+            var out = new CollectorStream({});
+
+            assert.ifError(err);
+            madm.dumpRegionPlans(
+                {adms: adms, stream: out, errstream: out},
+                function(err2, counts) {
+                    var i1, i2, i3;
+
+                    assert.ifError(err2);
+                    assert.deepEqual(counts, {
+                        'us-east-1': 1,
+                        'us-east-2': 1,
+                        'us-east-3': 0
+                    });
+                    assert.deepEqual(calls, []);
+
+                    /* Each datacenter's plan follows its name. */
+                    i1 = out.data.indexOf('datacenter "us-east-1":\n');
+                    i2 = out.data.indexOf('datacenter "us-east-2":\n');
+                    i3 = out.data.indexOf('datacenter "us-east-3":\n');
+                    assert.ok(i1 === 0 && i1 < i2 && i2 < i3, out.data);
+                    assert.equal(
+                        (out.data.match(/reprovision zone/g) || []).length,
+                        2
+                    );
+                    assert.ok(
+                        /reprovision zone/.test(out.data.substring(i1, i2))
+                    );
+                    assert.ok(
+                        /reprovision zone/.test(out.data.substring(i2, i3))
+                    );
+                    assert.ok(!/reprovision zone/.test(out.data.substring(i3)));
+
+                    out = new CollectorStream({});
+                    madm.dumpRegionPlans(
+                        {adms: adms, stream: out, errstream: out, json: true},
+                        function(err3, jcounts) {
+                            var plans;
+
+                            assert.ifError(err3);
+                            assert.deepEqual(jcounts, counts);
+                            plans = JSON.parse(out.data);
+                            assert.deepEqual(Object.keys(plans), regionDcs);
+                            assert.equal(
+                                plans['us-east-2'].actions[0].action,
+                                'reprovision'
+                            );
+                            assert.equal(plans['us-east-3'].actions.length, 0);
+                            callback();
+                        }
+                    );
+                }
+            );
+        }
+    );
+}
+
+/*
+ * Generate plans for a region-wide update of all three datacenters and execute
+ * them with reprovisions failing in the datacenters listed in "failures".
+ * "callback" is invoked as callback(err, done, calls).
+ */
+function execRegion(failures, callback) {
+    var calls = [];
+    var adms = loadRegionAdms(calls, failures);
+    var out = new CollectorStream({});
+
+    madm.generateRegionPlans(
+        {
+            adms: adms,
+            config: regionConfig(regionDcs)
+        },
+        function(err) {
+            assert.ifError(err);
+            madm.dumpRegionPlans(
+                {adms: adms, stream: out, errstream: out},
+                function(err2, counts) {
+                    assert.ifError(err2);
+                    madm.execRegionPlans(
+                        {
+                            adms: adms,
+                            counts: counts,
+                            stream: out,
+                            errstream: out
+                        },
+                        function(err3, done) {
+                            callback(err3, done, calls);
+                        }
+                    );
+                }
+            );
+        }
+    );
+}
+
+function testRegionExec(callback) {
+    console.log('region plan execution');
+    execRegion([], function(err, done, calls) {
+        assert.ifError(err);
+        assert.deepEqual(done, regionDcs);
+        assert.deepEqual(calls, [
+            'us-east-1 instance001 img002',
+            'us-east-2 instance001 img002',
+            'us-east-3 instance001 img002'
+        ]);
+
+        /*
+         * When one datacenter's plan fails, the datacenters after it are not
+         * updated.
+         */
+        console.log('region plan execution, one datacenter fails');
+        execRegion(['us-east-2'], function(err2, done2, calls2) {
+            assert.ok(err2 instanceof Error);
+            assert.ok(
+                /^datacenter "us-east-2": /.test(err2.message),
+                err2.message
+            );
+            assert.deepEqual(done2, ['us-east-1']);
+            assert.deepEqual(calls2, [
+                'us-east-1 instance001 img002',
+                'us-east-2 instance001 img002'
+            ]);
+            callback();
+        });
+    });
+}
+
+testSdcConfig();
+testParseRegionConfig();
+testDatacenterNames();
+vasync.pipeline(
+    {
+        funcs: [
+            function(_, callback) {
+                testRegionGenerate(callback);
+            },
+            function(_, callback) {
+                testRegionDryRun(callback);
+            },
+            function(_, callback) {
+                testRegionExec(callback);
+            }
+        ]
+    },
+    function(err) {
+        assert.ifError(err);
+        console.log('TEST PASSED');
+    }
+);
@@ -0,0 +1,362 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * tst.zk_change.js: tests planning "manta-adm zk add" and "manta-adm zk
+ * replace", and the ZooKeeper quorum checks used between their steps
+ */
+
+var assert = require('assert');
+var bunyan = require('bunyan');
+var net = require('net');
+var vasync = require('vasync');
+var CollectorStream = require('./CollectorStream');
+
+var madm = require('../lib/adm');
+var zk = require('../lib/zk');
+
+var log = new bunyan({
+    name: 'tst.zk_change.js',
+    level: process.env['LOG_LEVEL'] || 'fatal',
+    serializers: bunyan.stdSerializers
+});
+
+/*
+ * Returns a fake deployment with one nameservice instance "vm00N" on each CN
+ * "cn00N" listed in "members" (each an object with "n" and "image"), plus an
+ * extra CN "cn009" with no nameservice.
+ */
+function fakeDeployed(members) {
+    var deployed = {
+        app: {name: 'manta', metadata: {ZK_SERVERS: []}},
+        services: {svc001: {name: 'nameservice'}},
+        instances: {svc001: []},
+        cns: {},
+        vms: {},
+        images: {}
+    };
+
+    members.concat([{n: 9}]).forEach(function(m) {
+        var cnid = 'cn00' + m.n;
+        deployed.cns[cnid] = {
+            datacenter: 'testdc1',
+            hostname: cnid.toUpperCase(),
+            server_uuid: cnid,
+            sysinfo: {'Network Interfaces': {}}
+        };
+    });
+
+    members.forEach(function(m) {
+        var vmid = 'vm00' + m.n + '-0000-0000-0000-000000000000';
+        var ip = '10.0.0.' + m.n;
+
+        deployed.app.metadata.ZK_SERVERS.push({
+            host: ip,
+            port: 2181,
+            num: m.n
+        });
+        deployed.vms[vmid] = {
+            nics: [{primary: true, ip: ip}],
+            server_uuid: 'cn00' + m.n,
+            image_uuid: m.image
+        };
+        deployed.instances.svc001.push({
+            uuid: vmid,
+            params: {server_uuid: 'cn00' + m.n},
+            metadata: {ZK_ID: m.n, DATACENTER: 'testdc1'}
+        });
+    });
+
+    deployed.app.metadata.ZK_SERVERS[members.length - 1].last = true;
+    return deployed;
+}
+
+function planFor(members, args) {
+    var adm = new madm.MantaAdm(log);
+    adm.loadFakeDeployed(fakeDeployed(members));
+    return {adm: adm, plan: adm.zkPlanChange(args)};
+}
+
+function testPlans() {
+    var three, result, out;
+
+    three = [
+        {n: 1, image: 'img001'},
+        {n: 2, image: 'img001'},
+        {n: 3, image: 'img001'}
+    ];
+
+    console.log('plan: add');
+    result = planFor(three, {action: 'add', serverUuid: 'cn009'});
+    assert.ok(!(result.plan instanceof Error), result.plan.message);
+    assert.equal(result.plan.image_uuid, 'img001');
+    assert.strictEqual(result.plan.old, null);
+    assert.equal(result.plan.warnings.length, 1);
+    assert.ok(/will have 4 servers/.test(result.plan.warnings[0].message));
+    out = new CollectorStream({});
+    result.adm.zkPrintPlan(out, result.plan);
+    assert.equal(
+        out.data,
+        [
+            '1. check that the ensemble of 3 ZooKeeper servers has quorum',
+            '2. provision a new nameservice instance on server cn009 ' +
+                '(image img001) and add it to ZK_SERVERS',
+            '3. wait for the new ZooKeeper server to join the ensemble',
+            '4. restart existing ZooKeeper servers one at a time (leader ' +
+                'last), waiting for quorum after each: 1 (vm001-00), ' +
+                '2 (vm002-00), 3 (vm003-00)',
+            ''
+        ].join('\n')
+    );
+
+    console.log('plan: replace, same server');
+    result = planFor(three, {action: 'replace', oldZone: 'vm002-00'});
+    assert.ok(!(result.plan instanceof Error), result.plan.message);
+    assert.equal(result.plan.server_uuid, 'cn002');
+    assert.equal(result.plan.old.zkid, 2);
+    assert.deepEqual(result.plan.warnings, []);
+    out = new CollectorStream({});
+    result.adm.zkPrintPlan(out, result.plan);
+    assert.equal(
+        out.data,
+        [
+            '1. check that the ensemble of 3 ZooKeeper servers has quorum',
+            '2. provision a new nameservice instance on server cn002 ' +
+                '(image img001) and add it to ZK_SERVERS',
+            '3. wait for the new ZooKeeper server to join the ensemble',
+            '4. restart existing ZooKeeper servers one at a time (leader ' +
+                'last), waiting for quorum after each: 1 (vm001-00), ' +
+                '3 (vm003-00)',
+            '5. remove nameservice instance ' +
+                'vm002-0000-0000-0000-000000000000 (ZooKeeper server 2) and ' +
+                'remove it from ZK_SERVERS',
+            '6. restart the remaining ZooKeeper servers one at a time ' +
+                '(leader last), waiting for quorum after each: 1 (vm001-00), ' +
+                '3 (vm003-00) and the new server',
+            ''
+        ].join('\n')
+    );
+
+    console.log('plan: errors');
+    [
+        {
+            members: three,
+            args: {action: 'replace', oldZone: 'vm007-00'},
+            error: /zone "vm007-00" is not a configured ZooKeeper server/
+        },
+        {
+            members: three,
+            args: {action: 'add', serverUuid: 'cn042'},
+            error: /server "cn042" not found in this datacenter/
+        },
+        {
+            members: three,
+            args: {action: 'add', serverUuid: 'cn002'},
+            error: /server "cn002" already runs ZooKeeper server 2/
+        },
+        {
+            members: three,
+            args: {
+                action: 'replace',
+                oldZone: 'vm001-00',
+                serverUuid: 'cn003'
+            },
+            error: /server "cn003" already runs ZooKeeper server 3/
+        },
+        {
+            members: [
+                {n: 1, image: 'img001'},
+                {n: 2, image: 'img002'},
+                {n: 3, image: 'img001'}
+            ],
+            args: {action: 'add', serverUuid: 'cn009'},
+            error: /do not all use the same image/
+        }
+    ].forEach(function(tc) {
+        result = planFor(tc.members, tc.args);
+        assert.ok(result.plan instanceof Error);
+        assert.ok(tc.error.test(result.plan.message), result.plan.message);
+    });
+
+    console.log('plan: explicit image');
+    result = planFor(
+        [
+            {n: 1, image: 'img001'},
+            {n: 2, image: 'img002'},
+            {n: 3, image: 'img001'}
+        ],
+        {action: 'add', serverUuid: 'cn009', imageUuid: 'img003'}
+    );
+    assert.equal(result.plan.image_uuid, 'img003');
+}
+
+function testParse() {
+    var parsed;
+
+    console.log('parse "srvr" output');
+    parsed = zk.zkParseSrvr(
+        [
+            'Zookeeper version: 3.4.13-2d71af4dbe22557fda74f9a9b4309b15a7487f03, ' +
+                'built on 06/29/2018 04:05 GMT',
+            'Latency min/avg/max: 0/1/12',
+            'Received: 1234',
+            'Sent: 1233',
+            'Connections: 5',
+            'Outstanding: 2',
+            'Zxid: 0x1000004d2',
+            'Mode: leader',
+            'Node count: 120',
+            ''
+        ].join('\n')
+    );
+    assert.deepEqual(parsed, {
+        mode: 'leader',
+        zxid: '0x1000004d2',
+        outstanding: 2,
+        latencyMin: 0,
+        latencyAvg: 1,
+        latencyMax: 12
+    });
+
+    parsed = zk.zkParseSrvr(
+        'This ZooKeeper instance is not currently serving requests\n'
+    );
+    assert.ok(parsed instanceof Error);
+    assert.equal(parsed.message, 'not currently serving requests');
+
+    console.log('quorum');
+    function status(modes) {
+        return modes.map(function(mode) {
+            return {
+                host: '127.0.0.1',
+                port: 2181,
+                error: mode === null ? new Error('down') : null,
+                srvr: mode === null ? null : {mode: mode}
+            };
+        });
+    }
+    assert.strictEqual(
+        zk.zkHasQuorum(status(['follower', 'leader', 'follower'])),
+        null
+    );
+    assert.strictEqual(
+        zk.zkHasQuorum(status(['follower', 'leader', null])),
+        null
+    );
+    assert.equal(
+        zk.zkHasQuorum(status(['leader', null, null])).message,
+        'only 1 of 3 ZooKeeper servers are serving requests (need 2 for quorum)'
+    );
+    assert.equal(
+        zk.zkHasQuorum(status(['follower', 'follower', null])).message,
+        'expected 1 ZooKeeper leader, found 0'
+    );
+    assert.equal(
+        zk.zkHasQuorum(status(['leader', 'follower', null, null])).message,
+        'only 2 of 4 ZooKeeper servers are serving requests (need 3 for quorum)'
+    );
+}
+
+/*
+ * Starts a stub ZooKeeper server on an ephemeral local port that answers
+ * "srvr" as a server in mode "mode" (or as one not serving requests, if "mode"
+ * is null).
+ */
+function startStub(mode, callback) {
+    var server = net.createServer(function(sock) {
+        sock.once('data', function(data) {
+            assert.equal(data.toString(), 'srvr');
+            if (mode === null) {
+                sock.end(
+                    'This ZooKeeper instance is not currently serving ' +
+                        'requests\n'
+                );
+            } else {
+                sock.end('Zxid: 0x100000001\nMode: ' + mode + '\n');
+            }
+        });
+    });
+
+    server.listen(0, '127.0.0.1', function() {
+        callback(server);
+    });
+}
+
+function testHealthCheck(callback) {
+    var stubs = [];
+
+    console.log('health check against stub servers');
+    vasync.forEachPipeline(
+        {
+            inputs: ['leader', 'follower', null],
+            func: function(mode, next) {
+                startStub(mode, function(server) {
+                    stubs.push(server);
+                    next();
+                });
+            }
+        },
+        function() {
+            var servers, check;
+
+            servers = stubs.map(function(s) {
+                return {host: '127.0.0.1', port: s.address().port};
+            });
+            check = zk.createZkHealthCheck({servers: servers, log: log});
+            check.check(
+                {zonename: 'vm001', service: 'nameservice', ip: '127.0.0.1'},
+                function(err) {
+                    /*
+                     * All stubs share an IP address, so the target matches
+                     * the leader.  The ensemble has quorum because two of
+                     * three servers are serving.
+                     */
+                    assert.ifError(err);
+
+                    zk.zkEnsembleStatus(
+                        {servers: servers, timeout: 5000},
+                        function(status) {
+                            assert.equal(status[0].srvr.mode, 'leader');
+                            assert.equal(status[1].srvr.mode, 'follower');
+                            assert.ok(
+                                /not currently serving/.test(
+                                    status[2].error.message
+                                )
+                            );
+
+                            /* A stopped server shows up as an error. */
+                            stubs[1].close(function() {
+                                zk.zkEnsembleStatus(
+                                    {servers: servers, timeout: 5000},
+                                    function(status2) {
+                                        assert.ok(status2[1].error !== null);
+                                        assert.ok(
+                                            zk.zkHasQuorum(status2) instanceof
+                                                Error
+                                        );
+                                        stubs[0].close();
+                                        stubs[2].close();
+                                        callback();
+                                    }
+                                );
+                            });
+                        }
+                    );
+                }
+            );
+        }
+    );
+}
+
+testPlans();
+testParse();
+testHealthCheck(function() {
+    console.log('TEST PASSED');
+});
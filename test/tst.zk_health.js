@@ -0,0 +1,266 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * tst.zk_health.js: tests "manta-adm zk list --health" against stub ZooKeeper
+ * servers
+ */
+
+var assert = require('assert');
+var bunyan = require('bunyan');
+var net = require('net');
+var vasync = require('vasync');
+var CollectorStream = require('./CollectorStream');
+
+var madm = require('../lib/adm');
+var zk = require('../lib/zk');
+
+var log = new bunyan({
+    name: 'tst.zk_health.js',
+    level: process.env['LOG_LEVEL'] || 'fatal',
+    serializers: bunyan.stdSerializers
+});
+
+/*
+ * Each stub describes how a server responds to "srvr" and "mntr".  A stub with
+ * "mode" null answers "srvr" as a server that's not serving requests, and one
+ * with "mntr" false answers "mntr" as a server that doesn't allow it.  The last
+ * server has no stub at all, so connecting to it fails.
+ */
+var stubConfigs = [
+    {mode: 'follower', zxid: '0x500000100', mntr: true},
+    {mode: 'leader', zxid: '0x500000120', mntr: true},
+    {mode: 'follower', zxid: '0x500000118', mntr: false},
+    {mode: 'follower', zxid: '0x4000ffff0', mntr: true},
+    {mode: null}
+];
+
+function startStub(config, callback) {
+    var server = net.createServer(function(sock) {
+        sock.once('data', function(data) {
+            var cmd = data.toString();
+
+            if (config.mode === null) {
+                sock.end(
+                    'This ZooKeeper instance is not currently serving ' +
+                        'requests\n'
+                );
+            } else if (cmd === 'srvr') {
+                sock.end(
+                    [
+                        'Zookeeper version: 3.4.13, built on 06/29/2018',
+                        'Latency min/avg/max: 0/1/10',
+                        'Received: 100',
+                        'Sent: 100',
+                        'Connections: 3',
+                        'Outstanding: 1',
+                        'Zxid: ' + config.zxid,
+                        'Mode: ' + config.mode,
+                        'Node count: 42',
+                        ''
+                    ].join('\n')
+                );
+            } else if (cmd === 'mntr' && config.mntr) {
+                sock.end(
+                    [
+                        'zk_version\t3.4.13, built on 06/29/2018',
+                        'zk_avg_latency\t2',
+                        'zk_max_latency\t20',
+                        'zk_min_latency\t0',
+                        'zk_outstanding_requests\t4',
+                        'zk_server_state\t' + config.mode,
+                        ''
+                    ].join('\n')
+                );
+            } else {
+                sock.end(
+                    'mntr is not executed because it is not in the ' +
+                        'whitelist.\n'
+                );
+            }
+        });
+    });
+
+    server.listen(0, '127.0.0.1', function() {
+        callback(server);
+    });
+}
+
+/*
+ * Returns a fake deployment with one nameservice instance for each of the
+ * given ports, all on 127.0.0.1.
+ */
+function fakeDeployed(ports) {
+    var deployed = {
+        app: {name: 'manta', metadata: {ZK_SERVERS: []}},
+        services: {svc001: {name: 'nameservice'}},
+        instances: {svc001: []},
+        cns: {
+            cn001: {
+                datacenter: 'testdc1',
+                hostname: 'CN001',
+                server_uuid: 'cn001',
+                sysinfo: {'Network Interfaces': {}}
+            }
+        },
+        vms: {},
+        images: {}
+    };
+
+    ports.forEach(function(port, i) {
+        var n = i + 1;
+        var vmid = 'vm00' + n + '-0000-0000-0000-000000000000';
+
+        deployed.app.metadata.ZK_SERVERS.push({
+            host: '127.0.0.1',
+            port: port,
+            num: n
+        });
+        deployed.vms[vmid] = {
+            nics: [{primary: true, ip: '127.0.0.1'}],
+            server_uuid: 'cn001',
+            image_uuid: 'img001'
+        };
+        deployed.instances.svc001.push({
+            uuid: vmid,
+            params: {server_uuid: 'cn001'},
+            metadata: {ZK_ID: n, DATACENTER: 'testdc1'}
+        });
+    });
+
+    deployed.app.metadata.ZK_SERVERS[ports.length - 1].last = true;
+    return deployed;
+}
+
+function testParse() {
+    console.log('parse "mntr" output');
+    assert.deepEqual(
+        zk.zkParseMntr(
+            'zk_version\t3.4.13\nzk_server_state\tleader\n' +
+                'zk_outstanding_requests\t0\n'
+        ),
+        {
+            zk_version: '3.4.13',
+            zk_server_state: 'leader',
+            zk_outstanding_requests: '0'
+        }
+    );
+    assert.ok(
+        zk.zkParseMntr(
+            'mntr is not executed because it is not in the whitelist.\n'
+        ) instanceof Error
+    );
+}
+
+function testList(callback) {
+    var stubs = [];
+    var closed;
+
+    console.log('list with health against stub servers');
+
+    /*
+     * Start and immediately stop one server to get a port on which nothing is
+     * listening.
+     */
+    closed = net.createServer();
+    closed.listen(0, '127.0.0.1', function() {
+        var closedPort = closed.address().port;
+
+        closed.close(function() {
+            vasync.forEachPipeline(
+                {
+                    inputs: stubConfigs,
+                    func: function(config, next) {
+                        startStub(config, function(server) {
+                            stubs.push(server);
+                            next();
+                        });
+                    }
+                },
+                function() {
+                    var ports, adm;
+
+                    ports = stubs.map(function(s) {
+                        return s.address().port;
+                    });
+                    ports.push(closedPort);
+
+                    adm = new madm.MantaAdm(log);
+                    adm.loadFakeDeployed(fakeDeployed(ports));
+                    adm.fetchZkHealth({timeout: 5000}, function(health) {
+                        checkList(adm, health);
+                        stubs.forEach(function(s) {
+                            s.close();
+                        });
+                        callback();
+                    });
+                }
+            );
+        });
+    });
+}
+
+function checkList(adm, health) {
+    var out, problems;
+
+    out = new CollectorStream({});
+    problems = adm.dumpZkServers(out, {
+        columns: ['ord', 'mode', 'zxid', 'outstanding', 'latency', 'health'],
+        health: health
+    });
+    assert.equal(
+        out.data,
+        [
+            '# MODE       ZXID          OUTSTANDING LATENCY   HEALTH     ',
+            '1 follower   0x500000100             4 2/20      ok         ',
+            '2 leader     0x500000120             4 2/20      ok         ',
+            '3 follower   0x500000118             1 1/10      ok         ',
+            '4 follower   0x4000ffff0             4 2/20      lagging    ',
+            '5 -          -                       - -         not serving',
+            '6 -          -                       - -         down       ',
+            ''
+        ].join('\n')
+    );
+    assert.deepEqual(problems.critical, []);
+    assert.deepEqual(problems.fixable, []);
+    assert.deepEqual(
+        problems.unhealthy.map(function(e) {
+            return e.message.replace(/127\.0\.0\.1:\d+/, 'IP:PORT');
+        }),
+        [
+            'ZooKeeper server 4 (IP:PORT): lagging',
+            'ZooKeeper server 5 (IP:PORT): not serving',
+            'ZooKeeper server 6 (IP:PORT): down'
+        ]
+    );
+
+    console.log('list without health');
+    out = new CollectorStream({});
+    problems = adm.dumpZkServers(out, {columns: ['ord', 'port']});
+    assert.equal(out.data.split('\n').length, 8);
+    assert.deepEqual(problems.unhealthy, []);
+
+    console.log('default columns with health');
+    out = new CollectorStream({});
+    adm.dumpZkServers(out, {health: health});
+    assert.ok(
+        /^# DATACENTER ZONENAME +IP +PORT MODE +ZXID +OUTSTANDING LATENCY +HEALTH/.test(
+            out.data
+        )
+    );
+
+    assert.ok(madm.zkColumnNeedsHealth('LATENCY'));
+    assert.ok(!madm.zkColumnNeedsHealth('ip'));
+}
+
+testParse();
+testList(function() {
+    console.log('TEST PASSED');
+});